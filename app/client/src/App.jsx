@@ -1,11 +1,14 @@
 import { useEffect, useState, useCallback, useRef, useMemo } from "react";
 import { flushSync } from "react-dom";
-import { Send, Square, Trash2, Eraser, Menu, TerminalSquare, FileCode, MessageCircleQuestion, Paperclip, WifiOff, Copy, CopyCheck, Clock, FileText, X, Loader2, Cpu, ChevronDown, Check, ArrowDown, Image as ImageIcon } from "lucide-react";
+import { v4 as uuidv4 } from "uuid";
+import { Send, Square, Trash2, Eraser, Menu, TerminalSquare, FileCode, MessageCircleQuestion, Paperclip, WifiOff, Copy, CopyCheck, Clock, FileText, X, Loader2, Cpu, ChevronDown, Check, ArrowDown, Eye, Image as ImageIcon } from "lucide-react";
 import Sidebar from "./components/Sidebar.jsx";
 import ToolCallCard from "./components/ToolCallCard.jsx";
 import ErrorCard from "./components/ErrorCard.jsx";
 import ThinkingCard from "./components/ThinkingCard.jsx";
 import QuestionCard from "./components/QuestionCard.jsx";
+import ToolApprovalCard from "./components/ToolApprovalCard.jsx";
+import PermissionMenu from "./components/PermissionMenu.jsx";
 import Markdown from "./components/Markdown.jsx";
 import LoginScreen from "./components/LoginScreen.jsx";
 import ClaudeSetupBanner from "./components/ClaudeSetupBanner.jsx";
@@ -41,11 +44,13 @@ export default function App() {
   const [agentModels, setAgentModels] = useState({});  // agentId -> model string
   const [serverContextInfo, setServerContextInfo] = useState({});  // agentId -> { contextWindow, used } from server
   const [pendingQuestions, setPendingQuestions] = useState({});
+  const [agentPermissions, setAgentPermissions] = useState({}); // agentId -> { permissionProfile, allowedCommands, approvedCommands, allowedPaths }
+  const [pendingApprovals, setPendingApprovals] = useState({}); // agentId -> [{ toolUseId, tool, input, reason, canAlwaysAllow }]
   const [copiedMsgIdx, setCopiedMsgIdx] = useState(null);
   const [queuedMessages, setQueuedMessages] = useState({}); // agentId -> [{ text }, ...] (FIFO queue)
   const [drafts, setDrafts] = useState({}); // agentId -> { text, attachedFiles }
   const terminalDataRef = useRef(null);
-  const { agents, gitStatuses, fetchAgents, createAgent, cloneRepo, removeAgent, updateAgentStatus, findAgentByWorkDir, fetchGitStatus, fetchAllGitStatuses, removeWorktree, removeWorktreeByPath, deleteAllLocalBranches } = useAgents();
+  const { agents, gitStatuses, fetchAgents, createAgent, cloneRepo, removeAgent, updateAgentStatus, upsertAgent, dropAgent, findAgentByWorkDir, fetchGitStatus, fetchAllGitStatuses, removeWorktree, removeWorktreeByPath, deleteAllLocalBranches } = useAgents();
   const { projects, fetchDirectories, loaded: projectsLoaded } = useWorkspace();
   const { enabled: notificationsEnabled, permissionDenied: notificationsPermissionDenied, toggle: toggleNotifications, notify } = useNotifications();
   const { usage, refresh: refreshUsage } = useUsageStats();
@@ -66,10 +71,69 @@ export default function App() {
   const [showScrollDown, setShowScrollDown] = useState(false);
   const lastEventIndexRef = useRef({});
   const reconnectHandlerRef = useRef(null);
+  const wsListenersRef = useRef(new Set()); // extra message listeners (task run watchers)
+
+  // Let views outside the chat (TasksPage) see WebSocket messages. Returns an
+  // unsubscribe function.
+  const addWsListener = useCallback((listener) => {
+    wsListenersRef.current.add(listener);
+    return () => wsListenersRef.current.delete(listener);
+  }, []);
+
+  // Mirror the server-side message queue of an agent: pending_user entries are
+  // rebuilt from `queue`, and `sentText` (a message that just left the queue,
+  // identified by `sentMessageId`) becomes a regular user entry.
+  const applyQueue = useCallback((agentId, queue, sentText = null, sentMessageId = null) => {
+    setQueuedMessages((prev) => {
+      const next = { ...prev };
+      if (queue.length > 0) next[agentId] = queue;
+      else delete next[agentId];
+      return next;
+    });
+    setConversations((prev) => {
+      const data = prev[agentId] || { entries: [], total: 0, hasMore: false };
+      const sent = sentText != null
+        ? data.entries.find((m) => m.type === "pending_user" && (sentMessageId ? m.messageId === sentMessageId : m.text === sentText))
+        : null;
+      const entries = data.entries.filter((m) => m.type !== "pending_user");
+      if (sentText != null) {
+        entries.push({ type: "user", text: sentText, attachments: sent?.attachments, messageId: sentMessageId || undefined, timestamp: Date.now() });
+      }
+      for (const q of queue) {
+        entries.push({ type: "pending_user", text: q.text, attachments: q.attachments || undefined, messageId: q.messageId });
+      }
+      return { ...prev, [agentId]: { ...data, entries } };
+    });
+  }, []);
 
   const handleWsMessage = useCallback(
     (msg) => {
       const { agentId, type, ...rest } = msg;
+
+      for (const listener of wsListenersRef.current) {
+        try { listener(msg); } catch {}
+      }
+
+      // Profile-wide pushes that keep the sidebar in sync across tabs
+      if (type === "agent_created") {
+        upsertAgent(msg.agent);
+        fetchGitStatus(msg.agent.id);
+        return;
+      }
+      if (type === "agent_deleted") {
+        dropAgent(agentId);
+        setSelectedAgentId((prev) => (prev === agentId ? null : prev));
+        return;
+      }
+      if (type === "agent_status_changed") {
+        updateAgentStatus(agentId, msg.status);
+        return;
+      }
+      if (type === "workspace_changed") {
+        fetchDirectories();
+        return;
+      }
+
       if (!agentId) return;
 
       // Deduplicate backfill events by eventIndex to handle race between
@@ -97,31 +161,50 @@ export default function App() {
         return;
       }
 
-      if (type === "message_queued") {
-        setQueuedMessages((prev) => ({ ...prev, [agentId]: [...(prev[agentId] || []), { text: rest.text }] }));
+      if (type === "tool_approval_pending") {
+        setPendingApprovals((prev) => ({
+          ...prev,
+          [agentId]: [...(prev[agentId] || []).filter((a) => a.toolUseId !== rest.toolUseId), { toolUseId: rest.toolUseId, tool: rest.tool, input: rest.input, reason: rest.reason, canAlwaysAllow: !!rest.canAlwaysAllow }],
+        }));
         return;
       }
 
-      if (type === "message_dequeued") {
-        // Pending message is now being processed — promote the first pending_user to regular user message
-        setQueuedMessages((prev) => {
-          const queue = prev[agentId] || [];
-          const remaining = queue.slice(1);
-          if (remaining.length === 0) { const next = { ...prev }; delete next[agentId]; return next; }
-          return { ...prev, [agentId]: remaining };
+      if (type === "tool_approval") {
+        setPendingApprovals((prev) => {
+          const remaining = (prev[agentId] || []).filter((a) => a.toolUseId !== rest.toolUseId);
+          const next = { ...prev, [agentId]: remaining };
+          if (remaining.length === 0) delete next[agentId];
+          return next;
         });
         setConversations((prev) => {
           const data = prev[agentId] || { entries: [], total: 0, hasMore: false };
-          let promoted = false;
-          const entries = data.entries.map((m) => {
-            if (!promoted && m.type === "pending_user") {
-              promoted = true;
-              return { type: "user", text: m.text, timestamp: m.timestamp || Date.now() };
-            }
-            return m;
-          });
-          return { ...prev, [agentId]: { ...data, entries } };
+          const entry = { type: "tool_approval", toolUseId: rest.toolUseId, tool: rest.tool, input: rest.input, decision: rest.decision, reason: rest.reason, auto: rest.auto, always: rest.always, denyReason: rest.denyReason, timestamp: rest.timestamp };
+          return { ...prev, [agentId]: { ...data, entries: [...data.entries, entry], total: data.total + 1 } };
         });
+        // "Always allow" extended the agent's allowlist on the server — pick it up
+        if (rest.always) {
+          fetch(`/api/agents/${agentId}`)
+            .then((r) => r.ok ? r.json() : null)
+            .then((data) => {
+              if (!data) return;
+              setAgentPermissions((prev) => ({
+                ...prev,
+                [agentId]: { permissionProfile: data.permissionProfile, allowedCommands: data.allowedCommands || [], approvedCommands: data.approvedCommands || [], allowedPaths: data.allowedPaths || [] },
+              }));
+            })
+            .catch(() => {});
+        }
+        return;
+      }
+
+      if (type === "message_queued") {
+        applyQueue(agentId, rest.queue || []);
+        return;
+      }
+
+      if (type === "message_dequeued") {
+        // A sent message is promoted from pending_user to a regular user message
+        applyQueue(agentId, rest.queue || [], rest.reason === "sent" ? rest.text : null, rest.messageId);
         return;
       }
 
@@ -140,6 +223,10 @@ export default function App() {
               }
             }
           })
+          // Re-apply messages still queued on the server (history has none)
+          .then(() => fetch(`/api/agents/${agentId}/queue`))
+          .then((r) => r.ok ? r.json() : { queue: [] })
+          .then(({ queue }) => { if (queue.length > 0) applyQueue(agentId, queue); })
           .catch(() => {});
         return;
       }
@@ -162,6 +249,24 @@ export default function App() {
         return;
       }
 
+      // Echo of the turn's user message. The sending tab (or a dequeued
+      // message) already shows it under the same messageId; other tabs, API
+      // sessions and task runs don't.
+      if (type === "user_message") {
+        setConversations((prev) => {
+          const data = prev[agentId] || { entries: [], total: 0, hasMore: false };
+          if (rest.messageId && data.entries.some((m) => m.type === "user" && m.messageId === rest.messageId)) return prev;
+          const pending = data.entries.filter((m) => m.type === "pending_user");
+          const entries = [
+            ...data.entries.filter((m) => m.type !== "pending_user"),
+            { type: "user", text: rest.text, attachments: rest.attachments, messageId: rest.messageId, timestamp: rest.timestamp || Date.now() },
+            ...pending,
+          ];
+          return { ...prev, [agentId]: { ...data, entries, total: data.total + 1 } };
+        });
+        return;
+      }
+
       if (type === "text_delta") {
         setConversations((prev) => {
           const data = prev[agentId] || { entries: [], total: 0, hasMore: false };
@@ -204,6 +309,7 @@ export default function App() {
         });
         updateAgentStatus(agentId, "idle");
         setPendingQuestions((prev) => { const next = { ...prev }; delete next[agentId]; return next; });
+        setPendingApprovals((prev) => { const next = { ...prev }; delete next[agentId]; return next; });
         refreshUsage();
         fetchGitStatus(agentId);
         const agent = agents.find((a) => a.id === agentId);
@@ -224,19 +330,19 @@ export default function App() {
         });
         updateAgentStatus(agentId, "error");
         setPendingQuestions((prev) => { const next = { ...prev }; delete next[agentId]; return next; });
+        setPendingApprovals((prev) => { const next = { ...prev }; delete next[agentId]; return next; });
         setQueuedMessages((prev) => { const next = { ...prev }; delete next[agentId]; return next; });
         notify("Agent error", { body: rest.message });
       }
     },
-    [updateAgentStatus, agents, notify, refreshUsage, fetchGitStatus]
+    [updateAgentStatus, upsertAgent, dropAgent, fetchDirectories, applyQueue, agents, notify, refreshUsage, fetchGitStatus]
   );
 
   const handleServerRestart = useCallback(() => {
-    // Server restarted — previous in-memory agents are gone.
-    // Don't inject "context_cleared" dividers because new agents created
-    // for existing workspaces will automatically recover the previous SDK
-    // session via options.continue. Refetch the agent list so the UI
-    // picks up the fresh state; conversation history from disk is loaded
+    // Server restarted — agents are restored from the on-disk registry with
+    // their SDK session ids (busy ones come back as "interrupted"), so no
+    // "context_cleared" divider is needed. Refetch the agent list so the UI
+    // picks up the restored state; conversation history from disk is loaded
     // when the user selects an agent.
     fetchAgents();
   }, [fetchAgents]);
@@ -333,6 +439,8 @@ export default function App() {
     return null;
   })();
 
+  const selectedAgent = agents.find((a) => a.id === selectedAgentId) || null;
+
   // Context-aware suggestion computation from configurable suggestions
   const gitStatus = selectedAgentId ? gitStatuses[selectedAgentId] : null;
   const hasPR = !!(gitStatus?.pr);
@@ -372,6 +480,8 @@ export default function App() {
 
     // Conditional context tags
     if (hasPR) activeContextTags.add("has_pr");
+    const onFeatureBranch = gitStatus?.isRepo && gitStatus.branch && !["main", "master", "HEAD", "unknown"].includes(gitStatus.branch);
+    if (activeContextTags.has("after_completion") && onFeatureBranch && !hasPR) activeContextTags.add("no_pr");
 
     const assistantMsgs = conv.filter((m) => m.type === "assistant_stream");
     const totalLen = assistantMsgs.reduce((sum, m) => sum + m.text.length, 0);
@@ -412,7 +522,7 @@ export default function App() {
       activeSuggestions: regularSuggestions,
       activeActions: platformActions,
     };
-  }, [selectedConversation, allSuggestions, hasPR, prLabel]);
+  }, [selectedConversation, allSuggestions, hasPR, prLabel, gitStatus]);
 
   useEffect(() => {
     fetch("/api/auth/check")
@@ -435,12 +545,15 @@ export default function App() {
         .then((list) => {
           const iq = {};
           const models = {};
+          const permissions = {};
           for (const a of list) {
             iq[a.id] = !!a.interactiveQuestions;
             if (a.model) models[a.id] = a.model;
+            permissions[a.id] = { permissionProfile: a.permissionProfile, allowedCommands: a.allowedCommands || [], approvedCommands: a.approvedCommands || [], allowedPaths: a.allowedPaths || [] };
           }
           setInteractiveQuestions((prev) => ({ ...prev, ...iq }));
           setAgentModels((prev) => ({ ...prev, ...models }));
+          setAgentPermissions((prev) => ({ ...prev, ...permissions }));
         })
         .catch(() => {});
     });
@@ -500,6 +613,20 @@ export default function App() {
         if (data.model) {
           setAgentModels((prev) => ({ ...prev, [selectedAgentId]: data.model }));
         }
+        // Held tool calls survive a page reload / agent switch the same way
+        // pending questions do
+        setPendingApprovals((prev) => {
+          const next = { ...prev };
+          if (data.pendingApprovals?.length) next[selectedAgentId] = data.pendingApprovals;
+          else delete next[selectedAgentId];
+          return next;
+        });
+        if (data.permissionProfile) {
+          setAgentPermissions((prev) => ({
+            ...prev,
+            [selectedAgentId]: { permissionProfile: data.permissionProfile, allowedCommands: data.allowedCommands || [], approvedCommands: data.approvedCommands || [], allowedPaths: data.allowedPaths || [] },
+          }));
+        }
 
         // Seed context info from the agent's in-memory state (survives across
         // client reconnects as long as the server is running).
@@ -675,6 +802,8 @@ export default function App() {
 
     // Store attachment metadata (no binary data) for display in conversation
     const displayAttachments = attachments?.map((a) => ({ name: a.name, type: a.type, mediaType: a.mediaType })) || undefined;
+    // Lets this tab recognise the server's echo of this exact message
+    const messageId = uuidv4();
 
     // Optimistically set agent to busy so the stop button appears immediately
     if (!isBusy) {
@@ -685,19 +814,19 @@ export default function App() {
       // Append to the queue — multiple pending messages allowed
       setConversations((prev) => {
         const data = prev[selectedAgentId] || { entries: [], total: 0, hasMore: false };
-        return { ...prev, [selectedAgentId]: { ...data, entries: [...data.entries, { type: "pending_user", text, attachments: displayAttachments }] } };
+        return { ...prev, [selectedAgentId]: { ...data, entries: [...data.entries, { type: "pending_user", text, attachments: displayAttachments, messageId }] } };
       });
     } else {
       setConversations((prev) => {
         const data = prev[selectedAgentId] || { entries: [], total: 0, hasMore: false };
-        return { ...prev, [selectedAgentId]: { ...data, entries: [...data.entries, { type: "user", text, attachments: displayAttachments, timestamp: Date.now() }], total: data.total + 1 } };
+        return { ...prev, [selectedAgentId]: { ...data, entries: [...data.entries, { type: "user", text, attachments: displayAttachments, messageId, timestamp: Date.now() }], total: data.total + 1 } };
       });
     }
 
     if (attachments && attachments.length > 0) {
-      send({ type: "message", agentId: selectedAgentId, text, attachments });
+      send({ type: "message", agentId: selectedAgentId, text, attachments, messageId });
     } else {
-      send({ type: "message", agentId: selectedAgentId, text });
+      send({ type: "message", agentId: selectedAgentId, text, messageId });
     }
   }
 
@@ -917,6 +1046,29 @@ export default function App() {
     } catch {}
   }
 
+  async function handleSetPermissions(permissions) {
+    if (!selectedAgentId) return;
+    const agentId = selectedAgentId;
+    const previous = agentPermissions[agentId];
+    setAgentPermissions((prev) => ({ ...prev, [agentId]: permissions }));
+    try {
+      const res = await fetch(`/api/agents/${agentId}/settings`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(permissions),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        setAgentPermissions((prev) => ({ ...prev, [agentId]: previous }));
+        alert(data.error || "Failed to update permissions");
+      }
+    } catch {}
+  }
+
+  function handleToolApproval(agentId, toolUseId, { approved, reason, always }) {
+    send({ type: "tool_approval_response", agentId, toolUseId, approved, reason, always });
+  }
+
   function handleAnswerQuestion(agentId, answers) {
     send({ type: "question_answer", agentId, answers });
     setPendingQuestions((prev) => { const next = { ...prev }; delete next[agentId]; return next; });
@@ -961,9 +1113,38 @@ export default function App() {
     }
   }
 
+  async function handleOpenPullRequest() {
+    if (!selectedAgentId) return;
+    const agentId = selectedAgentId;
+
+    const appendEntry = (entry) => setConversations((prev) => {
+      const d = prev[agentId] || { entries: [], total: 0, hasMore: false };
+      return { ...prev, [agentId]: { ...d, entries: [...d.entries, entry], total: d.total + 1 } };
+    });
+    try {
+      const res = await fetch(`/api/agents/${agentId}/pull-request`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({}),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      const providerLabel = data.provider === "gitlab" ? "MR" : "PR";
+      appendEntry({
+        type: "assistant_stream",
+        text: `${data.created ? "Opened" : "Pushed; already open:"} ${providerLabel} #${data.number}. [View ${providerLabel}](${data.url})`,
+      });
+      fetchGitStatus(agentId);
+    } catch (err) {
+      appendEntry({ type: "error", message: `Failed to open pull request: ${err.message}` });
+    }
+  }
+
   function handleSuggestionAction(action) {
     if (action === "post-pr-review") {
       handlePostReview();
+    } else if (action === "open-pull-request") {
+      handleOpenPullRequest();
     }
   }
 
@@ -1049,6 +1230,7 @@ export default function App() {
             contextInfo={contextInfo}
             onClearContext={selectedAgentId ? handleClearContext : null}
             onCompact={selectedAgentId ? handleCompact : null}
+            pr={gitStatus?.pr || null}
             className="flex-1 border-b-0"
           />
           {selectedAgentId && currentView === "chat" && (
@@ -1082,7 +1264,7 @@ export default function App() {
         </div>
         <ClaudeSetupBanner />
         {currentView === "schedules" ? (
-          <TasksPage />
+          <TasksPage ws={{ send, addWsListener, connected }} />
         ) : selectedAgentId ? (
           <>
             {!terminalOpen && !editorOpen && (
@@ -1281,10 +1463,19 @@ export default function App() {
                             </div>
                           );
                         })()}
+                        {msg.type === "tool_approval" && <ToolApprovalCard approval={msg} />}
                         {msg.type === "error" && <ErrorCard error={msg} />}
                       </div>
                     );
                   })}
+                  {(pendingApprovals[selectedAgentId] || []).map((approval) => (
+                    <ToolApprovalCard
+                      key={approval.toolUseId}
+                      approval={approval}
+                      pending
+                      onRespond={(response) => handleToolApproval(selectedAgentId, approval.toolUseId, response)}
+                    />
+                  ))}
                   <div ref={messagesEndRef} />
                 </ScrollArea>
                 {showScrollDown && (
@@ -1296,8 +1487,19 @@ export default function App() {
                     <ArrowDown className="h-4 w-4" />
                   </button>
                 )}
-                <SuggestionBar suggestions={activeSuggestions} actions={activeActions} onSelect={handleSuggestionSelect} onAction={(a) => handleSuggestionAction(a.resolvedValue)} onManage={() => setSuggestionManagerOpen(true)} />
-                <ChatInput key={selectedAgentId} onSend={handleSend} onStop={handleStop} onClearContext={handleClearContext} onDeleteHistory={handleDeleteHistory} onReconnect={reconnect} connected={connected} isBusy={agents.find((a) => a.id === selectedAgentId)?.status === "busy"} interactiveQuestions={!!interactiveQuestions[selectedAgentId]} onToggleQuestions={handleToggleInteractiveQuestions} model={agentModels[selectedAgentId] || ""} onSetModel={handleSetModel} draftText={drafts[selectedAgentId]?.text || ""} draftFiles={drafts[selectedAgentId]?.attachedFiles || []} onDraftChange={(text, files) => setDrafts((prev) => ({ ...prev, [selectedAgentId]: { text, attachedFiles: files } }))} />
+                {selectedAgent?.ephemeral ? (
+                  <div className="flex items-center gap-2 border-t border-border px-4 py-3 text-xs text-muted-foreground">
+                    <Eye className="h-3.5 w-3.5 shrink-0" />
+                    <span>
+                      Watching {selectedAgent.source === "task" ? "a scheduled task run" : "an API session"} live. Messages can't be sent from here.
+                    </span>
+                  </div>
+                ) : (
+                  <>
+                  <SuggestionBar suggestions={activeSuggestions} actions={activeActions} onSelect={handleSuggestionSelect} onAction={(a) => handleSuggestionAction(a.resolvedValue)} onManage={() => setSuggestionManagerOpen(true)} />
+                  <ChatInput key={selectedAgentId} onSend={handleSend} onStop={handleStop} onClearContext={handleClearContext} onDeleteHistory={handleDeleteHistory} onReconnect={reconnect} connected={connected} isBusy={agents.find((a) => a.id === selectedAgentId)?.status === "busy"} interactiveQuestions={!!interactiveQuestions[selectedAgentId]} onToggleQuestions={handleToggleInteractiveQuestions} model={agentModels[selectedAgentId] || ""} onSetModel={handleSetModel} permissions={agentPermissions[selectedAgentId]} onSetPermissions={handleSetPermissions} draftText={drafts[selectedAgentId]?.text || ""} draftFiles={drafts[selectedAgentId]?.attachedFiles || []} onDraftChange={(text, files) => setDrafts((prev) => ({ ...prev, [selectedAgentId]: { text, attachedFiles: files } }))} />
+                  </>
+                )}
               </div>
             )}
             {editorOpen && (
@@ -1341,7 +1543,7 @@ export default function App() {
   );
 }
 
-function ChatInput({ onSend, onStop, onClearContext, onDeleteHistory, onReconnect, connected, isBusy, interactiveQuestions, onToggleQuestions, model, onSetModel, draftText = "", draftFiles = [], onDraftChange }) {
+function ChatInput({ onSend, onStop, onClearContext, onDeleteHistory, onReconnect, connected, isBusy, interactiveQuestions, onToggleQuestions, model, onSetModel, permissions, onSetPermissions, draftText = "", draftFiles = [], onDraftChange }) {
   const [text, setText] = useState(draftText);
   const [attachedFiles, setAttachedFiles] = useState(draftFiles);
   const [modelMenuOpen, setModelMenuOpen] = useState(false);
@@ -1658,6 +1860,7 @@ function ChatInput({ onSend, onStop, onClearContext, onDeleteHistory, onReconnec
             </div>
           )}
         </div>
+        <PermissionMenu permissions={permissions} onChange={onSetPermissions} className="hidden md:block shrink-0" />
         <input
           ref={fileInputRef}
           type="file"
@@ -1789,7 +1992,8 @@ function ChatInput({ onSend, onStop, onClearContext, onDeleteHistory, onReconnec
         >
           <Paperclip className="h-4 w-4" />
         </Button>
-        <div className="relative ml-auto" data-model-menu>
+        <PermissionMenu permissions={permissions} onChange={onSetPermissions} align="right" className="ml-auto" />
+        <div className="relative" data-model-menu>
           <button
             type="button"
             onClick={() => setModelMenuOpen((v) => !v)}
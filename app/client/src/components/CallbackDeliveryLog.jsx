@@ -0,0 +1,159 @@
+import { useState, useEffect, useCallback } from "react";
+import { CheckCircle, XCircle, Hourglass, Loader2, RotateCcw, ChevronRight, Send } from "lucide-react";
+import { formatDuration, formatRelativeTime } from "@/lib/cron";
+import { cn } from "@/lib/utils";
+
+const DELIVERY_STATUS = {
+  delivered: { icon: CheckCircle, color: "text-green-500" },
+  failed: { icon: XCircle, color: "text-red-500" },
+  pending: { icon: Hourglass, color: "text-blue-500" },
+};
+
+function DeliveryRow({ delivery, onViewRun, onRedeliver }) {
+  const [expanded, setExpanded] = useState(false);
+  const [redelivering, setRedelivering] = useState(false);
+  const { icon: StatusIcon, color } = DELIVERY_STATUS[delivery.status] || DELIVERY_STATUS.pending;
+  const last = delivery.attempts[delivery.attempts.length - 1];
+
+  async function handleRedeliver() {
+    setRedelivering(true);
+    try {
+      await onRedeliver(delivery.id);
+    } catch (err) {
+      alert(err.message || "Failed to redeliver callback");
+    } finally {
+      setRedelivering(false);
+    }
+  }
+
+  return (
+    <div className="rounded-md border border-border/50">
+      <button
+        onClick={() => setExpanded((v) => !v)}
+        className="w-full text-left flex items-center gap-2 px-3 py-2 hover:bg-muted/30 transition-colors"
+      >
+        <ChevronRight className={cn("h-3 w-3 shrink-0 text-muted-foreground transition-transform", expanded && "rotate-90")} />
+        <StatusIcon className={cn("h-3.5 w-3.5 shrink-0", color)} />
+        <span className="text-xs font-mono flex-1 truncate" title={delivery.url}>{delivery.url}</span>
+        {delivery.redeliveryOf && (
+          <span className="text-[10px] px-1 rounded bg-muted text-muted-foreground shrink-0">redelivery</span>
+        )}
+        {last && (
+          <span className={cn("text-[11px] shrink-0", last.error ? "text-destructive/80" : "text-muted-foreground")}>
+            {last.statusCode || "no response"}
+          </span>
+        )}
+        {delivery.status === "pending" && delivery.nextAttemptAt > Date.now() && (
+          <span className="text-[10px] text-muted-foreground shrink-0">
+            retrying {formatRelativeTime(delivery.nextAttemptAt)}
+          </span>
+        )}
+        <span className="text-[11px] text-muted-foreground shrink-0">{formatRelativeTime(delivery.createdAt)}</span>
+      </button>
+      {expanded && (
+        <div className="px-3 pb-2 pl-10 space-y-1.5">
+          <div className="flex items-center gap-3 text-[11px] text-muted-foreground">
+            <button className="hover:underline" onClick={() => onViewRun(delivery.runId)}>
+              Run {delivery.runId.slice(0, 8)}
+            </button>
+            <span>Delivery {delivery.id.slice(0, 8)}</span>
+            <button
+              onClick={handleRedeliver}
+              disabled={redelivering}
+              className="flex items-center gap-0.5 hover:text-foreground disabled:opacity-50"
+            >
+              {redelivering ? <Loader2 className="h-3 w-3 animate-spin" /> : <RotateCcw className="h-3 w-3" />}
+              Redeliver
+            </button>
+          </div>
+          {delivery.attempts.length === 0 ? (
+            <p className="text-[11px] text-muted-foreground/60">Not attempted yet</p>
+          ) : (
+            <div className="space-y-0.5">
+              {delivery.attempts.map((attempt, i) => (
+                <div key={i} className="flex items-center gap-2 text-[11px]">
+                  <span className="text-muted-foreground w-16 shrink-0">Attempt {i + 1}</span>
+                  <span className="text-muted-foreground shrink-0">{new Date(attempt.at).toLocaleString()}</span>
+                  <span className={cn("truncate", attempt.error ? "text-destructive/80" : "text-green-500")}>
+                    {attempt.error || `${attempt.statusCode} OK`}
+                  </span>
+                  <span className="text-muted-foreground shrink-0 ml-auto">{formatDuration(attempt.durationMs)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          <details>
+            <summary className="text-[11px] text-muted-foreground cursor-pointer hover:text-foreground">Payload</summary>
+            <pre className="text-[11px] bg-muted/50 rounded-md px-2 py-1.5 mt-1 border border-border/50 max-h-48 overflow-auto whitespace-pre-wrap">
+              {(() => {
+                try {
+                  return JSON.stringify(JSON.parse(delivery.payload), null, 2);
+                } catch {
+                  return delivery.payload;
+                }
+              })()}
+            </pre>
+          </details>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Log of a task's completion callback deliveries: status, each attempt's
+ * response, the signed payload, and a way to send it again.
+ */
+export default function CallbackDeliveryLog({ taskId, fetchDeliveries, onRedeliver, onViewRun }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    try {
+      setDeliveries(await fetchDeliveries(taskId, 50));
+    } catch {
+      setDeliveries([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [taskId, fetchDeliveries]);
+
+  useEffect(() => {
+    load();
+    const interval = setInterval(load, 30000);
+    return () => clearInterval(interval);
+  }, [load]);
+
+  async function handleRedeliver(deliveryId) {
+    await onRedeliver(taskId, deliveryId);
+    // The first attempt is made right away; pick up its result
+    setTimeout(load, 1500);
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8 text-muted-foreground">
+        <Loader2 className="h-4 w-4 animate-spin mr-2" />
+        <span className="text-sm">Loading deliveries...</span>
+      </div>
+    );
+  }
+
+  if (deliveries.length === 0) {
+    return (
+      <div className="flex flex-col items-center py-8 text-muted-foreground">
+        <Send className="h-8 w-8 text-muted-foreground/20 mb-2" />
+        <p className="text-sm">No deliveries yet</p>
+        <p className="text-xs text-muted-foreground/60 mt-1">Callbacks are sent when a run finishes</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="px-4 pb-4 space-y-1">
+      {deliveries.map((delivery) => (
+        <DeliveryRow key={delivery.id} delivery={delivery} onViewRun={onViewRun} onRedeliver={handleRedeliver} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { useState, useEffect } from "react";
+import { Shield, ChevronDown, Check } from "lucide-react";
+import { cn } from "@/lib/utils";
+import {
+  PERMISSION_PROFILE_OPTIONS,
+  DEFAULT_PERMISSION_PROFILE,
+  getPermissionProfileShortLabel,
+  parseListInput,
+  usesAllowedCommands,
+} from "@/lib/permissions";
+
+/**
+ * Chat-input dropdown for the agent's tool permission profile. The allowlist
+ * and ask profiles also expose their allowed command prefixes, the exact
+ * commands approved with "Always allow" (and, for ask, the workspace paths
+ * that can be edited without approval).
+ */
+export default function PermissionMenu({ permissions, onChange, align = "left", className }) {
+  const [open, setOpen] = useState(false);
+  const profile = permissions?.permissionProfile || DEFAULT_PERMISSION_PROFILE;
+  const [commandsText, setCommandsText] = useState("");
+  const [approvedText, setApprovedText] = useState("");
+  const [pathsText, setPathsText] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    setCommandsText((permissions?.allowedCommands || []).join("\n"));
+    setApprovedText((permissions?.approvedCommands || []).join("\n"));
+    setPathsText((permissions?.allowedPaths || []).join("\n"));
+  }, [open]);
+
+  // Close on click outside
+  useEffect(() => {
+    if (!open) return;
+    function handleClickOutside(e) {
+      if (e.target.closest("[data-permission-menu]")) return;
+      setOpen(false);
+    }
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [open]);
+
+  function selectProfile(value) {
+    onChange({
+      permissionProfile: value,
+      allowedCommands: permissions?.allowedCommands || [],
+      approvedCommands: permissions?.approvedCommands || [],
+      allowedPaths: permissions?.allowedPaths || [],
+    });
+    if (!usesAllowedCommands(value)) setOpen(false);
+  }
+
+  function saveAllowlist() {
+    onChange({
+      permissionProfile: profile,
+      allowedCommands: parseListInput(commandsText),
+      approvedCommands: parseListInput(approvedText),
+      allowedPaths: parseListInput(pathsText),
+    });
+    setOpen(false);
+  }
+
+  const restricted = profile !== DEFAULT_PERMISSION_PROFILE;
+
+  return (
+    <div className={cn("relative", className)} data-permission-menu>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        className={cn(
+          "inline-flex items-center gap-1 px-2 py-1.5 text-xs rounded-md transition-colors",
+          restricted
+            ? "text-amber-600 dark:text-amber-400 bg-amber-500/10 hover:bg-amber-500/15"
+            : "text-muted-foreground hover:text-foreground hover:bg-muted"
+        )}
+        title="Tool permissions"
+      >
+        <Shield className="h-3.5 w-3.5" />
+        <span className="max-w-[80px] truncate">{getPermissionProfileShortLabel(profile)}</span>
+        <ChevronDown className="h-3 w-3" />
+      </button>
+      {open && (
+        <div className={cn(
+          "absolute bottom-full mb-1 w-64 bg-popover border border-border rounded-lg shadow-lg py-1 z-50",
+          align === "right" ? "right-0" : "left-0"
+        )}>
+          {PERMISSION_PROFILE_OPTIONS.map((opt) => (
+            <button
+              key={opt.value}
+              type="button"
+              onClick={() => selectProfile(opt.value)}
+              className={cn(
+                "w-full text-left px-3 py-2 text-xs hover:bg-accent flex items-center justify-between",
+                profile === opt.value && "text-primary font-medium"
+              )}
+            >
+              <span>
+                <span className="font-medium">{opt.label}</span>
+                <span className="block text-muted-foreground/70 text-[11px]">{opt.description}</span>
+              </span>
+              {profile === opt.value && <Check className="h-3.5 w-3.5 text-primary shrink-0" />}
+            </button>
+          ))}
+          {usesAllowedCommands(profile) && (
+            <div className="px-3 py-2 border-t border-border space-y-1.5">
+              <label className="text-[11px] text-muted-foreground font-medium">Allowed command prefixes (one per line)</label>
+              <textarea
+                value={commandsText}
+                onChange={(e) => setCommandsText(e.target.value)}
+                rows={4}
+                className="w-full px-2 py-1.5 text-xs font-mono rounded-md border border-input bg-background resize-y"
+                placeholder={"npm test\ngit status\ngit diff"}
+              />
+              {(permissions?.approvedCommands?.length > 0 || approvedText) && (
+                <>
+                  <label className="text-[11px] text-muted-foreground font-medium">Always-allowed commands (exact match)</label>
+                  <textarea
+                    value={approvedText}
+                    onChange={(e) => setApprovedText(e.target.value)}
+                    rows={3}
+                    className="w-full px-2 py-1.5 text-xs font-mono rounded-md border border-input bg-background resize-y"
+                  />
+                </>
+              )}
+              {profile === "ask" && (
+                <>
+                  <label className="text-[11px] text-muted-foreground font-medium">Editable paths, relative to the workspace</label>
+                  <textarea
+                    value={pathsText}
+                    onChange={(e) => setPathsText(e.target.value)}
+                    rows={3}
+                    className="w-full px-2 py-1.5 text-xs font-mono rounded-md border border-input bg-background resize-y"
+                    placeholder={"src\ndocs/notes.md"}
+                  />
+                </>
+              )}
+              <button
+                type="button"
+                onClick={saveAllowlist}
+                className="w-full px-2 py-1 text-xs rounded-md bg-primary text-primary-foreground hover:bg-primary/90"
+              >
+                Save allowlist
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
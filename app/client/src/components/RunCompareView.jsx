@@ -0,0 +1,259 @@
+import { useState, useEffect } from "react";
+import { ArrowLeft, Loader2, GitCompare } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { formatDuration } from "@/lib/cron";
+import { cn } from "@/lib/utils";
+
+const STATUS_COLORS = {
+  success: "text-green-500",
+  error: "text-red-500",
+  interrupted: "text-yellow-500",
+  cancelled: "text-muted-foreground",
+  timeout: "text-orange-500",
+  budget_exceeded: "text-orange-500",
+};
+
+const METRICS = {
+  durationMs: { label: "Duration", format: (v) => formatDuration(v) },
+  cost: { label: "Cost", format: (v) => `$${v < 0.01 && v > 0 ? v.toFixed(4) : v.toFixed(2)}` },
+  numTurns: { label: "Turns", format: String },
+  toolCalls: { label: "Tool calls", format: String },
+};
+
+const FILE_ACTION_COLORS = {
+  read: "text-muted-foreground",
+  edit: "text-yellow-500",
+  write: "text-green-500",
+};
+
+function runLabel(run) {
+  return `${new Date(run.startedAt).toLocaleString()} · ${run.status}`;
+}
+
+function Delta({ metric }) {
+  if (!metric.delta) return <span className="text-muted-foreground">—</span>;
+  const format = METRICS[metric.key].format;
+  const text = `${metric.delta > 0 ? "+" : "−"}${format(Math.abs(metric.delta))}`;
+  // Every tracked metric is better when it goes down
+  return <span className={metric.delta > 0 ? "text-red-500" : "text-green-500"}>{text}</span>;
+}
+
+function FileActions({ actions }) {
+  if (actions.length === 0) return <span className="text-muted-foreground/50">—</span>;
+  return (
+    <span className="space-x-1">
+      {actions.map((action) => (
+        <span key={action} className={FILE_ACTION_COLORS[action]}>{action}</span>
+      ))}
+    </span>
+  );
+}
+
+function SummaryDiff({ summary }) {
+  if (!summary.diff) {
+    return <p className="text-xs text-muted-foreground">Neither run saved a summary.</p>;
+  }
+  if (!summary.added && !summary.removed) {
+    return <p className="text-xs text-muted-foreground">The summaries are identical.</p>;
+  }
+  return (
+    <div className="space-y-1">
+      <div className="text-[11px] text-muted-foreground">
+        <span className="text-green-500">+{summary.added}</span>{" "}
+        <span className="text-red-500">−{summary.removed}</span>
+        {!summary.base && " · the earlier run has no summary"}
+        {!summary.head && " · this run has no summary"}
+        {summary.truncated && " · only the start of each summary is compared"}
+      </div>
+      <pre className="text-[11px] rounded-md border border-border/50 max-h-[28rem] overflow-auto">
+        {summary.diff.map((line, i) => (
+          <div
+            key={i}
+            className={cn(
+              "px-2 whitespace-pre-wrap",
+              line.op === "+" && "bg-green-500/10 text-green-600 dark:text-green-400",
+              line.op === "-" && "bg-red-500/10 text-red-600 dark:text-red-400",
+            )}
+          >
+            <span className="select-none text-muted-foreground/60 mr-2">{line.op}</span>
+            {line.text}
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+}
+
+/**
+ * Side-by-side comparison of two runs of a task: cost, duration and turns,
+ * the summary diff, and the tools and files each run touched.
+ */
+export default function RunCompareView({ taskId, runId, taskName, onBack, onViewRun, fetchRuns, compareRuns }) {
+  const [runs, setRuns] = useState([]);
+  const [baseRunId, setBaseRunId] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchRuns(taskId, 50)
+      .then((list) => setRuns(list.filter((r) => r.id !== runId && r.completedAt)))
+      .catch(() => setRuns([]));
+  }, [taskId, runId, fetchRuns]);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    compareRuns(taskId, runId, baseRunId)
+      .then(setComparison)
+      .catch((err) => {
+        setComparison(null);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [taskId, runId, baseRunId, compareRuns]);
+
+  const changedTools = comparison?.tools.filter((t) => t.base !== t.head) || [];
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Header */}
+      <div className="flex items-center gap-3 px-4 py-3 border-b border-border bg-card">
+        <Button variant="ghost" size="icon" className="h-7 w-7" onClick={onBack}>
+          <ArrowLeft className="h-4 w-4" />
+        </Button>
+        <div className="min-w-0 flex-1">
+          <div className="text-sm font-medium truncate">{taskName} - Compare Runs</div>
+          <div className="text-xs text-muted-foreground">
+            Changes from the selected run to the run of{" "}
+            {comparison ? new Date(comparison.head.startedAt).toLocaleString() : "…"}
+          </div>
+        </div>
+        <select
+          value={baseRunId || comparison?.base.id || ""}
+          onChange={(e) => setBaseRunId(e.target.value)}
+          className="px-2 py-1 text-xs rounded-md border border-input bg-background max-w-[16rem]"
+        >
+          {!baseRunId && !comparison && <option value="">Previous run</option>}
+          {runs.map((run) => (
+            <option key={run.id} value={run.id}>{runLabel(run)}</option>
+          ))}
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex-1 flex items-center justify-center text-muted-foreground">
+          <Loader2 className="h-5 w-5 animate-spin mr-2" />
+          Comparing runs...
+        </div>
+      ) : !comparison ? (
+        <div className="flex-1 flex flex-col items-center justify-center text-muted-foreground gap-2">
+          <GitCompare className="h-8 w-8 text-muted-foreground/20" />
+          <p className="text-sm">{error || "Nothing to compare"}</p>
+        </div>
+      ) : (
+        <ScrollArea className="flex-1">
+          <div className="p-4 space-y-5">
+            {/* Metrics */}
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-muted-foreground text-left">
+                  <th className="font-medium py-1 w-28" />
+                  <th className="font-medium py-1">
+                    <button className="hover:underline" onClick={() => onViewRun(comparison.base.id)}>Earlier run</button>
+                  </th>
+                  <th className="font-medium py-1">
+                    <button className="hover:underline" onClick={() => onViewRun(comparison.head.id)}>This run</button>
+                  </th>
+                  <th className="font-medium py-1">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="border-t border-border/50">
+                  <td className="py-1.5 text-muted-foreground">Status</td>
+                  <td className={STATUS_COLORS[comparison.base.status]}>{comparison.base.status}</td>
+                  <td className={STATUS_COLORS[comparison.head.status]}>{comparison.head.status}</td>
+                  <td />
+                </tr>
+                {comparison.metrics.map((metric) => (
+                  <tr key={metric.key} className="border-t border-border/50">
+                    <td className="py-1.5 text-muted-foreground">{METRICS[metric.key].label}</td>
+                    <td>{METRICS[metric.key].format(metric.base)}</td>
+                    <td>{METRICS[metric.key].format(metric.head)}</td>
+                    <td><Delta metric={metric} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* Summary diff */}
+            <section className="space-y-1.5">
+              <h3 className="text-xs font-medium">Summary</h3>
+              <SummaryDiff summary={comparison.summary} />
+            </section>
+
+            {/* Files */}
+            <section className="space-y-1.5">
+              <h3 className="text-xs font-medium">Files</h3>
+              {comparison.files.length === 0 ? (
+                <p className="text-xs text-muted-foreground">Neither run read or changed a file.</p>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-muted-foreground text-left">
+                      <th className="font-medium py-1">Path</th>
+                      <th className="font-medium py-1 w-28">Earlier run</th>
+                      <th className="font-medium py-1 w-28">This run</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.files.map((file) => (
+                      <tr key={file.path} className="border-t border-border/50">
+                        <td className="py-1 font-mono text-[11px] truncate max-w-0" title={file.path}>{file.path}</td>
+                        <td><FileActions actions={file.base} /></td>
+                        <td><FileActions actions={file.head} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            {/* Tools */}
+            <section className="space-y-1.5">
+              <h3 className="text-xs font-medium">Tools</h3>
+              {comparison.tools.length === 0 ? (
+                <p className="text-xs text-muted-foreground">Neither run called a tool.</p>
+              ) : (
+                <>
+                  {changedTools.length === 0 && (
+                    <p className="text-[11px] text-muted-foreground">Both runs made the same tool calls.</p>
+                  )}
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-muted-foreground text-left">
+                        <th className="font-medium py-1">Tool</th>
+                        <th className="font-medium py-1 w-28">Earlier run</th>
+                        <th className="font-medium py-1 w-28">This run</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.tools.map((tool) => (
+                        <tr key={tool.name} className={cn("border-t border-border/50", tool.base === tool.head && "text-muted-foreground")}>
+                          <td className="py-1 font-mono text-[11px]">{tool.name}</td>
+                          <td>{tool.base}</td>
+                          <td>{tool.head}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </section>
+          </div>
+        </ScrollArea>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useMemo } from "react";
+import ToolCallCard from "./ToolCallCard.jsx";
+import ErrorCard from "./ErrorCard.jsx";
+import ThinkingCard from "./ThinkingCard.jsx";
+import Markdown from "./Markdown.jsx";
+
+/**
+ * Turn raw agent events (as captured for a task run) into chat entries:
+ * text deltas are merged into assistant_stream blocks, the echoed user
+ * message becomes a user entry and "done" becomes a stats row.
+ */
+export function foldRunEvents(events) {
+  const entries = [];
+  for (const event of events || []) {
+    if (event.type === "text_delta") {
+      const last = entries[entries.length - 1];
+      if (last && last.type === "assistant_stream") {
+        entries[entries.length - 1] = { ...last, text: last.text + event.text };
+      } else {
+        entries.push({ type: "assistant_stream", text: event.text });
+      }
+    } else if (event.type === "user_message") {
+      entries.push({ type: "user", text: event.text, timestamp: event.timestamp });
+    } else if (event.type === "done") {
+      entries.push({ ...event, type: "stats" });
+    } else if (event.type === "agent_status" || event.type === "context_update") {
+      continue;
+    } else {
+      entries.push(event);
+    }
+  }
+  return entries;
+}
+
+/** Read-only rendering of a task run conversation (finished or live). */
+export default function RunConversation({ conversation }) {
+  const entries = useMemo(() => foldRunEvents(conversation), [conversation]);
+
+  // Group conversation entries just like App.jsx does
+  const groupedConversation = useMemo(() => {
+    const groups = [];
+    let toolGroup = null;
+    let inToolRun = false;
+    for (const msg of entries) {
+      const isToolTile = msg.type === "tool_call" && msg.tool !== "AskUserQuestion";
+      if (isToolTile) {
+        inToolRun = true;
+        if (!toolGroup) {
+          toolGroup = { type: "tool_group", msgs: [] };
+          groups.push(toolGroup);
+        }
+        toolGroup.msgs.push(msg);
+      } else if (msg.type === "tool_result") {
+        continue;
+      } else if (inToolRun && (msg.type === "assistant_stream" || msg.type === "thinking")) {
+        toolGroup = null;
+        groups.push({ type: "single", msg });
+      } else {
+        toolGroup = null;
+        inToolRun = false;
+        groups.push({ type: "single", msg });
+      }
+    }
+    return groups;
+  }, [entries]);
+
+  return groupedConversation.map((group, gi) => {
+    if (group.type === "tool_group") {
+      return (
+        <div key={`tg-${gi}`} className="grid grid-cols-2 md:grid-cols-3 gap-2 my-1 text-sm">
+          {group.msgs.map((msg, ti) => (
+            <ToolCallCard
+              key={ti}
+              tool={msg.tool}
+              input={msg.input}
+              output={entries.find(
+                (m) => m.type === "tool_result" && m.toolUseId === msg.toolUseId
+              )?.output}
+            />
+          ))}
+        </div>
+      );
+    }
+    const msg = group.msg;
+    return (
+      <div key={gi} className="mb-2 text-sm">
+        {msg.type === "user" && (
+          <div className="max-w-lg bg-primary text-primary-foreground rounded-lg px-4 py-2 w-fit ml-auto">
+            {msg.text}
+          </div>
+        )}
+        {msg.type === "thinking" && (
+          <ThinkingCard text={msg.text} />
+        )}
+        {msg.type === "assistant_stream" && (
+          <div className="max-w-3/4 bg-card border border-border rounded-lg px-4 py-2">
+            <Markdown>{msg.text}</Markdown>
+          </div>
+        )}
+        {msg.type === "stats" && (
+          <div className="flex items-center flex-wrap gap-x-3 gap-y-1 text-xs text-muted-foreground py-1.5 px-2">
+            {msg.cost != null && <span>${msg.cost < 0.01 ? msg.cost.toFixed(4) : msg.cost.toFixed(2)}</span>}
+            {msg.usage && <span>{((msg.usage.input_tokens || 0) / 1000).toFixed(1)}k in</span>}
+            {msg.usage && <span>{((msg.usage.output_tokens || 0) / 1000).toFixed(1)}k out</span>}
+            {msg.numTurns > 0 && <span>{msg.numTurns} {msg.numTurns === 1 ? "turn" : "turns"}</span>}
+            {msg.durationMs > 0 && <span>{(msg.durationMs / 1000).toFixed(1)}s</span>}
+          </div>
+        )}
+        {msg.type === "error" && <ErrorCard error={msg} />}
+      </div>
+    );
+  });
+}
@@ -1,15 +1,43 @@
-import { useState, useEffect, useMemo } from "react";
-import { ArrowLeft, Loader2, FileText, Download, X } from "lucide-react";
+import { useState, useEffect } from "react";
+import { ArrowLeft, Loader2, FileText, Download, X, GitCompare } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Dialog } from "@/components/ui/dialog";
-import ToolCallCard from "./ToolCallCard.jsx";
-import ErrorCard from "./ErrorCard.jsx";
-import ThinkingCard from "./ThinkingCard.jsx";
+import RunConversation from "./RunConversation.jsx";
 import Markdown from "./Markdown.jsx";
 import { formatDuration } from "@/lib/cron";
 
-export default function RunDetailView({ scheduleId, runId, scheduleName, onBack, fetchRunDetail }) {
+const STATUS_LABELS = {
+  success: { label: "Success", color: "text-green-500" },
+  error: { label: "Failed", color: "text-red-500" },
+  interrupted: { label: "Interrupted", color: "text-yellow-500" },
+  cancelled: { label: "Cancelled", color: "text-muted-foreground" },
+  timeout: { label: "Timed out", color: "text-orange-500" },
+  budget_exceeded: { label: "Over budget", color: "text-orange-500" },
+};
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+// Artifacts shown in the preview dialog rather than a new tab
+function isPreviewable(file) {
+  if (file.contentType) {
+    return (file.contentType.startsWith("text/") && !file.contentType.startsWith("text/html"))
+      || file.contentType.startsWith("application/json");
+  }
+  return /\.(md|txt|json|log|csv)$/.test(file.name);
+}
+
+function formatLimit({ limit, value }) {
+  if (limit === "maxDurationMs") return `limit ${formatDuration(value)}`;
+  if (limit === "maxCostUsd") return `limit $${value}`;
+  return `limit ${value} turns`;
+}
+
+export default function RunDetailView({ scheduleId, runId, scheduleName, onBack, onCompare, fetchRunDetail }) {
   const [detail, setDetail] = useState(null);
   const [loading, setLoading] = useState(true);
   const [artifacts, setArtifacts] = useState([]);
@@ -36,11 +64,10 @@ export default function RunDetailView({ scheduleId, runId, scheduleName, onBack,
       .finally(() => setLoading(false));
   }, [scheduleId, runId, fetchRunDetail]);
 
-  function handlePreviewArtifact(filename) {
-    const url = `/api/tasks/${scheduleId}/runs/${runId}/artifacts/${encodeURIComponent(filename)}`;
-    const isText = filename.endsWith(".md") || filename.endsWith(".txt") || filename.endsWith(".json") || filename.endsWith(".log");
-    if (isText) {
-      setPreviewFile(filename);
+  function handlePreviewArtifact(file) {
+    const url = `/api/tasks/${scheduleId}/runs/${runId}/artifacts/${encodeURIComponent(file.name)}`;
+    if (isPreviewable(file)) {
+      setPreviewFile(file.name);
       setPreviewContent(null); // show loading state
       fetch(url)
         .then((r) => r.text())
@@ -56,35 +83,6 @@ export default function RunDetailView({ scheduleId, runId, scheduleName, onBack,
     setPreviewFile(null);
   }
 
-  // Group conversation entries just like App.jsx does
-  const groupedConversation = useMemo(() => {
-    if (!detail?.conversation) return [];
-    const groups = [];
-    let toolGroup = null;
-    let inToolRun = false;
-    for (const msg of detail.conversation) {
-      const isToolTile = msg.type === "tool_call" && msg.tool !== "AskUserQuestion";
-      if (isToolTile) {
-        inToolRun = true;
-        if (!toolGroup) {
-          toolGroup = { type: "tool_group", msgs: [] };
-          groups.push(toolGroup);
-        }
-        toolGroup.msgs.push(msg);
-      } else if (msg.type === "tool_result") {
-        continue;
-      } else if (inToolRun && (msg.type === "assistant_stream" || msg.type === "thinking")) {
-        toolGroup = null;
-        groups.push({ type: "single", msg });
-      } else {
-        toolGroup = null;
-        inToolRun = false;
-        groups.push({ type: "single", msg });
-      }
-    }
-    return groups;
-  }, [detail]);
-
   if (loading) {
     return (
       <div className="flex-1 flex items-center justify-center text-muted-foreground">
@@ -113,14 +111,33 @@ export default function RunDetailView({ scheduleId, runId, scheduleName, onBack,
         <div className="min-w-0 flex-1">
           <div className="text-sm font-medium truncate">{scheduleName} - Run</div>
           <div className="flex items-center gap-3 text-xs text-muted-foreground">
-            <span className={detail.status === "success" ? "text-green-500" : "text-red-500"}>
-              {detail.status === "success" ? "Success" : "Failed"}
+            <span className={STATUS_LABELS[detail.status]?.color || "text-red-500"}>
+              {STATUS_LABELS[detail.status]?.label || "Failed"}
             </span>
+            {detail.limitExceeded && <span>{formatLimit(detail.limitExceeded)}</span>}
             <span>{new Date(detail.startedAt).toLocaleString()}</span>
+            {detail.attempt > 1 && <span>Attempt {detail.attempt}</span>}
+            {detail.trigger === "chain" && <span className="text-violet-500">Chained from an upstream task</span>}
+            {detail.webhookEvent && (
+              <span>
+                {detail.webhookEvent.event || "Webhook"}{detail.webhookEvent.branch ? ` on ${detail.webhookEvent.branch}` : ""}
+              </span>
+            )}
+            {detail.trigger === "catch-up" && (
+              <span className="text-blue-500" title="Run at startup for a schedule missed while the server was down">
+                Catch-up{detail.scheduledFor ? ` for ${new Date(detail.scheduledFor).toLocaleString()}` : ""}
+              </span>
+            )}
             {detail.durationMs > 0 && <span>{formatDuration(detail.durationMs)}</span>}
             {detail.cost > 0 && <span>${detail.cost < 0.01 ? detail.cost.toFixed(4) : detail.cost.toFixed(2)}</span>}
           </div>
         </div>
+        {onCompare && detail.completedAt && (
+          <Button variant="outline" size="sm" className="text-xs h-7 gap-1" onClick={onCompare}>
+            <GitCompare className="h-3 w-3" />
+            Compare
+          </Button>
+        )}
       </div>
 
       {/* Error banner */}
@@ -130,8 +147,50 @@ export default function RunDetailView({ scheduleId, runId, scheduleName, onBack,
         </div>
       )}
 
+      {/* Isolated worktree outcome */}
+      {detail.worktree && (
+        <div className="mx-4 mt-3 border border-border rounded-md px-3 py-2 text-xs space-y-0.5">
+          <div>
+            <span className="text-muted-foreground">Branch </span>
+            <code className="font-medium">{detail.worktree.branch}</code>
+            {detail.worktree.base && <span className="text-muted-foreground"> from {detail.worktree.base}</span>}
+            <span className="text-muted-foreground">
+              {" · "}{detail.worktree.commits} {detail.worktree.commits === 1 ? "commit" : "commits"}
+              {detail.worktree.pushed && " · pushed"}
+            </span>
+          </div>
+          <div className="text-muted-foreground">
+            {detail.worktree.kept ? <>Worktree kept at <code>{detail.worktree.path}</code></> : "Worktree removed"}
+          </div>
+          {detail.worktree.error && <div className="text-destructive">{detail.worktree.error}</div>}
+        </div>
+      )}
+
+      {/* Pull request opened by the run */}
+      {(detail.pullRequest || detail.pullRequestError) && (
+        <div className="mx-4 mt-3 border border-border rounded-md px-3 py-2 text-xs">
+          {detail.pullRequest ? (
+            <a href={detail.pullRequest.url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">
+              {detail.pullRequest.provider === "gitlab" ? "Merge request !" : "Pull request #"}{detail.pullRequest.number}
+              {detail.pullRequest.title && ` — ${detail.pullRequest.title}`}
+            </a>
+          ) : (
+            <span className="text-destructive">Pull request not opened: {detail.pullRequestError}</span>
+          )}
+          {detail.pullRequest && !detail.pullRequest.created && <span className="text-muted-foreground"> (already open)</span>}
+        </div>
+      )}
+
+      {/* Prompt as sent, with {{variables}} resolved */}
+      {detail.renderedPrompt && (
+        <details className="mx-4 mt-3 border border-border rounded-md">
+          <summary className="px-3 py-1.5 bg-muted/50 text-xs font-medium text-muted-foreground cursor-pointer">Prompt</summary>
+          <pre className="px-3 py-2 text-xs whitespace-pre-wrap text-foreground/80 max-h-64 overflow-y-auto">{detail.renderedPrompt}</pre>
+        </details>
+      )}
+
       {/* Output artifacts */}
-      {artifacts.length > 0 && (
+      {(artifacts.length > 0 || detail.skippedArtifacts?.length > 0) && (
         <div className="mx-4 mt-3 border border-border rounded-md">
           <div className="px-3 py-1.5 bg-muted/50 border-b border-border">
             <span className="text-xs font-medium text-muted-foreground">Output Files</span>
@@ -140,18 +199,26 @@ export default function RunDetailView({ scheduleId, runId, scheduleName, onBack,
             {artifacts.map((file) => (
               <button
                 key={file.name}
-                onClick={() => handlePreviewArtifact(file.name)}
+                onClick={() => handlePreviewArtifact(file)}
                 className="w-full text-left px-3 py-1.5 flex items-center gap-2 hover:bg-muted/30 transition-colors"
               >
                 <FileText className="h-3.5 w-3.5 text-muted-foreground shrink-0" />
                 <span className="text-xs font-medium flex-1 truncate">{file.name}</span>
-                <span className="text-[11px] text-muted-foreground">
-                  {file.size < 1024 ? `${file.size}B` : `${(file.size / 1024).toFixed(1)}KB`}
-                </span>
+                <span className="text-[11px] text-muted-foreground">{formatSize(file.size)}</span>
                 <Download className="h-3 w-3 text-muted-foreground/60" />
               </button>
             ))}
           </div>
+          {detail.skippedArtifacts?.length > 0 && (
+            <div className="px-3 py-1.5 border-t border-border/50 space-y-0.5">
+              {detail.skippedArtifacts.map((file) => (
+                <div key={file.name} className="text-[11px] text-muted-foreground flex items-center gap-2">
+                  <span className="truncate flex-1">{file.name}</span>
+                  <span className="text-orange-500 shrink-0">not kept: {file.reason}</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
@@ -190,52 +257,7 @@ export default function RunDetailView({ scheduleId, runId, scheduleName, onBack,
 
       {/* Conversation */}
       <ScrollArea className="flex-1 p-4">
-        {groupedConversation.map((group, gi) => {
-          if (group.type === "tool_group") {
-            return (
-              <div key={`tg-${gi}`} className="grid grid-cols-2 md:grid-cols-3 gap-2 my-1 text-sm">
-                {group.msgs.map((msg, ti) => (
-                  <ToolCallCard
-                    key={ti}
-                    tool={msg.tool}
-                    input={msg.input}
-                    output={detail.conversation.find(
-                      (m) => m.type === "tool_result" && m.toolUseId === msg.toolUseId
-                    )?.output}
-                  />
-                ))}
-              </div>
-            );
-          }
-          const msg = group.msg;
-          return (
-            <div key={gi} className="mb-2 text-sm">
-              {msg.type === "user" && (
-                <div className="max-w-lg bg-primary text-primary-foreground rounded-lg px-4 py-2 w-fit ml-auto">
-                  {msg.text}
-                </div>
-              )}
-              {msg.type === "thinking" && (
-                <ThinkingCard text={msg.text} />
-              )}
-              {msg.type === "assistant_stream" && (
-                <div className="max-w-3/4 bg-card border border-border rounded-lg px-4 py-2">
-                  <Markdown>{msg.text}</Markdown>
-                </div>
-              )}
-              {msg.type === "stats" && (
-                <div className="flex items-center flex-wrap gap-x-3 gap-y-1 text-xs text-muted-foreground py-1.5 px-2">
-                  {msg.cost != null && <span>${msg.cost < 0.01 ? msg.cost.toFixed(4) : msg.cost.toFixed(2)}</span>}
-                  {msg.usage && <span>{((msg.usage.input_tokens || 0) / 1000).toFixed(1)}k in</span>}
-                  {msg.usage && <span>{((msg.usage.output_tokens || 0) / 1000).toFixed(1)}k out</span>}
-                  {msg.numTurns > 0 && <span>{msg.numTurns} {msg.numTurns === 1 ? "turn" : "turns"}</span>}
-                  {msg.durationMs > 0 && <span>{(msg.durationMs / 1000).toFixed(1)}s</span>}
-                </div>
-              )}
-              {msg.type === "error" && <ErrorCard error={msg} />}
-            </div>
-          );
-        })}
+        <RunConversation conversation={detail.conversation} />
       </ScrollArea>
     </div>
   );
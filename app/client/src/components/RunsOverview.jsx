@@ -1,7 +1,8 @@
 import { useState, useEffect, useCallback } from "react";
-import { ArrowLeft, CheckCircle, XCircle, AlertCircle, Loader2, Clock } from "lucide-react";
+import { ArrowLeft, CheckCircle, XCircle, AlertCircle, Loader2, Clock, Eye, Hourglass, X, Timer, CircleDollarSign, Ban } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { ScrollArea } from "@/components/ui/scroll-area";
+import TaskRunWatchPanel from "./TaskRunWatchPanel.jsx";
 import { formatDuration, formatRelativeTime } from "@/lib/cron";
 import { cn } from "@/lib/utils";
 
@@ -9,17 +10,28 @@ const STATUS_ICONS = {
   success: CheckCircle,
   error: XCircle,
   interrupted: AlertCircle,
+  queued: Hourglass,
+  cancelled: Ban,
+  timeout: Timer,
+  budget_exceeded: CircleDollarSign,
 };
 
 const STATUS_COLORS = {
   success: "text-green-500",
   error: "text-red-500",
   interrupted: "text-yellow-500",
+  queued: "text-blue-500",
+  cancelled: "text-muted-foreground",
+  timeout: "text-orange-500",
+  budget_exceeded: "text-orange-500",
 };
 
-export default function RunsOverview({ onBack, onViewRun, fetchAllRuns }) {
+export default function RunsOverview({ onBack, onViewRun, fetchAllRuns, tasks = [], onStop, onCancelQueued, ws }) {
   const [runs, setRuns] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [watchingTaskId, setWatchingTaskId] = useState(null);
+  const runningTasks = tasks.filter((t) => t.running);
+  const watchedTask = tasks.find((t) => t.id === watchingTaskId);
 
   const loadRuns = useCallback(async () => {
     try {
@@ -32,6 +44,16 @@ export default function RunsOverview({ onBack, onViewRun, fetchAllRuns }) {
     }
   }, [fetchAllRuns]);
 
+  async function handleCancelQueued(e, run) {
+    e.stopPropagation();
+    try {
+      await onCancelQueued(run.taskId, run.id);
+    } catch (err) {
+      alert(err.message || "Failed to cancel queued run");
+    }
+    loadRuns();
+  }
+
   useEffect(() => {
     loadRuns();
     const interval = setInterval(loadRuns, 30000);
@@ -51,6 +73,41 @@ export default function RunsOverview({ onBack, onViewRun, fetchAllRuns }) {
         )}
       </div>
 
+      {/* Runs in progress */}
+      {ws && runningTasks.length > 0 && (
+        <div className="px-4 pt-3 space-y-1">
+          <p className="text-xs font-semibold text-muted-foreground uppercase tracking-wider">Running now</p>
+          {runningTasks.map((task) => (
+            <div key={task.id} className="flex items-center gap-2 rounded-md border border-yellow-500/30 bg-yellow-500/5 px-3 py-2">
+              <Loader2 className="h-3.5 w-3.5 shrink-0 animate-spin text-yellow-500" />
+              <span className="text-xs font-medium flex-1 truncate">{task.name}</span>
+              {task.activeRun?.startedAt && (
+                <span className="text-[11px] text-muted-foreground shrink-0">
+                  started {formatRelativeTime(task.activeRun.startedAt)}
+                </span>
+              )}
+              {watchingTaskId !== task.id && (
+                <Button variant="outline" size="sm" className="text-xs h-6" onClick={() => setWatchingTaskId(task.id)}>
+                  <Eye className="h-3 w-3 mr-1" />
+                  Watch
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {ws && watchedTask && (
+        <TaskRunWatchPanel
+          key={watchedTask.id}
+          task={watchedTask}
+          ws={ws}
+          onStop={onStop}
+          onClose={() => { setWatchingTaskId(null); loadRuns(); }}
+          onViewRun={(runId) => onViewRun && onViewRun(watchedTask.id, runId)}
+          className="mx-4 mt-3 h-96 shrink-0"
+        />
+      )}
+
       {/* Content */}
       <ScrollArea className="flex-1">
         {loading ? (
@@ -75,7 +132,7 @@ export default function RunsOverview({ onBack, onViewRun, fetchAllRuns }) {
               return (
                 <button
                   key={`${run.taskId}-${run.id}`}
-                  onClick={() => onViewRun && onViewRun(run.taskId, run.id)}
+                  onClick={() => run.status !== "queued" && onViewRun && onViewRun(run.taskId, run.id)}
                   className="w-full text-left rounded-md border border-border/50 hover:border-border hover:bg-muted/30 transition-colors px-3 py-2 group"
                 >
                   <div className="flex items-center gap-2">
@@ -83,12 +140,50 @@ export default function RunsOverview({ onBack, onViewRun, fetchAllRuns }) {
                     <div className="flex-1 min-w-0">
                       <span className="text-xs font-medium">{run.taskName}</span>
                       <span className="text-[11px] text-muted-foreground ml-2">
-                        {new Date(run.startedAt).toLocaleString()}
+                        {run.status === "queued"
+                          ? `Queued ${formatRelativeTime(run.queuedAt)}`
+                          : new Date(run.startedAt).toLocaleString()}
                       </span>
                     </div>
-                    <span className="text-[11px] text-muted-foreground shrink-0">
-                      {formatDuration(run.durationMs)}
-                    </span>
+                    {run.attempt > 1 && (
+                      <span className="text-[10px] px-1 rounded bg-muted text-muted-foreground shrink-0" title={run.retryOf ? `Retry of run ${run.retryOf.slice(0, 8)}` : undefined}>
+                        attempt {run.attempt}
+                      </span>
+                    )}
+                    {run.retryAt > Date.now() && (
+                      <span className="text-[10px] text-muted-foreground shrink-0">
+                        retrying {formatRelativeTime(run.retryAt)}
+                      </span>
+                    )}
+                    {run.trigger === "chain" && (
+                      <span className="text-[10px] px-1 rounded bg-violet-500/10 text-violet-500 shrink-0" title="Started by an upstream task">
+                        chained
+                      </span>
+                    )}
+                    {run.trigger === "catch-up" && (
+                      <span
+                        className="text-[10px] px-1 rounded bg-blue-500/10 text-blue-500 shrink-0"
+                        title={run.scheduledFor ? `Missed run scheduled for ${new Date(run.scheduledFor).toLocaleString()}` : "Missed run"}
+                      >
+                        catch-up
+                      </span>
+                    )}
+                    {run.status === "queued" && onCancelQueued && (
+                      <span
+                        role="button"
+                        onClick={(e) => handleCancelQueued(e, run)}
+                        className="flex items-center gap-0.5 text-[11px] text-muted-foreground hover:text-destructive cursor-pointer shrink-0"
+                        title="Cancel queued run"
+                      >
+                        <X className="h-3 w-3" />
+                        Cancel
+                      </span>
+                    )}
+                    {run.status !== "queued" && (
+                      <span className="text-[11px] text-muted-foreground shrink-0">
+                        {formatDuration(run.durationMs)}
+                      </span>
+                    )}
                     {run.cost > 0 && (
                       <span className="text-[11px] text-muted-foreground shrink-0">
                         ${run.cost < 0.01 ? run.cost.toFixed(4) : run.cost.toFixed(2)}
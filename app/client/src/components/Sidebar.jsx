@@ -8,11 +8,13 @@ import NewAgentForm from "./NewAgentForm.jsx";
 import CloneDialog from "./ClonePanel.jsx";
 import { Dialog } from "@/components/ui/dialog";
 import { cn } from "@/lib/utils";
+import { PERMISSION_PROFILE_OPTIONS, DEFAULT_PERMISSION_PROFILE, getPermissionProfileLabel, parseListInput, usesAllowedCommands } from "@/lib/permissions";
 
 const STATUS_COLORS = {
   idle: "text-green-500",
   busy: "text-yellow-500",
   error: "text-red-500",
+  interrupted: "text-orange-500",
 };
 
 const GIT_STATE = {
@@ -407,7 +409,25 @@ const SETTINGS_TABS = [
   { id: "azuredevops", label: "Azure DevOps" },
   { id: "apitokens", label: "API Tokens" },
   { id: "envvars", label: "Env Vars" },
-  { id: "resend", label: "Resend" },
+  { id: "email", label: "Email" },
+  { id: "notifications", label: "Notifications" },
+];
+
+const NOTIFICATION_CHANNEL_TYPES = [
+  { value: "slack", label: "Slack", urlPlaceholder: "https://hooks.slack.com/services/...", urlHint: "An incoming webhook URL from a Slack app." },
+  { value: "mattermost", label: "Mattermost", urlPlaceholder: "https://mattermost.example.com/hooks/...", urlHint: "An incoming webhook URL from Integrations." },
+  { value: "discord", label: "Discord", urlPlaceholder: "https://discord.com/api/webhooks/...", urlHint: "A webhook URL from the channel's Integrations settings." },
+  { value: "webhook", label: "Webhook", urlPlaceholder: "https://example.com/hooks/tasks", urlHint: "Receives a JSON POST signed with HMAC-SHA256 in X-Task-Signature-256.", secretLabel: "Signing secret" },
+  { value: "ntfy", label: "ntfy", urlPlaceholder: "https://ntfy.sh/my-topic", urlHint: "The topic URL on ntfy.sh or your own server.", secretLabel: "Access token (optional)" },
+  { value: "gotify", label: "Gotify", urlPlaceholder: "https://gotify.example.com", urlHint: "The Gotify server URL.", secretLabel: "App token" },
+];
+
+const NOTIFICATION_STATUS_OPTIONS = [
+  { value: "success", label: "Success" },
+  { value: "error", label: "Failure" },
+  { value: "timeout", label: "Timeout" },
+  { value: "budget_exceeded", label: "Over budget" },
+  { value: "interrupted", label: "Stopped" },
 ];
 
 const PROVIDER_HINTS = {
@@ -656,6 +676,9 @@ function ApiTokensTab() {
   const [workspaces, setWorkspaces] = useState([]); // [{ name, path, isWorktree }]
   const [label, setLabel] = useState("");
   const [workingDirectory, setWorkingDirectory] = useState("");
+  const [permissionProfile, setPermissionProfile] = useState(DEFAULT_PERMISSION_PROFILE);
+  const [allowedCommands, setAllowedCommands] = useState("");
+  const [allowedPaths, setAllowedPaths] = useState("");
   const [creating, setCreating] = useState(false);
   const [newToken, setNewToken] = useState(null); // { token, label, workingDirectory }
   const [copied, setCopied] = useState(false);
@@ -711,7 +734,13 @@ function ApiTokensTab() {
       const res = await fetch("/api/api-tokens", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ label: label.trim(), workingDirectory }),
+        body: JSON.stringify({
+          label: label.trim(),
+          workingDirectory,
+          permissionProfile,
+          allowedCommands: parseListInput(allowedCommands),
+          allowedPaths: parseListInput(allowedPaths),
+        }),
       });
       const data = await res.json();
       if (!res.ok) {
@@ -721,6 +750,9 @@ function ApiTokensTab() {
       setNewToken({ token: data.token, label: data.label, workingDirectory: data.workingDirectory });
       setLabel("");
       setWorkingDirectory("");
+      setPermissionProfile(DEFAULT_PERMISSION_PROFILE);
+      setAllowedCommands("");
+      setAllowedPaths("");
       reload();
     } catch (err) {
       setError(err.message || "Failed to create token");
@@ -839,6 +871,39 @@ function ApiTokensTab() {
             on the fly per unique conversation and reused for follow-ups.
           </p>
         </div>
+        <div>
+          <label className="text-xs text-muted-foreground">Tool permissions</label>
+          <select
+            value={permissionProfile}
+            onChange={(e) => setPermissionProfile(e.target.value)}
+            className={inputClass}
+          >
+            {PERMISSION_PROFILE_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+          {usesAllowedCommands(permissionProfile) && (
+            <textarea
+              value={allowedCommands}
+              onChange={(e) => setAllowedCommands(e.target.value)}
+              rows={3}
+              className={cn(inputClass, "font-mono text-xs resize-y")}
+              placeholder={"Allowed commands, one per line\nnpm test\ngit status"}
+            />
+          )}
+          {permissionProfile === "ask" && (
+            <textarea
+              value={allowedPaths}
+              onChange={(e) => setAllowedPaths(e.target.value)}
+              rows={2}
+              className={cn(inputClass, "font-mono text-xs resize-y")}
+              placeholder={"Editable paths, one per line\nsrc"}
+            />
+          )}
+          <p className={hintClass}>
+            API sessions cannot wait for approval, so tool calls the profile holds are denied.
+          </p>
+        </div>
         {error && <p className="text-xs text-destructive">{error}</p>}
         <Button variant="outline" size="sm" className="w-full" onClick={handleCreate} disabled={creating}>
           {creating ? <Loader2 className="h-3 w-3 animate-spin mr-1" /> : <Plus className="h-3 w-3 mr-1" />}
@@ -865,6 +930,11 @@ function ApiTokensTab() {
                 <div className="text-[11px] text-muted-foreground truncate" title={t.workingDirectory || ""}>
                   Workspace: {workspaceLabel(t.workingDirectory)}
                 </div>
+                {t.permissionProfile && t.permissionProfile !== DEFAULT_PERMISSION_PROFILE && (
+                  <div className="text-[11px] text-muted-foreground truncate" title={t.allowedCommands?.join(", ") || ""}>
+                    Permissions: {getPermissionProfileLabel(t.permissionProfile)}
+                  </div>
+                )}
                 <div className="text-[11px] text-muted-foreground">
                   Created {new Date(t.createdAt).toLocaleDateString()}
                   {t.lastUsedAt ? ` · Last used ${new Date(t.lastUsedAt).toLocaleDateString()}` : " · Never used"}
@@ -1059,7 +1129,7 @@ function EnvVarsTab() {
 }
 
 /**
- * Resend tab — lets the user configure their Resend API token for
+ * Resend settings — lets the user configure their Resend API token for
  * email notifications on task run completion.
  */
 function ResendTab() {
@@ -1214,13 +1284,517 @@ function ResendTab() {
         </div>
       ) : (
         <div className="text-xs text-muted-foreground italic px-2 py-1.5">
-          No Resend token configured. Email notifications are disabled.
+          No Resend token configured.
         </div>
       )}
     </div>
   );
 }
 
+const SMTP_SECURITY_OPTIONS = [
+  { value: "starttls", label: "STARTTLS", port: 587 },
+  { value: "tls", label: "TLS", port: 465 },
+  { value: "none", label: "None", port: 25 },
+];
+
+/**
+ * SMTP settings — a self-hosted mail relay used instead of Resend when set.
+ */
+function SmtpSection() {
+  const inputClass = "w-full mt-1 px-2 py-1.5 text-sm rounded-md border border-input bg-background";
+  const hintClass = "text-[11px] text-muted-foreground/70 mt-1 leading-tight";
+
+  const [saved, setSaved] = useState(null);
+  const [host, setHost] = useState("");
+  const [port, setPort] = useState("");
+  const [security, setSecurity] = useState("starttls");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [from, setFrom] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  function apply(data) {
+    setSaved(data);
+    setHost(data.host || "");
+    setPort(data.port ? String(data.port) : "");
+    setSecurity(data.security || "starttls");
+    setUsername(data.username || "");
+    setFrom(data.from || "");
+    setPassword("");
+  }
+
+  async function reload() {
+    try {
+      const res = await fetch("/api/smtp-config");
+      if (res.ok) apply(await res.json());
+    } catch {
+      // ignore
+    }
+  }
+
+  useEffect(() => { reload(); }, []);
+
+  async function handleSave() {
+    setError(null);
+    setSuccess(null);
+    if (!host.trim()) { setError("Host is required"); return; }
+    if (!from.trim()) { setError("From address is required"); return; }
+
+    setSaving(true);
+    try {
+      const res = await fetch("/api/smtp-config", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          host: host.trim(),
+          port: port.trim() || null,
+          security,
+          username: username.trim() || null,
+          password: password || undefined,
+          clearPassword: !username.trim(),
+          from: from.trim(),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to save");
+        return;
+      }
+      apply(data);
+      setSuccess("SMTP settings saved successfully");
+    } catch (err) {
+      setError(err.message || "Failed to save");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete() {
+    try {
+      await fetch("/api/smtp-config", { method: "DELETE" });
+      setSuccess(null);
+      apply({ configured: false });
+    } catch {
+      // ignore
+    }
+  }
+
+  return (
+    <div className="space-y-2 p-2.5 rounded-md border border-border">
+      <div className="flex items-center justify-between">
+        <div className="text-xs font-medium flex items-center gap-1.5">
+          SMTP
+          {saved?.configured && <Check className="h-3.5 w-3.5 text-green-500" />}
+        </div>
+        {saved?.configured && (
+          <button
+            onClick={handleDelete}
+            className="p-1 text-muted-foreground hover:text-destructive shrink-0"
+            title="Remove SMTP settings"
+          >
+            <Trash2 className="h-3.5 w-3.5" />
+          </button>
+        )}
+      </div>
+      <p className={hintClass}>
+        Send through your own mail relay. When set, SMTP is used instead of Resend.
+      </p>
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <label className="text-xs text-muted-foreground">Host</label>
+          <input type="text" value={host} onChange={(e) => setHost(e.target.value)} className={inputClass} placeholder="smtp.example.com" spellCheck={false} />
+        </div>
+        <div className="w-20">
+          <label className="text-xs text-muted-foreground">Port</label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={port}
+            onChange={(e) => setPort(e.target.value.replace(/\D/g, ""))}
+            className={inputClass}
+            placeholder={String(SMTP_SECURITY_OPTIONS.find((o) => o.value === security)?.port)}
+          />
+        </div>
+      </div>
+      <div>
+        <label className="text-xs text-muted-foreground">Encryption</label>
+        <div className="flex gap-1 mt-1">
+          {SMTP_SECURITY_OPTIONS.map((opt) => (
+            <button
+              key={opt.value}
+              type="button"
+              onClick={() => setSecurity(opt.value)}
+              className={cn(
+                "px-2 py-1 text-xs rounded-md border transition-colors",
+                security === opt.value
+                  ? "bg-primary/20 text-primary border-primary/30"
+                  : "border-border text-muted-foreground hover:text-foreground"
+              )}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <label className="text-xs text-muted-foreground">Username</label>
+          <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} className={inputClass} placeholder="Optional" spellCheck={false} />
+        </div>
+        <div className="flex-1">
+          <label className="text-xs text-muted-foreground">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+            placeholder={saved?.hasPassword ? "Unchanged" : "Optional"}
+          />
+        </div>
+      </div>
+      <div>
+        <label className="text-xs text-muted-foreground">From address</label>
+        <input type="text" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} placeholder="Claude Tasks <tasks@yourdomain.com>" />
+      </div>
+      {error && <p className="text-xs text-destructive">{error}</p>}
+      {success && <p className="text-xs text-green-600">{success}</p>}
+      <Button variant="outline" size="sm" className="w-full" onClick={handleSave} disabled={saving}>
+        {saving ? <Loader2 className="h-3 w-3 animate-spin mr-1" /> : <Key className="h-3 w-3 mr-1" />}
+        {saved?.configured ? "Update SMTP settings" : "Save SMTP settings"}
+      </Button>
+    </div>
+  );
+}
+
+/**
+ * Email tab — Resend and SMTP transports, plus a test send through the one
+ * task emails will use.
+ */
+function EmailTab() {
+  const inputClass = "flex-1 px-2 py-1.5 text-sm rounded-md border border-input bg-background";
+  const [to, setTo] = useState("");
+  const [sending, setSending] = useState(false);
+  const [result, setResult] = useState(null);
+
+  async function handleSendTest() {
+    setSending(true);
+    setResult(null);
+    try {
+      const res = await fetch("/api/email/test", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ to: to.trim() }),
+      });
+      const data = await res.json().catch(() => ({}));
+      setResult(res.ok
+        ? { ok: true, message: `Test email sent via ${data.transport === "smtp" ? "SMTP" : "Resend"}` }
+        : { ok: false, message: data.error || "Failed to send test email" });
+    } catch (err) {
+      setResult({ ok: false, message: err.message || "Failed to send test email" });
+    } finally {
+      setSending(false);
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <ResendTab />
+      <SmtpSection />
+      <div className="space-y-1.5 p-2.5 rounded-md border border-border">
+        <label className="text-xs text-muted-foreground">Send a test email</label>
+        <div className="flex gap-2">
+          <input
+            type="email"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className={inputClass}
+            placeholder="you@example.com"
+          />
+          <Button variant="outline" size="sm" onClick={handleSendTest} disabled={sending || !to.trim()}>
+            {sending ? <Loader2 className="h-3 w-3 animate-spin" /> : "Send"}
+          </Button>
+        </div>
+        {result && <p className={cn("text-xs", result.ok ? "text-green-600" : "text-destructive")}>{result.message}</p>}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Notifications tab — chat, webhook and push channels that tasks can post
+ * their run results to, each with an optional run-status filter.
+ */
+function NotificationsTab() {
+  const inputClass = "w-full mt-1 px-2 py-1.5 text-sm rounded-md border border-input bg-background";
+  const hintClass = "text-[11px] text-muted-foreground/70 mt-1 leading-tight";
+
+  const [channels, setChannels] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState("");
+  const [type, setType] = useState("slack");
+  const [url, setUrl] = useState("");
+  const [secret, setSecret] = useState("");
+  const [statuses, setStatuses] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [testing, setTesting] = useState(null);
+  const [testResult, setTestResult] = useState(null);
+
+  const typeInfo = NOTIFICATION_CHANNEL_TYPES.find((t) => t.value === type);
+  const editing = channels.find((c) => c.id === editingId) || null;
+
+  async function reload() {
+    try {
+      const res = await fetch("/api/notification-channels");
+      if (res.ok) setChannels(await res.json());
+    } catch {
+      // ignore
+    } finally {
+      setLoaded(true);
+    }
+  }
+
+  useEffect(() => { reload(); }, []);
+
+  function resetForm() {
+    setEditingId(null);
+    setName("");
+    setType("slack");
+    setUrl("");
+    setSecret("");
+    setStatuses([]);
+    setError(null);
+  }
+
+  function startEdit(channel) {
+    setEditingId(channel.id);
+    setName(channel.name);
+    setType(channel.type);
+    setUrl("");
+    setSecret("");
+    setStatuses(channel.statuses || []);
+    setError(null);
+  }
+
+  function toggleStatus(value) {
+    setStatuses((prev) => (prev.includes(value) ? prev.filter((s) => s !== value) : [...prev, value]));
+  }
+
+  async function handleSave() {
+    setError(null);
+    if (!name.trim()) { setError("Name is required"); return; }
+    if (!editing && !url.trim()) { setError("URL is required"); return; }
+
+    const body = { name: name.trim(), type, statuses };
+    if (url.trim()) body.url = url.trim();
+    if (secret.trim()) body.secret = secret.trim();
+
+    setSaving(true);
+    try {
+      const res = await fetch(editing ? `/api/notification-channels/${editing.id}` : "/api/notification-channels", {
+        method: editing ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        setError(data.error || "Failed to save");
+        return;
+      }
+      resetForm();
+      reload();
+    } catch (err) {
+      setError(err.message || "Failed to save");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleDelete(id) {
+    try {
+      await fetch(`/api/notification-channels/${id}`, { method: "DELETE" });
+      if (editingId === id) resetForm();
+      reload();
+    } catch {
+      // ignore
+    }
+  }
+
+  async function handleTest(id) {
+    setTesting(id);
+    setTestResult(null);
+    try {
+      const res = await fetch(`/api/notification-channels/${id}/test`, { method: "POST" });
+      const data = await res.json().catch(() => ({}));
+      setTestResult({ id, ok: res.ok, message: res.ok ? "Test notification sent" : data.error || "Delivery failed" });
+    } catch (err) {
+      setTestResult({ id, ok: false, message: err.message || "Delivery failed" });
+    } finally {
+      setTesting(null);
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-muted-foreground leading-relaxed">
+        Add channels that tasks can notify when a run finishes, then pick them
+        under Notifications when editing a task.
+      </p>
+
+      <div className="space-y-2 p-2.5 rounded-md border border-border">
+        <div>
+          <label className="text-xs text-muted-foreground">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className={inputClass}
+            placeholder="e.g. #deploys"
+          />
+        </div>
+        <div>
+          <label className="text-xs text-muted-foreground">Type</label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {NOTIFICATION_CHANNEL_TYPES.map((opt) => (
+              <button
+                key={opt.value}
+                type="button"
+                onClick={() => setType(opt.value)}
+                disabled={!!editing}
+                className={cn(
+                  "px-2 py-1 text-xs rounded-md border transition-colors",
+                  type === opt.value
+                    ? "bg-primary/20 text-primary border-primary/30"
+                    : "border-border text-muted-foreground hover:text-foreground",
+                  editing && type !== opt.value && "opacity-50"
+                )}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="text-xs text-muted-foreground">URL</label>
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            className={inputClass}
+            placeholder={editing ? "Enter a new URL to replace it" : typeInfo?.urlPlaceholder}
+            spellCheck={false}
+          />
+          <p className={hintClass}>{typeInfo?.urlHint}</p>
+        </div>
+        {typeInfo?.secretLabel && (
+          <div>
+            <label className="text-xs text-muted-foreground">{typeInfo.secretLabel}</label>
+            <input
+              type="password"
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              className={inputClass}
+              placeholder={editing?.hasSecret ? "Enter a new value to replace it" : ""}
+            />
+          </div>
+        )}
+        <div>
+          <label className="text-xs text-muted-foreground">Notify on</label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {NOTIFICATION_STATUS_OPTIONS.map((opt) => (
+              <button
+                key={opt.value}
+                type="button"
+                onClick={() => toggleStatus(opt.value)}
+                className={cn(
+                  "px-2 py-0.5 text-[11px] rounded-md border transition-colors",
+                  statuses.includes(opt.value)
+                    ? "bg-primary/20 text-primary border-primary/30"
+                    : "border-border text-muted-foreground hover:text-foreground"
+                )}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          <p className={hintClass}>Leave all unselected to be notified of every run.</p>
+        </div>
+        {error && <p className="text-xs text-destructive">{error}</p>}
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" className="flex-1" onClick={handleSave} disabled={saving}>
+            {saving ? <Loader2 className="h-3 w-3 animate-spin mr-1" /> : editing ? <Check className="h-3 w-3 mr-1" /> : <Plus className="h-3 w-3 mr-1" />}
+            {editing ? "Update channel" : "Add channel"}
+          </Button>
+          {editing && (
+            <Button variant="ghost" size="sm" onClick={resetForm}>Cancel</Button>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-1.5">
+        <div className="text-xs font-medium text-muted-foreground">Configured channels</div>
+        {!loaded ? (
+          <div className="flex items-center justify-center py-4 text-muted-foreground">
+            <Loader2 className="h-3.5 w-3.5 animate-spin" />
+          </div>
+        ) : channels.length === 0 ? (
+          <div className="text-xs text-muted-foreground italic px-2 py-1.5">
+            No channels configured yet.
+          </div>
+        ) : (
+          channels.map((c) => (
+            <div key={c.id} className="p-2 rounded-md border border-border">
+              <div className="flex items-center justify-between gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium truncate">{c.name}</div>
+                  <div className="text-[11px] text-muted-foreground truncate">
+                    {NOTIFICATION_CHANNEL_TYPES.find((t) => t.value === c.type)?.label || c.type}
+                    {c.host && <> · {c.host}</>}
+                    {" · "}
+                    {c.statuses?.length
+                      ? c.statuses.map((s) => NOTIFICATION_STATUS_OPTIONS.find((o) => o.value === s)?.label || s).join(", ")
+                      : "All runs"}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    onClick={() => handleTest(c.id)}
+                    className="p-1 text-muted-foreground hover:text-foreground"
+                    title="Send a test notification"
+                    disabled={testing === c.id}
+                  >
+                    {testing === c.id ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : <BellRing className="h-3.5 w-3.5" />}
+                  </button>
+                  <button
+                    onClick={() => startEdit(c)}
+                    className="p-1 text-muted-foreground hover:text-foreground"
+                    title="Edit channel"
+                  >
+                    <Settings className="h-3.5 w-3.5" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(c.id)}
+                    className="p-1 text-muted-foreground hover:text-destructive"
+                    title="Delete channel"
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              </div>
+              {testResult?.id === c.id && (
+                <p className={cn("text-[11px] mt-1", testResult.ok ? "text-green-600" : "text-destructive")}>{testResult.message}</p>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
 function GitSettingsPanel({ onClose, agents }) {
   const [activeTab, setActiveTab] = useState("user");
   const [name, setName] = useState("");
@@ -1280,7 +1854,8 @@ function GitSettingsPanel({ onClose, agents }) {
           {activeTab === "azuredevops" && <ProviderAccountsTab providerKey="azuredevops" allAccounts={accounts} onAccountsUpdated={setAccounts} />}
           {activeTab === "apitokens" && <ApiTokensTab />}
           {activeTab === "envvars" && <EnvVarsTab />}
-          {activeTab === "resend" && <ResendTab />}
+          {activeTab === "email" && <EmailTab />}
+          {activeTab === "notifications" && <NotificationsTab />}
         </>
       )}
     </div>
@@ -1523,7 +2098,7 @@ export default function Sidebar({
             would momentarily be classified as "custom" (because
             allProjectPaths is still empty), causing the section to appear
             and then vanish once projects load. */}
-        {projectsLoaded && agents.filter((a) => !allProjectPaths.has(a.workingDirectory)).length > 0 && (
+        {projectsLoaded && agents.filter((a) => !a.ephemeral && !allProjectPaths.has(a.workingDirectory)).length > 0 && (
           <>
             <Separator className="my-1" />
             <div className="p-2">
@@ -1531,7 +2106,7 @@ export default function Sidebar({
                 Custom Agents
               </p>
               {agents
-                .filter((a) => !allProjectPaths.has(a.workingDirectory))
+                .filter((a) => !a.ephemeral && !allProjectPaths.has(a.workingDirectory))
                 .map((agent) => (
                   <div
                     key={agent.id}
@@ -1564,6 +2139,45 @@ export default function Sidebar({
             </div>
           </>
         )}
+
+        {/* Task runs and API sessions, watchable live but read-only */}
+        {agents.some((a) => a.ephemeral) && (
+          <>
+            <Separator className="my-1" />
+            <div className="p-2">
+              <p className="px-2 py-1.5 text-xs font-semibold text-muted-foreground uppercase tracking-wider">
+                Live Sessions
+              </p>
+              {agents
+                .filter((a) => a.ephemeral)
+                .map((agent) => {
+                  const SourceIcon = agent.source === "task" ? Clock : Key;
+                  return (
+                    <button
+                      key={agent.id}
+                      onClick={() => onSelect(agent.id)}
+                      className={cn(
+                        "w-full flex items-center gap-2 rounded-md px-2 py-2 text-sm text-left transition-colors",
+                        selectedId === agent.id
+                          ? "bg-sidebar-accent text-sidebar-accent-foreground"
+                          : "hover:bg-sidebar-accent/50"
+                      )}
+                      title={agent.source === "task" ? "Scheduled task run" : "API session"}
+                    >
+                      <Circle
+                        className={cn("h-2.5 w-2.5 shrink-0 fill-current", STATUS_COLORS[agent.status] || "text-muted-foreground")}
+                      />
+                      <div className="min-w-0 flex-1">
+                        <div className="truncate">{agent.name}</div>
+                        <div className="text-xs text-muted-foreground truncate">{agent.workingDirectory}</div>
+                      </div>
+                      <SourceIcon className="h-3.5 w-3.5 shrink-0 text-muted-foreground" />
+                    </button>
+                  );
+                })}
+            </div>
+          </>
+        )}
       </ScrollArea>
       <Separator />
       {onNavigate && (
@@ -1,4 +1,4 @@
-import { Activity, Coins, ArrowDownToLine, ArrowUpFromLine, Database, CalendarDays, Gauge, AlertTriangle, Eraser, Minimize2 } from "lucide-react";
+import { Activity, Coins, ArrowDownToLine, ArrowUpFromLine, Database, CalendarDays, Gauge, AlertTriangle, Eraser, Minimize2, GitPullRequest } from "lucide-react";
 import { Separator } from "@/components/ui/separator";
 
 function formatTokens(n) {
@@ -38,7 +38,7 @@ function ModelCosts({ modelCosts, prefix }) {
   ));
 }
 
-export default function StatusBar({ usage, connected, contextInfo, onClearContext, onCompact, className }) {
+export default function StatusBar({ usage, connected, contextInfo, onClearContext, onCompact, pr, className }) {
   const { session, weekly } = usage;
   const pct = contextInfo ? Math.min(100, (contextInfo.used / contextInfo.contextWindow) * 100) : 0;
 
@@ -49,6 +49,22 @@ export default function StatusBar({ usage, connected, contextInfo, onClearContex
         {connected ? "Connected" : "Reconnecting"}
       </span>
 
+      {pr && (
+        <>
+          <Separator orientation="vertical" className="h-3 shrink-0" />
+          <a
+            href={pr.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center gap-1 shrink-0 hover:text-foreground transition-colors"
+            title={pr.title}
+          >
+            <GitPullRequest className="h-3 w-3" />
+            {pr.provider === "gitlab" ? `MR !${pr.number}` : `PR #${pr.number}`}
+          </a>
+        </>
+      )}
+
       {contextInfo && (
         <>
           <Separator orientation="vertical" className="h-3 shrink-0" />
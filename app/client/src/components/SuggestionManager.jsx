@@ -21,6 +21,7 @@ const CONTEXT_TAGS = [
   { value: "after_context_cleared", label: "After context cleared" },
   { value: "git", label: "Git" },
   { value: "has_pr", label: "Has PR/MR" },
+  { value: "no_pr", label: "Branch without PR/MR" },
   { value: "has_review_content", label: "Has review content" },
   { value: "has_bash_calls", label: "Has bash calls" },
   { value: "recovery", label: "Recovery" },
@@ -415,7 +416,7 @@ function SuggestionForm({
               ? "The message to send..."
               : formData.actionType === "skill"
               ? "/commit"
-              : "post-pr-review"
+              : "post-pr-review or open-pull-request"
           }
           rows={formData.actionType === "prompt" ? 3 : 1}
           className="flex w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-sm placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring resize-none"
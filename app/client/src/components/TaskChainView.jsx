@@ -0,0 +1,194 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { ArrowLeft, ArrowDown, CheckCircle, XCircle, AlertCircle, Loader2, Clock, Hourglass, Timer, CircleDollarSign, Workflow, Ban } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { formatRelativeTime } from "@/lib/cron";
+import { cn } from "@/lib/utils";
+
+const STATUS_ICONS = {
+  success: CheckCircle,
+  error: XCircle,
+  interrupted: AlertCircle,
+  queued: Hourglass,
+  cancelled: Ban,
+  timeout: Timer,
+  budget_exceeded: CircleDollarSign,
+};
+
+const STATUS_COLORS = {
+  success: "text-green-500",
+  error: "text-red-500",
+  interrupted: "text-yellow-500",
+  queued: "text-blue-500",
+  cancelled: "text-muted-foreground",
+  timeout: "text-orange-500",
+  budget_exceeded: "text-orange-500",
+};
+
+const STATUS_LABELS = {
+  success: "success",
+  error: "failure",
+  interrupted: "stop",
+  cancelled: "cancelled",
+  timeout: "timeout",
+  budget_exceeded: "over budget",
+};
+
+function ChainNode({ task, tasksById, onSelectTask, path }) {
+  const StatusIcon = task.running ? Loader2 : STATUS_ICONS[task.lastRunStatus] || Clock;
+  return (
+    <div className="space-y-1">
+      <button
+        onClick={() => onSelectTask(task.id)}
+        className="flex items-center gap-2 rounded-md border border-border/50 hover:border-border hover:bg-muted/30 transition-colors px-3 py-1.5"
+      >
+        <StatusIcon className={cn(
+          "h-3.5 w-3.5 shrink-0",
+          task.running ? "animate-spin text-yellow-500" : STATUS_COLORS[task.lastRunStatus] || "text-muted-foreground"
+        )} />
+        <span className="text-xs font-medium">{task.name}</span>
+        {task.lastRunAt && (
+          <span className="text-[11px] text-muted-foreground">{formatRelativeTime(task.lastRunAt)}</span>
+        )}
+      </button>
+      {(task.nextTasks || []).map((link) => {
+        const next = tasksById.get(link.taskId);
+        // Links are acyclic server-side; the path check only guards stale data
+        if (!next || path.includes(next.id)) return null;
+        return (
+          <div key={link.taskId} className="pl-4 border-l border-border/60 ml-2">
+            <div className="flex items-center gap-1 text-[11px] text-muted-foreground py-0.5">
+              <ArrowDown className="h-3 w-3" />
+              on {link.on.map((s) => STATUS_LABELS[s] || s).join(" or ")}
+            </div>
+            <ChainNode task={next} tasksById={tasksById} onSelectTask={onSelectTask} path={[...path, next.id]} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Task chains (tasks started when another finishes) drawn from their first
+ * task down, plus the most recent pipeline runs grouped by pipelineRunId.
+ */
+export default function TaskChainView({ tasks, onBack, onSelectTask, onViewRun, fetchAllRuns }) {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const tasksById = useMemo(() => new Map(tasks.map((t) => [t.id, t])), [tasks]);
+  const roots = useMemo(() => {
+    const targets = new Set(tasks.flatMap((t) => (t.nextTasks || []).map((l) => l.taskId)));
+    return tasks.filter((t) => t.nextTasks?.length > 0 && !targets.has(t.id));
+  }, [tasks]);
+
+  const loadRuns = useCallback(async () => {
+    try {
+      setRuns(await fetchAllRuns(200));
+    } catch {
+      setRuns([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchAllRuns]);
+
+  useEffect(() => {
+    loadRuns();
+    const interval = setInterval(loadRuns, 30000);
+    return () => clearInterval(interval);
+  }, [loadRuns]);
+
+  // Pipeline runs: runs sharing a pipelineRunId where at least one step was chained
+  const pipelines = useMemo(() => {
+    const groups = new Map();
+    for (const run of runs) {
+      if (!run.pipelineRunId) continue;
+      if (!groups.has(run.pipelineRunId)) groups.set(run.pipelineRunId, []);
+      groups.get(run.pipelineRunId).push(run);
+    }
+    return [...groups.entries()]
+      .filter(([, steps]) => steps.some((r) => r.trigger === "chain"))
+      .map(([id, steps]) => ({
+        id,
+        steps: steps.sort((a, b) => (a.startedAt || a.queuedAt) - (b.startedAt || b.queuedAt)),
+      }))
+      .sort((a, b) => (b.steps[0].startedAt || b.steps[0].queuedAt) - (a.steps[0].startedAt || a.steps[0].queuedAt))
+      .slice(0, 20);
+  }, [runs]);
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Header */}
+      <div className="flex items-center gap-3 px-4 py-3 border-b border-border bg-card">
+        <Button variant="ghost" size="icon" className="h-7 w-7 shrink-0" onClick={onBack}>
+          <ArrowLeft className="h-4 w-4" />
+        </Button>
+        <h2 className="text-sm font-semibold">Pipelines</h2>
+      </div>
+
+      <ScrollArea className="flex-1">
+        {roots.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-16 px-8 text-center">
+            <div className="h-16 w-16 rounded-2xl bg-muted/30 border border-border/50 flex items-center justify-center mb-4">
+              <Workflow className="h-8 w-8 text-muted-foreground/30" />
+            </div>
+            <p className="text-sm font-medium text-foreground/60 mb-1">No pipelines</p>
+            <p className="text-xs text-muted-foreground/60 max-w-xs">
+              Edit a task and pick tasks under "Then Run" to start them when it finishes.
+            </p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-4">
+            {roots.map((root) => (
+              <div key={root.id} className="rounded-lg border border-border/50 p-3">
+                <ChainNode task={root} tasksById={tasksById} onSelectTask={onSelectTask} path={[root.id]} />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Recent pipeline runs */}
+        {roots.length > 0 && (
+          <div className="px-4 pb-4">
+            <h3 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider mb-2">Recent Pipeline Runs</h3>
+            {loading ? (
+              <div className="flex items-center py-4 text-xs text-muted-foreground">
+                <Loader2 className="h-3.5 w-3.5 animate-spin mr-2" />
+                Loading runs...
+              </div>
+            ) : pipelines.length === 0 ? (
+              <p className="text-xs text-muted-foreground/60">No pipeline runs yet</p>
+            ) : (
+              <div className="space-y-1">
+                {pipelines.map((pipeline) => (
+                  <div key={pipeline.id} className="flex items-center flex-wrap gap-1 rounded-md border border-border/50 px-3 py-2">
+                    <span className="text-[11px] text-muted-foreground mr-1">
+                      {formatRelativeTime(pipeline.steps[0].startedAt || pipeline.steps[0].queuedAt)}
+                    </span>
+                    {pipeline.steps.map((step, i) => {
+                      const StatusIcon = STATUS_ICONS[step.status] || Clock;
+                      return (
+                        <span key={step.id} className="flex items-center gap-1">
+                          {i > 0 && <span className="text-muted-foreground/40">→</span>}
+                          <button
+                            onClick={() => step.status !== "queued" && onViewRun(step.taskId, step.id)}
+                            className="flex items-center gap-1 text-xs hover:underline"
+                          >
+                            <StatusIcon className={cn("h-3 w-3", STATUS_COLORS[step.status] || "text-muted-foreground")} />
+                            {step.taskName}
+                            {step.attempt > 1 && <span className="text-[10px] text-muted-foreground">#{step.attempt}</span>}
+                          </button>
+                        </span>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </ScrollArea>
+    </div>
+  );
+}
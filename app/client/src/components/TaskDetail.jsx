@@ -1,25 +1,42 @@
 import { useState, useEffect, useCallback } from "react";
-import { ArrowLeft, Play, Pencil, Trash2, Loader2, CheckCircle, XCircle, Clock, AlertCircle, FolderOpen, Globe, Copy, CopyCheck, RefreshCw, FileText, X, Square, Cpu } from "lucide-react";
+import { ArrowLeft, Play, Pencil, Trash2, Loader2, CheckCircle, XCircle, Clock, AlertCircle, FolderOpen, Globe, Copy, CopyCheck, RefreshCw, FileText, X, Square, Cpu, Shield, Eye, Hourglass, Timer, CircleDollarSign, Workflow, GitBranch, BellRing, Send, Paperclip, Ban } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Separator } from "@/components/ui/separator";
 import { Dialog } from "@/components/ui/dialog";
 import Markdown from "./Markdown.jsx";
+import TaskRunWatchPanel from "./TaskRunWatchPanel.jsx";
+import CallbackDeliveryLog from "./CallbackDeliveryLog.jsx";
 import { describeCron, formatDuration, formatRelativeTime } from "@/lib/cron";
 import { getModelLabel } from "@/lib/models";
+import { getPermissionProfileLabel } from "@/lib/permissions";
 import { cn } from "@/lib/utils";
 
+const WEBHOOK_PROVIDER_LABELS = {
+  github: "GitHub",
+  gitlab: "GitLab",
+  "azure-devops": "Azure DevOps",
+};
+
 const STATUS_ICONS = {
   success: CheckCircle,
   error: XCircle,
   interrupted: AlertCircle,
+  queued: Hourglass,
+  cancelled: Ban,
+  timeout: Timer,
+  budget_exceeded: CircleDollarSign,
 };
 
 const STATUS_COLORS = {
   success: "text-green-500",
   error: "text-red-500",
   interrupted: "text-yellow-500",
+  queued: "text-blue-500",
+  cancelled: "text-muted-foreground",
+  timeout: "text-orange-500",
+  budget_exceeded: "text-orange-500",
 };
 
 export default function TaskDetail({
@@ -30,10 +47,16 @@ export default function TaskDetail({
   onToggle,
   onTrigger,
   onStop,
+  onCancelQueued,
   onViewRun,
   fetchRuns,
+  fetchCallbackDeliveries,
+  onRedeliverCallback,
   onGenerateWebhookToken,
   onRevokeWebhookToken,
+  ws,
+  tasks = [],
+  onSelectTask,
 }) {
   const [runs, setRuns] = useState([]);
   const [runsLoading, setRunsLoading] = useState(true);
@@ -43,6 +66,9 @@ export default function TaskDetail({
   const [webhookCopied, setWebhookCopied] = useState(false);
   const [webhookLoading, setWebhookLoading] = useState(false);
   const [summaryDialog, setSummaryDialog] = useState({ open: false, content: null, loading: false, runDate: null });
+  const [watching, setWatching] = useState(false);
+  const [historyTab, setHistoryTab] = useState("runs"); // "runs" | "callbacks"
+  const upstreamTasks = tasks.filter((t) => t.nextTasks?.some((l) => l.taskId === task.id));
 
   const loadRuns = useCallback(async () => {
     setRunsLoading(true);
@@ -66,7 +92,12 @@ export default function TaskDetail({
   async function handleTrigger() {
     setTriggering(true);
     try {
-      await onTrigger(task.id);
+      const data = await onTrigger(task.id);
+      if (data?.queued) {
+        loadRuns();
+        return;
+      }
+      if (ws) setWatching(true);
       // Refresh runs after a delay to catch the result
       setTimeout(loadRuns, 2000);
     } catch (err) {
@@ -87,6 +118,16 @@ export default function TaskDetail({
     }
   }
 
+  async function handleCancelQueued(e, run) {
+    e.stopPropagation();
+    try {
+      await onCancelQueued(task.id, run.id);
+    } catch (err) {
+      alert(err.message || "Failed to cancel queued run");
+    }
+    loadRuns();
+  }
+
   async function handleDelete() {
     if (confirm(`Delete task "${task.name}"? This will also delete all run history.`)) {
       await onDelete(task.id);
@@ -167,10 +208,16 @@ export default function TaskDetail({
                   Running
                 </Badge>
               )}
+              {task.queuedRuns > 0 && (
+                <Badge variant="outline" className="text-[10px] py-0 text-blue-500 border-blue-500/50">
+                  <Hourglass className="h-2.5 w-2.5 mr-1" />
+                  {task.queuedRuns} queued
+                </Badge>
+              )}
             </div>
             {isScheduled && (
               <div className="flex items-center gap-3 text-xs text-muted-foreground mt-0.5">
-                <span>{describeCron(task.cronExpression)}</span>
+                <span>{describeCron(task.cronExpression, task.timezone)}</span>
                 <span className="font-mono text-[11px] text-muted-foreground/60">{task.cronExpression}</span>
               </div>
             )}
@@ -190,6 +237,10 @@ export default function TaskDetail({
             <Cpu className="h-3 w-3 text-muted-foreground/60" />
             <span className="font-medium text-foreground/80">{getModelLabel(task.model)}</span>
           </span>
+          <span className="flex items-center gap-1" title={task.allowedCommands?.length ? `Allowed: ${task.allowedCommands.join(", ")}` : undefined}>
+            <Shield className="h-3 w-3 text-muted-foreground/60" />
+            <span className="font-medium text-foreground/80">{getPermissionProfileLabel(task.permissionProfile)}</span>
+          </span>
           {task.lastRunAt && (
             <span>
               <span className="text-muted-foreground/60">Last run:</span>{" "}
@@ -206,6 +257,91 @@ export default function TaskDetail({
           )}
         </div>
 
+        {/* Chain links */}
+        {(task.nextTasks?.length > 0 || upstreamTasks.length > 0) && (
+          <div className="flex items-center flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground pl-10">
+            {upstreamTasks.length > 0 && (
+              <span className="flex items-center gap-1">
+                <span className="text-muted-foreground/60">After:</span>
+                {upstreamTasks.map((t) => (
+                  <button key={t.id} className="font-medium text-foreground/80 hover:underline" onClick={() => onSelectTask?.(t.id)}>
+                    {t.name}
+                  </button>
+                ))}
+              </span>
+            )}
+            {task.nextTasks?.length > 0 && (
+              <span className="flex items-center gap-1">
+                <Workflow className="h-3 w-3 text-muted-foreground/60" />
+                <span className="text-muted-foreground/60">Then:</span>
+                {task.nextTasks.map((link) => {
+                  const next = tasks.find((t) => t.id === link.taskId);
+                  return next ? (
+                    <button key={link.taskId} className="font-medium text-foreground/80 hover:underline" onClick={() => onSelectTask?.(next.id)}>
+                      {next.name}
+                    </button>
+                  ) : null;
+                })}
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Run limits */}
+        {(task.maxDurationMs || task.maxCostUsd || task.maxTurns) && (
+          <div className="flex items-center gap-4 text-xs text-muted-foreground pl-10">
+            <span className="text-muted-foreground/60">Limits:</span>
+            {task.maxDurationMs && <span className="font-medium text-foreground/80">{formatDuration(task.maxDurationMs)}</span>}
+            {task.maxCostUsd && <span className="font-medium text-foreground/80">${task.maxCostUsd}</span>}
+            {task.maxTurns && <span className="font-medium text-foreground/80">{task.maxTurns} turns</span>}
+          </div>
+        )}
+
+        {/* Isolated worktree / pull requests */}
+        {(task.worktree || task.openPullRequest) && (
+          <div className="flex items-center gap-2 text-xs text-muted-foreground pl-10">
+            <GitBranch className="h-3.5 w-3.5 shrink-0" />
+            <span>
+              {task.worktree ? (
+                <>Fresh worktree per run from <span className="font-medium text-foreground/80">{task.worktree.baseBranch || "the current branch"}</span></>
+              ) : "Runs in the workspace checkout"}
+              {task.openPullRequest ? ", opens a PR with the changes" : task.worktree?.push ? ", pushes the branch" : ""}
+            </span>
+          </div>
+        )}
+
+        {/* Notifications */}
+        {(task.emails?.length > 0 || task.notificationChannels?.length > 0) && (
+          <div className="flex items-center gap-2 text-xs text-muted-foreground pl-10">
+            <BellRing className="h-3.5 w-3.5 shrink-0" />
+            <span>
+              Notifies{" "}
+              {[
+                task.emails?.length > 0 && `${task.emails.length} email address${task.emails.length > 1 ? "es" : ""}`,
+                task.notificationChannels?.length > 0 && `${task.notificationChannels.length} channel${task.notificationChannels.length > 1 ? "s" : ""}`,
+              ].filter(Boolean).join(" and ")}
+            </span>
+          </div>
+        )}
+        {task.callbacks && (
+          <div className="flex items-center gap-2 text-xs text-muted-foreground pl-10">
+            <Send className="h-3.5 w-3.5 shrink-0" />
+            <span className="truncate">
+              Calls back {task.callbacks.urls.map((url) => {
+                try { return new URL(url).host; } catch { return url; }
+              }).join(", ")}
+            </span>
+          </div>
+        )}
+        {task.outputArtifacts?.length > 0 && (
+          <div className="flex items-center gap-2 text-xs text-muted-foreground pl-10">
+            <Paperclip className="h-3.5 w-3.5 shrink-0" />
+            <span className="truncate font-mono" title={task.outputArtifacts.join("\n")}>
+              {task.outputArtifacts.join(", ")}
+            </span>
+          </div>
+        )}
+
         {/* Prompt preview */}
         <div className="pl-10">
           <p className="text-[11px] text-muted-foreground/60 mb-0.5">Prompt:</p>
@@ -217,6 +353,14 @@ export default function TaskDetail({
         {/* Webhook section */}
         <div className="pl-10">
           <p className="text-[11px] text-muted-foreground/60 mb-1">Webhook:</p>
+          {task.webhookSource && (
+            <p className="text-[11px] text-muted-foreground mb-1">
+              {WEBHOOK_PROVIDER_LABELS[task.webhookSource.provider]} events
+              {task.webhookSource.events.length > 0 && ` · ${task.webhookSource.events.join(", ")}`}
+              {task.webhookSource.branches.length > 0 && ` · on ${task.webhookSource.branches.join(", ")}`}
+              {task.webhookSource.labels.length > 0 && ` · labeled ${task.webhookSource.labels.join(", ")}`}
+            </p>
+          )}
           {task.webhookToken ? (
             <div className="space-y-1.5">
               {webhookUrl ? (
@@ -302,6 +446,12 @@ export default function TaskDetail({
               Run Now
             </Button>
           )}
+          {task.running && ws && !watching && (
+            <Button variant="outline" size="sm" className="text-xs h-7" onClick={() => setWatching(true)}>
+              <Eye className="h-3 w-3 mr-1" />
+              Watch
+            </Button>
+          )}
           <Button variant="outline" size="sm" className="text-xs h-7" onClick={() => onEdit(task)}>
             <Pencil className="h-3 w-3 mr-1" />
             Edit
@@ -330,13 +480,45 @@ export default function TaskDetail({
 
       <Separator />
 
+      {watching && ws && (
+        <TaskRunWatchPanel
+          task={task}
+          ws={ws}
+          onStop={onStop}
+          onClose={() => { setWatching(false); loadRuns(); }}
+          onViewRun={onViewRun}
+          className="mx-4 mt-3 h-96 shrink-0"
+        />
+      )}
+
       {/* Run history */}
-      <div className="px-4 py-2">
-        <h3 className="text-xs font-semibold text-muted-foreground uppercase tracking-wider">Run History</h3>
+      <div className="px-4 py-2 flex items-center gap-3">
+        {[
+          { id: "runs", label: "Run History" },
+          ...(task.callbacks ? [{ id: "callbacks", label: "Callback Deliveries" }] : []),
+        ].map((tab, i, tabs) => (
+          <button
+            key={tab.id}
+            onClick={() => setHistoryTab(tab.id)}
+            className={cn(
+              "text-xs font-semibold uppercase tracking-wider transition-colors",
+              historyTab === tab.id || tabs.length === 1 ? "text-muted-foreground" : "text-muted-foreground/40 hover:text-muted-foreground"
+            )}
+          >
+            {tab.label}
+          </button>
+        ))}
       </div>
 
       <ScrollArea className="flex-1">
-        {runsLoading ? (
+        {historyTab === "callbacks" && task.callbacks ? (
+          <CallbackDeliveryLog
+            taskId={task.id}
+            fetchDeliveries={fetchCallbackDeliveries}
+            onRedeliver={onRedeliverCallback}
+            onViewRun={onViewRun}
+          />
+        ) : runsLoading ? (
           <div className="flex items-center justify-center py-8 text-muted-foreground">
             <Loader2 className="h-4 w-4 animate-spin mr-2" />
             <span className="text-sm">Loading runs...</span>
@@ -354,14 +536,60 @@ export default function TaskDetail({
               return (
                 <button
                   key={run.id}
-                  onClick={() => onViewRun(run.id)}
+                  onClick={() => run.status !== "queued" && onViewRun(run.id)}
                   className="w-full text-left rounded-md border border-border/50 hover:border-border hover:bg-muted/30 transition-colors px-3 py-2 group"
                 >
                   <div className="flex items-center gap-2">
                     <StatusIcon className={cn("h-3.5 w-3.5 shrink-0", STATUS_COLORS[run.status] || "text-muted-foreground")} />
                     <span className="text-xs font-medium flex-1 truncate">
-                      {new Date(run.startedAt).toLocaleString()}
+                      {run.status === "queued"
+                        ? `Queued ${formatRelativeTime(run.queuedAt)}`
+                        : new Date(run.startedAt).toLocaleString()}
                     </span>
+                    {run.attempt > 1 && (
+                      <span className="text-[10px] px-1 rounded bg-muted text-muted-foreground shrink-0" title={run.retryOf ? `Retry of run ${run.retryOf.slice(0, 8)}` : undefined}>
+                        attempt {run.attempt}
+                      </span>
+                    )}
+                    {run.retryAt > Date.now() && (
+                      <span className="text-[10px] text-muted-foreground shrink-0">
+                        retrying {formatRelativeTime(run.retryAt)}
+                      </span>
+                    )}
+                    {run.pullRequest && (
+                      <span className="text-[10px] px-1 rounded bg-green-500/10 text-green-500 shrink-0" title={run.pullRequest.url}>
+                        {run.pullRequest.provider === "gitlab" ? "MR !" : "PR #"}{run.pullRequest.number}
+                      </span>
+                    )}
+                    {!run.pullRequest && run.pullRequestError && (
+                      <span className="text-[10px] px-1 rounded bg-destructive/10 text-destructive shrink-0" title={run.pullRequestError}>
+                        PR failed
+                      </span>
+                    )}
+                    {run.trigger === "chain" && (
+                      <span className="text-[10px] px-1 rounded bg-violet-500/10 text-violet-500 shrink-0" title="Started by an upstream task">
+                        chained
+                      </span>
+                    )}
+                    {run.trigger === "catch-up" && (
+                      <span
+                        className="text-[10px] px-1 rounded bg-blue-500/10 text-blue-500 shrink-0"
+                        title={run.scheduledFor ? `Missed run scheduled for ${new Date(run.scheduledFor).toLocaleString()}` : "Missed run"}
+                      >
+                        catch-up
+                      </span>
+                    )}
+                    {run.status === "queued" && onCancelQueued && (
+                      <span
+                        role="button"
+                        onClick={(e) => handleCancelQueued(e, run)}
+                        className="flex items-center gap-0.5 text-[11px] text-muted-foreground hover:text-destructive cursor-pointer"
+                        title="Cancel queued run"
+                      >
+                        <X className="h-3 w-3" />
+                        Cancel
+                      </span>
+                    )}
                     {run.outputFiles?.length > 0 && (
                       <span
                         role="button"
@@ -373,9 +601,11 @@ export default function TaskDetail({
                         Summary
                       </span>
                     )}
-                    <span className="text-[11px] text-muted-foreground">
-                      {formatDuration(run.durationMs)}
-                    </span>
+                    {run.status !== "queued" && (
+                      <span className="text-[11px] text-muted-foreground">
+                        {formatDuration(run.durationMs)}
+                      </span>
+                    )}
                     {run.cost > 0 && (
                       <span className="text-[11px] text-muted-foreground">
                         ${run.cost < 0.01 ? run.cost.toFixed(4) : run.cost.toFixed(2)}
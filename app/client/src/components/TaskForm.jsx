@@ -1,20 +1,130 @@
 import { useState, useEffect } from "react";
-import { Loader2, ListTodo, FolderOpen, Search, Cpu, Mail } from "lucide-react";
+import { Loader2, ListTodo, FolderOpen, Search, Cpu, Mail, Shield, Layers, History, Globe, RotateCcw, Timer, Workflow, Webhook, GitBranch, BellRing, Send, Paperclip, X } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Dialog } from "@/components/ui/dialog";
-import { CRON_PRESETS, describeCron } from "@/lib/cron";
+import { CRON_PRESETS, describeCron, formatInTimezone, getLocalTimezone, listTimezones } from "@/lib/cron";
 import { MODEL_OPTIONS } from "@/lib/models";
+import { PERMISSION_PROFILE_OPTIONS, DEFAULT_PERMISSION_PROFILE, parseListInput, usesAllowedCommands } from "@/lib/permissions";
 import { cn } from "@/lib/utils";
 
-export default function TaskForm({ open, onClose, onSubmit, initial }) {
+const OVERLAP_POLICY_OPTIONS = [
+  { value: "skip", label: "Skip", description: "If a run is still in progress, new triggers are ignored." },
+  { value: "queue", label: "Queue", description: "New triggers wait and start once the current run finishes." },
+  { value: "cancel-previous", label: "Cancel previous", description: "A new trigger stops the current run and starts fresh." },
+];
+
+const MISSED_RUN_POLICY_OPTIONS = [
+  { value: "skip", label: "Skip", description: "Runs missed while the server was down are dropped." },
+  { value: "run-once", label: "Run once", description: "If any runs were missed while the server was down, the task runs once at startup." },
+  { value: "run-all", label: "Run each", description: "Each run missed while the server was down is run at startup, up to the limit." },
+];
+const MAX_CATCH_UP_RUNS = 10;
+const TIMEZONES = listTimezones();
+
+const CHAIN_STATUS_OPTIONS = [
+  { value: "success", label: "Success" },
+  { value: "error", label: "Failure" },
+  { value: "timeout", label: "Timeout" },
+  { value: "budget_exceeded", label: "Over budget" },
+];
+
+const WORKTREE_KEEP_OPTIONS = [
+  { value: "on-changes", label: "If unpushed work", description: "The worktree is kept while it holds changes that were not pushed." },
+  { value: "on-failure", label: "If failed", description: "The worktree is kept for runs that did not succeed, for inspection." },
+  { value: "always", label: "Always", description: "Every run's worktree is kept; remove them from the workspace list." },
+  { value: "never", label: "Never", description: "The worktree is removed after every run; committed work stays on its branch." },
+];
+
+const WEBHOOK_PROVIDER_OPTIONS = [
+  { value: "", label: "Generic", description: "Any POST to the webhook URL starts a run; the body is passed to the prompt." },
+  { value: "github", label: "GitHub", description: "Set the content type to application/json and use this secret. Deliveries are checked with X-Hub-Signature-256." },
+  { value: "gitlab", label: "GitLab", description: "Use this secret as the webhook's secret token (sent in X-Gitlab-Token)." },
+  { value: "azure-devops", label: "Azure DevOps", description: "Use basic authentication with any username and this secret as the password." },
+];
+const WEBHOOK_EVENT_PLACEHOLDERS = {
+  github: "pull_request.opened, push",
+  gitlab: "merge_request.open, push",
+  "azure-devops": "git.pullrequest.created, git.push",
+};
+
+/** Field mapping as "name = path" lines. */
+function formatVariableMapping(variables) {
+  return Object.entries(variables || {}).map(([name, path]) => `${name} = ${path}`).join("\n");
+}
+
+function parseVariableMapping(text) {
+  const variables = {};
+  for (const line of parseListInput(text)) {
+    const [name, ...rest] = line.split("=");
+    if (name.trim() && rest.length > 0) variables[name.trim()] = rest.join("=").trim();
+  }
+  return variables;
+}
+
+function parseCommaList(text) {
+  return text.split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+const RETRY_ATTEMPT_OPTIONS = [
+  { value: 1, label: "Off" },
+  { value: 2, label: "1 retry" },
+  { value: 3, label: "2 retries" },
+  { value: 5, label: "4 retries" },
+];
+const RETRY_BACKOFF_OPTIONS = [
+  { value: 30000, label: "30s" },
+  { value: 60000, label: "1m" },
+  { value: 300000, label: "5m" },
+  { value: 900000, label: "15m" },
+];
+const RETRY_ERROR_CLASSES = [
+  { value: "rate_limit", label: "Rate limits" },
+  { value: "network", label: "Network" },
+  { value: "sdk", label: "Agent crashes" },
+  { value: "workspace", label: "Missing workspace" },
+];
+
+export default function TaskForm({ open, onClose, onSubmit, initial, tasks = [] }) {
   const [name, setName] = useState(initial?.name || "");
   const [workingDirectory, setWorkingDirectory] = useState(initial?.workingDirectory || "");
   const [cronExpression, setCronExpression] = useState(initial?.cronExpression || "");
+  const [timezone, setTimezone] = useState(initial?.timezone || "");
+  const [serverTimezone, setServerTimezone] = useState(null);
   const [prompt, setPrompt] = useState(initial?.prompt || "");
   const [model, setModel] = useState(initial?.model || "");
+  const [permissionProfile, setPermissionProfile] = useState(initial?.permissionProfile || DEFAULT_PERMISSION_PROFILE);
+  const [allowedCommands, setAllowedCommands] = useState(initial?.allowedCommands ? initial.allowedCommands.join("\n") : "");
+  const [allowedPaths, setAllowedPaths] = useState(initial?.allowedPaths ? initial.allowedPaths.join("\n") : "");
   const [emails, setEmails] = useState(initial?.emails ? initial.emails.join(", ") : "");
+  const [notificationChannels, setNotificationChannels] = useState(initial?.notificationChannels || []);
+  const [availableChannels, setAvailableChannels] = useState([]);
+  const [callbackUrls, setCallbackUrls] = useState(initial?.callbacks?.urls?.join("\n") || "");
+  const [callbackSecret, setCallbackSecret] = useState(initial?.callbacks?.secret || "");
+  const [outputArtifacts, setOutputArtifacts] = useState(initial?.outputArtifacts?.join("\n") || "");
+  const [overlapPolicy, setOverlapPolicy] = useState(initial?.overlapPolicy || "skip");
+  const [missedRunPolicy, setMissedRunPolicy] = useState(initial?.missedRunPolicy || "skip");
+  const [maxCatchUpRuns, setMaxCatchUpRuns] = useState(initial?.maxCatchUpRuns || 5);
+  const [maxDurationMin, setMaxDurationMin] = useState(initial?.maxDurationMs ? String(initial.maxDurationMs / 60000) : "");
+  const [maxCostUsd, setMaxCostUsd] = useState(initial?.maxCostUsd ? String(initial.maxCostUsd) : "");
+  const [maxTurns, setMaxTurns] = useState(initial?.maxTurns ? String(initial.maxTurns) : "");
+  const [retryAttempts, setRetryAttempts] = useState(initial?.retryPolicy?.maxAttempts || 1);
+  const [nextTasks, setNextTasks] = useState(initial?.nextTasks || []);
+  const [retryBackoffMs, setRetryBackoffMs] = useState(initial?.retryPolicy?.backoffMs ?? 60000);
+  const [retryOn, setRetryOn] = useState(initial?.retryPolicy?.retryOn || RETRY_ERROR_CLASSES.map((c) => c.value));
+  const [worktreeEnabled, setWorktreeEnabled] = useState(!!initial?.worktree);
+  const [worktreeBase, setWorktreeBase] = useState(initial?.worktree?.baseBranch || "");
+  const [worktreeKeep, setWorktreeKeep] = useState(initial?.worktree?.keep || "on-changes");
+  const [worktreePush, setWorktreePush] = useState(!!initial?.worktree?.push);
+  const [openPullRequest, setOpenPullRequest] = useState(!!initial?.openPullRequest);
+  const [webhookProvider, setWebhookProvider] = useState(initial?.webhookSource?.provider || "");
+  const [webhookSecret, setWebhookSecret] = useState(initial?.webhookSource?.secret || "");
+  const [webhookEvents, setWebhookEvents] = useState(initial?.webhookSource?.events?.join(", ") || "");
+  const [webhookBranches, setWebhookBranches] = useState(initial?.webhookSource?.branches?.join(", ") || "");
+  const [webhookLabels, setWebhookLabels] = useState(initial?.webhookSource?.labels?.join(", ") || "");
+  const [webhookVariables, setWebhookVariables] = useState(formatVariableMapping(initial?.webhookSource?.variables));
   const [workspaces, setWorkspaces] = useState([]);
+  const [promptPreview, setPromptPreview] = useState(null);
   const [workspacesLoading, setWorkspacesLoading] = useState(false);
   const [workspaceFilter, setWorkspaceFilter] = useState("");
   const [cronPreview, setCronPreview] = useState(null);
@@ -30,9 +140,38 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
       setName(initial?.name || "");
       setWorkingDirectory(initial?.workingDirectory || "");
       setCronExpression(initial?.cronExpression || "");
+      setTimezone(initial?.timezone || "");
       setPrompt(initial?.prompt || "");
       setModel(initial?.model || "");
+      setPermissionProfile(initial?.permissionProfile || DEFAULT_PERMISSION_PROFILE);
+      setAllowedCommands(initial?.allowedCommands ? initial.allowedCommands.join("\n") : "");
+      setAllowedPaths(initial?.allowedPaths ? initial.allowedPaths.join("\n") : "");
       setEmails(initial?.emails ? initial.emails.join(", ") : "");
+      setNotificationChannels(initial?.notificationChannels || []);
+      setCallbackUrls(initial?.callbacks?.urls?.join("\n") || "");
+      setCallbackSecret(initial?.callbacks?.secret || "");
+      setOutputArtifacts(initial?.outputArtifacts?.join("\n") || "");
+      setOverlapPolicy(initial?.overlapPolicy || "skip");
+      setMissedRunPolicy(initial?.missedRunPolicy || "skip");
+      setMaxCatchUpRuns(initial?.maxCatchUpRuns || 5);
+      setMaxDurationMin(initial?.maxDurationMs ? String(initial.maxDurationMs / 60000) : "");
+      setMaxCostUsd(initial?.maxCostUsd ? String(initial.maxCostUsd) : "");
+      setMaxTurns(initial?.maxTurns ? String(initial.maxTurns) : "");
+      setRetryAttempts(initial?.retryPolicy?.maxAttempts || 1);
+      setNextTasks(initial?.nextTasks || []);
+      setRetryBackoffMs(initial?.retryPolicy?.backoffMs ?? 60000);
+      setRetryOn(initial?.retryPolicy?.retryOn || RETRY_ERROR_CLASSES.map((c) => c.value));
+      setWorktreeEnabled(!!initial?.worktree);
+      setWorktreeBase(initial?.worktree?.baseBranch || "");
+      setWorktreeKeep(initial?.worktree?.keep || "on-changes");
+      setWorktreePush(!!initial?.worktree?.push);
+      setOpenPullRequest(!!initial?.openPullRequest);
+      setWebhookProvider(initial?.webhookSource?.provider || "");
+      setWebhookSecret(initial?.webhookSource?.secret || "");
+      setWebhookEvents(initial?.webhookSource?.events?.join(", ") || "");
+      setWebhookBranches(initial?.webhookSource?.branches?.join(", ") || "");
+      setWebhookLabels(initial?.webhookSource?.labels?.join(", ") || "");
+      setWebhookVariables(formatVariableMapping(initial?.webhookSource?.variables));
       setError("");
       setCronError("");
       setWorkspaceFilter("");
@@ -54,6 +193,15 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
       .finally(() => setWorkspacesLoading(false));
   }, [open]);
 
+  // Load the profile's notification channels
+  useEffect(() => {
+    if (!open) return;
+    fetch("/api/notification-channels")
+      .then((r) => (r.ok ? r.json() : []))
+      .then((data) => setAvailableChannels(data))
+      .catch(() => setAvailableChannels([]));
+  }, [open]);
+
   // Validate cron expression (only if provided)
   useEffect(() => {
     if (!cronExpression.trim()) {
@@ -65,12 +213,13 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
       fetch("/api/tasks/validate-cron", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ cronExpression }),
+        body: JSON.stringify({ cronExpression, timezone: timezone || null }),
       })
         .then((r) => r.json())
         .then((data) => {
           if (data.valid) {
             setCronPreview(data.nextRuns);
+            if (!timezone) setServerTimezone(data.timezone);
             setCronError("");
           } else {
             setCronPreview(null);
@@ -80,7 +229,26 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
         .catch(() => {});
     }, 300);
     return () => clearTimeout(timer);
-  }, [cronExpression]);
+  }, [cronExpression, timezone]);
+
+  // Preview the prompt with {{variables}} resolved (only when it uses any)
+  useEffect(() => {
+    if (!open || !prompt.includes("{{")) {
+      setPromptPreview(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      fetch("/api/tasks/preview-prompt", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ taskId: initial?.id || null, prompt, name, workingDirectory, timezone: timezone || null }),
+      })
+        .then((r) => (r.ok ? r.json() : null))
+        .then((data) => setPromptPreview(data))
+        .catch(() => {});
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [open, prompt, name, workingDirectory, timezone, initial?.id]);
 
   async function handleSubmit(e) {
     e.preventDefault();
@@ -91,12 +259,45 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
         name: name.trim(),
         workingDirectory,
         cronExpression: cronExpression.trim() || null,
+        timezone: timezone || null,
         prompt: prompt.trim(),
         model: model || null,
+        permissionProfile,
+        allowedCommands: parseListInput(allowedCommands),
+        allowedPaths: parseListInput(allowedPaths),
+        overlapPolicy,
+        missedRunPolicy,
+        maxCatchUpRuns: Math.min(Math.max(parseInt(maxCatchUpRuns, 10) || 1, 1), MAX_CATCH_UP_RUNS),
+        maxDurationMs: parseFloat(maxDurationMin) > 0 ? Math.round(parseFloat(maxDurationMin) * 60000) : null,
+        maxCostUsd: parseFloat(maxCostUsd) > 0 ? parseFloat(maxCostUsd) : null,
+        maxTurns: parseInt(maxTurns, 10) > 0 ? parseInt(maxTurns, 10) : null,
+        nextTasks: nextTasks.filter((l) => l.on.length > 0),
+        retryPolicy: retryAttempts > 1 && retryOn.length > 0
+          ? { maxAttempts: retryAttempts, backoffMs: retryBackoffMs, backoffMultiplier: initial?.retryPolicy?.backoffMultiplier ?? 2, retryOn }
+          : null,
+        worktree: worktreeEnabled
+          ? { baseBranch: worktreeBase.trim() || null, keep: worktreeKeep, push: worktreePush }
+          : null,
+        openPullRequest,
+        webhookSource: webhookProvider
+          ? {
+              provider: webhookProvider,
+              secret: webhookSecret.trim() || null,
+              events: parseCommaList(webhookEvents),
+              branches: parseCommaList(webhookBranches),
+              labels: parseCommaList(webhookLabels),
+              variables: parseVariableMapping(webhookVariables),
+            }
+          : null,
         emails: emails
           .split(",")
           .map((e) => e.trim())
           .filter((e) => e && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)),
+        notificationChannels,
+        callbacks: parseListInput(callbackUrls).length > 0
+          ? { urls: parseListInput(callbackUrls), secret: callbackSecret.trim() || null }
+          : null,
+        outputArtifacts: parseListInput(outputArtifacts),
       });
       onClose();
     } catch (err) {
@@ -119,6 +320,9 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
   const selectedWorkspaceName = workspaces.find((ws) => ws.path === workingDirectory)?.name;
 
   const inputClass = "w-full px-3 py-2 text-sm rounded-md border border-input bg-background";
+  const localTimezone = getLocalTimezone();
+  const chainableTasks = tasks.filter((t) => t.id !== initial?.id);
+  const timezones = timezone && !TIMEZONES.includes(timezone) ? [timezone, ...TIMEZONES] : TIMEZONES;
 
   return (
     <Dialog open={open} onClose={onClose} className="max-w-lg">
@@ -201,6 +405,78 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
           )}
         </div>
 
+        {/* Isolated worktree */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <GitBranch className="h-3 w-3" />
+            Checkout
+          </label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {[{ value: false, label: "Workspace" }, { value: true, label: "Fresh worktree per run" }].map((opt) => (
+              <button
+                key={opt.label}
+                type="button"
+                onClick={() => setWorktreeEnabled(opt.value)}
+                className={cn(
+                  "px-2 py-1 text-xs rounded-md transition-colors border",
+                  worktreeEnabled === opt.value
+                    ? "bg-primary/20 text-primary border-primary/30"
+                    : "bg-muted text-muted-foreground hover:text-foreground border-transparent"
+                )}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          {worktreeEnabled && (
+            <>
+              <Input
+                value={worktreeBase}
+                onChange={(e) => setWorktreeBase(e.target.value)}
+                placeholder="Base branch (default: the workspace's current branch)"
+                className="text-xs h-8 mt-1.5"
+              />
+              <div className="flex flex-wrap items-center gap-1 mt-1.5">
+                <span className="text-[11px] text-muted-foreground mr-1">Keep worktree</span>
+                {WORKTREE_KEEP_OPTIONS.map((opt) => (
+                  <button
+                    key={opt.value}
+                    type="button"
+                    onClick={() => setWorktreeKeep(opt.value)}
+                    className={cn(
+                      "px-2 py-0.5 text-[11px] rounded-md transition-colors",
+                      worktreeKeep === opt.value
+                        ? "bg-primary/20 text-primary"
+                        : "bg-muted text-muted-foreground hover:text-foreground"
+                    )}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+              <label className="flex items-center gap-1.5 text-xs text-muted-foreground mt-1.5">
+                <input
+                  type="checkbox"
+                  checked={worktreePush || openPullRequest}
+                  disabled={openPullRequest}
+                  onChange={(e) => setWorktreePush(e.target.checked)}
+                />
+                Push the branch
+              </label>
+            </>
+          )}
+          <label className="flex items-center gap-1.5 text-xs text-muted-foreground mt-1.5">
+            <input type="checkbox" checked={openPullRequest} onChange={(e) => setOpenPullRequest(e.target.checked)} />
+            Open a pull request with the changes
+          </label>
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            {worktreeEnabled
+              ? `Each run works on its own task/… branch beside the workspace, so it cannot clash with chats or other runs. ${WORKTREE_KEEP_OPTIONS.find((o) => o.value === worktreeKeep)?.description}${worktreePush || openPullRequest ? " After a successful run, leftover changes are committed before pushing." : ""}`
+              : `Runs work directly in the workspace checkout.${openPullRequest ? " When a successful run commits to the checkout's branch, it is pushed and a PR is opened into the default branch." : ""}`}
+            {openPullRequest && " The PR title and description come from the run's summary."}
+          </p>
+        </div>
+
         {/* Cron Expression (optional) */}
         <div>
           <label className="text-xs text-muted-foreground font-medium">Schedule (Optional)</label>
@@ -232,10 +508,10 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
           )}
           {!cronError && cronExpression && (
             <p className="text-xs text-muted-foreground mt-1">
-              {describeCron(cronExpression)}
+              {describeCron(cronExpression, timezone || serverTimezone)}
               {cronPreview && cronPreview.length > 0 && (
                 <span className="block text-[11px] text-muted-foreground/60 mt-0.5">
-                  Next: {cronPreview.slice(0, 3).map((t) => new Date(t).toLocaleString()).join(" | ")}
+                  Next: {cronPreview.slice(0, 3).map((t) => formatInTimezone(t, timezone || serverTimezone)).join(" | ")}
                 </span>
               )}
             </p>
@@ -247,6 +523,350 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
           )}
         </div>
 
+        {/* Timezone (scheduled tasks only) */}
+        {cronExpression.trim() && (
+          <div>
+            <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+              <Globe className="h-3 w-3" />
+              Timezone
+            </label>
+            <div className="flex items-center gap-1.5 mt-1">
+              <select
+                value={timezone}
+                onChange={(e) => setTimezone(e.target.value)}
+                className={cn(inputClass, "py-1.5 text-xs")}
+              >
+                <option value="">Server default{serverTimezone ? ` (${serverTimezone})` : ""}</option>
+                {timezones.map((tz) => (
+                  <option key={tz} value={tz}>{tz}</option>
+                ))}
+              </select>
+              {timezone !== localTimezone && (
+                <button
+                  type="button"
+                  onClick={() => setTimezone(localTimezone)}
+                  className="px-2 py-1 text-[11px] rounded-md bg-muted text-muted-foreground hover:text-foreground whitespace-nowrap"
+                  title={`Use ${localTimezone}`}
+                >
+                  Use mine
+                </button>
+              )}
+            </div>
+            <p className="text-[11px] text-muted-foreground/60 mt-1">
+              The schedule's times are wall-clock times in this zone, including daylight saving changes.
+            </p>
+          </div>
+        )}
+
+        {/* Missed run policy (scheduled tasks only) */}
+        {cronExpression.trim() && (
+          <div>
+            <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+              <History className="h-3 w-3" />
+              Missed Runs
+            </label>
+            <div className="flex flex-wrap items-center gap-1 mt-1">
+              {MISSED_RUN_POLICY_OPTIONS.map((opt) => (
+                <button
+                  key={opt.value}
+                  type="button"
+                  onClick={() => setMissedRunPolicy(opt.value)}
+                  className={cn(
+                    "px-2 py-1 text-xs rounded-md transition-colors border",
+                    missedRunPolicy === opt.value
+                      ? "bg-primary/20 text-primary border-primary/30"
+                      : "bg-muted text-muted-foreground hover:text-foreground border-transparent"
+                  )}
+                >
+                  {opt.label}
+                </button>
+              ))}
+              {missedRunPolicy === "run-all" && (
+                <span className="flex items-center gap-1 text-xs text-muted-foreground ml-1">
+                  up to
+                  <Input
+                    type="number"
+                    min={1}
+                    max={MAX_CATCH_UP_RUNS}
+                    value={maxCatchUpRuns}
+                    onChange={(e) => setMaxCatchUpRuns(e.target.value)}
+                    className="h-7 w-16 text-xs"
+                  />
+                </span>
+              )}
+            </div>
+            <p className="text-[11px] text-muted-foreground/60 mt-1">
+              {MISSED_RUN_POLICY_OPTIONS.find((o) => o.value === missedRunPolicy)?.description}
+            </p>
+          </div>
+        )}
+
+        {/* Chained tasks */}
+        {chainableTasks.length > 0 && (
+          <div>
+            <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+              <Workflow className="h-3 w-3" />
+              Then Run (Optional)
+            </label>
+            {nextTasks.map((link) => (
+              <div key={link.taskId} className="flex items-center flex-wrap gap-1 mt-1">
+                <span className="text-xs font-medium mr-1 truncate max-w-[160px]">
+                  {tasks.find((t) => t.id === link.taskId)?.name || "Unknown task"}
+                </span>
+                <span className="text-[11px] text-muted-foreground mr-0.5">on</span>
+                {CHAIN_STATUS_OPTIONS.map((opt) => (
+                  <button
+                    key={opt.value}
+                    type="button"
+                    onClick={() => setNextTasks((prev) => prev.map((l) => (
+                      l.taskId !== link.taskId ? l
+                        : { ...l, on: l.on.includes(opt.value) ? l.on.filter((s) => s !== opt.value) : [...l.on, opt.value] }
+                    )))}
+                    className={cn(
+                      "px-2 py-0.5 text-[11px] rounded-md transition-colors",
+                      link.on.includes(opt.value)
+                        ? "bg-primary/20 text-primary"
+                        : "bg-muted text-muted-foreground hover:text-foreground"
+                    )}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setNextTasks((prev) => prev.filter((l) => l.taskId !== link.taskId))}
+                  className="p-0.5 rounded text-muted-foreground hover:text-destructive"
+                  title="Remove"
+                >
+                  <X className="h-3 w-3" />
+                </button>
+              </div>
+            ))}
+            {chainableTasks.some((t) => !nextTasks.some((l) => l.taskId === t.id)) && (
+              <select
+                value=""
+                onChange={(e) => e.target.value && setNextTasks((prev) => [...prev, { taskId: e.target.value, on: ["success"] }])}
+                className={cn(inputClass, "mt-1.5 py-1.5 text-xs")}
+              >
+                <option value="">Add a task to run when this one finishes...</option>
+                {chainableTasks
+                  .filter((t) => !nextTasks.some((l) => l.taskId === t.id))
+                  .map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+              </select>
+            )}
+            <p className="text-[11px] text-muted-foreground/60 mt-1">
+              The next task receives this run's summary as its input.
+            </p>
+          </div>
+        )}
+
+        {/* Run limits */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <Timer className="h-3 w-3" />
+            Run Limits (Optional)
+          </label>
+          <div className="grid grid-cols-3 gap-2 mt-1">
+            <Input
+              type="number"
+              min={0}
+              step="any"
+              value={maxDurationMin}
+              onChange={(e) => setMaxDurationMin(e.target.value)}
+              placeholder="Max minutes"
+              className="text-xs"
+            />
+            <Input
+              type="number"
+              min={0}
+              step="0.01"
+              value={maxCostUsd}
+              onChange={(e) => setMaxCostUsd(e.target.value)}
+              placeholder="Max cost ($)"
+              className="text-xs"
+            />
+            <Input
+              type="number"
+              min={0}
+              step={1}
+              value={maxTurns}
+              onChange={(e) => setMaxTurns(e.target.value)}
+              placeholder="Max turns"
+              className="text-xs"
+            />
+          </div>
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            Runs that go over a limit are stopped and marked as timed out or over budget.
+          </p>
+        </div>
+
+        {/* Retry policy */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <RotateCcw className="h-3 w-3" />
+            Retry Failed Runs
+          </label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {RETRY_ATTEMPT_OPTIONS.map((opt) => (
+              <button
+                key={opt.value}
+                type="button"
+                onClick={() => setRetryAttempts(opt.value)}
+                className={cn(
+                  "px-2 py-1 text-xs rounded-md transition-colors border",
+                  retryAttempts === opt.value
+                    ? "bg-primary/20 text-primary border-primary/30"
+                    : "bg-muted text-muted-foreground hover:text-foreground border-transparent"
+                )}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          {retryAttempts > 1 && (
+            <>
+              <div className="flex flex-wrap items-center gap-1 mt-1.5">
+                <span className="text-[11px] text-muted-foreground mr-1">First retry after</span>
+                {RETRY_BACKOFF_OPTIONS.map((opt) => (
+                  <button
+                    key={opt.value}
+                    type="button"
+                    onClick={() => setRetryBackoffMs(opt.value)}
+                    className={cn(
+                      "px-2 py-0.5 text-[11px] rounded-md transition-colors",
+                      retryBackoffMs === opt.value
+                        ? "bg-primary/20 text-primary"
+                        : "bg-muted text-muted-foreground hover:text-foreground"
+                    )}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+              <div className="flex flex-wrap items-center gap-1 mt-1.5">
+                <span className="text-[11px] text-muted-foreground mr-1">Retry on</span>
+                {RETRY_ERROR_CLASSES.map((opt) => (
+                  <button
+                    key={opt.value}
+                    type="button"
+                    onClick={() => setRetryOn((prev) => (
+                      prev.includes(opt.value) ? prev.filter((c) => c !== opt.value) : [...prev, opt.value]
+                    ))}
+                    className={cn(
+                      "px-2 py-0.5 text-[11px] rounded-md transition-colors",
+                      retryOn.includes(opt.value)
+                        ? "bg-primary/20 text-primary"
+                        : "bg-muted text-muted-foreground hover:text-foreground"
+                    )}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            {retryAttempts > 1
+              ? "The wait doubles after each attempt. Emails are sent once, after the last attempt."
+              : "Failed runs are not retried."}
+          </p>
+        </div>
+
+        {/* Overlap policy */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <Layers className="h-3 w-3" />
+            When Already Running
+          </label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {OVERLAP_POLICY_OPTIONS.map((opt) => (
+              <button
+                key={opt.value}
+                type="button"
+                onClick={() => setOverlapPolicy(opt.value)}
+                className={cn(
+                  "px-2 py-1 text-xs rounded-md transition-colors border",
+                  overlapPolicy === opt.value
+                    ? "bg-primary/20 text-primary border-primary/30"
+                    : "bg-muted text-muted-foreground hover:text-foreground border-transparent"
+                )}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            {OVERLAP_POLICY_OPTIONS.find((o) => o.value === overlapPolicy)?.description}
+          </p>
+        </div>
+
+        {/* Webhook source */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <Webhook className="h-3 w-3" />
+            Webhook Source
+          </label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {WEBHOOK_PROVIDER_OPTIONS.map((opt) => (
+              <button
+                key={opt.value}
+                type="button"
+                onClick={() => setWebhookProvider(opt.value)}
+                className={cn(
+                  "px-2 py-1 text-xs rounded-md transition-colors border",
+                  webhookProvider === opt.value
+                    ? "bg-primary/20 text-primary border-primary/30"
+                    : "bg-muted text-muted-foreground hover:text-foreground border-transparent"
+                )}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          {webhookProvider && (
+            <div className="space-y-1.5 mt-1.5">
+              <Input
+                value={webhookSecret}
+                onChange={(e) => setWebhookSecret(e.target.value)}
+                placeholder="Secret (generated if left blank)"
+                className="text-xs h-8 font-mono"
+              />
+              <Input
+                value={webhookEvents}
+                onChange={(e) => setWebhookEvents(e.target.value)}
+                placeholder={`Events, e.g. ${WEBHOOK_EVENT_PLACEHOLDERS[webhookProvider]} (all if empty)`}
+                className="text-xs h-8"
+              />
+              <div className="flex gap-1.5">
+                <Input
+                  value={webhookBranches}
+                  onChange={(e) => setWebhookBranches(e.target.value)}
+                  placeholder="Branches, e.g. main, release/*"
+                  className="text-xs h-8"
+                />
+                <Input
+                  value={webhookLabels}
+                  onChange={(e) => setWebhookLabels(e.target.value)}
+                  placeholder="Labels, e.g. needs-review"
+                  className="text-xs h-8"
+                />
+              </div>
+              <textarea
+                value={webhookVariables}
+                onChange={(e) => setWebhookVariables(e.target.value)}
+                placeholder={"Prompt variables, one per line:\nprTitle = pull_request.title\nprUrl = pull_request.html_url"}
+                className={cn(inputClass, "text-xs font-mono min-h-[60px] resize-y")}
+              />
+            </div>
+          )}
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            {WEBHOOK_PROVIDER_OPTIONS.find((o) => o.value === webhookProvider)?.description}
+            {webhookProvider && " Branch filters match the target branch of pull requests. Mapped fields and {{webhook.event}}, {{webhook.branch}} can be used in the prompt."}
+          </p>
+        </div>
+
         {/* Model */}
         <div>
           <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
@@ -287,6 +907,51 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
           </p>
         </div>
 
+        {/* Tool permissions */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <Shield className="h-3 w-3" />
+            Tool Permissions
+          </label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {PERMISSION_PROFILE_OPTIONS.map((opt) => (
+              <button
+                key={opt.value}
+                type="button"
+                onClick={() => setPermissionProfile(opt.value)}
+                className={cn(
+                  "px-2 py-1 text-xs rounded-md transition-colors border",
+                  permissionProfile === opt.value
+                    ? "bg-primary/20 text-primary border-primary/30"
+                    : "bg-muted text-muted-foreground hover:text-foreground border-transparent"
+                )}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          {usesAllowedCommands(permissionProfile) && (
+            <textarea
+              value={allowedCommands}
+              onChange={(e) => setAllowedCommands(e.target.value)}
+              placeholder={"Allowed command prefixes, one per line\nnpm test\ngit status"}
+              className={cn(inputClass, "mt-1.5 min-h-[72px] resize-y font-mono text-xs")}
+            />
+          )}
+          {permissionProfile === "ask" && (
+            <textarea
+              value={allowedPaths}
+              onChange={(e) => setAllowedPaths(e.target.value)}
+              placeholder={"Editable paths relative to the workspace\nsrc\ndocs/notes.md"}
+              className={cn(inputClass, "mt-1.5 min-h-[56px] resize-y font-mono text-xs")}
+            />
+          )}
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            {PERMISSION_PROFILE_OPTIONS.find((p) => p.value === permissionProfile)?.description}
+            {permissionProfile !== DEFAULT_PERMISSION_PROFILE && " Task runs cannot wait for approval, so held tool calls are denied automatically."}
+          </p>
+        </div>
+
         {/* Prompt */}
         <div>
           <label className="text-xs text-muted-foreground font-medium">Prompt</label>
@@ -298,7 +963,40 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
             required
           />
           <p className="text-[11px] text-muted-foreground/60 mt-1">
-            This prompt will be sent to a fresh Claude agent each time the task runs. The agent will have full access to the workspace directory.
+            This prompt will be sent to a fresh Claude agent each time the task runs. The agent works in the workspace directory with the tool permissions selected above.
+          </p>
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            Variables: <code>{"{{date}}"}</code>, <code>{"{{time}}"}</code>, <code>{"{{lastRunSummary}}"}</code>, <code>{"{{branch}}"}</code>, <code>{"{{gitLog since lastRun}}"}</code>, <code>{"{{payload}}"}</code>, and keys of a webhook's JSON body such as <code>{"{{pull_request.title}}"}</code>.
+          </p>
+          {promptPreview && (
+            <div className="mt-2 border border-border rounded-md">
+              <div className="px-3 py-1.5 bg-muted/50 border-b border-border text-[11px] font-medium text-muted-foreground">
+                Preview
+              </div>
+              <pre className="px-3 py-2 text-xs whitespace-pre-wrap text-foreground/80 max-h-48 overflow-y-auto">{promptPreview.rendered}</pre>
+              {promptPreview.unresolved?.length > 0 && (
+                <p className="px-3 pb-2 text-[11px] text-yellow-600 dark:text-yellow-500">
+                  Not resolved now: {promptPreview.unresolved.map((v) => `{{${v}}}`).join(", ")}. Webhook variables are filled in when a webhook triggers the run.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Output artifacts */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <Paperclip className="h-3 w-3" />
+            Output Artifacts (Optional)
+          </label>
+          <textarea
+            value={outputArtifacts}
+            onChange={(e) => setOutputArtifacts(e.target.value)}
+            placeholder={"Glob patterns, one per line\nreports/*.csv\ncoverage/**"}
+            className={cn(inputClass, "mt-1 min-h-[44px] resize-y font-mono text-xs")}
+          />
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            Matching files in the working directory are kept with each run, up to 25MB per file and 100MB per run, and linked from completion emails. Naming a folder keeps everything in it.
           </p>
         </div>
 
@@ -337,7 +1035,70 @@ export default function TaskForm({ open, onClose, onSubmit, initial }) {
             </p>
           )}
           <p className="text-[11px] text-muted-foreground/60 mt-1">
-            Comma-separated list. A summary link will be emailed after each run completes. Requires a Resend API token in Settings.
+            Comma-separated list. A summary link will be emailed after each run completes. Requires Resend or SMTP settings under Settings → Email.
+          </p>
+        </div>
+
+        {/* Notification channels */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <BellRing className="h-3 w-3" />
+            Notification Channels (Optional)
+          </label>
+          {availableChannels.length === 0 ? (
+            <p className="text-[11px] text-muted-foreground/60 mt-1">
+              Add Slack, Mattermost, Discord, webhook, ntfy or Gotify channels under Settings → Notifications.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {availableChannels.map((channel) => (
+                  <button
+                    key={channel.id}
+                    type="button"
+                    onClick={() => setNotificationChannels((prev) => (
+                      prev.includes(channel.id) ? prev.filter((id) => id !== channel.id) : [...prev, channel.id]
+                    ))}
+                    className={cn(
+                      "px-2 py-1 text-xs rounded-md border transition-colors",
+                      notificationChannels.includes(channel.id)
+                        ? "bg-primary/20 text-primary border-primary/30"
+                        : "bg-muted text-muted-foreground hover:text-foreground border-transparent"
+                    )}
+                  >
+                    {channel.name}
+                  </button>
+                ))}
+              </div>
+              <p className="text-[11px] text-muted-foreground/60 mt-1">
+                Selected channels are notified after the last attempt of each run, filtered by each channel's run statuses.
+              </p>
+            </>
+          )}
+        </div>
+
+        {/* Completion callbacks */}
+        <div>
+          <label className="text-xs text-muted-foreground font-medium flex items-center gap-1">
+            <Send className="h-3 w-3" />
+            Completion Callbacks (Optional)
+          </label>
+          <textarea
+            value={callbackUrls}
+            onChange={(e) => setCallbackUrls(e.target.value)}
+            placeholder={"Callback URLs, one per line\nhttps://ci.example.com/hooks/task-finished"}
+            className={cn(inputClass, "mt-1 min-h-[44px] resize-y font-mono text-xs")}
+          />
+          {callbackUrls.trim() && (
+            <Input
+              value={callbackSecret}
+              onChange={(e) => setCallbackSecret(e.target.value)}
+              placeholder="Signing secret (generated if left blank)"
+              className="text-xs h-8 font-mono mt-1.5"
+            />
+          )}
+          <p className="text-[11px] text-muted-foreground/60 mt-1">
+            Each URL receives a JSON POST when a run finishes, signed with HMAC-SHA256 of the body in X-Task-Signature-256. Failed deliveries are retried with backoff.
           </p>
         </div>
 
@@ -0,0 +1,98 @@
+import { useState, useEffect, useRef } from "react";
+import { Eye, Loader2, Square, X, CheckCircle, XCircle, AlertCircle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import RunConversation from "./RunConversation.jsx";
+import { useTaskRunWatch } from "@/hooks/useTaskRunWatch";
+import { formatRelativeTime } from "@/lib/cron";
+import { cn } from "@/lib/utils";
+
+const END_STATUS = {
+  success: { icon: CheckCircle, label: "Run finished", color: "text-green-500" },
+  error: { icon: XCircle, label: "Run failed", color: "text-red-500" },
+  interrupted: { icon: AlertCircle, label: "Run stopped", color: "text-yellow-500" },
+  timeout: { icon: AlertCircle, label: "Run timed out", color: "text-orange-500" },
+  budget_exceeded: { icon: AlertCircle, label: "Run over budget", color: "text-orange-500" },
+};
+
+/**
+ * Live view of a task run in progress: streams the run's agent events as a
+ * read-only chat, with a stop button wired to the task's stop endpoint.
+ */
+export default function TaskRunWatchPanel({ task, runId, ws, onStop, onClose, onViewRun, className }) {
+  const { events, state, endStatus, runId: watchedRunId } = useTaskRunWatch({
+    taskId: task.id,
+    runId,
+    send: ws?.send,
+    addWsListener: ws?.addWsListener,
+    connected: ws?.connected,
+  });
+  const [stopping, setStopping] = useState(false);
+  const endRef = useRef(null);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ block: "end" });
+  }, [events]);
+
+  async function handleStop() {
+    setStopping(true);
+    try {
+      await onStop(task.id);
+    } catch (err) {
+      alert(err.message || "Failed to stop task");
+    } finally {
+      setStopping(false);
+    }
+  }
+
+  const ended = state === "ended" || state === "not_running";
+  const end = END_STATUS[endStatus];
+  const EndIcon = end?.icon;
+
+  return (
+    <div className={cn("flex flex-col min-h-0 border border-border rounded-lg bg-card overflow-hidden", className)}>
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-border bg-muted/30">
+        {ended ? (
+          EndIcon ? <EndIcon className={cn("h-3.5 w-3.5 shrink-0", end.color)} /> : <Eye className="h-3.5 w-3.5 shrink-0 text-muted-foreground" />
+        ) : (
+          <Loader2 className="h-3.5 w-3.5 shrink-0 animate-spin text-yellow-500" />
+        )}
+        <div className="min-w-0 flex-1">
+          <div className="text-xs font-medium truncate">
+            {ended ? (end?.label || "Not running") : "Watching"} — {task.name}
+          </div>
+          {task.activeRun?.startedAt && !ended && (
+            <div className="text-[11px] text-muted-foreground">Started {formatRelativeTime(task.activeRun.startedAt)}</div>
+          )}
+        </div>
+        {!ended && (
+          <Button variant="destructive" size="sm" className="text-xs h-6" onClick={handleStop} disabled={stopping}>
+            {stopping ? <Loader2 className="h-3 w-3 animate-spin mr-1" /> : <Square className="h-3 w-3 mr-1 fill-current" />}
+            Stop
+          </Button>
+        )}
+        {ended && watchedRunId && onViewRun && (
+          <Button variant="outline" size="sm" className="text-xs h-6" onClick={() => onViewRun(watchedRunId)}>
+            View run
+          </Button>
+        )}
+        <Button variant="ghost" size="icon" className="h-6 w-6" onClick={onClose} title="Stop watching">
+          <X className="h-3.5 w-3.5" />
+        </Button>
+      </div>
+      <ScrollArea className="flex-1 min-h-0 p-3">
+        {state === "connecting" && events.length === 0 ? (
+          <div className="flex items-center justify-center py-8 text-xs text-muted-foreground">
+            <Loader2 className="h-4 w-4 animate-spin mr-2" />
+            Connecting to run...
+          </div>
+        ) : state === "not_running" && events.length === 0 ? (
+          <div className="py-8 text-center text-xs text-muted-foreground">This task is not running.</div>
+        ) : (
+          <RunConversation conversation={events} />
+        )}
+        <div ref={endRef} />
+      </ScrollArea>
+    </div>
+  );
+}
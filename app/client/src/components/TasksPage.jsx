@@ -1,17 +1,19 @@
 import { useState, useEffect, useCallback } from "react";
-import { Plus, ListTodo, CheckCircle, XCircle, Loader2, Pause, Play, Clock, BarChart3, Square } from "lucide-react";
+import { Plus, ListTodo, CheckCircle, XCircle, Loader2, Pause, Play, Clock, BarChart3, Square, Workflow } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { ScrollArea } from "@/components/ui/scroll-area";
 import { Badge } from "@/components/ui/badge";
 import TaskForm from "./TaskForm.jsx";
 import TaskDetail from "./TaskDetail.jsx";
 import RunDetailView from "./RunDetailView.jsx";
+import RunCompareView from "./RunCompareView.jsx";
 import RunsOverview from "./RunsOverview.jsx";
+import TaskChainView from "./TaskChainView.jsx";
 import { useTasks } from "@/hooks/useTasks";
 import { describeCron, formatRelativeTime } from "@/lib/cron";
 import { cn } from "@/lib/utils";
 
-export default function TasksPage() {
+export default function TasksPage({ ws }) {
   const {
     tasks,
     loading,
@@ -22,15 +24,19 @@ export default function TasksPage() {
     toggleTask,
     triggerTask,
     stopTask,
+    cancelQueuedRun,
     fetchRuns,
     fetchRunDetail,
     fetchAllRuns,
+    fetchCallbackDeliveries,
+    redeliverCallback,
+    compareRuns,
     setTasks,
     generateWebhookToken,
     revokeWebhookToken,
   } = useTasks();
 
-  const [view, setView] = useState("list"); // "list" | "detail" | "run" | "runs-overview"
+  const [view, setView] = useState("list"); // "list" | "detail" | "run" | "compare" | "runs-overview" | "pipelines"
   const [selectedTaskId, setSelectedTaskId] = useState(null);
   const [selectedRunId, setSelectedRunId] = useState(null);
   const [showForm, setShowForm] = useState(false);
@@ -44,17 +50,15 @@ export default function TasksPage() {
   }, [fetchTasks]);
 
   // Listen for WebSocket task_run_complete events
+  const addWsListener = ws?.addWsListener;
   useEffect(() => {
-    function handleMessage(event) {
-      try {
-        const msg = JSON.parse(event.data);
-        if (msg.type === "task_run_complete") {
-          fetchTasks();
-        }
-      } catch {}
-    }
-    return () => {};
-  }, [fetchTasks]);
+    if (!addWsListener) return;
+    return addWsListener((msg) => {
+      if (msg.type === "task_run_complete") {
+        fetchTasks();
+      }
+    });
+  }, [addWsListener, fetchTasks]);
 
   const selectedTask = tasks.find((t) => t.id === selectedTaskId);
 
@@ -79,6 +83,14 @@ export default function TasksPage() {
     setView("list");
   }
 
+  function handleCompareRun() {
+    setView("compare");
+  }
+
+  function handleBackToRun() {
+    setView("run");
+  }
+
   function handleBackToDetail() {
     setSelectedRunId(null);
     setView("detail");
@@ -89,6 +101,16 @@ export default function TasksPage() {
     setView("runs-overview");
   }
 
+  function handleViewRunFromPipelines(taskId, runId) {
+    setSelectedTaskId(taskId);
+    setSelectedRunId(runId);
+  }
+
+  function handleBackFromPipelineRun() {
+    setSelectedTaskId(null);
+    setSelectedRunId(null);
+  }
+
   function handleEdit(task) {
     setEditTask(task);
     setShowForm(true);
@@ -130,6 +152,34 @@ export default function TasksPage() {
         onBack={handleBackToList}
         onViewRun={handleViewRunFromOverview}
         fetchAllRuns={fetchAllRuns}
+        tasks={tasks}
+        onStop={stopTask}
+        onCancelQueued={cancelQueuedRun}
+        ws={ws}
+      />
+    );
+  }
+
+  // Pipelines (task chains)
+  if (view === "pipelines") {
+    if (selectedTaskId && selectedRunId) {
+      return (
+        <RunDetailView
+          scheduleId={selectedTaskId}
+          runId={selectedRunId}
+          scheduleName={tasks.find((t) => t.id === selectedTaskId)?.name || "Task"}
+          onBack={handleBackFromPipelineRun}
+          fetchRunDetail={fetchRunDetail}
+        />
+      );
+    }
+    return (
+      <TaskChainView
+        tasks={tasks}
+        onBack={handleBackToList}
+        onSelectTask={handleSelectTask}
+        onViewRun={handleViewRunFromPipelines}
+        fetchAllRuns={fetchAllRuns}
       />
     );
   }
@@ -142,11 +192,27 @@ export default function TasksPage() {
         runId={selectedRunId}
         scheduleName={selectedTask?.name || "Task"}
         onBack={handleBackToDetail}
+        onCompare={handleCompareRun}
         fetchRunDetail={fetchRunDetail}
       />
     );
   }
 
+  // Run comparison view
+  if (view === "compare" && selectedTaskId && selectedRunId) {
+    return (
+      <RunCompareView
+        taskId={selectedTaskId}
+        runId={selectedRunId}
+        taskName={selectedTask?.name || "Task"}
+        onBack={handleBackToRun}
+        onViewRun={handleViewRun}
+        fetchRuns={fetchRuns}
+        compareRuns={compareRuns}
+      />
+    );
+  }
+
   // Task detail view
   if (view === "detail" && selectedTask) {
     return (
@@ -159,8 +225,14 @@ export default function TasksPage() {
           onToggle={handleToggle}
           onTrigger={triggerTask}
           onStop={stopTask}
+          onCancelQueued={cancelQueuedRun}
           onViewRun={handleViewRun}
           fetchRuns={fetchRuns}
+          fetchCallbackDeliveries={fetchCallbackDeliveries}
+          onRedeliverCallback={redeliverCallback}
+          ws={ws}
+          tasks={tasks}
+          onSelectTask={handleSelectTask}
           onGenerateWebhookToken={generateWebhookToken}
           onRevokeWebhookToken={revokeWebhookToken}
         />
@@ -169,6 +241,7 @@ export default function TasksPage() {
           onClose={handleFormClose}
           onSubmit={handleFormSubmit}
           initial={editTask}
+          tasks={tasks}
         />
       </>
     );
@@ -187,6 +260,12 @@ export default function TasksPage() {
           )}
         </div>
         <div className="flex items-center gap-2">
+          {tasks.some((t) => t.nextTasks?.length > 0) && (
+            <Button size="sm" variant="outline" className="text-xs h-7" onClick={() => setView("pipelines")}>
+              <Workflow className="h-3 w-3 mr-1" />
+              Pipelines
+            </Button>
+          )}
           <Button size="sm" variant="outline" className="text-xs h-7" onClick={() => setView("runs-overview")}>
             <BarChart3 className="h-3 w-3 mr-1" />
             All Runs
@@ -251,7 +330,7 @@ export default function TasksPage() {
                     </div>
                     <div className="flex items-center gap-3 text-xs text-muted-foreground mt-0.5">
                       {task.cronExpression ? (
-                        <span>{describeCron(task.cronExpression)}</span>
+                        <span>{describeCron(task.cronExpression, task.timezone)}</span>
                       ) : (
                         <span>Manual execution</span>
                       )}
@@ -329,6 +408,7 @@ export default function TasksPage() {
         onClose={handleFormClose}
         onSubmit={handleFormSubmit}
         initial={editTask}
+        tasks={tasks}
       />
     </div>
   );
@@ -0,0 +1,107 @@
+import { useState } from "react";
+import { ShieldAlert, ShieldCheck, ShieldX, Check, CheckCheck, X } from "lucide-react";
+import { cn } from "@/lib/utils";
+import { Button } from "@/components/ui/button";
+
+function describeCall(tool, input) {
+  if (!input) return "";
+  if (tool === "Bash") return input.command || "";
+  if (input.file_path || input.path) return input.file_path || input.path;
+  if (input.pattern) return input.pattern;
+  if (input.url) return input.url;
+  return JSON.stringify(input);
+}
+
+/**
+ * A tool call that was held or denied by the agent's permission profile.
+ * Pending calls can be approved (once or always for this agent) or denied
+ * with an optional reason that is passed back to Claude; resolved ones show
+ * the outcome.
+ */
+export default function ToolApprovalCard({ approval, pending, onRespond }) {
+  const [submitted, setSubmitted] = useState(false);
+  const [denying, setDenying] = useState(false);
+  const [denyReason, setDenyReason] = useState("");
+  const { tool, input, reason, decision, auto, always, canAlwaysAllow } = approval;
+  const detail = describeCall(tool, input);
+  const isInteractive = pending && !submitted;
+
+  function respond(response) {
+    if (submitted) return;
+    setSubmitted(true);
+    onRespond?.(response);
+  }
+
+  const Icon = pending ? ShieldAlert : decision === "approved" ? ShieldCheck : ShieldX;
+  const title = pending
+    ? `${tool} needs approval`
+    : decision === "approved"
+      ? `${tool} approved`
+      : auto ? `${tool} blocked by permission profile` : `${tool} denied`;
+
+  return (
+    <div className={cn(
+      "max-w-full md:max-w-3/4 bg-card border rounded-lg overflow-hidden my-1",
+      isInteractive ? "border-amber-500/50 ring-1 ring-amber-500/20" : "border-border"
+    )}>
+      <div className="flex items-center gap-2 px-4 py-2.5 border-b border-border bg-muted/30">
+        <Icon className={cn(
+          "h-4 w-4 shrink-0",
+          pending ? "text-amber-500" : decision === "approved" ? "text-green-500" : "text-red-500"
+        )} />
+        <span className="text-sm font-medium">{title}</span>
+      </div>
+      <div className="px-4 py-2 space-y-1.5">
+        {detail && (
+          <pre className="text-xs font-mono bg-muted/50 rounded px-2 py-1.5 whitespace-pre-wrap break-all max-h-40 overflow-auto">{detail}</pre>
+        )}
+        {reason && <div className="text-xs text-muted-foreground">{reason}</div>}
+        {approval.denyReason && (
+          <div className="text-xs text-muted-foreground">
+            <span className="text-muted-foreground/60">Your reason:</span> {approval.denyReason}
+          </div>
+        )}
+        {always && <div className="text-xs text-green-600 dark:text-green-400">Always allowed for this agent</div>}
+      </div>
+      {isInteractive && !denying && (
+        <div className="flex flex-wrap justify-end gap-2 px-4 py-2 border-t border-border">
+          <Button size="sm" variant="outline" onClick={() => setDenying(true)} className="gap-1.5">
+            <X className="h-3.5 w-3.5" />
+            Deny
+          </Button>
+          {canAlwaysAllow && (
+            <Button size="sm" variant="outline" onClick={() => respond({ approved: true, always: true })} className="gap-1.5">
+              <CheckCheck className="h-3.5 w-3.5" />
+              Always allow
+            </Button>
+          )}
+          <Button size="sm" onClick={() => respond({ approved: true })} className="gap-1.5">
+            <Check className="h-3.5 w-3.5" />
+            Approve
+          </Button>
+        </div>
+      )}
+      {isInteractive && denying && (
+        <form
+          onSubmit={(e) => { e.preventDefault(); respond({ approved: false, reason: denyReason.trim() || null }); }}
+          className="flex gap-2 px-4 py-2 border-t border-border"
+        >
+          <input
+            autoFocus
+            value={denyReason}
+            onChange={(e) => setDenyReason(e.target.value)}
+            placeholder="Reason for Claude (optional)"
+            className="flex-1 min-w-0 px-2 py-1 text-xs rounded-md border border-input bg-background"
+          />
+          <Button type="button" size="sm" variant="ghost" onClick={() => setDenying(false)}>
+            Back
+          </Button>
+          <Button type="submit" size="sm" variant="destructive" className="gap-1.5">
+            <X className="h-3.5 w-3.5" />
+            Deny
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,13 @@
 import { useState, useCallback } from "react";
 
+// Insert or replace by id; the same agent can arrive both from our own POST
+// and from the server's agent_created push.
+function upsert(list, agent) {
+  return list.some((a) => a.id === agent.id)
+    ? list.map((a) => (a.id === agent.id ? { ...a, ...agent } : a))
+    : [...list, agent];
+}
+
 export function useAgents() {
   const [agents, setAgents] = useState([]);
   const [gitStatuses, setGitStatuses] = useState({}); // agentId -> { isRepo, branch, state, unpushed }
@@ -36,7 +44,7 @@ export function useAgents() {
     if (!res.ok) {
       throw new Error(data.error || "Failed to create agent");
     }
-    setAgents((prev) => [...prev, data]);
+    setAgents((prev) => upsert(prev, data));
     return data;
   }, []);
 
@@ -52,7 +60,7 @@ export function useAgents() {
     if (!res.ok) {
       throw new Error(data.error || "Failed to clone repository");
     }
-    setAgents((prev) => [...prev, data]);
+    setAgents((prev) => upsert(prev, data));
     return data;
   }, []);
 
@@ -67,9 +75,25 @@ export function useAgents() {
     );
   }, []);
 
+  // Apply server-pushed agent_created / agent_deleted events
+  const upsertAgent = useCallback((agent) => {
+    setAgents((prev) => upsert(prev, agent));
+  }, []);
+
+  const dropAgent = useCallback((id) => {
+    setAgents((prev) => prev.filter((a) => a.id !== id));
+    setGitStatuses((prev) => {
+      if (!(id in prev)) return prev;
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  }, []);
+
   const findAgentByWorkDir = useCallback(
     (workingDirectory) => {
-      return agents.find((a) => a.workingDirectory === workingDirectory) || null;
+      // Task runs and API sessions share project directories; never pick them
+      return agents.find((a) => a.workingDirectory === workingDirectory && !a.ephemeral) || null;
     },
     [agents]
   );
@@ -100,7 +124,7 @@ export function useAgents() {
     if (!res.ok) {
       throw new Error(data.error || "Failed to create worktree");
     }
-    setAgents((prev) => [...prev, data.agent]);
+    setAgents((prev) => upsert(prev, data.agent));
     return data;
   }, []);
 
@@ -160,6 +184,8 @@ export function useAgents() {
     cloneRepo,
     removeAgent,
     updateAgentStatus,
+    upsertAgent,
+    dropAgent,
     findAgentByWorkDir,
     fetchGitStatus,
     fetchAllGitStatuses,
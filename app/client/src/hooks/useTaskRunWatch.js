@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from "react";
+
+/**
+ * Stream the in-progress run of a task over the app WebSocket. Events that
+ * happened before subscribing are backfilled by the server; duplicates (after
+ * a reconnect) are dropped by eventIndex.
+ *
+ * state: "connecting" | "watching" | "not_running" | "ended"
+ */
+export function useTaskRunWatch({ taskId, runId = null, enabled = true, send, addWsListener, connected }) {
+  const [events, setEvents] = useState([]);
+  const [state, setState] = useState("connecting");
+  const [endStatus, setEndStatus] = useState(null);
+  const lastIndexRef = useRef(0);
+  const runIdRef = useRef(runId);
+
+  // Reset and listen whenever the watched run changes
+  useEffect(() => {
+    if (!enabled || !taskId || !addWsListener) return;
+    setEvents([]);
+    setState("connecting");
+    setEndStatus(null);
+    lastIndexRef.current = 0;
+    runIdRef.current = runId;
+
+    return addWsListener((msg) => {
+      if (msg.taskId !== taskId) return;
+      if (runIdRef.current && msg.runId && msg.runId !== runIdRef.current) return;
+
+      if (msg.type === "task_run_watching") {
+        runIdRef.current = msg.runId;
+        setState("watching");
+      } else if (msg.type === "task_run_not_running") {
+        setState((prev) => (prev === "ended" ? prev : "not_running"));
+      } else if (msg.type === "task_run_event") {
+        const index = msg.event?.eventIndex || 0;
+        if (index && index <= lastIndexRef.current) return;
+        lastIndexRef.current = Math.max(lastIndexRef.current, index);
+        setEvents((prev) => [...prev, msg.event]);
+      } else if (msg.type === "task_run_complete") {
+        setState("ended");
+        setEndStatus(msg.status);
+      }
+    });
+  }, [taskId, runId, enabled, addWsListener]);
+
+  // (Re)subscribe on every connect, resuming after the last event seen
+  useEffect(() => {
+    if (!enabled || !taskId || !connected || !send) return;
+    send({ type: "task_run_subscribe", taskId, runId: runIdRef.current, lastEventIndex: lastIndexRef.current });
+    return () => send({ type: "task_run_unsubscribe", taskId });
+  }, [taskId, runId, enabled, connected, send]);
+
+  return { events, state, endStatus, runId: runIdRef.current };
+}
@@ -66,8 +66,11 @@ export function useTasks() {
     const res = await fetch(`/api/tasks/${id}/trigger`, { method: "POST" });
     const data = await res.json();
     if (!res.ok) throw new Error(data.error || "Failed to trigger task");
-    // Mark as running locally
-    setTasks((prev) => prev.map((t) => (t.id === id ? { ...t, running: true } : t)));
+    // Mark as running (or queued behind the current run) locally
+    setTasks((prev) => prev.map((t) => {
+      if (t.id !== id) return t;
+      return data.queued ? { ...t, queuedRuns: (t.queuedRuns || 0) + 1 } : { ...t, running: true };
+    }));
     return data;
   }, []);
 
@@ -80,6 +83,17 @@ export function useTasks() {
     return data;
   }, []);
 
+  const cancelQueuedRun = useCallback(async (taskId, runId) => {
+    const res = await fetch(`/api/tasks/${taskId}/runs/${runId}`, { method: "DELETE" });
+    if (!res.ok) {
+      const data = await res.json();
+      throw new Error(data.error || "Failed to cancel queued run");
+    }
+    setTasks((prev) => prev.map((t) => (
+      t.id === taskId ? { ...t, queuedRuns: Math.max(0, (t.queuedRuns || 0) - 1) } : t
+    )));
+  }, []);
+
   const fetchRuns = useCallback(async (taskId, limit = 20) => {
     const res = await fetch(`/api/tasks/${taskId}/runs?limit=${limit}`);
     if (!res.ok) return [];
@@ -98,11 +112,33 @@ export function useTasks() {
     return res.json();
   }, []);
 
-  const validateCron = useCallback(async (cronExpression) => {
+  const fetchCallbackDeliveries = useCallback(async (taskId, limit = 50) => {
+    const res = await fetch(`/api/tasks/${taskId}/callback-deliveries?limit=${limit}`);
+    if (!res.ok) return [];
+    return res.json();
+  }, []);
+
+  const redeliverCallback = useCallback(async (taskId, deliveryId) => {
+    const res = await fetch(`/api/tasks/${taskId}/callback-deliveries/${deliveryId}/redeliver`, { method: "POST" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Failed to redeliver callback");
+    return data;
+  }, []);
+
+  const compareRuns = useCallback(async (taskId, headRunId, baseRunId = null) => {
+    const params = new URLSearchParams({ head: headRunId });
+    if (baseRunId) params.set("base", baseRunId);
+    const res = await fetch(`/api/tasks/${taskId}/compare?${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Failed to compare runs");
+    return data;
+  }, []);
+
+  const validateCron = useCallback(async (cronExpression, timezone = null) => {
     const res = await fetch("/api/tasks/validate-cron", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ cronExpression }),
+      body: JSON.stringify({ cronExpression, timezone }),
     });
     return res.json();
   }, []);
@@ -134,9 +170,13 @@ export function useTasks() {
     toggleTask,
     triggerTask,
     stopTask,
+    cancelQueuedRun,
     fetchRuns,
     fetchRunDetail,
     fetchAllRuns,
+    fetchCallbackDeliveries,
+    redeliverCallback,
+    compareRuns,
     validateCron,
     generateWebhookToken,
     revokeWebhookToken,
@@ -2,7 +2,16 @@
 
 const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
-export function describeCron(expression) {
+/**
+ * describeCron(expression, timezone?) — the timezone (IANA name) is appended
+ * when given, e.g. "Weekdays at 9:00 AM (Europe/Berlin)".
+ */
+export function describeCron(expression, timezone) {
+  const description = describeCronExpression(expression);
+  return timezone && description ? `${description} (${timezone})` : description;
+}
+
+function describeCronExpression(expression) {
   if (!expression) return "";
   const parts = expression.trim().split(/\s+/);
   if (parts.length < 5) return expression;
@@ -96,3 +105,24 @@ export function formatRelativeTime(timestamp) {
   if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
   return `${Math.floor(diff / 86400000)}d ago`;
 }
+
+// --- Timezones ---
+
+export function getLocalTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/** IANA timezone names known to the browser, for the timezone picker. */
+export function listTimezones() {
+  try {
+    const zones = Intl.supportedValuesOf("timeZone");
+    return zones.includes("UTC") ? zones : ["UTC", ...zones];
+  } catch {
+    return ["UTC", getLocalTimezone()];
+  }
+}
+
+/** Format a timestamp as wall-clock time in the given timezone (local when unset). */
+export function formatInTimezone(timestamp, timezone) {
+  return new Date(timestamp).toLocaleString(undefined, timezone ? { timeZone: timezone, timeZoneName: "short" } : undefined);
+}
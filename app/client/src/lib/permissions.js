@@ -0,0 +1,54 @@
+export const PERMISSION_PROFILE_OPTIONS = [
+  {
+    value: "full",
+    label: "Full access",
+    description: "Every tool runs without asking.",
+    shortLabel: "full",
+  },
+  {
+    value: "read-only",
+    label: "Read-only",
+    description: "Can read and search files. Edits and shell commands are denied.",
+    shortLabel: "read-only",
+  },
+  {
+    value: "no-bash",
+    label: "Edit, no shell",
+    description: "Can read and edit files. Shell commands are denied.",
+    shortLabel: "no-bash",
+  },
+  {
+    value: "allowlist",
+    label: "Allowlisted commands",
+    description: "Shell commands outside the allowlist need approval (denied for tasks and API sessions).",
+    shortLabel: "allowlist",
+  },
+  {
+    value: "ask",
+    label: "Ask before risky calls",
+    description: "Shell commands, git push and edits outside the allowed paths wait for your approval.",
+    shortLabel: "ask",
+  },
+];
+
+export const DEFAULT_PERMISSION_PROFILE = "full";
+
+export function getPermissionProfileLabel(value) {
+  const opt = PERMISSION_PROFILE_OPTIONS.find((p) => p.value === (value || DEFAULT_PERMISSION_PROFILE));
+  return opt ? opt.label : value;
+}
+
+export function getPermissionProfileShortLabel(value) {
+  const opt = PERMISSION_PROFILE_OPTIONS.find((p) => p.value === (value || DEFAULT_PERMISSION_PROFILE));
+  return opt ? opt.shortLabel : value;
+}
+
+/** Split a newline-separated textarea value (commands or paths) into entries. */
+export function parseListInput(text) {
+  return (text || "").split("\n").map((c) => c.trim()).filter(Boolean);
+}
+
+/** Profiles that take an allowlist of shell command prefixes. */
+export function usesAllowedCommands(profile) {
+  return profile === "allowlist" || profile === "ask";
+}
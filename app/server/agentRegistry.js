@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const PROFILES_DIR = "/home/node/.claude/profiles";
+const REGISTRY_FILENAME = "agents.json";
+
+function registryPath(profileId) {
+  const dir = path.join(PROFILES_DIR, profileId);
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, REGISTRY_FILENAME);
+}
+
+/**
+ * Load the persisted agent records for a profile.
+ * Returns an array of plain records (see serializeAgent in agents.js).
+ */
+export function loadAgentRecords(profileId) {
+  try {
+    const raw = fs.readFileSync(registryPath(profileId), "utf-8");
+    const data = JSON.parse(raw);
+    return Array.isArray(data.agents) ? data.agents : [];
+  } catch (err) {
+    // ENOENT is expected before the first agent is created for a profile
+    if (err && err.code !== "ENOENT") {
+      console.error(`[agentRegistry] Failed to load agents for profile ${profileId}:`, err.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Atomically replace the persisted agent records for a profile.
+ */
+export function saveAgentRecords(profileId, records) {
+  const filePath = registryPath(profileId);
+  const tmp = filePath + "." + crypto.randomBytes(4).toString("hex") + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify({ agents: records }, null, 2));
+  fs.renameSync(tmp, filePath);
+}
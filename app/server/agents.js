@@ -1,11 +1,82 @@
 import { query } from "@anthropic-ai/claude-agent-sdk";
 import { v4 as uuidv4 } from "uuid";
-import { mkdirSync } from "fs";
-import { loadConversation, appendEntry, loadConversationSlice, clearConversation } from "./storage.js";
+import { existsSync, mkdirSync } from "fs";
+import { loadConversation, appendEntry, loadConversationSlice, clearConversation, iterateEntriesReverse } from "./storage.js";
 import { recordUsage } from "./usage.js";
 import { loadEnvVarsForAgent } from "./envVars.js";
+import { loadAgentRecords, saveAgentRecords } from "./agentRegistry.js";
+import { evaluateToolPermission, alwaysAllowRule, DEFAULT_PERMISSION_PROFILE, MAX_APPROVED_COMMANDS } from "./permissions.js";
 
 const agents = new Map();
+const changeListeners = new Set(); // Set of callback functions
+
+/**
+ * Pick the fields of an agent that survive a restart. Runtime-only state
+ * (listeners, event buffer, abort controller, pending question) is dropped.
+ */
+function serializeAgent(agent) {
+  return {
+    id: agent.id,
+    name: agent.name,
+    workingDirectory: agent.workingDirectory,
+    profileId: agent.profileId,
+    status: agent.status,
+    sessionId: agent.sessionId,
+    continueSession: agent.continueSession,
+    interactiveQuestions: agent.interactiveQuestions,
+    model: agent.model,
+    permissionProfile: agent.permissionProfile,
+    allowedCommands: agent.allowedCommands,
+    approvedCommands: agent.approvedCommands,
+    allowedPaths: agent.allowedPaths,
+    createdAt: agent.createdAt,
+  };
+}
+
+/**
+ * Write every persistent agent of a profile to the on-disk registry.
+ * Ephemeral agents (task runs, API sessions) and agents without a profile
+ * are never persisted.
+ */
+function persistAgents(profileId) {
+  if (!profileId) return;
+  const records = [];
+  for (const agent of agents.values()) {
+    if (agent.profileId === profileId && !agent.ephemeral) {
+      records.push(serializeAgent(agent));
+    }
+  }
+  try {
+    saveAgentRecords(profileId, records);
+  } catch (err) {
+    console.error(`[agents] Failed to persist agents for profile ${profileId}:`, err.message);
+  }
+}
+
+function persistAgent(agent) {
+  if (agent.ephemeral) return;
+  persistAgents(agent.profileId);
+}
+
+/**
+ * Notify change listeners (used to push agent_created / agent_deleted /
+ * agent_status_changed to the owning profile's sockets).
+ */
+function notifyChange(type, agent) {
+  for (const cb of changeListeners) {
+    try {
+      cb({ type, agent });
+    } catch {}
+  }
+}
+
+/** Update an agent's status, persist it and notify listeners. */
+function setStatus(agent, status) {
+  if (agent.status === status) return;
+  agent.status = status;
+  persistAgent(agent);
+  notifyChange("agent_status_changed", agent);
+}
 
 /**
  * Strip <thinking>...</thinking> blocks from text, returning the clean text.
@@ -29,53 +100,197 @@ function extractThinking(text) {
   return blocks;
 }
 
-export function createAgent(name, workingDirectory, profileId, continueSession = false) {
-  const id = uuidv4();
-  const agent = {
-    id,
-    name,
-    workingDirectory,
-    profileId: profileId || null,
-    status: "idle",
+function buildAgent(fields) {
+  return {
+    id: fields.id,
+    name: fields.name,
+    workingDirectory: fields.workingDirectory,
+    profileId: fields.profileId || null,
+    status: fields.status || "idle",
     history: [],
-    sessionId: null,
-    continueSession,            // When true, first message uses SDK options.continue to recover previous session
+    sessionId: fields.sessionId || null,
+    continueSession: !!fields.continueSession, // When true, first message uses SDK options.continue to recover previous session
+    ephemeral: !!fields.ephemeral, // Ephemeral agents (task runs, API sessions) are not written to the registry
+    source: fields.source || null, // "task" | "api" for ephemeral agents; shown read-only in the UI
+    createdAt: fields.createdAt || Date.now(),
     abortController: null,
     textBuffer: "",
-    interactiveQuestions: true,
+    interactiveQuestions: fields.interactiveQuestions !== undefined ? !!fields.interactiveQuestions : true,
     pendingQuestion: null,
-    model: null,               // Model override (e.g. "claude-opus-4-7")
+    model: fields.model || null, // Model override (e.g. "claude-opus-4-7")
+    permissionProfile: fields.permissionProfile || DEFAULT_PERMISSION_PROFILE,
+    allowedCommands: Array.isArray(fields.allowedCommands) ? fields.allowedCommands : [],
+    approvedCommands: Array.isArray(fields.approvedCommands) ? fields.approvedCommands : [], // exact matches from "always allow"
+    allowedPaths: Array.isArray(fields.allowedPaths) ? fields.allowedPaths : [],
+    runPolicy: null,           // Policy snapshot the current run checks tool calls against
+    nonInteractive: false,     // Held tool calls are auto-denied (task runs, API sessions)
+    maxTurns: null,            // SDK turn cap per message (task run limits)
+    maxBudgetUsd: null,        // SDK spend cap per message (task run limits)
+    pendingApprovals: new Map(), // toolUseId -> { tool, input, reason, canAlwaysAllow, resolve, reject }
+    messageQueue: [],          // FIFO of { text, attachments, messageId, queuedAt } sent while busy
     listeners: new Set(),      // Set of callback functions
     eventBuffer: [],           // Array of { index, event } for reconnect backfill
     eventIndex: 0,             // Monotonically increasing event counter
     lastInputTokens: 0,       // Latest input_tokens from API (= current context usage)
     contextWindow: 0,          // Context window size from last SDK result
   };
-  agents.set(id, agent);
+}
+
+/**
+ * Create a new agent. Pass `{ ephemeral: true }` for agents that should not
+ * be restored after a restart (task runs, API session agents), with `source`
+ * saying which.
+ */
+export function createAgent(name, workingDirectory, profileId, continueSession = false, { ephemeral = false, source = null } = {}) {
+  const agent = buildAgent({ id: uuidv4(), name, workingDirectory, profileId, continueSession, ephemeral, source });
+  agents.set(agent.id, agent);
+  persistAgent(agent);
+  notifyChange("agent_created", agent);
   return agent;
 }
 
+/**
+ * Reload persisted agents for the given profiles. Agents that were busy when
+ * the server went down are marked "interrupted"; their last SDK session id is
+ * kept so the next message resumes it through options.resume.
+ */
+export function restoreAgents(profileIds) {
+  let restored = 0;
+  for (const profileId of profileIds) {
+    const records = loadAgentRecords(profileId);
+    let changed = false;
+    for (const record of records) {
+      if (!record || !record.id || agents.has(record.id)) continue;
+      if (!record.workingDirectory || !existsSync(record.workingDirectory)) {
+        console.warn(`[agents] Dropping persisted agent ${record.id} (${record.name}): working directory is gone`);
+        changed = true;
+        continue;
+      }
+      const status = record.status === "busy" ? "interrupted" : (record.status || "idle");
+      if (status !== record.status) changed = true;
+      const agent = buildAgent({ ...record, profileId, status });
+      // Hydrate the context gauge from stored history so it shows immediately
+      hydrateAgentContextInfo(agent);
+      agents.set(agent.id, agent);
+      restored++;
+    }
+    if (changed) persistAgents(profileId);
+  }
+  if (restored > 0) console.log(`[agents] Restored ${restored} agent(s) from disk`);
+  return restored;
+}
+
 export function getAgent(id) {
   return agents.get(id);
 }
 
+/** The client-facing fields of an agent, as returned by GET /api/agents. */
+export function summarizeAgent(agent) {
+  return {
+    id: agent.id,
+    name: agent.name,
+    workingDirectory: agent.workingDirectory,
+    status: agent.status,
+    interactiveQuestions: agent.interactiveQuestions,
+    profileId: agent.profileId,
+    model: agent.model || null,
+    continueSession: agent.continueSession || false,
+    permissionProfile: agent.permissionProfile,
+    allowedCommands: agent.allowedCommands,
+    approvedCommands: agent.approvedCommands,
+    allowedPaths: agent.allowedPaths,
+    ephemeral: agent.ephemeral,
+    source: agent.source,
+  };
+}
+
 export function listAgents(profileId) {
   let all = Array.from(agents.values());
   if (profileId) {
     all = all.filter((a) => a.profileId === profileId);
   }
-  return all.map(({ id, name, workingDirectory, status, interactiveQuestions, profileId: pid, model, continueSession }) => ({
-    id,
-    name,
-    workingDirectory,
-    status,
-    interactiveQuestions,
-    profileId: pid,
-    model: model || null,
-    continueSession: continueSession || false,
+  return all.map(summarizeAgent);
+}
+
+export function onAgentChange(listener) {
+  changeListeners.add(listener);
+}
+
+export function offAgentChange(listener) {
+  changeListeners.delete(listener);
+}
+
+/** Queue entries as sent to clients (attachment metadata only, no binary data). */
+function describeQueue(agent) {
+  return agent.messageQueue.map(({ text, attachments, messageId, queuedAt }) => ({
+    text,
+    attachments: attachments?.map((a) => ({ name: a.name, type: a.type, mediaType: a.mediaType })) || null,
+    messageId,
+    queuedAt,
   }));
 }
 
+/**
+ * Send a queue change to the agent's subscribers. Not buffered with the run's
+ * events: each carries the whole queue, so a late subscriber only needs the
+ * current state (GET /api/agents/:id/queue).
+ */
+function emitQueueEvent(agent, event) {
+  const payload = { ...event, queue: describeQueue(agent), queueLength: agent.messageQueue.length };
+  for (const listener of agent.listeners) {
+    try { listener(payload); } catch (err) {
+      console.error('[agents] listener error:', err.message);
+    }
+  }
+}
+
+/**
+ * Queue a message for a busy agent. It is sent when the current run ends,
+ * whether or not any client is still connected. Returns the queue length.
+ */
+export function enqueueMessage(id, text, attachments = null, messageId = null) {
+  const agent = agents.get(id);
+  if (!agent) throw new Error("Agent not found");
+  agent.messageQueue.push({ text, attachments, messageId: messageId || uuidv4(), queuedAt: Date.now() });
+  emitQueueEvent(agent, { type: "message_queued", text });
+  return agent.messageQueue.length;
+}
+
+export function getQueue(id) {
+  const agent = agents.get(id);
+  return agent ? describeQueue(agent) : [];
+}
+
+/**
+ * Drop one queued message by position, or the whole queue when `index` is
+ * omitted. Returns the number of messages removed.
+ */
+export function removeQueuedMessages(id, index = null) {
+  const agent = agents.get(id);
+  if (!agent || agent.messageQueue.length === 0) return 0;
+  let removed;
+  if (index == null) {
+    removed = agent.messageQueue.splice(0);
+  } else {
+    if (index < 0 || index >= agent.messageQueue.length) return 0;
+    removed = agent.messageQueue.splice(index, 1);
+  }
+  for (const entry of removed) {
+    emitQueueEvent(agent, { type: "message_dequeued", text: entry.text, messageId: entry.messageId, reason: "cancelled" });
+  }
+  return removed.length;
+}
+
+/** Start the next queued message once the agent is free. */
+function drainQueue(agent) {
+  if (agent.status === "busy" || agent.messageQueue.length === 0 || !agents.has(agent.id)) return;
+  const next = agent.messageQueue.shift();
+  emitQueueEvent(agent, { type: "message_dequeued", text: next.text, messageId: next.messageId, reason: "sent" });
+  sendMessage(agent.id, next.text, next.attachments, next.messageId).catch((err) => {
+    console.error(`[agents] Queued message failed for agent ${agent.id}:`, err.message);
+  });
+}
+
 export function abortAgent(id) {
   const agent = agents.get(id);
   if (!agent || !agent.abortController) return false;
@@ -89,7 +304,11 @@ export function deleteAgent(id) {
   if (agent.abortController) {
     agent.abortController.abort();
   }
+  // Tell subscribers the queued messages were dropped, while they are still listening
+  removeQueuedMessages(id);
   agents.delete(id);
+  persistAgent(agent);
+  notifyChange("agent_deleted", agent);
   return true;
 }
 
@@ -97,20 +316,20 @@ export function deleteAgent(id) {
  * Compute the latest context-window info from the full (unpaginated) conversation.
  * This is needed so that a restored / resumed session can show the context gauge
  * even when the relevant "stats" entry falls outside the paginated window.
+ *
+ * Takes entries newest-first and stops at the first context_cleared marker, so
+ * only the tail of a long conversation is ever read from disk.
  */
-function deriveLastContextInfo(allEntries) {
-  let lastClearIdx = -1;
-  for (let i = allEntries.length - 1; i >= 0; i--) {
-    if (allEntries[i].type === "context_cleared") { lastClearIdx = i; break; }
-  }
-  for (let i = allEntries.length - 1; i > lastClearIdx; i--) {
-    if (allEntries[i].type === "stats") {
-      const mu = allEntries[i].modelUsage;
+function deriveLastContextInfo(entriesNewestFirst) {
+  for (const entry of entriesNewestFirst) {
+    if (entry.type === "context_cleared") return null;
+    if (entry.type === "stats") {
+      const mu = entry.modelUsage;
       if (mu) {
         const models = Object.values(mu);
         const cw = models.find(m => m.contextWindow)?.contextWindow;
         if (cw) {
-          const u = allEntries[i].usage || {};
+          const u = entry.usage || {};
           return { contextWindow: cw, used: u.input_tokens || 0 };
         }
       }
@@ -120,12 +339,14 @@ function deriveLastContextInfo(allEntries) {
 }
 
 /**
- * Hydrate an agent's in-memory context info from a stored conversation array.
+ * Hydrate an agent's in-memory context info from its stored conversation.
  * Called when an agent is created for an existing workspace so the context gauge
  * is available immediately without waiting for the first API call.
+ * Reads the conversation from disk unless the entries are passed in.
  */
 export function hydrateAgentContextInfo(agent, allEntries) {
-  const info = deriveLastContextInfo(allEntries);
+  const entries = allEntries ? [...allEntries].reverse() : iterateEntriesReverse(agent.workingDirectory);
+  const info = deriveLastContextInfo(entries);
   if (info) {
     agent.lastInputTokens = info.used;
     agent.contextWindow = info.contextWindow;
@@ -141,8 +362,7 @@ export function getHistory(id, limit, offset) {
     // the *full* conversation so the client can display the context gauge
     // immediately, even if the stats entry isn't in the paginated window.
     if (offset === 0) {
-      const all = loadConversation(agent.workingDirectory);
-      slice.lastContextInfo = deriveLastContextInfo(all);
+      slice.lastContextInfo = deriveLastContextInfo(iterateEntriesReverse(agent.workingDirectory));
     }
     return slice;
   }
@@ -161,6 +381,7 @@ export function clearContext(id) {
     type: "context_cleared",
     timestamp: Date.now(),
   });
+  persistAgent(agent);
   return true;
 }
 
@@ -171,6 +392,7 @@ export function clearHistory(id) {
   agent.history = [];
   agent.continueSession = false;
   clearConversation(agent.workingDirectory);
+  persistAgent(agent);
   return true;
 }
 
@@ -178,6 +400,7 @@ export function setInteractiveQuestions(id, value) {
   const agent = agents.get(id);
   if (!agent) return false;
   agent.interactiveQuestions = !!value;
+  persistAgent(agent);
   return true;
 }
 
@@ -185,9 +408,74 @@ export function setAgentModel(id, model) {
   const agent = agents.get(id);
   if (!agent) return false;
   agent.model = model || null;
+  persistAgent(agent);
+  return true;
+}
+
+/** Copy of an agent's permission fields, taken when a run starts. */
+function snapshotPermissionPolicy(agent) {
+  return {
+    permissionProfile: agent.permissionProfile,
+    allowedCommands: [...agent.allowedCommands],
+    approvedCommands: [...agent.approvedCommands],
+    allowedPaths: [...agent.allowedPaths],
+  };
+}
+
+/**
+ * Set the tool permission policy. Expects an already-validated policy
+ * (see normalizePermissions in permissions.js). A run in progress keeps the
+ * policy it started with; the new one applies from the next message.
+ */
+export function setPermissionPolicy(id, { permissionProfile, allowedCommands, approvedCommands, allowedPaths }) {
+  const agent = agents.get(id);
+  if (!agent) return false;
+  agent.permissionProfile = permissionProfile;
+  agent.allowedCommands = allowedCommands;
+  agent.approvedCommands = approvedCommands;
+  agent.allowedPaths = allowedPaths;
+  persistAgent(agent);
   return true;
 }
 
+/**
+ * Resolve a held tool call. `reason` is passed back to Claude when denying;
+ * `always` also records the call (the exact command, or the file path) so
+ * later identical calls run without asking. Returns false if there is no such pending call
+ * (already answered, or the run ended).
+ */
+export function answerToolApproval(id, toolUseId, { approved, reason, always }) {
+  const agent = agents.get(id);
+  const pending = agent?.pendingApprovals.get(toolUseId);
+  if (!pending) return false;
+  if (approved && always) {
+    const rule = alwaysAllowRule(pending.tool, pending.input, agent.workingDirectory);
+    // Also covers the rest of this run, which checks against its own snapshot
+    for (const policy of [agent, agent.runPolicy].filter(Boolean)) {
+      if (rule?.approvedCommands) {
+        policy.approvedCommands = [...new Set([...policy.approvedCommands, ...rule.approvedCommands])].slice(-MAX_APPROVED_COMMANDS);
+      }
+      if (rule?.allowedPaths) policy.allowedPaths = [...new Set([...policy.allowedPaths, ...rule.allowedPaths])];
+    }
+    if (rule) persistAgent(agent);
+  }
+  pending.resolve({
+    approved: !!approved,
+    reason: typeof reason === "string" && reason.trim() ? reason.trim() : null,
+    always: !!(approved && always),
+  });
+  return true;
+}
+
+/** Held tool calls still waiting for an answer, oldest first. */
+export function getPendingApprovals(id) {
+  const agent = agents.get(id);
+  if (!agent) return [];
+  return Array.from(agent.pendingApprovals, ([toolUseId, { tool, input, reason, canAlwaysAllow }]) => ({
+    toolUseId, tool, input, reason, canAlwaysAllow,
+  }));
+}
+
 export function answerQuestion(id, answers) {
   const agent = agents.get(id);
   if (!agent || !agent.pendingQuestion) return false;
@@ -231,12 +519,81 @@ function formatUserAnswer(toolInput, answers) {
   return lines.join("\n");
 }
 
-export async function sendMessage(id, text, attachments = null) {
+function permissionResult(decision, reason) {
+  return {
+    hookSpecificOutput: {
+      hookEventName: "PreToolUse",
+      permissionDecision: decision,
+      permissionDecisionReason: reason,
+    },
+  };
+}
+
+/**
+ * PreToolUse hook body for permission profiles. Denied calls are recorded as
+ * a tool_approval entry; held calls wait for answerToolApproval, or are
+ * denied straight away when nobody can answer (non-interactive agents).
+ */
+async function checkToolPermission(agent, emit, hookInput, toolUseId, signal) {
+  const tool = hookInput.tool_name;
+  const input = hookInput.tool_input;
+  const { decision, reason } = evaluateToolPermission(agent.runPolicy || agent, tool, input, agent.workingDirectory);
+  if (decision === "allow") return permissionResult("allow");
+
+  let approved = false;
+  let auto = true;
+  let response = {};
+  if (decision === "ask" && !agent.nonInteractive) {
+    const canAlwaysAllow = !!alwaysAllowRule(tool, input, agent.workingDirectory);
+    emit({ type: "tool_approval_pending", toolUseId, tool, input, reason, canAlwaysAllow });
+    try {
+      response = await new Promise((resolve, reject) => {
+        agent.pendingApprovals.set(toolUseId, { tool, input, reason, canAlwaysAllow, resolve, reject });
+        signal.addEventListener("abort", () => reject(new Error("Aborted")));
+      });
+    } finally {
+      agent.pendingApprovals.delete(toolUseId);
+    }
+    approved = response.approved;
+    auto = false;
+  }
+
+  const entry = {
+    type: "tool_approval",
+    toolUseId,
+    tool,
+    input,
+    decision: approved ? "approved" : "denied",
+    reason: reason || null,
+    auto,
+    always: !!response.always,
+    denyReason: response.reason || null,
+    timestamp: Date.now(),
+  };
+  appendEntry(agent.workingDirectory, entry);
+  emit(entry);
+
+  if (approved) return permissionResult("allow", "Approved by the user");
+  if (auto) {
+    return permissionResult("deny", decision === "ask"
+      ? `${reason}. This session cannot ask for approval, so the call was denied.`
+      : reason);
+  }
+  return permissionResult("deny", response.reason
+    ? `The user denied this tool call: ${response.reason}`
+    : "The user denied this tool call");
+}
+
+/**
+ * Run one turn. `messageId` identifies the user message in history and in its
+ * echo, so clients that already show it (the sender) can tell repeats apart.
+ */
+export async function sendMessage(id, text, attachments = null, messageId = null) {
   const agent = agents.get(id);
   if (!agent) throw new Error("Agent not found");
   if (agent.status === "busy") throw new Error("Agent is busy");
 
-  agent.status = "busy";
+  setStatus(agent, "busy");
   agent.eventBuffer = [];
   agent.eventIndex = 0;
   agent.history.push({ role: "user", content: text, timestamp: Date.now() });
@@ -263,17 +620,21 @@ export async function sendMessage(id, text, attachments = null) {
   emit({ type: "agent_status", status: "busy" });
 
   // Persist user message (store attachment metadata only, no binary data)
-  const storageEntry = { type: "user", text, timestamp: Date.now() };
+  const storageEntry = { type: "user", text, messageId: messageId || uuidv4(), timestamp: Date.now() };
   if (attachments && attachments.length > 0) {
     storageEntry.attachments = attachments.map((a) => ({ name: a.name, type: a.type, mediaType: a.mediaType }));
   }
   appendEntry(agent.workingDirectory, storageEntry);
+  // Echo it so every subscribed client shows the turn, not just the sender
+  emit({ ...storageEntry, type: "user_message" });
 
   // Ensure working directory exists (spawn fails with ENOENT if cwd is missing)
   mkdirSync(agent.workingDirectory, { recursive: true });
 
   const abortController = new AbortController();
   agent.abortController = abortController;
+  // Settings changed mid-run (e.g. on a task or API agent) must not loosen it
+  agent.runPolicy = snapshotPermissionPolicy(agent);
 
   try {
     const options = {
@@ -290,6 +651,10 @@ export async function sendMessage(id, text, attachments = null) {
       options.model = agent.model;
     }
 
+    // Per-message caps; the SDK ends the query with an error_max_* result
+    if (agent.maxTurns) options.maxTurns = agent.maxTurns;
+    if (agent.maxBudgetUsd) options.maxBudgetUsd = agent.maxBudgetUsd;
+
     // Inject profile-scoped environment variables (secrets, API tokens, etc.)
     // so the agent's tool executions (bash, git, curl, etc.) have access to them.
     const envVars = loadEnvVarsForAgent(agent.profileId);
@@ -299,34 +664,46 @@ export async function sendMessage(id, text, attachments = null) {
       options.env = { ...process.env, ...envVars };
     }
 
+    const preToolUse = [];
+
     // Add PreToolUse hook for interactive questions
     if (agent.interactiveQuestions) {
-      options.hooks = {
-        PreToolUse: [{
-          matcher: "AskUserQuestion",
-          hooks: [async (hookInput, toolUseId, { signal }) => {
-            // Send question_pending event to client
-            emit({ type: "question_pending", input: hookInput.tool_input, toolUseId });
-
-            // Wait for user's answer via Promise
-            const answer = await new Promise((resolve, reject) => {
-              agent.pendingQuestion = { resolve, reject };
-              agent._pendingQuestionInput = hookInput.tool_input;
-              agent._pendingQuestionToolUseId = toolUseId;
-              signal.addEventListener("abort", () => reject(new Error("Aborted")));
-            });
-            agent.pendingQuestion = null;
-            agent._pendingQuestionInput = null;
-            agent._pendingQuestionToolUseId = null;
-
-            // Block the tool with user's answer in the reason
-            return {
-              decision: "block",
-              reason: formatUserAnswer(hookInput.tool_input, answer),
-            };
-          }],
+      preToolUse.push({
+        matcher: "AskUserQuestion",
+        hooks: [async (hookInput, toolUseId, { signal }) => {
+          // Send question_pending event to client
+          emit({ type: "question_pending", input: hookInput.tool_input, toolUseId });
+
+          // Wait for user's answer via Promise
+          const answer = await new Promise((resolve, reject) => {
+            agent.pendingQuestion = { resolve, reject };
+            agent._pendingQuestionInput = hookInput.tool_input;
+            agent._pendingQuestionToolUseId = toolUseId;
+            signal.addEventListener("abort", () => reject(new Error("Aborted")));
+          });
+          agent.pendingQuestion = null;
+          agent._pendingQuestionInput = null;
+          agent._pendingQuestionToolUseId = null;
+
+          // Block the tool with user's answer in the reason
+          return {
+            decision: "block",
+            reason: formatUserAnswer(hookInput.tool_input, answer),
+          };
         }],
-      };
+      });
+    }
+
+    // Enforce the agent's tool permission profile on every tool call
+    if (agent.runPolicy.permissionProfile !== DEFAULT_PERMISSION_PROFILE) {
+      preToolUse.push({
+        hooks: [(hookInput, toolUseId, { signal }) =>
+          checkToolPermission(agent, emit, hookInput, toolUseId || hookInput.tool_use_id, signal)],
+      });
+    }
+
+    if (preToolUse.length > 0) {
+      options.hooks = { PreToolUse: preToolUse };
     }
 
     if (agent.sessionId) {
@@ -398,7 +775,10 @@ export async function sendMessage(id, text, attachments = null) {
 
       // Capture session ID
       if (message.type === "system" && message.subtype === "init") {
-        agent.sessionId = message.session_id;
+        if (agent.sessionId !== message.session_id) {
+          agent.sessionId = message.session_id;
+          persistAgent(agent);
+        }
       }
 
       // Ignore non-actionable system messages
@@ -564,7 +944,7 @@ export async function sendMessage(id, text, attachments = null) {
   } catch (err) {
     if (err.name !== "AbortError") {
       console.error(`[agents] Agent ${agent.id} (${agent.name}) error:`, err);
-      agent.status = "error";
+      setStatus(agent, "error");
       const errorEntry = {
         type: "error",
         message: err.message,
@@ -588,9 +968,12 @@ export async function sendMessage(id, text, attachments = null) {
     emit({ type: "done", result: "", cost: null, usage: null, modelUsage: null, numTurns: 0, durationMs: 0 });
   } finally {
     agent.abortController = null;
+    agent.runPolicy = null;
     agent.pendingQuestion = null;
     agent._pendingQuestionInput = null;
     agent._pendingQuestionToolUseId = null;
-    if (agent.status === "busy") agent.status = "idle";
+    agent.pendingApprovals.clear();
+    if (agent.status === "busy") setStatus(agent, "idle");
+    drainQueue(agent);
   }
 }
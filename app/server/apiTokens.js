@@ -2,6 +2,7 @@ import fs from "fs";
 import path from "path";
 import crypto from "crypto";
 import { getProfilePaths } from "./profiles.js";
+import { normalizePermissions, DEFAULT_PERMISSION_PROFILE } from "./permissions.js";
 
 const PROFILES_DIR = "/home/node/.claude/profiles";
 const LEGACY_DIR = "/home/node/.claude/git";
@@ -84,10 +85,13 @@ export function validateWorkingDirectoryForProfile(profileId, workingDirectory)
  * List all tokens for a profile. Does not expose the raw token value.
  */
 export function listApiTokens(profileId) {
-  return loadTokens(profileId).map(({ id, label, workingDirectory, createdAt, lastUsedAt }) => ({
+  return loadTokens(profileId).map(({ id, label, workingDirectory, permissionProfile, allowedCommands, allowedPaths, createdAt, lastUsedAt }) => ({
     id,
     label,
     workingDirectory: workingDirectory || null,
+    permissionProfile: permissionProfile || DEFAULT_PERMISSION_PROFILE,
+    allowedCommands: allowedCommands || [],
+    allowedPaths: allowedPaths || [],
     createdAt,
     lastUsedAt: lastUsedAt || null,
   }));
@@ -98,10 +102,11 @@ export function listApiTokens(profileId) {
  * Tokens are bound to a workspace directory, not a specific agent. An ephemeral
  * agent is created on demand when the token is used.
  */
-export function createApiToken(profileId, { label, workingDirectory }) {
+export function createApiToken(profileId, { label, workingDirectory, permissionProfile, allowedCommands, allowedPaths }) {
   const trimmedLabel = (label || "").trim();
   if (!trimmedLabel) throw new Error("Label is required");
   const normalizedWd = validateWorkingDirectoryForProfile(profileId, workingDirectory);
+  const permissions = normalizePermissions({ permissionProfile, allowedCommands, allowedPaths });
 
   const tokens = loadTokens(profileId);
 
@@ -113,6 +118,7 @@ export function createApiToken(profileId, { label, workingDirectory }) {
     id,
     label: trimmedLabel,
     workingDirectory: normalizedWd,
+    ...permissions,
     tokenHash: hashToken(rawToken),
     createdAt: Date.now(),
     lastUsedAt: null,
@@ -125,6 +131,7 @@ export function createApiToken(profileId, { label, workingDirectory }) {
     id,
     label: trimmedLabel,
     workingDirectory: normalizedWd,
+    ...permissions,
     token: rawToken, // only returned on creation
     createdAt: entry.createdAt,
   };
@@ -145,7 +152,7 @@ export function deleteApiToken(profileId, tokenId) {
  * Resolve a raw bearer token to its entry. Searches across ALL profiles,
  * since API clients authenticate only by the token string.
  *
- * Returns { profileId, id, label, workingDirectory } or null.
+ * Returns { profileId, id, label, workingDirectory, permissionProfile, allowedCommands, allowedPaths } or null.
  * Also updates lastUsedAt.
  */
 export function resolveApiToken(rawToken) {
@@ -177,6 +184,9 @@ export function resolveApiToken(rawToken) {
         id: found.id,
         label: found.label,
         workingDirectory: found.workingDirectory,
+        permissionProfile: found.permissionProfile || DEFAULT_PERMISSION_PROFILE,
+        allowedCommands: found.allowedCommands || [],
+        allowedPaths: found.allowedPaths || [],
       };
     }
   }
@@ -1,32 +1,83 @@
 import { Resend } from "resend";
 import { loadResendConfig } from "./resendConfig.js";
+import { loadSmtpConfig } from "./smtpConfig.js";
+import { sendSmtpMail } from "./smtp.js";
 
 const DEFAULT_FROM = "Claude Tasks <onboarding@resend.dev>";
+const MAX_LINKED_ARTIFACTS = 20;
+
+export const EMAIL_TRANSPORTS = ["smtp", "resend"];
 
 /**
- * Send task completion notification emails via Resend.
- *
- * @param {string} profileId - The profile that owns the task
- * @param {object} task - The task object (must have .name, .emails)
- * @param {object} runEntry - The run entry ({ id, status, durationMs, error })
- * @param {string} summaryUrl - The public summary URL
+ * The email transport configured for a profile: { name, from, send(message) }
+ * where message is { from, to, subject, html } and send throws on failure.
+ * SMTP is used when configured, otherwise Resend; pass `name` to pick one.
+ * Returns null when the requested (or any) transport is not configured.
  */
-export async function sendTaskCompletionEmail(profileId, task, runEntry, summaryUrl, summariesUrl) {
-  const { token, from } = loadResendConfig(profileId);
-  if (!token) {
-    console.warn(`[emailer] No Resend token configured for profile ${profileId}, skipping email`);
-    return;
+export function getEmailTransport(profileId, name = null) {
+  if (!name || name === "smtp") {
+    const smtp = loadSmtpConfig(profileId);
+    if (smtp) return { name: "smtp", from: smtp.from, send: (message) => sendSmtpMail(smtp, message) };
   }
-
-  if (!task.emails || task.emails.length === 0) {
-    return;
+  if (!name || name === "resend") {
+    const { token, from } = loadResendConfig(profileId);
+    if (token) {
+      return {
+        name: "resend",
+        from: from || DEFAULT_FROM,
+        async send(message) {
+          const { error } = await new Resend(token).emails.send(message);
+          if (error) throw new Error(error.message || String(error));
+        },
+      };
+    }
   }
+  return null;
+}
+
+/**
+ * Wrap email content in the layout shared by every email: a heading, an
+ * optional table of { label, value, html?, color? } rows (values are escaped
+ * unless given as `html`), then `bodyHtml`.
+ */
+export function renderEmailLayout({ heading, rows = [], bodyHtml = "" }) {
+  return `
+    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="margin-bottom: 16px;">${escapeHtml(heading)}</h2>
+      ${renderRowTable(rows)}
+      ${bodyHtml}
+    </div>
+  `;
+}
 
-  const resend = new Resend(token);
+function renderRowTable(rows) {
+  if (rows.length === 0) return "";
+  const tableRows = rows.map((row) => `
+        <tr>
+          <td style="padding: 8px 12px; border-bottom: 1px solid #eee; color: #666; width: 120px;">${escapeHtml(row.label)}</td>
+          <td style="padding: 8px 12px; border-bottom: 1px solid #eee;${row.color ? ` color: ${row.color};` : ""}">${row.html ?? escapeHtml(row.value)}</td>
+        </tr>`).join("");
+  return `<table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">${tableRows}
+      </table>`;
+}
 
+/**
+ * Subject and HTML of a task completion email.
+ *
+ * @param {object} task - The task object (must have .name)
+ * @param {object} runEntry - The run entry ({ id, status, durationMs, error })
+ * @param {string} summaryUrl - The public summary URL
+ * @param {string} [summariesUrl] - The public list of all summaries
+ * @param {object} [extras]
+ * @param {Array} [extras.changes] - { label, value } rows on what changed since the previous run
+ * @param {string} [extras.artifactsUrl] - Public URL the run's artifact names are appended to
+ */
+export function renderTaskCompletionEmail(task, runEntry, summaryUrl, summariesUrl, { changes = [], artifactsUrl = null } = {}) {
   const statusEmoji = runEntry.status === "success" ? "\u2705" : runEntry.status === "error" ? "\u274C" : "\u26A0\uFE0F";
   const statusLabel = runEntry.status === "success" ? "Completed"
     : runEntry.status === "error" ? "Failed"
+    : runEntry.status === "timeout" ? "Timed Out"
+    : runEntry.status === "budget_exceeded" ? "Over Budget"
     : "Interrupted";
   const durationSec = Math.round((runEntry.durationMs || 0) / 1000);
   const durationStr = durationSec >= 60
@@ -35,28 +86,39 @@ export async function sendTaskCompletionEmail(profileId, task, runEntry, summary
 
   const subject = `${statusEmoji} Task "${task.name}" ${statusLabel}`;
 
-  const html = `
-    <div style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="margin-bottom: 16px;">Task Run ${escapeHtml(statusLabel)}</h2>
-      <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
-        <tr>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee; color: #666; width: 120px;">Task</td>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee; font-weight: 500;">${escapeHtml(task.name)}</td>
-        </tr>
-        <tr>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee; color: #666;">Status</td>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee;">${statusEmoji} ${escapeHtml(statusLabel)}</td>
-        </tr>
-        <tr>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee; color: #666;">Duration</td>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee;">${escapeHtml(durationStr)}</td>
-        </tr>
-        ${runEntry.error ? `
-        <tr>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee; color: #666;">Error</td>
-          <td style="padding: 8px 12px; border-bottom: 1px solid #eee; color: #c00;">${escapeHtml(runEntry.error)}</td>
-        </tr>` : ""}
-      </table>
+  const rows = [
+    { label: "Task", html: `<span style="font-weight: 500;">${escapeHtml(task.name)}</span>` },
+    { label: "Status", value: `${statusEmoji} ${statusLabel}` },
+  ];
+  if (runEntry.attempt > 1) rows.push({ label: "Attempts", value: String(runEntry.attempt) });
+  rows.push({ label: "Duration", value: durationStr });
+  if (runEntry.limitExceeded) rows.push({ label: "Limit", value: formatLimit(runEntry.limitExceeded) });
+  if (runEntry.pullRequest) {
+    rows.push({
+      label: "Pull Request",
+      html: `<a href="${escapeHtml(runEntry.pullRequest.url)}">${escapeHtml(runEntry.pullRequest.title || `#${runEntry.pullRequest.number}`)}</a>`,
+    });
+  } else if (runEntry.pullRequestError) {
+    rows.push({ label: "Pull Request", value: `Not opened: ${runEntry.pullRequestError}`, color: "#c00" });
+  }
+  if (runEntry.error) rows.push({ label: "Error", value: runEntry.error, color: "#c00" });
+  const artifacts = (runEntry.outputFiles || []).filter((f) => f.name !== "summary.md");
+  if (artifacts.length > 0 && artifactsUrl) {
+    const links = artifacts.slice(0, MAX_LINKED_ARTIFACTS).map((f) =>
+      `<a href="${escapeHtml(`${artifactsUrl}/${encodeURIComponent(f.name)}`)}">${escapeHtml(f.name)}</a> <span style="color: #999;">(${formatSize(f.size)})</span>`);
+    if (artifacts.length > MAX_LINKED_ARTIFACTS) links.push(`and ${artifacts.length - MAX_LINKED_ARTIFACTS} more`);
+    rows.push({ label: "Artifacts", html: links.join("<br>") });
+  }
+  if (runEntry.skippedArtifacts?.length) {
+    rows.push({ label: "Skipped", value: `${runEntry.skippedArtifacts.length} artifact(s) not collected; see the run for details`, color: "#b45309" });
+  }
+
+  const html = renderEmailLayout({
+    heading: `Task Run ${statusLabel}`,
+    rows,
+    bodyHtml: `${changes.length > 0 ? `
+      <h3 style="margin: 0 0 8px; font-size: 15px;">What changed since the last run</h3>
+      ${renderRowTable(changes)}` : ""}
       <a href="${escapeHtml(summaryUrl)}"
          style="display: inline-block; background: #2563eb; color: white; padding: 10px 20px; border-radius: 6px; text-decoration: none; font-weight: 500;">
         View Summary
@@ -68,29 +130,74 @@ export async function sendTaskCompletionEmail(profileId, task, runEntry, summary
       </a>` : ""}
       <p style="margin-top: 24px; font-size: 12px; color: #999;">
         Run ID: ${escapeHtml(runEntry.id)}
-      </p>
-    </div>
-  `;
+      </p>`,
+  });
+  return { subject, html };
+}
 
-  try {
-    const { error } = await resend.emails.send({
-      from: from || DEFAULT_FROM,
-      to: task.emails,
-      subject,
-      html,
-    });
+/**
+ * Send task completion notification emails through the profile's transport.
+ *
+ * @param {string} profileId - The profile that owns the task
+ * @param {object} task - The task object (must have .name, .emails)
+ * @param {object} runEntry - The run entry ({ id, status, durationMs, error })
+ * @param {string} summaryUrl - The public summary URL
+ * @param {string} [summariesUrl] - The public list of all summaries
+ * @param {object} [extras] - { changes, artifactsUrl }, see renderTaskCompletionEmail
+ */
+export async function sendTaskCompletionEmail(profileId, task, runEntry, summaryUrl, summariesUrl, extras = {}) {
+  if (!task.emails || task.emails.length === 0) {
+    return;
+  }
 
-    if (error) {
-      console.error(`[emailer] Failed to send email for task "${task.name}":`, error);
-    } else {
-      console.log(`[emailer] Sent completion email for task "${task.name}" to ${task.emails.join(", ")}`);
-    }
+  const transport = getEmailTransport(profileId);
+  if (!transport) {
+    console.warn(`[emailer] No email transport configured for profile ${profileId}, skipping email`);
+    return;
+  }
+
+  const { subject, html } = renderTaskCompletionEmail(task, runEntry, summaryUrl, summariesUrl, extras);
+  try {
+    await transport.send({ from: transport.from, to: task.emails, subject, html });
+    console.log(`[emailer] Sent completion email for task "${task.name}" to ${task.emails.join(", ")} via ${transport.name}`);
   } catch (err) {
     console.error(`[emailer] Error sending email for task "${task.name}":`, err.message);
   }
 }
 
-function escapeHtml(str) {
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatLimit({ limit, value }) {
+  if (limit === "maxDurationMs") return `Max duration ${Math.round(value / 1000)}s`;
+  if (limit === "maxCostUsd") return `Max cost $${value}`;
+  return `Max turns ${value}`;
+}
+
+/**
+ * Send a short email to check a transport's settings. Throws when the
+ * transport is not configured or the send fails.
+ */
+export async function sendTestEmail(profileId, to, name = null) {
+  const transport = getEmailTransport(profileId, name);
+  if (!transport) throw new Error(name ? `${name === "smtp" ? "SMTP" : "Resend"} is not configured` : "No email transport is configured");
+  const html = renderEmailLayout({
+    heading: "Test Email",
+    rows: [
+      { label: "Transport", value: transport.name === "smtp" ? "SMTP" : "Resend" },
+      { label: "From", value: transport.from },
+      { label: "Sent", value: new Date().toUTCString() },
+    ],
+    bodyHtml: `<p style="color: #666;">Task completion emails will be delivered like this one.</p>`,
+  });
+  await transport.send({ from: transport.from, to: [to], subject: "Test email from Claude Tasks", html });
+  return { transport: transport.name };
+}
+
+export function escapeHtml(str) {
   return String(str)
     .replace(/&/g, "&amp;")
     .replace(/</g, "&lt;")
@@ -20,12 +20,24 @@ import {
   setInteractiveQuestions,
   setAgentModel,
   answerQuestion,
+  answerToolApproval,
+  getPendingApprovals,
+  setPermissionPolicy,
   subscribeAgent,
   unsubscribeAgent,
   getBufferedEvents,
   hydrateAgentContextInfo,
+  restoreAgents,
+  enqueueMessage,
+  getQueue,
+  removeQueuedMessages,
+  summarizeAgent,
+  onAgentChange,
 } from "./agents.js";
-import { loadConversation } from "./storage.js";
+import { iterateEntriesReverse } from "./storage.js";
+import { normalizePermissions } from "./permissions.js";
+import { isOwnedBy, requireOwnership } from "./ownership.js";
+import { registerConnection, unregisterConnection, broadcastToProfile } from "./wsConnections.js";
 import { getUsageStats } from "./usage.js";
 import {
   spawnTerminal,
@@ -62,6 +74,8 @@ import {
   configureLocalGit,
   parseRemoteUrl,
   fetchPrInfo,
+  pushAndOpenPullRequest,
+  pullRequestTextFromSummary,
   buildCloneUrl,
   updateRemoteUrls,
 } from "./providers.js";
@@ -89,7 +103,20 @@ import {
   deleteResendConfig,
   hasResendToken,
 } from "./resendConfig.js";
-import { sendTaskCompletionEmail } from "./emailer.js";
+import { loadSmtpConfig, saveSmtpConfig, deleteSmtpConfig } from "./smtpConfig.js";
+import { sendTaskCompletionEmail, sendTestEmail, getEmailTransport, EMAIL_TRANSPORTS } from "./emailer.js";
+import {
+  listNotificationChannels,
+  getNotificationChannel,
+  saveNotificationChannel,
+  deleteNotificationChannel,
+  normalizeTaskChannels,
+} from "./notificationChannels.js";
+import { buildRunNotification, sendChannelNotification, channelAcceptsStatus } from "./notifier.js";
+import { normalizeCallbacks, deliverRunCallbacks, listCallbackDeliveries, redeliverCallback, resumeCallbackDeliveries } from "./runCallbacks.js";
+import { normalizeArtifactPatterns, artifactContentType, isActiveContent } from "./runArtifacts.js";
+import { normalizeWorktreeOptions } from "./taskWorktrees.js";
+import { normalizeWebhookSource, verifyWebhookSignature, parseWebhookEvent, matchWebhookFilters, mapWebhookVariables, webhookEventKey } from "./webhookSources.js";
 import {
   acquireSessionAgent,
   hashMessagesPrefix,
@@ -186,7 +213,7 @@ function renderSummaryListHtml(taskName, summaries, buildUrl) {
     .map((s) => {
       const url = buildUrl(s.runId);
       const date = s.completedAt ? new Date(s.completedAt).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" }) : "Unknown date";
-      const status = s.status === "success" ? "✓" : s.status === "error" ? "✗" : s.status === "interrupted" ? "⚠" : "•";
+      const status = s.status === "success" ? "✓" : s.status === "error" ? "✗" : ["interrupted", "timeout", "budget_exceeded"].includes(s.status) ? "⚠" : "•";
       return `<li><a href="${url}">${status} <span class="filename">${s.filename}</span><span class="meta">${date}</span></a></li>`;
     })
     .join("\n      ");
@@ -289,6 +316,17 @@ function renderSummaryListHtml(taskName, summaries, buildUrl) {
 </html>`;
 }
 
+// Provider push and merge request payloads routinely exceed the default 100kb
+const WEBHOOK_BODY_LIMIT = "5mb";
+
+// Webhooks get their own parser ahead of the global one, which then skips the
+// already-read body. Keep the exact bytes for signature checks and payloads.
+app.use("/api/webhooks/", express.json({
+  limit: WEBHOOK_BODY_LIMIT,
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.json());
 
 // Session middleware (needed for auth and WebSocket session lookup)
@@ -446,21 +484,53 @@ function requireAuth(req, res, next) {
 }
 
 // --- Public webhook endpoints (no session auth, token-validated) ---
-app.post("/api/webhooks/tasks/:taskId/:token", express.text({ type: "*/*", limit: "100kb" }), (req, res) => {
+app.post("/api/webhooks/tasks/:taskId/:token", express.text({ type: "*/*", limit: WEBHOOK_BODY_LIMIT }), (req, res) => {
   const { taskId, token } = req.params;
   const task = getTaskByWebhookToken(taskId, token);
   if (!task) return res.status(404).json({ error: "Not found" });
-  if (isRunning(taskId)) return res.status(409).json({ error: "Task is already running" });
 
-  const payload = req.body && typeof req.body === "string" && req.body.trim() ? req.body : null;
-  const result = triggerTask(taskId, payload ? { payload } : undefined);
+  // JSON bodies were already parsed by express.json; use the raw text either way
+  const raw = req.rawBody ? req.rawBody.toString("utf-8") : typeof req.body === "string" ? req.body : "";
+  const payload = raw.trim() ? raw : null;
+  let variables = parseWebhookVariables(payload);
+  let webhookEvent = null;
+
+  // Provider receivers (GitHub, GitLab, Azure DevOps): verify, filter, map fields
+  const source = task.webhookSource;
+  if (source) {
+    if (!verifyWebhookSignature(source, req.headers, req.rawBody || Buffer.from(raw, "utf-8"))) {
+      return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+    if (!variables) return res.status(400).json({ error: "Expected a JSON body (content type application/json)" });
+    const event = parseWebhookEvent(source.provider, req.headers, variables);
+    if (source.provider === "github" && event.event === "ping") return res.json({ ok: true, message: "pong" });
+    const skipReason = matchWebhookFilters(source, event);
+    if (skipReason) return res.status(202).json({ ok: true, skipped: true, reason: skipReason });
+    variables = mapWebhookVariables(source, variables, event);
+    webhookEvent = { provider: source.provider, event: webhookEventKey(event), branch: event.branch };
+  }
+
+  // The task's overlapPolicy decides whether a run in progress skips (409),
+  // queues or replaces this one
+  const result = triggerTask(taskId, { payload, variables, webhookEvent, trigger: "webhook" });
   if (!result) return res.status(409).json({ error: "Task is already running" });
   const baseUrl = `${BASE_URL_PROTOCOL}://${req.get("host")}`;
   const summaryUrl = `${baseUrl}/api/webhooks/tasks/${taskId}/${token}/runs/${result.runId}/summary`;
   const summariesUrl = `${baseUrl}/api/webhooks/tasks/${taskId}/${token}/summaries`;
-  res.json({ ok: true, message: "Task triggered via webhook", runId: result.runId, summaryUrl, summariesUrl, summaryFilename: result.summaryFilename });
+  res.json({ ok: true, message: result.queued ? "Task queued via webhook" : "Task triggered via webhook", runId: result.runId, queued: result.queued, summaryUrl, summariesUrl, summaryFilename: result.summaryFilename });
 });
 
+/** A JSON object webhook body doubles as {{variables}} for the task prompt. */
+function parseWebhookVariables(payload) {
+  if (!payload) return null;
+  try {
+    const parsed = JSON.parse(payload);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Send a summary file — raw markdown or rendered HTML depending on ?render query param.
  */
@@ -477,6 +547,16 @@ function sendSummaryFile(res, filePath, taskName) {
   }
 }
 
+// Serve a run artifact with its recorded content type. HTML, SVG and the like
+// are sandboxed so a collected report cannot run scripts as this origin.
+function sendArtifactFile(res, filePath, name) {
+  const contentType = artifactContentType(name);
+  res.type(contentType);
+  if (isActiveContent(contentType)) res.set("Content-Security-Policy", "sandbox");
+  res.set("X-Content-Type-Options", "nosniff");
+  res.sendFile(filePath, { dotfiles: "allow" });
+}
+
 // Public summary endpoint via webhook token — serves from .claude-tasks/ in workspace
 app.get("/api/webhooks/tasks/:taskId/:token/runs/:runId/summary", (req, res) => {
   const { taskId, token, runId } = req.params;
@@ -491,21 +571,16 @@ app.get("/api/webhooks/tasks/:taskId/:token/runs/:runId/summary", (req, res) =>
       running: true,
     });
   }
-
-  // Look up the summaryFilename from the run entry
-  const detail = getRunDetail(taskId, runId);
-  if (!detail || !detail.summaryFilename) {
-    // Fallback to archived summary.md
-    const filePath = getRunArtifactPath(taskId, runId, "summary.md");
-    if (!filePath) return res.status(404).json({ error: "Summary not found" });
-    return sendSummaryFile(res, filePath, task.name);
+  if (isRunQueued(taskId, runId)) {
+    return res.status(202).json({
+      error: "Run is queued",
+      message: "The run is waiting for a free slot. Please retry after it finishes.",
+      queued: true,
+    });
   }
 
-  // Try .claude-tasks/ first, then fall back to archive
-  const wsPath = getWorkspaceSummaryPath(taskId, detail.summaryFilename);
-  if (wsPath) return sendSummaryFile(res, wsPath, task.name);
-
-  const filePath = getRunArtifactPath(taskId, runId, "summary.md");
+  // .claude-tasks/ in the workspace first, then the run's archive
+  const filePath = getRunSummaryPath(taskId, runId);
   if (!filePath) return res.status(404).json({ error: "Summary not found" });
   sendSummaryFile(res, filePath, task.name);
 });
@@ -535,6 +610,20 @@ app.get("/api/webhooks/tasks/:taskId/:token/summaries", (req, res) => {
   res.type("html").send(renderSummaryListHtml(task.name, summaries, buildUrl));
 });
 
+// Public artifact list via webhook token, with a download URL for each file
+app.get("/api/webhooks/tasks/:taskId/:token/runs/:runId/artifacts", (req, res) => {
+  const { taskId, token, runId } = req.params;
+  const task = getTaskByWebhookToken(taskId, token);
+  if (!task) return res.status(404).json({ error: "Not found" });
+  if (isRunning(taskId) || isRunQueued(taskId, runId)) {
+    return res.status(202).json({ error: "Run has not finished", message: "Please retry after the run finishes." });
+  }
+
+  const baseUrl = `${BASE_URL_PROTOCOL}://${req.get("host")}/api/webhooks/tasks/${taskId}/${token}/runs/${runId}/artifacts`;
+  const artifacts = getRunArtifacts(taskId, runId) || [];
+  res.json(artifacts.map((file) => ({ ...file, url: `${baseUrl}/${encodeURIComponent(file.name)}` })));
+});
+
 // Public artifact access via webhook token (no session required)
 app.get("/api/webhooks/tasks/:taskId/:token/runs/:runId/artifacts/:filename", (req, res) => {
   const { taskId, token, runId, filename } = req.params;
@@ -549,10 +638,17 @@ app.get("/api/webhooks/tasks/:taskId/:token/runs/:runId/artifacts/:filename", (r
       running: true,
     });
   }
+  if (isRunQueued(taskId, runId)) {
+    return res.status(202).json({
+      error: "Run is queued",
+      message: "The run is waiting for a free slot. Please retry after it finishes.",
+      queued: true,
+    });
+  }
 
   const filePath = getRunArtifactPath(taskId, runId, filename);
   if (!filePath) return res.status(404).json({ error: "Artifact not found" });
-  res.sendFile(filePath, { dotfiles: "allow" });
+  sendArtifactFile(res, filePath, filename);
 });
 
 // --- Vercel AI SDK compatible endpoint (OpenAI-compatible) ---
@@ -642,6 +738,9 @@ app.post("/api/v1/chat/completions", async (req, res) => {
     workingDirectory: resolved.workingDirectory,
     profileId: resolved.profileId,
     agentName: `api-${workspaceName}-${sessionHash.slice(0, 8)}`,
+    permissionProfile: resolved.permissionProfile,
+    allowedCommands: resolved.allowedCommands,
+    allowedPaths: resolved.allowedPaths,
   });
 
   if (agent.status === "busy") {
@@ -826,6 +925,10 @@ app.post("/api/v1/chat/completions", async (req, res) => {
 // Apply auth guard to all API routes (except auth/profile endpoints above)
 app.use("/api", requireAuth);
 
+// Agents and tasks are addressed by id only — hide other profiles' items
+app.use("/api/agents/:id", requireOwnership(getAgent, "Agent"));
+app.use("/api/tasks/:id", requireOwnership(getTask, "Task"));
+
 // Serve static frontend — auth guard for HTML pages
 app.use((req, res, next) => {
   const hasProfiles = profilesExist();
@@ -865,25 +968,33 @@ function slugify(name) {
   return name.toLowerCase().replace(/[^a-z0-9-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
 }
 
-/** Check if a conversation has user messages after the last context_cleared event */
-function hasRecoverableHistory(entries) {
-  if (!entries || entries.length === 0) return false;
-  // Find the index of the last context_cleared event
-  let lastClearIdx = -1;
-  for (let i = entries.length - 1; i >= 0; i--) {
-    if (entries[i].type === "context_cleared") {
-      lastClearIdx = i;
-      break;
-    }
-  }
-  // Check if there are any user messages after the last clear
-  for (let i = lastClearIdx + 1; i < entries.length; i++) {
-    if (entries[i].type === "user") return true;
+/**
+ * Check if a conversation has user messages after the last context_cleared event.
+ * Walks the stored log newest-first so only the tail is read from disk.
+ */
+function hasRecoverableHistory(workDir) {
+  for (const entry of iterateEntriesReverse(workDir)) {
+    if (entry.type === "context_cleared") return false;
+    if (entry.type === "user") return true;
   }
   return false;
 }
 
+/** The agent's last reply since the last context_cleared, read newest-first. */
+function lastAssistantText(workDir) {
+  for (const entry of iterateEntriesReverse(workDir)) {
+    if (entry.type === "context_cleared") return "";
+    if (entry.type === "assistant_stream" && entry.text?.trim()) return entry.text;
+  }
+  return "";
+}
+
 // REST API
+/** Tell the profile's open tabs to refresh their workspace directory list. */
+function notifyWorkspaceChanged(profileId) {
+  broadcastToProfile(profileId, { type: "workspace_changed" });
+}
+
 app.post("/api/agents", async (req, res) => {
   const { name, workingDirectory, localOnly, provider } = req.body;
   const ctx = getProfileContext(req);
@@ -900,17 +1011,20 @@ app.post("/api/agents", async (req, res) => {
     if (normalized === workspaceRoot || !normalized.startsWith(workspaceRoot + "/")) {
       return res.status(400).json({ error: `workingDirectory must be a subfolder of ${workspaceRoot}` });
     }
+    const isNewDir = !fs.existsSync(normalized);
     fs.mkdirSync(normalized, { recursive: true });
+    if (isNewDir) notifyWorkspaceChanged(profileId);
 
     // Check if there is recoverable conversation history from a previous session.
     // If so, the agent will use the SDK's options.continue to resume automatically.
-    const existingConvo = loadConversation(normalized);
-    const continueSession = hasRecoverableHistory(existingConvo);
+    // Agents in the on-disk registry are restored at boot with their exact
+    // sessionId; this covers workspaces that have no registry entry.
+    const continueSession = hasRecoverableHistory(normalized);
 
     const agent = createAgent(name, normalized, profileId, continueSession);
     // Hydrate context info from stored history so the gauge shows immediately
     if (continueSession) {
-      hydrateAgentContextInfo(agent, existingConvo);
+      hydrateAgentContextInfo(agent);
     }
     return res.status(201).json(agent);
   }
@@ -993,6 +1107,7 @@ app.post("/api/agents", async (req, res) => {
     }
 
     const agent = createAgent(name, projectDir, profileId);
+    notifyWorkspaceChanged(profileId);
     res.status(201).json(agent);
   } catch (err) {
     console.error("[api] POST /api/agents (create project) failed:", err);
@@ -1122,6 +1237,7 @@ app.post("/api/agents/clone", async (req, res) => {
     await execPromise("git", ["clone", cloneUrl, repoName], { cwd: workspaceRoot, timeout: 60000, env: { ...process.env, ...gitEnvForProfile(profileId) } });
     await configureLocalGit(projectDir, profileId);
     const agent = createAgent(repoName, projectDir, profileId);
+    notifyWorkspaceChanged(profileId);
     res.status(201).json(agent);
   } catch (err) {
     console.error(`[api] POST /api/agents/clone (${repoFullName}) failed:`, err);
@@ -1140,13 +1256,13 @@ app.get("/api/api-tokens", (req, res) => {
 
 app.post("/api/api-tokens", (req, res) => {
   const profileId = req.profile?.id || null;
-  const { label, workingDirectory } = req.body || {};
+  const { label, workingDirectory, permissionProfile, allowedCommands, allowedPaths } = req.body || {};
   if (!label || !workingDirectory) {
     return res.status(400).json({ error: "label and workingDirectory are required" });
   }
   try {
     // createApiToken validates that workingDirectory is under the profile's workspaceRoot.
-    const created = createApiToken(profileId, { label, workingDirectory });
+    const created = createApiToken(profileId, { label, workingDirectory, permissionProfile, allowedCommands, allowedPaths });
     res.status(201).json(created);
   } catch (err) {
     console.error("[api] POST /api/api-tokens failed:", err);
@@ -1231,6 +1347,126 @@ app.delete("/api/resend-config", (req, res) => {
   res.status(204).end();
 });
 
+// --- SMTP email configuration (per-profile; used instead of Resend when set) ---
+
+function smtpConfigResponse(profileId) {
+  const config = loadSmtpConfig(profileId);
+  if (!config) return { configured: false };
+  const { password, ...rest } = config;
+  return { configured: true, ...rest, hasPassword: !!password };
+}
+
+app.get("/api/smtp-config", (req, res) => {
+  const profileId = req.profile?.id || null;
+  res.json(smtpConfigResponse(profileId));
+});
+
+app.post("/api/smtp-config", (req, res) => {
+  const profileId = req.profile?.id || null;
+  const body = req.body || {};
+  const partial = {};
+  for (const field of ["host", "port", "security", "username", "from"]) {
+    if (Object.prototype.hasOwnProperty.call(body, field)) partial[field] = body[field];
+  }
+  // A blank password keeps the stored one, like the Resend token
+  if (typeof body.password === "string" && body.password) partial.password = body.password;
+  if (body.clearPassword) partial.password = null;
+
+  try {
+    saveSmtpConfig(profileId, partial);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.json(smtpConfigResponse(profileId));
+});
+
+app.delete("/api/smtp-config", (req, res) => {
+  const profileId = req.profile?.id || null;
+  deleteSmtpConfig(profileId);
+  res.status(204).end();
+});
+
+// Send a test email through the active transport (or the one named in `transport`)
+app.post("/api/email/test", async (req, res) => {
+  const profileId = req.profile?.id || null;
+  const { to, transport } = req.body || {};
+  if (typeof to !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to.trim())) {
+    return res.status(400).json({ error: "A valid recipient address is required" });
+  }
+  if (transport != null && !EMAIL_TRANSPORTS.includes(transport)) {
+    return res.status(400).json({ error: `transport must be one of: ${EMAIL_TRANSPORTS.join(", ")}` });
+  }
+  if (!getEmailTransport(profileId, transport || null)) {
+    return res.status(400).json({ error: "No email transport is configured" });
+  }
+  try {
+    const result = await sendTestEmail(profileId, to.trim(), transport || null);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("[email] Test email failed:", err.message);
+    res.status(502).json({ error: err.message || "Failed to send test email" });
+  }
+});
+
+// --- Notification channels (per-profile Slack/Mattermost/Discord/webhook/ntfy/Gotify targets) ---
+
+app.get("/api/notification-channels", (req, res) => {
+  const profileId = req.profile?.id || null;
+  res.json(listNotificationChannels(profileId));
+});
+
+app.post("/api/notification-channels", (req, res) => {
+  const profileId = req.profile?.id || null;
+  try {
+    res.status(201).json(saveNotificationChannel(profileId, req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message || "Failed to save channel" });
+  }
+});
+
+app.put("/api/notification-channels/:id", (req, res) => {
+  const profileId = req.profile?.id || null;
+  try {
+    const channel = saveNotificationChannel(profileId, req.body || {}, req.params.id);
+    if (!channel) return res.status(404).json({ error: "Channel not found" });
+    res.json(channel);
+  } catch (err) {
+    res.status(400).json({ error: err.message || "Failed to save channel" });
+  }
+});
+
+app.delete("/api/notification-channels/:id", (req, res) => {
+  const profileId = req.profile?.id || null;
+  const ok = deleteNotificationChannel(profileId, req.params.id);
+  if (!ok) return res.status(404).json({ error: "Channel not found" });
+  // Tasks stop pointing at the deleted channel
+  for (const task of listAllTasks(profileId)) {
+    if (task.notificationChannels?.includes(req.params.id)) {
+      updateTaskData(task.id, { notificationChannels: task.notificationChannels.filter((id) => id !== req.params.id) });
+    }
+  }
+  res.status(204).end();
+});
+
+// Send a sample notification so a channel can be checked before a task uses it
+app.post("/api/notification-channels/:id/test", async (req, res) => {
+  const profileId = req.profile?.id || null;
+  const channel = getNotificationChannel(profileId, req.params.id);
+  if (!channel) return res.status(404).json({ error: "Channel not found" });
+  const now = Date.now();
+  const message = buildRunNotification(
+    { id: "test", name: "Test notification" },
+    { id: crypto.randomUUID(), status: "success", trigger: "manual", attempt: 1, startedAt: now - 42000, completedAt: now, durationMs: 42000, cost: 0 },
+    null,
+  );
+  try {
+    await sendChannelNotification(channel, message);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(502).json({ error: err.message || "Delivery failed" });
+  }
+});
+
 app.get("/api/agents", (req, res) => {
   const profileId = req.profile?.id || null;
   res.json(listAgents(profileId));
@@ -1239,13 +1475,15 @@ app.get("/api/agents", (req, res) => {
 app.get("/api/agents/:id", (req, res) => {
   const agent = getAgent(req.params.id);
   if (!agent) return res.status(404).json({ error: "Agent not found" });
-  const { id, name, workingDirectory, status, interactiveQuestions, model } = agent;
+  const { id, name, workingDirectory, status, interactiveQuestions, model, permissionProfile, allowedCommands, approvedCommands, allowedPaths } = agent;
   const pendingQuestion = agent.pendingQuestion
     ? { input: agent._pendingQuestionInput, toolUseId: agent._pendingQuestionToolUseId }
     : null;
   res.json({
     id, name, workingDirectory, status, interactiveQuestions,
     model: model || null, pendingQuestion,
+    pendingApprovals: getPendingApprovals(id),
+    permissionProfile, allowedCommands, approvedCommands, allowedPaths,
     lastInputTokens: agent.lastInputTokens || 0,
     contextWindow: agent.contextWindow || 0,
   });
@@ -1303,6 +1541,7 @@ app.delete("/api/workspace/:name", async (req, res) => {
 
   try {
     fs.rmSync(dirPath, { recursive: true, force: true });
+    notifyWorkspaceChanged(profileId);
     res.json({ ok: true });
   } catch (err) {
     console.error(`[api] DELETE /api/workspace/${dirName} failed:`, err);
@@ -1355,6 +1594,7 @@ app.delete("/api/workspace/:name/worktree", async (req, res) => {
     return res.status(400).json({ error: result.error });
   }
 
+  notifyWorkspaceChanged(profileId);
   res.status(204).end();
 });
 
@@ -1533,6 +1773,25 @@ app.post("/api/agents/:id/pr-review", async (req, res) => {
   }
 });
 
+// Push the agent's branch and open a PR/MR, titled from the agent's summary
+app.post("/api/agents/:id/pull-request", async (req, res) => {
+  const agent = getAgent(req.params.id);
+  if (!agent) return res.status(404).json({ error: "Agent not found" });
+
+  // Title and description come from the agent's last reply, as for task runs
+  const { base } = req.body || {};
+  const cwd = agent.workingDirectory;
+  const branch = await gitExec(["rev-parse", "--abbrev-ref", "HEAD"], cwd);
+  const text = pullRequestTextFromSummary(lastAssistantText(cwd), branch || "Changes");
+  try {
+    const pr = await pushAndOpenPullRequest(cwd, { ...text, base: typeof base === "string" && base.trim() ? base.trim() : null }, agent.profileId);
+    res.json({ ok: true, ...pr });
+  } catch (err) {
+    console.error(`[api] POST pull-request for agent ${agent.id} failed:`, err.message);
+    res.status(err.code === "PR_PRECONDITION" ? 400 : 502).json({ error: err.message || "Failed to open pull request" });
+  }
+});
+
 app.get("/api/agents/:id/git-status", async (req, res) => {
   const agent = getAgent(req.params.id);
   if (!agent) return res.status(404).json({ error: "Agent not found" });
@@ -1921,6 +2180,7 @@ app.post("/api/agents/:id/worktree", async (req, res) => {
   const agentName = `${projectName} (${branch})`;
   const profileId = agent.profileId;
   const newAgent = createAgent(agentName, targetPath, profileId);
+  notifyWorkspaceChanged(profileId);
 
   res.status(201).json({
     agent: {
@@ -1966,10 +2226,24 @@ app.delete("/api/agents/:id/worktree", async (req, res) => {
 
   // Delete the agent
   deleteAgent(req.params.id);
+  notifyWorkspaceChanged(agent.profileId);
 
   res.status(204).end();
 });
 
+app.get("/api/agents/:id/queue", (req, res) => {
+  const agent = getAgent(req.params.id);
+  if (!agent) return res.status(404).json({ error: "Agent not found" });
+  res.json({ queue: getQueue(req.params.id) });
+});
+
+app.delete("/api/agents/:id/queue", (req, res) => {
+  const agent = getAgent(req.params.id);
+  if (!agent) return res.status(404).json({ error: "Agent not found" });
+  const removed = removeQueuedMessages(req.params.id);
+  res.json({ removed });
+});
+
 app.patch("/api/agents/:id/settings", (req, res) => {
   const agent = getAgent(req.params.id);
   if (!agent) return res.status(404).json({ error: "Agent not found" });
@@ -1979,7 +2253,29 @@ app.patch("/api/agents/:id/settings", (req, res) => {
   if (req.body.model !== undefined) {
     setAgentModel(req.params.id, req.body.model);
   }
-  res.json({ interactiveQuestions: agent.interactiveQuestions, model: agent.model || null });
+  if (req.body.permissionProfile !== undefined || req.body.allowedCommands !== undefined
+    || req.body.approvedCommands !== undefined || req.body.allowedPaths !== undefined) {
+    let policy;
+    try {
+      policy = normalizePermissions({
+        permissionProfile: req.body.permissionProfile ?? agent.permissionProfile,
+        allowedCommands: req.body.allowedCommands ?? agent.allowedCommands,
+        approvedCommands: req.body.approvedCommands ?? agent.approvedCommands,
+        allowedPaths: req.body.allowedPaths ?? agent.allowedPaths,
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    setPermissionPolicy(req.params.id, policy);
+  }
+  res.json({
+    interactiveQuestions: agent.interactiveQuestions,
+    model: agent.model || null,
+    permissionProfile: agent.permissionProfile,
+    allowedCommands: agent.allowedCommands,
+    approvedCommands: agent.approvedCommands,
+    allowedPaths: agent.allowedPaths,
+  });
 });
 
 // Git config endpoints (profile-scoped)
@@ -2222,11 +2518,26 @@ import {
   triggerTask,
   stopTask,
   isRunning,
+  getActiveRun,
+  watchTaskRun,
+  cancelQueuedRun,
+  getQueuedRunCount,
+  isRunQueued,
+  OVERLAP_POLICIES,
+  MISSED_RUN_POLICIES,
+  MAX_CATCH_UP_RUNS,
+  normalizeRetryPolicy,
+  normalizeRunLimits,
+  normalizeTaskEmails,
+  normalizeNextTasks,
+  previewTaskPrompt,
   getRunHistory,
   getRunDetail,
   getAllRuns,
   validateCron,
   getNextRuns,
+  isValidTimezone,
+  SERVER_TIMEZONE,
   startTaskScheduler,
   onRunComplete,
   generateWebhookToken,
@@ -2234,27 +2545,58 @@ import {
   getTaskByWebhookToken,
   getRunArtifacts,
   getRunArtifactPath,
-  getWorkspaceSummaryPath,
+  getRunSummaryPath,
+  getPreviousRun,
 } from "./tasks.js";
+import { compareRuns, describeRunChanges } from "./runComparison.js";
+
+// Task as returned by the API, with its live run state
+function withRunState(task) {
+  return { ...task, running: isRunning(task.id), activeRun: getActiveRun(task.id), queuedRuns: getQueuedRunCount(task.id) };
+}
+
+function validateOverlapPolicy(value) {
+  if (value === undefined || value === null || OVERLAP_POLICIES.includes(value)) return null;
+  return `overlapPolicy must be one of: ${OVERLAP_POLICIES.join(", ")}`;
+}
+
+function validateTimezone(timezone) {
+  if (timezone === undefined || timezone === null || timezone === "" || isValidTimezone(timezone)) return null;
+  return `Unknown timezone: ${timezone}`;
+}
+
+function validateMissedRunPolicy({ missedRunPolicy, maxCatchUpRuns }) {
+  if (missedRunPolicy !== undefined && missedRunPolicy !== null && !MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+    return `missedRunPolicy must be one of: ${MISSED_RUN_POLICIES.join(", ")}`;
+  }
+  if (maxCatchUpRuns !== undefined && maxCatchUpRuns !== null
+    && !(Number.isInteger(maxCatchUpRuns) && maxCatchUpRuns >= 1 && maxCatchUpRuns <= MAX_CATCH_UP_RUNS)) {
+    return `maxCatchUpRuns must be an integer from 1 to ${MAX_CATCH_UP_RUNS}`;
+  }
+  return null;
+}
 
 app.get("/api/tasks", (req, res) => {
   const profileId = req.profile?.id || null;
   const items = listAllTasks(profileId);
   // Add running status
-  res.json(items.map((t) => ({ ...t, running: isRunning(t.id) })));
+  res.json(items.map(withRunState));
 });
 
 app.post("/api/tasks", (req, res) => {
   const profileId = req.profile?.id || null;
-  const { name, cronExpression, workingDirectory, prompt, model, emails } = req.body;
+  const { name, cronExpression, timezone, workingDirectory, prompt, model, emails, overlapPolicy, missedRunPolicy, maxCatchUpRuns } = req.body;
 
   if (!name || !name.trim()) return res.status(400).json({ error: "name is required" });
   if (!workingDirectory) return res.status(400).json({ error: "workingDirectory is required" });
   if (!prompt || !prompt.trim()) return res.status(400).json({ error: "prompt is required" });
 
+  const timezoneError = validateTimezone(timezone);
+  if (timezoneError) return res.status(400).json({ error: timezoneError });
+
   // Validate cron if provided
   if (cronExpression) {
-    const cronValid = validateCron(cronExpression);
+    const cronValid = validateCron(cronExpression, timezone);
     if (!cronValid.valid) return res.status(400).json({ error: `Invalid cron expression: ${cronValid.error}` });
   }
 
@@ -2264,8 +2606,38 @@ app.post("/api/tasks", (req, res) => {
     return res.status(400).json({ error: "workingDirectory must be within the workspace" });
   }
 
+  let permissions;
+  let retryPolicy;
+  let runLimits;
+  let nextTasks;
+  let webhookSource;
+  let worktree;
+  let notificationChannels;
+  let callbacks;
+  let outputArtifacts;
+  let taskEmails;
+  try {
+    taskEmails = normalizeTaskEmails(emails);
+    permissions = normalizePermissions(req.body);
+    retryPolicy = normalizeRetryPolicy(req.body.retryPolicy);
+    runLimits = normalizeRunLimits(req.body);
+    nextTasks = normalizeNextTasks(profileId, null, req.body.nextTasks);
+    webhookSource = normalizeWebhookSource(req.body.webhookSource);
+    worktree = normalizeWorktreeOptions(req.body.worktree);
+    notificationChannels = normalizeTaskChannels(profileId, req.body.notificationChannels);
+    callbacks = normalizeCallbacks(req.body.callbacks);
+    outputArtifacts = normalizeArtifactPatterns(req.body.outputArtifacts);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const overlapError = validateOverlapPolicy(overlapPolicy);
+  if (overlapError) return res.status(400).json({ error: overlapError });
+  const missedRunError = validateMissedRunPolicy(req.body);
+  if (missedRunError) return res.status(400).json({ error: missedRunError });
+
   const webhookBaseUrl = `${BASE_URL_PROTOCOL}://${req.get("host")}`;
-  const task = createTask(profileId, { name: name.trim(), cronExpression: cronExpression || null, workingDirectory, prompt: prompt.trim(), model: model || null, emails: emails || [], webhookBaseUrl });
+  const task = createTask(profileId, { name: name.trim(), cronExpression: cronExpression || null, timezone: timezone || null, workingDirectory, prompt: prompt.trim(), model: model || null, emails: taskEmails, notificationChannels, callbacks, outputArtifacts, overlapPolicy: overlapPolicy || undefined, missedRunPolicy: missedRunPolicy || undefined, maxCatchUpRuns: maxCatchUpRuns || undefined, retryPolicy, ...runLimits, nextTasks, webhookSource, worktree, openPullRequest: !!req.body.openPullRequest, webhookBaseUrl, ...permissions });
   res.status(201).json(task);
 });
 
@@ -2278,16 +2650,18 @@ app.get("/api/tasks/runs", (req, res) => {
 app.get("/api/tasks/:id", (req, res) => {
   const task = getTask(req.params.id);
   if (!task) return res.status(404).json({ error: "Task not found" });
-  res.json({ ...task, running: isRunning(task.id) });
+  res.json(withRunState(task));
 });
 
 app.put("/api/tasks/:id", (req, res) => {
   const task = getTask(req.params.id);
   if (!task) return res.status(404).json({ error: "Task not found" });
 
-  const { cronExpression, workingDirectory } = req.body;
+  const { cronExpression, workingDirectory, timezone } = req.body;
+  const timezoneError = validateTimezone(timezone);
+  if (timezoneError) return res.status(400).json({ error: timezoneError });
   if (cronExpression) {
-    const cronValid = validateCron(cronExpression);
+    const cronValid = validateCron(cronExpression, timezone === undefined ? task.timezone : timezone);
     if (!cronValid.valid) return res.status(400).json({ error: `Invalid cron expression: ${cronValid.error}` });
   }
 
@@ -2299,8 +2673,39 @@ app.put("/api/tasks/:id", (req, res) => {
     }
   }
 
-  const updated = updateTaskData(req.params.id, { ...req.body, webhookBaseUrl: `${BASE_URL_PROTOCOL}://${req.get("host")}` });
-  res.json({ ...updated, running: isRunning(updated.id) });
+  const overlapError = validateOverlapPolicy(req.body.overlapPolicy);
+  if (overlapError) return res.status(400).json({ error: overlapError });
+  const missedRunError = validateMissedRunPolicy(req.body);
+  if (missedRunError) return res.status(400).json({ error: missedRunError });
+
+  const updates = { ...req.body, webhookBaseUrl: `${BASE_URL_PROTOCOL}://${req.get("host")}` };
+  try {
+    if (req.body.retryPolicy !== undefined) updates.retryPolicy = normalizeRetryPolicy(req.body.retryPolicy);
+    Object.assign(updates, normalizeRunLimits(req.body));
+    updates.nextTasks = normalizeNextTasks(task.profileId, task.id, req.body.nextTasks);
+    if (req.body.worktree !== undefined) updates.worktree = normalizeWorktreeOptions(req.body.worktree);
+    if (req.body.webhookSource !== undefined) updates.webhookSource = normalizeWebhookSource(req.body.webhookSource, task.webhookSource);
+    if (req.body.notificationChannels !== undefined) updates.notificationChannels = normalizeTaskChannels(task.profileId, req.body.notificationChannels);
+    if (req.body.callbacks !== undefined) updates.callbacks = normalizeCallbacks(req.body.callbacks, task.callbacks);
+    if (req.body.outputArtifacts !== undefined) updates.outputArtifacts = normalizeArtifactPatterns(req.body.outputArtifacts);
+    if (req.body.emails !== undefined) updates.emails = normalizeTaskEmails(req.body.emails);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (req.body.permissionProfile !== undefined || req.body.allowedCommands !== undefined || req.body.allowedPaths !== undefined) {
+    try {
+      Object.assign(updates, normalizePermissions({
+        permissionProfile: req.body.permissionProfile ?? task.permissionProfile,
+        allowedCommands: req.body.allowedCommands ?? task.allowedCommands,
+        allowedPaths: req.body.allowedPaths ?? task.allowedPaths,
+      }));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  const updated = updateTaskData(req.params.id, updates);
+  res.json(withRunState(updated));
 });
 
 app.delete("/api/tasks/:id", (req, res) => {
@@ -2315,7 +2720,7 @@ app.patch("/api/tasks/:id/toggle", (req, res) => {
   if (!task) return res.status(404).json({ error: "Task not found" });
   if (!task.cronExpression) return res.status(400).json({ error: "Cannot toggle a task without a schedule" });
   const toggled = toggleTask(req.params.id, enabled);
-  res.json({ ...toggled, running: isRunning(toggled.id) });
+  res.json(withRunState(toggled));
 });
 
 app.post("/api/tasks/:id/trigger", (req, res) => {
@@ -2325,7 +2730,7 @@ app.post("/api/tasks/:id/trigger", (req, res) => {
   if (!result) return res.status(409).json({ error: "Task is already running" });
   const baseUrl = `${BASE_URL_PROTOCOL}://${req.get("host")}`;
   const summaryUrl = `${baseUrl}/api/tasks/${req.params.id}/runs/${result.runId}/summary`;
-  res.json({ ok: true, message: "Task triggered", runId: result.runId, summaryUrl, summaryFilename: result.summaryFilename });
+  res.json({ ok: true, message: result.queued ? "Task queued" : "Task triggered", runId: result.runId, queued: result.queued, summaryUrl, summaryFilename: result.summaryFilename });
 });
 
 app.post("/api/tasks/:id/stop", (req, res) => {
@@ -2347,26 +2752,58 @@ app.get("/api/tasks/:id/runs", (req, res) => {
   res.json(getRunHistory(req.params.id, limit));
 });
 
+// Cancel a run that is still waiting in the queue
+app.delete("/api/tasks/:id/runs/:runId", (req, res) => {
+  const task = getTask(req.params.id);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  if (!cancelQueuedRun(req.params.id, req.params.runId)) {
+    return res.status(409).json({ error: "Run is not queued" });
+  }
+  res.status(204).end();
+});
+
+// Completion callback deliveries, newest first
+app.get("/api/tasks/:id/callback-deliveries", (req, res) => {
+  const task = getTask(req.params.id);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  const limit = parseInt(req.query.limit) || 50;
+  res.json(listCallbackDeliveries(task, limit));
+});
+
+app.post("/api/tasks/:id/callback-deliveries/:deliveryId/redeliver", (req, res) => {
+  const task = getTask(req.params.id);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  if (!task.callbacks) return res.status(409).json({ error: "Task has no callbacks" });
+  const record = redeliverCallback(task, req.params.deliveryId);
+  if (!record) return res.status(404).json({ error: "Delivery not found" });
+  res.status(202).json(record);
+});
+
 app.get("/api/tasks/:id/runs/:runId", (req, res) => {
   const detail = getRunDetail(req.params.id, req.params.runId);
   if (!detail) return res.status(404).json({ error: "Run not found" });
   res.json(detail);
 });
 
+// Compare two runs; `base` defaults to the run before `head`
+app.get("/api/tasks/:id/compare", (req, res) => {
+  const task = getTask(req.params.id);
+  if (!task) return res.status(404).json({ error: "Task not found" });
+  const { head } = req.query;
+  if (!head) return res.status(400).json({ error: "head run id is required" });
+  const base = req.query.base || getPreviousRun(req.params.id, head)?.id;
+  if (!base) return res.status(404).json({ error: "No earlier run to compare with" });
+  const comparison = compareRuns(req.params.id, base, head);
+  if (!comparison) return res.status(404).json({ error: "Run not found" });
+  res.json(comparison);
+});
+
 // Authenticated summary endpoint — serves from .claude-tasks/ in workspace (with fallback)
 app.get("/api/tasks/:id/runs/:runId/summary", (req, res) => {
   const task = getTask(req.params.id);
   if (!task) return res.status(404).json({ error: "Task not found" });
 
-  // Look up the summaryFilename from the run detail
-  const detail = getRunDetail(req.params.id, req.params.runId);
-  if (detail?.summaryFilename) {
-    const wsPath = getWorkspaceSummaryPath(req.params.id, detail.summaryFilename);
-    if (wsPath) return sendSummaryFile(res, wsPath, task.name);
-  }
-
-  // Fallback to archived summary.md
-  const filePath = getRunArtifactPath(req.params.id, req.params.runId, "summary.md");
+  const filePath = getRunSummaryPath(req.params.id, req.params.runId);
   if (!filePath) return res.status(404).json({ error: "Summary not found" });
   sendSummaryFile(res, filePath, task.name);
 });
@@ -2406,20 +2843,39 @@ app.get("/api/tasks/:id/runs/:runId/artifacts/:filename", (req, res) => {
   if (!task) return res.status(404).json({ error: "Task not found" });
   const filePath = getRunArtifactPath(req.params.id, req.params.runId, req.params.filename);
   if (!filePath) return res.status(404).json({ error: "Artifact not found" });
-  res.sendFile(filePath, { dotfiles: "allow" });
+  sendArtifactFile(res, filePath, req.params.filename);
 });
 
 app.post("/api/tasks/validate-cron", (req, res) => {
-  const { cronExpression } = req.body;
+  const { cronExpression, timezone } = req.body;
   if (!cronExpression) return res.status(400).json({ error: "cronExpression is required" });
-  const result = validateCron(cronExpression);
+  const result = validateCron(cronExpression, timezone || null);
   if (result.valid) {
-    res.json({ valid: true, nextRuns: getNextRuns(cronExpression, 5) });
+    // Next runs are epoch ms; `timezone` is the zone they were computed in
+    res.json({ valid: true, nextRuns: getNextRuns(cronExpression, 5, timezone || null), timezone: timezone || SERVER_TIMEZONE });
   } else {
     res.json({ valid: false, error: result.error });
   }
 });
 
+// Render a (draft) task prompt's {{variables}} for the task form preview
+app.post("/api/tasks/preview-prompt", async (req, res) => {
+  const { taskId, prompt, name, workingDirectory, timezone, variables } = req.body;
+  if (typeof prompt !== "string") return res.status(400).json({ error: "prompt is required" });
+  if (taskId && !isOwnedBy(getTask(taskId), req.profile?.id)) return res.status(404).json({ error: "Task not found" });
+  const ctx = getProfileContext(req);
+  if (workingDirectory && !workingDirectory.startsWith(ctx.workspaceRoot)) {
+    return res.status(400).json({ error: "workingDirectory must be within the workspace" });
+  }
+  const draft = { prompt };
+  if (name !== undefined) draft.name = name;
+  if (workingDirectory) draft.workingDirectory = workingDirectory;
+  if (timezone !== undefined) draft.timezone = timezone || null;
+  if (variables && typeof variables === "object") draft.variables = variables;
+  const { text, used, unresolved } = await previewTaskPrompt(taskId || null, draft);
+  res.json({ rendered: text, used, unresolved });
+});
+
 // Webhook token management
 app.post("/api/tasks/:id/webhook-token", (req, res) => {
   const task = getTask(req.params.id);
@@ -2449,7 +2905,7 @@ server.on("upgrade", (request, socket, head) => {
   // Parse session from the upgrade request
   sessionMiddleware(request, {}, () => {
     // All users must be authenticated with a profile
-    if (!request.session?.authenticated) {
+    if (!request.session?.authenticated || !request.session.profileId) {
       socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
       socket.destroy();
       return;
@@ -2461,10 +2917,33 @@ server.on("upgrade", (request, socket, head) => {
   });
 });
 
-wss.on("connection", (ws) => {
+/** A sender-chosen id for a user message, echoed back so tabs can dedupe it. */
+function clientMessageId(value) {
+  return typeof value === "string" && /^[\w-]{1,64}$/.test(value) ? value : null;
+}
+
+wss.on("connection", (ws, request) => {
+  const profileId = request.session.profileId;
   const connectionTerminals = new Set(); // track terminals opened by this connection
   const connectionListeners = new Map(); // agentId -> listener fn
-  const pendingMessages = new Map(); // agentId -> Array of queued message texts (FIFO)
+  const runWatches = new Map(); // taskId -> unwatch fn for a live task run
+  registerConnection(ws, profileId);
+
+  // Forward an agent's events to this socket, replacing any earlier listener
+  // so each agent has at most one per connection.
+  function listenToAgent(agentId) {
+    const existing = connectionListeners.get(agentId);
+    if (existing) {
+      unsubscribeAgent(agentId, existing);
+    }
+    const listener = (event) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ ...event, agentId }));
+      }
+    };
+    subscribeAgent(agentId, listener);
+    connectionListeners.set(agentId, listener);
+  }
 
   // Send boot ID so clients can detect server restarts
   ws.send(JSON.stringify({ type: "welcome", bootId }));
@@ -2479,24 +2958,30 @@ wss.on("connection", (ws) => {
       return;
     }
 
+    // Every agent-addressed message must target an agent of this profile;
+    // other profiles' agents are treated as not found.
+    if (data.agentId) {
+      const target = getAgent(data.agentId);
+      if (target && !isOwnedBy(target, profileId)) {
+        ws.send(JSON.stringify({ type: "error", message: "Agent not found" }));
+        return;
+      }
+    }
+
     if (data.type === "abort" && data.agentId) {
       // Clear all queued pending messages when aborting
-      pendingMessages.delete(data.agentId);
+      removeQueuedMessages(data.agentId);
       abortAgent(data.agentId);
       return;
     }
 
     if (data.type === "cancel_pending" && data.agentId) {
-      pendingMessages.delete(data.agentId);
+      removeQueuedMessages(data.agentId);
       return;
     }
 
     if (data.type === "cancel_pending_one" && data.agentId && data.index != null) {
-      const queue = pendingMessages.get(data.agentId);
-      if (queue && data.index >= 0 && data.index < queue.length) {
-        queue.splice(data.index, 1);
-        if (queue.length === 0) pendingMessages.delete(data.agentId);
-      }
+      removeQueuedMessages(data.agentId, data.index);
       return;
     }
 
@@ -2505,6 +2990,15 @@ wss.on("connection", (ws) => {
       return;
     }
 
+    if (data.type === "tool_approval_response" && data.agentId && data.toolUseId) {
+      answerToolApproval(data.agentId, data.toolUseId, {
+        approved: data.approved,
+        reason: data.reason,
+        always: data.always,
+      });
+      return;
+    }
+
     if (data.type === "subscribe" && data.agentId) {
       const agent = getAgent(data.agentId);
       if (!agent) return;
@@ -2512,24 +3006,11 @@ wss.on("connection", (ws) => {
       // Send current agent status
       ws.send(JSON.stringify({ type: "agent_status", agentId: data.agentId, status: agent.status }));
 
-      // If agent is busy, subscribe for live updates and backfill missed events
+      // Stay subscribed for live updates whoever starts the next turn (another
+      // tab, the API, a scheduled task). Subscribe before backfilling so no
+      // events are missed in between; the client deduplicates by eventIndex.
+      listenToAgent(data.agentId);
       if (agent.status === "busy") {
-        // Evict any existing listener for this agent to prevent leaks
-        const existing = connectionListeners.get(data.agentId);
-        if (existing) {
-          unsubscribeAgent(data.agentId, existing);
-        }
-
-        // Subscribe first to avoid missing events between backfill and live
-        const listener = (event) => {
-          if (ws.readyState === ws.OPEN) {
-            ws.send(JSON.stringify({ ...event, agentId: data.agentId }));
-          }
-        };
-        subscribeAgent(data.agentId, listener);
-        connectionListeners.set(data.agentId, listener);
-
-        // Then backfill missed events (client deduplicates by eventIndex)
         const sinceIndex = data.lastEventIndex || 0;
         const missed = getBufferedEvents(data.agentId, sinceIndex);
         for (const event of missed) {
@@ -2540,71 +3021,88 @@ wss.on("connection", (ws) => {
       return;
     }
 
-    if (data.type === "message" && data.agentId && (data.text || data.attachments)) {
-      const agent = getAgent(data.agentId);
+    if (data.type === "unsubscribe" && data.agentId) {
+      const listener = connectionListeners.get(data.agentId);
+      if (listener) {
+        unsubscribeAgent(data.agentId, listener);
+        connectionListeners.delete(data.agentId);
+      }
+      return;
+    }
 
-      // If agent is busy, push message onto the FIFO queue
-      if (agent && agent.status === "busy") {
-        let queue = pendingMessages.get(data.agentId);
-        if (!queue) {
-          queue = [];
-          pendingMessages.set(data.agentId, queue);
-        }
-        queue.push({ text: data.text || "", attachments: data.attachments || null });
+    // Live view of a running scheduled task: backfill what the run has done
+    // so far, then stream its agent events as task_run_event messages.
+    if (data.type === "task_run_subscribe" && data.taskId) {
+      const task = getTask(data.taskId);
+      if (!isOwnedBy(task, profileId)) {
+        ws.send(JSON.stringify({ type: "error", message: "Task not found" }));
+        return;
+      }
+      runWatches.get(data.taskId)?.();
+      runWatches.delete(data.taskId);
+      let watch = null;
+      const send = (event, backfill) => {
         if (ws.readyState === ws.OPEN) {
-          ws.send(JSON.stringify({ type: "message_queued", agentId: data.agentId, text: data.text || "", queueLength: queue.length }));
+          ws.send(JSON.stringify({ type: "task_run_event", taskId: data.taskId, runId: watch.runId, event, backfill }));
         }
+      };
+      watch = watchTaskRun(data.taskId, data.runId || null, (event) => send(event, false));
+      if (!watch) {
+        ws.send(JSON.stringify({ type: "task_run_not_running", taskId: data.taskId, runId: data.runId || null }));
         return;
       }
+      runWatches.set(data.taskId, watch.unwatch);
+      ws.send(JSON.stringify({ type: "task_run_watching", taskId: data.taskId, runId: watch.runId, startedAt: watch.startedAt }));
+      const sinceIndex = data.lastEventIndex || 0;
+      for (const event of watch.events) {
+        if (event.eventIndex > sinceIndex) send(event, true);
+      }
+      return;
+    }
 
-      // Process message and then drain queued follow-ups in FIFO order
-      async function processMessage(text, attachments) {
-        // Evict any existing listener for this agent to prevent leaks
-        const existingListener = connectionListeners.get(data.agentId);
-        if (existingListener) {
-          unsubscribeAgent(data.agentId, existingListener);
-        }
-        const listener = (event) => {
-          if (ws.readyState === ws.OPEN) {
-            ws.send(JSON.stringify({ ...event, agentId: data.agentId }));
-          }
-        };
-        subscribeAgent(data.agentId, listener);
-        connectionListeners.set(data.agentId, listener);
-        try {
-          await sendMessage(data.agentId, text, attachments);
-        } catch (err) {
-          console.error(`[ws] sendMessage failed for agent ${data.agentId}:`, err);
-          if (ws.readyState === ws.OPEN) {
-            ws.send(
-              JSON.stringify({ type: "error", agentId: data.agentId, message: err.message })
-            );
-          }
-        } finally {
-          unsubscribeAgent(data.agentId, listener);
-          connectionListeners.delete(data.agentId);
-        }
+    if (data.type === "task_run_unsubscribe" && data.taskId) {
+      runWatches.get(data.taskId)?.();
+      runWatches.delete(data.taskId);
+      return;
+    }
 
-        // After message completes, drain the next queued message (FIFO)
-        const queue = pendingMessages.get(data.agentId);
-        if (queue && queue.length > 0 && ws.readyState === ws.OPEN) {
-          const next = queue.shift();
-          if (queue.length === 0) pendingMessages.delete(data.agentId);
-          // Notify client the next pending message is now being sent
-          ws.send(JSON.stringify({ type: "message_dequeued", agentId: data.agentId, text: next.text }));
-          // Process the next queued message
-          await processMessage(next.text, next.attachments);
-        }
+    if (data.type === "message" && data.agentId && (data.text || data.attachments)) {
+      const agent = getAgent(data.agentId);
+
+      // Task runs and API sessions can be watched but not steered from the UI
+      if (agent?.ephemeral) {
+        ws.send(JSON.stringify({ type: "error", agentId: data.agentId, message: "This session is read-only" }));
+        return;
+      }
+
+      // If agent is busy, push message onto the agent's FIFO queue. It is
+      // drained by agents.js when the current run ends, even if this socket
+      // has gone away by then.
+      if (agent && agent.status === "busy") {
+        if (!connectionListeners.has(data.agentId)) listenToAgent(data.agentId);
+        enqueueMessage(data.agentId, data.text || "", data.attachments || null, clientMessageId(data.messageId));
+        return;
       }
 
-      await processMessage(data.text || "", data.attachments || null);
+      // Stay subscribed after the run so queued follow-ups stream here too
+      if (!connectionListeners.has(data.agentId)) listenToAgent(data.agentId);
+      try {
+        await sendMessage(data.agentId, data.text || "", data.attachments || null, clientMessageId(data.messageId));
+      } catch (err) {
+        console.error(`[ws] sendMessage failed for agent ${data.agentId}:`, err);
+        if (ws.readyState === ws.OPEN) {
+          ws.send(
+            JSON.stringify({ type: "error", agentId: data.agentId, message: err.message })
+          );
+        }
+      }
     } else if (data.type === "terminal_start" && data.agentId) {
       const agent = getAgent(data.agentId);
       if (!agent) {
         ws.send(JSON.stringify({ type: "error", message: "Agent not found" }));
         return;
       }
-      const term = spawnTerminal(data.agentId, agent.workingDirectory, agent.sessionId);
+      const term = spawnTerminal(data.agentId, agent.workingDirectory, agent.sessionId, agent);
       connectionTerminals.add(data.agentId);
       term.onData((output) => {
         if (ws.readyState === ws.OPEN) {
@@ -2623,11 +3121,13 @@ wss.on("connection", (ws) => {
   });
 
   ws.on("close", () => {
+    unregisterConnection(ws);
     for (const [agentId, listener] of connectionListeners) {
       unsubscribeAgent(agentId, listener);
     }
     connectionListeners.clear();
-    pendingMessages.clear();
+    for (const unwatch of runWatches.values()) unwatch();
+    runWatches.clear();
     killAllTerminals(connectionTerminals);
     connectionTerminals.clear();
   });
@@ -2647,6 +3147,9 @@ app.use((err, req, res, _next) => {
   });
 });
 
+// Reload persisted agents (with their SDK session ids) before accepting connections
+restoreAgents(listProfiles().map((p) => p.id));
+
 const PORT = process.env.PORT || 3001;
 server.on("error", (err) => {
   console.error(`[server] HTTP server error:`, err);
@@ -2660,31 +3163,47 @@ server.listen(PORT, "0.0.0.0", () => {
   }
   // Start the task scheduler after server is ready
   startTaskScheduler();
+  resumeCallbackDeliveries(allProfiles.flatMap((profile) => listAllTasks(profile.id)));
 });
 
-// Broadcast task run completions to connected WebSocket clients
+// Notify the owning profile's WebSocket clients of task run completions
 onRunComplete(({ taskId, runId, task, runEntry }) => {
-  const msg = JSON.stringify({
+  broadcastToProfile(task.profileId, {
     type: "task_run_complete",
     taskId,
     runId,
     taskName: task.name,
     status: runEntry.status,
   });
-  for (const client of wss.clients) {
-    if (client.readyState === client.OPEN) {
-      try {
-        client.send(msg);
-      } catch (err) {
-        console.error("[ws] Failed to broadcast task_run_complete:", err);
-      }
-    }
+});
+
+// Keep every tab of the owning profile in sync with agent list changes
+onAgentChange(({ type, agent }) => {
+  if (type === "agent_created") {
+    broadcastToProfile(agent.profileId, { type, agent: summarizeAgent(agent) });
+  } else if (type === "agent_deleted") {
+    broadcastToProfile(agent.profileId, { type, agentId: agent.id });
+  } else {
+    broadcastToProfile(agent.profileId, { type, agentId: agent.id, status: agent.status });
   }
 });
 
-// Send email notifications on task run completion
-onRunComplete(async ({ taskId, runId, task, runEntry }) => {
+// What changed since the run before this one, as { label, value } rows
+function runChangesSincePrevious(taskId, runId) {
+  try {
+    const previous = getPreviousRun(taskId, runId);
+    const comparison = previous && compareRuns(taskId, previous.id, runId);
+    return comparison ? describeRunChanges(comparison) : [];
+  } catch (err) {
+    console.error(`[email] Failed to compare run ${runId} with the previous one:`, err.message);
+    return [];
+  }
+}
+
+// Send email notifications on task run completion (final attempt only)
+onRunComplete(async ({ taskId, runId, task, runEntry, willRetry }) => {
   try {
+    if (willRetry) return;
     if (!task.emails || task.emails.length === 0) return;
     if (!task.webhookToken) return; // Need webhook token for public URL
     if (!task.webhookBaseUrl) {
@@ -2694,9 +3213,49 @@ onRunComplete(async ({ taskId, runId, task, runEntry }) => {
 
     const summaryUrl = `${task.webhookBaseUrl}/api/webhooks/tasks/${taskId}/${task.webhookToken}/runs/${runId}/summary?render=true`;
     const summariesUrl = `${task.webhookBaseUrl}/api/webhooks/tasks/${taskId}/${task.webhookToken}/summaries?render=true`;
+    const artifactsUrl = `${task.webhookBaseUrl}/api/webhooks/tasks/${taskId}/${task.webhookToken}/runs/${runId}/artifacts`;
 
-    await sendTaskCompletionEmail(task.profileId, task, runEntry, summaryUrl, summariesUrl);
+    await sendTaskCompletionEmail(task.profileId, task, runEntry, summaryUrl, summariesUrl, {
+      changes: runChangesSincePrevious(taskId, runId),
+      artifactsUrl,
+    });
   } catch (err) {
     console.error(`[email] Failed to send notification for task "${task.name}":`, err.message);
   }
 });
+
+// POST signed payloads to the task's callback URLs (final attempt only)
+onRunComplete(({ taskId, runId, task, runEntry, willRetry }) => {
+  if (willRetry || !task.callbacks) return;
+  const summaryUrl = task.webhookToken && task.webhookBaseUrl
+    ? `${task.webhookBaseUrl}/api/webhooks/tasks/${taskId}/${task.webhookToken}/runs/${runId}/summary`
+    : null;
+  try {
+    deliverRunCallbacks(task, runEntry, summaryUrl);
+  } catch (err) {
+    console.error(`[callbacks] Failed to queue deliveries for task "${task.name}":`, err.message);
+  }
+});
+
+// Post to the task's notification channels whose status filter matches (final attempt only)
+onRunComplete(async ({ taskId, runId, task, runEntry, willRetry }) => {
+  try {
+    if (willRetry || !task.notificationChannels?.length) return;
+    const summaryUrl = task.webhookToken && task.webhookBaseUrl
+      ? `${task.webhookBaseUrl}/api/webhooks/tasks/${taskId}/${task.webhookToken}/runs/${runId}/summary?render=true`
+      : null;
+    const message = buildRunNotification(task, runEntry, summaryUrl);
+    await Promise.all(task.notificationChannels.map(async (channelId) => {
+      const channel = getNotificationChannel(task.profileId, channelId);
+      if (!channel || !channelAcceptsStatus(channel, runEntry.status)) return;
+      try {
+        await sendChannelNotification(channel, message);
+        console.log(`[notify] Sent ${channel.type} notification "${channel.name}" for task "${task.name}"`);
+      } catch (err) {
+        console.error(`[notify] ${channel.type} channel "${channel.name}" failed for task "${task.name}":`, err.message);
+      }
+    }));
+  } catch (err) {
+    console.error(`[notify] Failed to send notifications for task "${task.name}":`, err.message);
+  }
+});
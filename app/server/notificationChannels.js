@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { CHAIN_STATUSES } from "./tasks.js";
+
+const PROFILES_DIR = "/home/node/.claude/profiles";
+const CHANNELS_FILENAME = "notification-channels.json";
+
+// slack / mattermost / discord post to an incoming-webhook URL, "webhook" is a
+// signed JSON POST, ntfy posts to a topic URL and gotify to a server URL
+export const NOTIFICATION_CHANNEL_TYPES = ["slack", "mattermost", "discord", "webhook", "ntfy", "gotify"];
+// Types whose secret is required: the webhook signing secret and the Gotify app token
+const SECRET_REQUIRED_TYPES = ["webhook", "gotify"];
+const MAX_CHANNELS = 50;
+const MAX_TASK_CHANNELS = 10;
+
+function channelsPath(profileId) {
+  const dir = path.join(PROFILES_DIR, profileId);
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, CHANNELS_FILENAME);
+}
+
+function loadChannels(profileId) {
+  try {
+    const raw = fs.readFileSync(channelsPath(profileId), "utf-8");
+    const data = JSON.parse(raw);
+    return Array.isArray(data.channels) ? data.channels : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveChannels(profileId, channels) {
+  const filePath = channelsPath(profileId);
+  const tmp = filePath + "." + crypto.randomBytes(4).toString("hex") + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify({ channels }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+function normalizeUrl(input) {
+  let url;
+  try {
+    url = new URL(String(input).trim());
+  } catch {
+    throw new Error("url must be a valid URL");
+  }
+  // http is allowed for self-hosted servers and local stand-ins
+  if (url.protocol !== "https:" && url.protocol !== "http:") throw new Error("url must use http or https");
+  return url.toString();
+}
+
+function normalizeStatuses(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error("statuses must be an array");
+  const statuses = [...new Set(input)];
+  for (const status of statuses) {
+    if (!CHAIN_STATUSES.includes(status)) throw new Error(`statuses must be any of: ${CHAIN_STATUSES.join(", ")}`);
+  }
+  return statuses;
+}
+
+/** Public view of a channel; the URL (it often embeds a token) and secret are never returned. */
+function toPublic({ id, name, type, url, secret, statuses, createdAt, updatedAt }) {
+  let host = null;
+  try { host = new URL(url).host; } catch {}
+  return { id, name, type, host, hasSecret: !!secret, statuses, createdAt, updatedAt: updatedAt || null };
+}
+
+/**
+ * List a profile's notification channels without their URLs or secrets.
+ */
+export function listNotificationChannels(profileId) {
+  return loadChannels(profileId).map(toPublic);
+}
+
+/**
+ * Full channel (with URL and secret) for delivery, or null.
+ */
+export function getNotificationChannel(profileId, channelId) {
+  return loadChannels(profileId).find((c) => c.id === channelId) || null;
+}
+
+/**
+ * Create a channel, or update one when `channelId` is given. Input:
+ * { name, type, url, secret, statuses } — `statuses` limits the run statuses
+ * the channel is notified for (empty means all). On update a missing url or
+ * secret keeps the stored one; an explicit empty secret clears it.
+ */
+export function saveNotificationChannel(profileId, input, channelId = null) {
+  const channels = loadChannels(profileId);
+  const existing = channelId ? channels.find((c) => c.id === channelId) : null;
+  if (channelId && !existing) return null;
+  if (!existing && channels.length >= MAX_CHANNELS) throw new Error(`A profile can have at most ${MAX_CHANNELS} channels`);
+
+  const name = typeof input.name === "string" ? input.name.trim() : existing?.name || "";
+  if (!name) throw new Error("Channel name is required");
+  const type = input.type ?? existing?.type;
+  if (!NOTIFICATION_CHANNEL_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${NOTIFICATION_CHANNEL_TYPES.join(", ")}`);
+  }
+  const url = input.url ? normalizeUrl(input.url) : existing?.url;
+  if (!url) throw new Error("url is required");
+  let secret = existing?.secret || null;
+  if (input.secret !== undefined) secret = typeof input.secret === "string" && input.secret.trim() ? input.secret.trim() : null;
+  if (SECRET_REQUIRED_TYPES.includes(type) && !secret) {
+    throw new Error(type === "webhook" ? "A signing secret is required" : "A Gotify app token is required");
+  }
+  const statuses = input.statuses !== undefined ? normalizeStatuses(input.statuses) : existing?.statuses || [];
+
+  const channel = {
+    id: existing?.id || crypto.randomUUID(),
+    name,
+    type,
+    url,
+    secret,
+    statuses,
+    createdAt: existing?.createdAt || Date.now(),
+    updatedAt: existing ? Date.now() : null,
+  };
+  if (existing) channels[channels.indexOf(existing)] = channel;
+  else channels.push(channel);
+  saveChannels(profileId, channels);
+  return toPublic(channel);
+}
+
+/**
+ * Delete a channel by id.
+ */
+export function deleteNotificationChannel(profileId, channelId) {
+  const channels = loadChannels(profileId);
+  const next = channels.filter((c) => c.id !== channelId);
+  if (next.length === channels.length) return false;
+  saveChannels(profileId, next);
+  return true;
+}
+
+/**
+ * Validate a task's channel selection: ids of the profile's channels.
+ */
+export function normalizeTaskChannels(profileId, input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error("notificationChannels must be an array");
+  const ids = [...new Set(input)];
+  if (ids.length > MAX_TASK_CHANNELS) throw new Error(`A task can notify at most ${MAX_TASK_CHANNELS} channels`);
+  const known = new Set(loadChannels(profileId).map((c) => c.id));
+  for (const id of ids) {
+    if (!known.has(id)) throw new Error(`Unknown notification channel "${id}"`);
+  }
+  return ids;
+}
@@ -0,0 +1,172 @@
+import crypto from "crypto";
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ERROR_LENGTH = 500;
+
+const STATUS_LABELS = {
+  success: "Completed",
+  error: "Failed",
+  timeout: "Timed Out",
+  budget_exceeded: "Over Budget",
+  interrupted: "Interrupted",
+};
+
+function statusEmoji(status) {
+  return status === "success" ? "✅" : status === "error" ? "❌" : "⚠️";
+}
+
+function formatDuration(ms) {
+  const sec = Math.round((ms || 0) / 1000);
+  return sec >= 60 ? `${Math.floor(sec / 60)}m ${sec % 60}s` : `${sec}s`;
+}
+
+function truncate(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + "…" : text;
+}
+
+/**
+ * Channel-neutral description of a finished run:
+ * { title, status, statusLabel, fields: [{ label, value }], url, task, run }.
+ */
+export function buildRunNotification(task, runEntry, summaryUrl) {
+  const statusLabel = STATUS_LABELS[runEntry.status] || "Finished";
+  const fields = [
+    { label: "Duration", value: formatDuration(runEntry.durationMs) },
+  ];
+  if (runEntry.attempt > 1) fields.push({ label: "Attempts", value: String(runEntry.attempt) });
+  if (runEntry.cost) fields.push({ label: "Cost", value: `$${runEntry.cost.toFixed(2)}` });
+  if (runEntry.pullRequest) fields.push({ label: "Pull Request", value: runEntry.pullRequest.url });
+  if (runEntry.error) fields.push({ label: "Error", value: truncate(runEntry.error, MAX_ERROR_LENGTH) });
+  return {
+    title: `Task "${task.name}" ${statusLabel}`,
+    status: runEntry.status,
+    statusLabel,
+    fields,
+    url: summaryUrl || null,
+    task: { id: task.id, name: task.name },
+    run: {
+      id: runEntry.id,
+      status: runEntry.status,
+      trigger: runEntry.trigger || null,
+      attempt: runEntry.attempt || 1,
+      startedAt: runEntry.startedAt,
+      completedAt: runEntry.completedAt,
+      durationMs: runEntry.durationMs,
+      cost: runEntry.cost || 0,
+      error: runEntry.error || null,
+      pullRequest: runEntry.pullRequest || null,
+    },
+  };
+}
+
+/** GitHub-style signature of a request body: "sha256=<hex HMAC>". */
+export function signPayload(secret, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+function escapeSlack(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function plainText(message) {
+  const lines = message.fields.map((f) => `${f.label}: ${f.value}`);
+  if (message.url) lines.push(message.url);
+  return lines.join("\n");
+}
+
+/**
+ * Request for one channel type: { url, headers, body }.
+ */
+function buildRequest(channel, message) {
+  const emoji = statusEmoji(message.status);
+  const json = (body) => JSON.stringify(body);
+
+  if (channel.type === "slack") {
+    const lines = [`${emoji} *${escapeSlack(message.title)}*`, ...message.fields.map((f) => `*${f.label}:* ${escapeSlack(f.value)}`)];
+    if (message.url) lines.push(`<${message.url}|View summary>`);
+    return { url: channel.url, headers: {}, body: json({ text: lines.join("\n") }) };
+  }
+  if (channel.type === "mattermost") {
+    const lines = [`${emoji} **${message.title}**`, ...message.fields.map((f) => `**${f.label}:** ${f.value}`)];
+    if (message.url) lines.push(`[View summary](${message.url})`);
+    return { url: channel.url, headers: {}, body: json({ text: lines.join("\n") }) };
+  }
+  if (channel.type === "discord") {
+    const embed = {
+      title: truncate(`${emoji} ${message.title}`, 256),
+      color: message.status === "success" ? 0x22c55e : message.status === "error" ? 0xef4444 : 0xf59e0b,
+      fields: message.fields.map((f) => ({ name: f.label, value: truncate(f.value, 1024), inline: f.label !== "Error" })),
+    };
+    if (message.url) embed.url = message.url;
+    return { url: channel.url, headers: {}, body: json({ embeds: [embed] }) };
+  }
+  if (channel.type === "ntfy") {
+    // JSON publishing goes to the server root with the topic in the body,
+    // which keeps non-ASCII titles out of HTTP headers
+    const topicUrl = new URL(channel.url);
+    const segments = topicUrl.pathname.split("/").filter(Boolean);
+    const topic = segments.pop();
+    if (!topic) throw new Error("ntfy URL must end with a topic, e.g. https://ntfy.sh/my-topic");
+    topicUrl.pathname = "/" + segments.join("/");
+    const body = {
+      topic,
+      title: message.title,
+      message: message.fields.map((f) => `${f.label}: ${f.value}`).join("\n"),
+      tags: [message.status === "success" ? "white_check_mark" : message.status === "error" ? "x" : "warning"],
+      priority: message.status === "success" ? 3 : 4,
+    };
+    if (message.url) body.click = message.url;
+    const headers = channel.secret ? { Authorization: `Bearer ${channel.secret}` } : {};
+    return { url: topicUrl.toString(), headers, body: json(body) };
+  }
+  if (channel.type === "gotify") {
+    const url = new URL(channel.url);
+    url.pathname = url.pathname.replace(/\/+$/, "") + "/message";
+    const body = {
+      title: message.title,
+      message: plainText(message),
+      priority: message.status === "success" ? 5 : 8,
+    };
+    if (message.url) body.extras = { "client::notification": { click: { url: message.url } } };
+    return { url: url.toString(), headers: { "X-Gotify-Key": channel.secret }, body: json(body) };
+  }
+  // Generic webhook: the JSON body is signed like GitHub signs its deliveries
+  const body = json({
+    event: "task.run.completed",
+    title: message.title,
+    summaryUrl: message.url,
+    task: message.task,
+    run: message.run,
+    sentAt: new Date().toISOString(),
+  });
+  return {
+    url: channel.url,
+    headers: { "X-Task-Event": "task.run.completed", "X-Task-Signature-256": signPayload(channel.secret, body) },
+    body,
+  };
+}
+
+/**
+ * POST a notification to one channel. Throws with the HTTP status (and the
+ * start of the response body) when the receiver rejects it.
+ */
+export async function sendChannelNotification(channel, message) {
+  const request = buildRequest(channel, message);
+  const res = await fetch(request.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": "claude-tasks-notifier", ...request.headers },
+    body: request.body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`${channel.type} responded ${res.status}${text ? `: ${truncate(text.trim(), 200)}` : ""}`);
+  }
+}
+
+/**
+ * Whether a channel wants runs with this status (no filter means every status).
+ */
+export function channelAcceptsStatus(channel, status) {
+  return !channel.statuses?.length || channel.statuses.includes(status);
+}
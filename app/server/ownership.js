@@ -0,0 +1,29 @@
+/**
+ * Profile ownership checks for agents and tasks.
+ *
+ * Agents and tasks are looked up by UUID alone, so every route and WebSocket
+ * message that takes an id must also confirm the item belongs to the
+ * caller's profile. Items owned by another profile are reported exactly like
+ * missing ones (404 / "not found") so ids cannot be probed across profiles.
+ */
+
+/** True when `item` (an agent or task) belongs to `profileId`. */
+export function isOwnedBy(item, profileId) {
+  return !!item && !!profileId && item.profileId === profileId;
+}
+
+/**
+ * Express middleware for routes mounted at `.../:id`. `lookup(id)` returns the
+ * item or null. Unknown ids fall through to the route (which answers 404 on
+ * its own, or is a fixed sub-path such as /api/tasks/runs); items owned by
+ * another profile are rejected here with 404.
+ */
+export function requireOwnership(lookup, label) {
+  return (req, res, next) => {
+    const item = lookup(req.params.id);
+    if (item && !isOwnedBy(item, req.profile?.id)) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,250 @@
+import path from "path";
+
+/**
+ * Tool permission profiles for agents and scheduled tasks.
+ *
+ * A policy is `{ permissionProfile, allowedCommands, approvedCommands, allowedPaths }`:
+ * allowedCommands are prefixes, approvedCommands the exact commands approved
+ * with "always allow". Policies are enforced
+ * through the SDK's PreToolUse hook (see sendMessage in agents.js): every tool
+ * call is passed to evaluateToolPermission, which answers "allow", "deny", or
+ * "ask" (hold the call until the user approves it).
+ */
+
+export const DEFAULT_PERMISSION_PROFILE = "full";
+
+export const PERMISSION_PROFILES = ["full", "read-only", "no-bash", "allowlist", "ask"];
+
+// Tools that never modify the workspace or run arbitrary commands
+const READ_ONLY_TOOLS = new Set([
+  "Read",
+  "Glob",
+  "Grep",
+  "LS",
+  "NotebookRead",
+  "WebFetch",
+  "WebSearch",
+  "TodoWrite",
+  "AskUserQuestion",
+  "ExitPlanMode",
+  "BashOutput",
+  "ListMcpResourcesTool",
+  "ReadMcpResourceTool",
+]);
+
+const SHELL_TOOLS = new Set(["Bash", "KillShell"]);
+
+const EDIT_TOOLS = new Set(["Write", "Edit", "MultiEdit", "NotebookEdit"]);
+
+// git's global options that take the next word as their value (`-C <dir>`)
+const GIT_VALUE_OPTIONS = new Set(["-C", "-c", "--git-dir", "--work-tree", "--namespace", "--config-env", "--super-prefix", "--exec-path"]);
+const SHELL_WORD_RE = /"[^"]*"|'[^']*'|\S+/g;
+
+/**
+ * Whether a command runs `git push`: some `git` word whose subcommand, after
+ * any global options (`git -C repo -c k=v --no-pager push`), is push.
+ */
+function isGitPush(command) {
+  const words = (command || "").match(SHELL_WORD_RE) || [];
+  for (let i = 0; i < words.length; i++) {
+    if (words[i] !== "git" && !words[i].endsWith("/git")) continue;
+    let j = i + 1;
+    while (j < words.length && words[j].startsWith("-")) {
+      j += GIT_VALUE_OPTIONS.has(words[j]) ? 2 : 1;
+    }
+    if (words[j] === "push") return true;
+  }
+  return false;
+}
+
+// Chaining, substitution and redirection would let an allowlisted prefix run
+// anything, so commands containing them always need approval.
+const SHELL_META_RE = /[;&|`<>\n]|\$\(/;
+
+const MAX_ALLOWED_COMMANDS = 50;
+export const MAX_APPROVED_COMMANDS = 200;
+const MAX_ALLOWED_PATHS = 50;
+
+function isAllowlistedCommand(command, allowedCommands) {
+  const trimmed = (command || "").trim();
+  if (!trimmed || SHELL_META_RE.test(trimmed)) return false;
+  // A broad prefix such as "git" must not cover pushes; only an entry that
+  // itself is a push command does.
+  const isPush = isGitPush(trimmed);
+  return allowedCommands.some((prefix) =>
+    (trimmed === prefix || trimmed.startsWith(prefix + " ")) && (!isPush || isGitPush(prefix)));
+}
+
+/** Whether the command is exactly one approved with "always allow". */
+function isApprovedCommand(command, approvedCommands) {
+  const trimmed = (command || "").trim();
+  return !!trimmed && approvedCommands.includes(trimmed);
+}
+
+function isPermittedCommand(command, policy) {
+  return isApprovedCommand(command, policy.approvedCommands || [])
+    || isAllowlistedCommand(command, policy.allowedCommands || []);
+}
+
+/** Resolve a tool's target file relative to the agent's working directory. */
+function editTarget(toolInput, cwd) {
+  const target = toolInput?.file_path || toolInput?.notebook_path || toolInput?.path;
+  if (!target || !cwd) return null;
+  return path.resolve(cwd, target);
+}
+
+function isAllowlistedPath(filePath, allowedPaths, cwd) {
+  if (!filePath) return false;
+  const root = path.resolve(cwd);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) return false;
+  return allowedPaths.some((p) => {
+    const allowed = path.resolve(root, p);
+    return filePath === allowed || filePath.startsWith(allowed + path.sep);
+  });
+}
+
+/**
+ * Decide what to do with a single tool call under the given policy.
+ * `cwd` is the agent's working directory; allowed paths are relative to it.
+ * Returns `{ decision: "allow" | "deny" | "ask", reason }`.
+ */
+export function evaluateToolPermission(policy, toolName, toolInput, cwd) {
+  const profile = policy?.permissionProfile || DEFAULT_PERMISSION_PROFILE;
+  switch (profile) {
+    case "read-only":
+      if (READ_ONLY_TOOLS.has(toolName)) return { decision: "allow" };
+      return { decision: "deny", reason: `${toolName} is not allowed: this agent is read-only` };
+    case "no-bash":
+      if (SHELL_TOOLS.has(toolName)) {
+        return { decision: "deny", reason: "Shell commands are not allowed for this agent" };
+      }
+      return { decision: "allow" };
+    case "allowlist": {
+      if (toolName !== "Bash") return { decision: "allow" };
+      if (isPermittedCommand(toolInput?.command, policy)) return { decision: "allow" };
+      return { decision: "ask", reason: "Command is not on the allowlist" };
+    }
+    case "ask": {
+      if (toolName === "Bash") {
+        if (isPermittedCommand(toolInput?.command, policy)) return { decision: "allow" };
+        return {
+          decision: "ask",
+          reason: isGitPush(toolInput?.command) ? "Pushes to a remote" : "Runs a shell command",
+        };
+      }
+      if (EDIT_TOOLS.has(toolName)) {
+        if (isAllowlistedPath(editTarget(toolInput, cwd), policy.allowedPaths || [], cwd)) return { decision: "allow" };
+        return { decision: "ask", reason: "Modifies a file outside the allowed paths" };
+      }
+      return { decision: "allow" };
+    }
+    default:
+      return { decision: "allow" };
+  }
+}
+
+/**
+ * Validate a policy coming from an API request. Throws an Error with a
+ * user-facing message when invalid. Missing fields fall back to defaults.
+ */
+export function normalizePermissions(input = {}) {
+  const permissionProfile = input.permissionProfile || DEFAULT_PERMISSION_PROFILE;
+  if (!PERMISSION_PROFILES.includes(permissionProfile)) {
+    throw new Error(`permissionProfile must be one of: ${PERMISSION_PROFILES.join(", ")}`);
+  }
+  let allowedCommands = input.allowedCommands ?? [];
+  if (typeof allowedCommands === "string") allowedCommands = allowedCommands.split("\n");
+  if (!Array.isArray(allowedCommands)) {
+    throw new Error("allowedCommands must be an array of command prefixes");
+  }
+  allowedCommands = [...new Set(allowedCommands
+    .filter((c) => typeof c === "string")
+    .map((c) => c.trim())
+    .filter(Boolean))];
+  if (allowedCommands.length > MAX_ALLOWED_COMMANDS) {
+    throw new Error(`At most ${MAX_ALLOWED_COMMANDS} allowed commands are supported`);
+  }
+  if (allowedCommands.some((c) => SHELL_META_RE.test(c))) {
+    throw new Error("Allowed commands cannot contain shell operators (; & | ` < > $( )");
+  }
+  let approvedCommands = input.approvedCommands ?? [];
+  if (typeof approvedCommands === "string") approvedCommands = approvedCommands.split("\n");
+  if (!Array.isArray(approvedCommands)) {
+    throw new Error("approvedCommands must be an array of commands");
+  }
+  approvedCommands = [...new Set(approvedCommands
+    .filter((c) => typeof c === "string")
+    .map((c) => c.trim())
+    .filter(Boolean))];
+  if (approvedCommands.length > MAX_APPROVED_COMMANDS) {
+    throw new Error(`At most ${MAX_APPROVED_COMMANDS} approved commands are supported`);
+  }
+  if (approvedCommands.some((c) => SHELL_META_RE.test(c))) {
+    throw new Error("Approved commands cannot contain shell operators (; & | ` < > $( )");
+  }
+  let allowedPaths = input.allowedPaths ?? [];
+  if (typeof allowedPaths === "string") allowedPaths = allowedPaths.split("\n");
+  if (!Array.isArray(allowedPaths)) {
+    throw new Error("allowedPaths must be an array of workspace-relative paths");
+  }
+  allowedPaths = [...new Set(allowedPaths
+    .filter((p) => typeof p === "string")
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => path.normalize(p).replace(/\/+$/, "") || "."))];
+  if (allowedPaths.length > MAX_ALLOWED_PATHS) {
+    throw new Error(`At most ${MAX_ALLOWED_PATHS} allowed paths are supported`);
+  }
+  if (allowedPaths.some((p) => path.isAbsolute(p) || p === ".." || p.startsWith("../"))) {
+    throw new Error("Allowed paths must be relative to the workspace and stay inside it");
+  }
+  return { permissionProfile, allowedCommands, approvedCommands, allowedPaths };
+}
+
+/**
+ * The rule that "always allow for this agent" adds for a held call, or null
+ * when the call cannot be expressed as a rule (e.g. chained shell commands).
+ * Returns `{ approvedCommands: [cmd] }` (matched exactly, never as a prefix)
+ * or `{ allowedPaths: [relPath] }`.
+ */
+export function alwaysAllowRule(toolName, toolInput, cwd) {
+  if (toolName === "Bash") {
+    const command = (toolInput?.command || "").trim();
+    if (!command || SHELL_META_RE.test(command)) return null;
+    return { approvedCommands: [command] };
+  }
+  if (EDIT_TOOLS.has(toolName)) {
+    const target = editTarget(toolInput, cwd);
+    if (!target) return null;
+    const rel = path.relative(path.resolve(cwd), target);
+    if (!rel || rel.startsWith("..") || path.isAbsolute(rel)) return null;
+    return { allowedPaths: [rel] };
+  }
+  return null;
+}
+
+/**
+ * CLI flags for the interactive `claude` terminal. The terminal has its own
+ * permission prompts, so only the unrestricted profile skips them; the other
+ * profiles pre-approve what the policy allows and disable what it forbids.
+ */
+export function terminalArgsForPolicy(policy) {
+  const profile = policy?.permissionProfile || DEFAULT_PERMISSION_PROFILE;
+  switch (profile) {
+    case "read-only":
+      return ["--allowedTools", ...READ_ONLY_TOOLS, "--disallowedTools", "Bash", "Write", "Edit", "MultiEdit", "NotebookEdit"];
+    case "no-bash":
+      return ["--disallowedTools", ...SHELL_TOOLS];
+    case "allowlist":
+    case "ask": {
+      // File edits outside the allowed paths fall back to the terminal's own prompt
+      const allowed = [
+        ...(policy.allowedCommands || []).map((c) => `Bash(${c}:*)`),
+        ...(policy.approvedCommands || []).map((c) => `Bash(${c})`),
+      ];
+      return allowed.length > 0 ? ["--allowedTools", ...allowed] : [];
+    }
+    default:
+      return ["--dangerously-skip-permissions"];
+  }
+}
@@ -0,0 +1,99 @@
+import { gitExec } from "./providers.js";
+
+// {{name}} or {{name args}}; names may be dotted paths into webhook variables
+const TOKEN_RE = /\{\{\s*([A-Za-z_][\w.]*)(?:\s+([^}]*?))?\s*\}\}/g;
+const GIT_LOG_LIMIT = 50;
+
+function formatInTimezone(date, timezone, options) {
+  try {
+    return new Intl.DateTimeFormat("en-CA", { ...options, timeZone: timezone || undefined }).format(date);
+  } catch {
+    return new Intl.DateTimeFormat("en-CA", options).format(date);
+  }
+}
+
+async function gitLog(cwd, args, lastRun) {
+  const gitArgs = ["log", "--oneline", "--no-decorate", `-n${GIT_LOG_LIMIT}`];
+  const since = args?.match(/^since\s+(.+)$/i)?.[1]?.trim();
+  if (since === "lastRun") {
+    if (lastRun?.startedAt) gitArgs.push(`--since=${new Date(lastRun.startedAt).toISOString()}`);
+  } else if (since) {
+    gitArgs.push(`--since=${since}`);
+  }
+  const output = await gitExec(gitArgs, cwd);
+  if (output === null) return null;
+  return output || "(no commits)";
+}
+
+/** Look up a dotted path (e.g. "pull_request.title") in webhook variables. */
+function lookupVariable(variables, name) {
+  let value = variables;
+  for (const key of name.split(".")) {
+    if (value === null || typeof value !== "object" || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  if (value === undefined || value === null) return undefined;
+  return typeof value === "object" ? JSON.stringify(value, null, 2) : String(value);
+}
+
+/**
+ * Built-in prompt variables. Each resolver gets (args, context) and returns
+ * the value, or null when it cannot be resolved (the token is left as-is).
+ */
+const BUILTINS = {
+  date: (_, { timezone }) => formatInTimezone(new Date(), timezone, { year: "numeric", month: "2-digit", day: "2-digit" }),
+  time: (_, { timezone }) => formatInTimezone(new Date(), timezone, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" }),
+  datetime: () => new Date().toISOString(),
+  taskName: (_, { taskName }) => taskName || null,
+  lastRunAt: (_, { lastRun }) => (lastRun?.startedAt ? new Date(lastRun.startedAt).toISOString() : "never"),
+  lastRunStatus: (_, { lastRun }) => lastRun?.status || "none",
+  lastRunSummary: (_, { lastRunSummary }) => lastRunSummary || "(no previous summary)",
+  branch: (_, { workingDirectory }) => (workingDirectory ? gitExec(["rev-parse", "--abbrev-ref", "HEAD"], workingDirectory) : null),
+  gitLog: (args, { workingDirectory, lastRun }) => (workingDirectory ? gitLog(workingDirectory, args, lastRun) : null),
+  payload: (_, { payload }) => payload ?? null,
+};
+
+export const PROMPT_BUILTIN_VARIABLES = Object.keys(BUILTINS);
+
+/**
+ * Resolve {{variables}} in a task prompt.
+ *
+ * context: { taskName, workingDirectory, timezone, lastRun, lastRunSummary,
+ *            payload, variables } — `variables` is the JSON object from a
+ * webhook body; built-ins take precedence over keys of the same name.
+ *
+ * Returns { text, used, unresolved } where `used` and `unresolved` are the
+ * variable names found. Unresolved tokens are left in the text unchanged.
+ */
+export async function renderPromptTemplate(template, context = {}) {
+  const tokens = [...(template || "").matchAll(TOKEN_RE)];
+  const values = new Map();
+  await Promise.all(tokens.map(async ([raw, name, args]) => {
+    if (values.has(raw)) return;
+    values.set(raw, null);
+    let value = null;
+    try {
+      if (Object.hasOwn(BUILTINS, name)) {
+        value = await BUILTINS[name](args || null, context);
+      } else if (context.variables && !args) {
+        value = lookupVariable(context.variables, name) ?? null;
+      }
+    } catch (err) {
+      console.error(`[promptTemplates] Failed to resolve {{${name}}}:`, err.message);
+    }
+    values.set(raw, value);
+  }));
+
+  const used = new Set();
+  const unresolved = new Set();
+  const text = (template || "").replace(TOKEN_RE, (raw, name) => {
+    const value = values.get(raw);
+    if (value === null || value === undefined) {
+      unresolved.add(name);
+      return raw;
+    }
+    used.add(name);
+    return value;
+  });
+  return { text, used: [...used], unresolved: [...unresolved] };
+}
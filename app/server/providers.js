@@ -349,6 +349,128 @@ export async function fetchPrInfo(remote, branch, profileId) {
   return null;
 }
 
+/** Pick the account that can reach a parsed remote (matching host/org), else the first. */
+function accountForRemote(remote, profileId) {
+  const accounts = getAllAccounts(remote.provider, profileId).filter((a) => a.token);
+  if (remote.provider === "gitlab") {
+    return accounts.find((a) => (a.url || "https://gitlab.com").replace(/^https?:\/\//, "").replace(/\/$/, "") === remote.host) || accounts[0] || null;
+  }
+  if (remote.provider === "azuredevops") {
+    return accounts.find((a) => a.organization === remote.org) || accounts[0] || null;
+  }
+  return accounts[0] || null;
+}
+
+/**
+ * Open a PR/MR from `branch` into `base`. The branch must already be pushed.
+ * Returns { provider, number, title, url }; throws with the provider's error.
+ */
+export async function createPullRequest(remote, { branch, base, title, body }, profileId) {
+  const account = accountForRemote(remote, profileId);
+  if (!account) throw new Error(`No ${remote.provider} account configured`);
+
+  if (remote.provider === "github") {
+    const result = await githubApi("POST", `/repos/${remote.owner}/${remote.repo}/pulls`, account.token, {
+      title, body, head: branch, base,
+    });
+    if (result.status !== 201) throw new Error(`GitHub API error: ${result.data?.message || "Unknown error"}`);
+    return { provider: "github", number: result.data.number, title: result.data.title, url: result.data.html_url };
+  }
+
+  if (remote.provider === "gitlab") {
+    const projectPath = encodeURIComponent(`${remote.owner}/${remote.repo}`);
+    const result = await gitlabApi("POST", `/api/v4/projects/${projectPath}/merge_requests`, account.token, account.url, {
+      source_branch: branch, target_branch: base, title, description: body,
+    });
+    if (result.status !== 201) {
+      throw new Error(`GitLab API error: ${result.data?.message || JSON.stringify(result.data?.error) || "Unknown error"}`);
+    }
+    return { provider: "gitlab", number: result.data.iid, title: result.data.title, url: result.data.web_url };
+  }
+
+  if (remote.provider === "azuredevops") {
+    const org = account.organization || remote.org;
+    const result = await azureDevOpsApi("POST", org,
+      `/${remote.project}/_apis/git/repositories/${remote.repo}/pullrequests?api-version=7.0`,
+      account.token, {
+        sourceRefName: `refs/heads/${branch}`,
+        targetRefName: `refs/heads/${base}`,
+        title,
+        description: (body || "").slice(0, 4000), // Azure DevOps caps descriptions at 4000 chars
+      });
+    if (result.status !== 201) throw new Error(`Azure DevOps API error: ${result.data?.message || "Unknown error"}`);
+    return {
+      provider: "azuredevops", number: result.data.pullRequestId, title: result.data.title,
+      url: `https://dev.azure.com/${org}/${remote.project}/_git/${remote.repo}/pullrequest/${result.data.pullRequestId}`,
+    };
+  }
+
+  throw new Error(`Unknown provider: ${remote.provider}`);
+}
+
+const PR_TITLE_LIMIT = 72;
+const PR_BODY_LIMIT = 60000;
+const GENERIC_HEADINGS = /^(summary|overview|results?|changes|task summary)$/i;
+
+/**
+ * Derive a PR title and body from an agent's summary: the title is its first
+ * heading or line (without markdown markers), the body is the whole summary.
+ */
+export function pullRequestTextFromSummary(summary, fallbackTitle) {
+  const text = (summary || "").trim();
+  // Skip bare section headings such as "## Summary"
+  const firstLine = text.split("\n")
+    .map((l) => l.replace(/^[#>\-*\s]+/, "").replace(/[*_`]/g, "").replace(/:$/, "").trim())
+    .find((l) => l && !GENERIC_HEADINGS.test(l)) || "";
+  let title = firstLine || fallbackTitle;
+  if (title.length > PR_TITLE_LIMIT) title = title.slice(0, PR_TITLE_LIMIT - 1).trimEnd() + "…";
+  return { title, body: text.slice(0, PR_BODY_LIMIT) };
+}
+
+/** An error about the checkout's state rather than the provider (reported as a 400). */
+function pullRequestPreconditionError(message) {
+  const err = new Error(message);
+  err.code = "PR_PRECONDITION";
+  return err;
+}
+
+/** The remote's default branch (origin/HEAD), falling back to main/master. */
+async function defaultBranch(cwd) {
+  const head = await gitExec(["symbolic-ref", "--short", "refs/remotes/origin/HEAD"], cwd);
+  if (head) return head.replace(/^origin\//, "");
+  const main = await gitExec(["rev-parse", "--verify", "--quiet", "refs/remotes/origin/main"], cwd);
+  return main ? "main" : "master";
+}
+
+/**
+ * Push the current branch of `cwd` and open a PR/MR for it on the detected
+ * provider, or return the one already open. `base` defaults to the remote's
+ * default branch. Returns { provider, number, title, url, created }.
+ */
+export async function pushAndOpenPullRequest(cwd, { title, body, base }, profileId) {
+  const branch = await gitExec(["rev-parse", "--abbrev-ref", "HEAD"], cwd);
+  if (!branch || branch === "HEAD") throw pullRequestPreconditionError("Not on a branch");
+  const remoteUrl = await gitExec(["remote", "get-url", "origin"], cwd);
+  if (!remoteUrl) throw pullRequestPreconditionError("No origin remote");
+  const remote = parseRemoteUrl(remoteUrl, profileId);
+  if (!remote) throw pullRequestPreconditionError("Could not detect git provider from remote URL");
+  const target = base || await defaultBranch(cwd);
+  if (branch === target) throw pullRequestPreconditionError(`Already on ${target}; create a branch for the changes first`);
+
+  await execPromise("git", ["push", "-u", "origin", branch], {
+    cwd,
+    timeout: 60000,
+    env: { ...process.env, ...gitEnvForProfile(profileId) },
+  });
+
+  const existing = await fetchPrInfo(remote, branch, profileId);
+  if (existing) {
+    return { provider: existing.provider, number: existing.number, title: existing.title, url: existing.url, created: false };
+  }
+  const pr = await createPullRequest(remote, { branch, base: target, title, body }, profileId);
+  return { ...pr, created: true };
+}
+
 /* ------------------------------------------------------------------ */
 /*  Clone URL builder — supports optional accountId                    */
 /* ------------------------------------------------------------------ */
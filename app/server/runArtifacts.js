@@ -0,0 +1,239 @@
+import fs from "fs";
+import path from "path";
+
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_ARTIFACT_BYTES = 25 * 1024 * 1024;
+const MAX_RUN_ARTIFACT_BYTES = 100 * 1024 * 1024;
+const MAX_ARTIFACT_FILES = 200;
+// Stop walking the working directory after this many entries
+const MAX_SCANNED_ENTRIES = 20000;
+// Never descended into by "**"; name them in a pattern to collect from them
+const SKIPPED_DIRS = new Set(["node_modules", ".git", ".claude-tasks"]);
+// Archived by the run itself
+const RESERVED_NAMES = new Set(["summary.md"]);
+
+const CONTENT_TYPES = {
+  ".md": "text/markdown; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".log": "text/plain; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".tsv": "text/tab-separated-values; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".ndjson": "application/x-ndjson; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".yaml": "text/yaml; charset=utf-8",
+  ".yml": "text/yaml; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".tgz": "application/gzip",
+  ".lcov": "text/plain; charset=utf-8",
+  ".info": "text/plain; charset=utf-8",
+};
+
+// Content types a browser would run scripts in if opened from our origin
+const ACTIVE_CONTENT_TYPES = ["text/html", "image/svg+xml", "application/xml", "text/javascript"];
+
+/** Content type for an artifact, from its extension. */
+export function artifactContentType(name) {
+  return CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream";
+}
+
+/** Whether an artifact must be served sandboxed (it could run scripts). */
+export function isActiveContent(contentType) {
+  return ACTIVE_CONTENT_TYPES.some((type) => contentType.startsWith(type));
+}
+
+/**
+ * Validate a task's output artifact globs: relative patterns such as
+ * "reports/*.csv" or "coverage/**". Returns the trimmed list ([] for none).
+ */
+export function normalizeArtifactPatterns(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error("outputArtifacts must be an array of glob patterns");
+  const patterns = [];
+  for (const raw of input) {
+    if (typeof raw !== "string") throw new Error("outputArtifacts must be an array of glob patterns");
+    const pattern = raw.trim().replace(/^\.\//, "");
+    if (!pattern) continue;
+    if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`Artifact pattern is too long: "${pattern.slice(0, 40)}…"`);
+    if (path.isAbsolute(pattern) || pattern.split("/").includes("..")) {
+      throw new Error(`Artifact patterns must stay inside the working directory: "${pattern}"`);
+    }
+    if (!compilePattern(pattern)) throw new Error(`Invalid artifact pattern: "${pattern}"`);
+    if (!patterns.includes(pattern)) patterns.push(pattern);
+  }
+  if (patterns.length > MAX_PATTERNS) throw new Error(`A task can have at most ${MAX_PATTERNS} artifact patterns`);
+  return patterns;
+}
+
+/** Regex for one path segment of a glob: *, ?, [abc] and {a,b}. */
+function segmentRegex(segment) {
+  let re = "";
+  let inBraces = false;
+  for (let i = 0; i < segment.length; i++) {
+    const c = segment[i];
+    if (c === "*") re += "[^/]*";
+    else if (c === "?") re += "[^/]";
+    else if (c === "[") {
+      const end = segment.indexOf("]", i + 1);
+      if (end === -1) { re += "\\["; continue; }
+      re += "[" + segment.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\") + "]";
+      i = end;
+    } else if (c === "{" && !inBraces) { re += "(?:"; inBraces = true; }
+    else if (c === "}" && inBraces) { re += ")"; inBraces = false; }
+    else if (c === "," && inBraces) re += "|";
+    else re += c.replace(/[.+^$()|\\\]{}]/g, "\\$&");
+  }
+  if (inBraces) return null;
+  try {
+    return new RegExp(`^${re}$`);
+  } catch {
+    return null;
+  }
+}
+
+function compilePattern(pattern) {
+  const segments = pattern.split("/").filter(Boolean);
+  // A pattern naming a directory ("coverage" or "coverage/") collects everything in it
+  const compiled = segments.map((s) => (s === "**" ? "**" : { source: s, re: segmentRegex(s) }));
+  if (compiled.some((s) => s !== "**" && !s.re)) return null;
+  return compiled;
+}
+
+/**
+ * Walk `root` along a compiled pattern, calling `onFile(relativePath)` for
+ * each regular file it matches. Symlinks are never followed, and "*" and "**"
+ * skip dot entries unless the pattern names them.
+ */
+function walkPattern(root, segments, onFile, budget) {
+  const readDir = (dir) => {
+    if (budget.entries <= 0) return [];
+    try {
+      const entries = fs.readdirSync(dir, { withFileTypes: true });
+      budget.entries -= entries.length;
+      return entries;
+    } catch {
+      return [];
+    }
+  };
+  const join = (rel, name) => (rel ? `${rel}/${name}` : name);
+
+  // Everything below a directory the pattern matched by name
+  const visitAll = (dir, rel) => {
+    for (const entry of readDir(dir)) {
+      if (entry.isFile()) onFile(join(rel, entry.name));
+      else if (entry.isDirectory() && !SKIPPED_DIRS.has(entry.name)) visitAll(path.join(dir, entry.name), join(rel, entry.name));
+    }
+  };
+
+  const visit = (dir, rel, index) => {
+    const segment = segments[index];
+    const last = index === segments.length - 1;
+    const entries = readDir(dir);
+
+    if (segment === "**") {
+      if (last) return visitAll(dir, rel);
+      // Zero directories deep, then each subdirectory with "**" still pending
+      visit(dir, rel, index + 1);
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith(".") || SKIPPED_DIRS.has(entry.name)) continue;
+        visit(path.join(dir, entry.name), join(rel, entry.name), index);
+      }
+      return;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith(".") && !segment.source.startsWith(".")) continue;
+      if (!segment.re.test(entry.name)) continue;
+      const childRel = join(rel, entry.name);
+      if (last) {
+        if (entry.isFile()) onFile(childRel);
+        else if (entry.isDirectory()) visitAll(path.join(dir, entry.name), childRel);
+      } else if (entry.isDirectory()) {
+        visit(path.join(dir, entry.name), childRel, index + 1);
+      }
+    }
+  };
+
+  if (segments.length > 0) visit(root, "", 0);
+}
+
+/**
+ * Copy the files matching a task's artifact patterns from `root` (the run's
+ * working directory) into the run output dir, keeping their relative paths.
+ * Files over the per-file or per-run size limits are skipped.
+ * Returns { files: [{ name, size, contentType }], skipped: [{ name, size, reason }] }.
+ */
+export function collectArtifacts(root, patterns, outputDir) {
+  const files = [];
+  const skipped = [];
+  if (!patterns?.length) return { files, skipped };
+
+  const matched = new Set();
+  const budget = { entries: MAX_SCANNED_ENTRIES };
+  for (const pattern of patterns) {
+    const segments = compilePattern(pattern);
+    if (!segments) {
+      skipped.push({ name: pattern, size: null, reason: "Invalid pattern" });
+      continue;
+    }
+    walkPattern(root, segments, (rel) => matched.add(rel), budget);
+  }
+  if (budget.entries <= 0) {
+    console.warn(`[artifacts] Stopped scanning ${root} after ${MAX_SCANNED_ENTRIES} entries`);
+  }
+
+  let totalBytes = 0;
+  for (const name of [...matched].sort()) {
+    if (RESERVED_NAMES.has(name)) continue;
+    let size;
+    try {
+      const stat = fs.lstatSync(path.join(root, name));
+      if (!stat.isFile()) continue;
+      size = stat.size;
+    } catch {
+      continue;
+    }
+    if (files.length >= MAX_ARTIFACT_FILES) {
+      skipped.push({ name, size, reason: `More than ${MAX_ARTIFACT_FILES} files` });
+    } else if (size > MAX_ARTIFACT_BYTES) {
+      skipped.push({ name, size, reason: `Larger than ${MAX_ARTIFACT_BYTES / 1024 / 1024}MB` });
+    } else if (totalBytes + size > MAX_RUN_ARTIFACT_BYTES) {
+      skipped.push({ name, size, reason: `Run artifacts over ${MAX_RUN_ARTIFACT_BYTES / 1024 / 1024}MB` });
+    } else {
+      try {
+        const dest = path.join(outputDir, name);
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.copyFileSync(path.join(root, name), dest);
+        files.push({ name, size, contentType: artifactContentType(name) });
+        totalBytes += size;
+      } catch (err) {
+        skipped.push({ name, size, reason: err.message });
+      }
+    }
+  }
+  return { files, skipped };
+}
+
+/**
+ * Absolute path of a stored artifact, or null when `name` would leave the
+ * output dir. Names are relative paths such as "reports/daily.csv".
+ */
+export function resolveArtifactPath(outputDir, name) {
+  if (typeof name !== "string" || !name || name.includes("\0")) return null;
+  const filePath = path.resolve(outputDir, name);
+  if (!filePath.startsWith(path.resolve(outputDir) + path.sep)) return null;
+  return filePath;
+}
@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getTask } from "./tasks.js";
+import { signPayload } from "./notifier.js";
+
+const PROFILES_DIR = "/home/node/.claude/profiles";
+const DELIVERIES_FILENAME = "callback-deliveries.json";
+const MAX_CALLBACK_URLS = 5;
+const MAX_DELIVERIES = 200;
+const REQUEST_TIMEOUT_MS = 10000;
+// Waits before the 2nd..5th attempt
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+// Responses worth retrying; any other 4xx means the receiver rejected the payload
+const RETRYABLE_STATUS = new Set([408, 425, 429]);
+
+const retryTimers = new Map(); // deliveryId -> timeout
+
+/**
+ * Validate a task's completion callbacks: { urls, secret }. A missing secret
+ * keeps the existing one or generates one. Returns null when no URLs are set.
+ */
+export function normalizeCallbacks(input, existing = null) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw new Error("callbacks must be an object");
+  if (!Array.isArray(input.urls)) throw new Error("callbacks.urls must be an array");
+  const urls = [];
+  for (const raw of input.urls) {
+    if (typeof raw !== "string" || !raw.trim()) continue;
+    let url;
+    try {
+      url = new URL(raw.trim());
+    } catch {
+      throw new Error(`Invalid callback URL "${raw}"`);
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") throw new Error("Callback URLs must use http or https");
+    if (!urls.includes(url.toString())) urls.push(url.toString());
+  }
+  if (urls.length === 0) return null;
+  if (urls.length > MAX_CALLBACK_URLS) throw new Error(`A task can have at most ${MAX_CALLBACK_URLS} callback URLs`);
+  let secret = typeof input.secret === "string" ? input.secret.trim() : "";
+  if (!secret) secret = existing?.secret || crypto.randomBytes(20).toString("hex");
+  return { urls, secret };
+}
+
+// --- Delivery log (kept with the task's run history) ---
+
+function deliveriesPath(profileId, taskId) {
+  return path.join(PROFILES_DIR, profileId, "task-runs", taskId, DELIVERIES_FILENAME);
+}
+
+function loadDeliveries(profileId, taskId) {
+  try {
+    const data = JSON.parse(fs.readFileSync(deliveriesPath(profileId, taskId), "utf-8"));
+    return Array.isArray(data.deliveries) ? data.deliveries : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveDeliveries(profileId, taskId, deliveries) {
+  const filePath = deliveriesPath(profileId, taskId);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = filePath + "." + crypto.randomBytes(4).toString("hex") + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify({ deliveries: deliveries.slice(-MAX_DELIVERIES) }, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+/** Apply `change` to one logged delivery; returns the updated record or null when it is gone. */
+function updateDelivery(task, deliveryId, change) {
+  const deliveries = loadDeliveries(task.profileId, task.id);
+  const record = deliveries.find((d) => d.id === deliveryId);
+  if (!record) return null;
+  change(record);
+  saveDeliveries(task.profileId, task.id, deliveries);
+  return record;
+}
+
+function addDeliveries(task, records) {
+  saveDeliveries(task.profileId, task.id, [...loadDeliveries(task.profileId, task.id), ...records]);
+}
+
+/**
+ * A task's logged deliveries, newest first.
+ */
+export function listCallbackDeliveries(task, limit = 50) {
+  return loadDeliveries(task.profileId, task.id).slice(-limit).reverse();
+}
+
+// --- Delivery ---
+
+function scheduleAttempt(taskId, deliveryId, delayMs) {
+  const timer = setTimeout(() => {
+    retryTimers.delete(deliveryId);
+    attemptDelivery(taskId, deliveryId);
+  }, Math.max(0, delayMs));
+  timer.unref?.();
+  retryTimers.set(deliveryId, timer);
+}
+
+async function attemptDelivery(taskId, deliveryId) {
+  const task = getTask(taskId);
+  if (!task) return;
+  const record = loadDeliveries(task.profileId, taskId).find((d) => d.id === deliveryId);
+  if (!record || record.status !== "pending") return;
+  if (!task.callbacks?.secret) {
+    updateDelivery(task, deliveryId, (d) => {
+      d.status = "failed";
+      d.nextAttemptAt = null;
+      d.attempts.push({ at: Date.now(), statusCode: null, error: "Callbacks were removed from the task", durationMs: 0 });
+    });
+    return;
+  }
+
+  const startedAt = Date.now();
+  let statusCode = null;
+  let error = null;
+  try {
+    const res = await fetch(record.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "claude-tasks-callbacks",
+        "X-Task-Event": record.event,
+        "X-Task-Delivery": record.id,
+        "X-Task-Signature-256": signPayload(task.callbacks.secret, record.payload),
+      },
+      body: record.payload,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    statusCode = res.status;
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      error = `HTTP ${res.status}${text ? `: ${text.trim().slice(0, 200)}` : ""}`;
+    }
+  } catch (err) {
+    error = err.name === "TimeoutError" ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const retryable = error && (statusCode === null || statusCode >= 500 || RETRYABLE_STATUS.has(statusCode));
+  const updated = updateDelivery(task, deliveryId, (d) => {
+    d.attempts.push({ at: startedAt, statusCode, error, durationMs: Date.now() - startedAt });
+    const delay = RETRY_DELAYS_MS[d.attempts.length - 1];
+    if (!error) {
+      d.status = "delivered";
+      d.nextAttemptAt = null;
+    } else if (retryable && delay !== undefined) {
+      d.nextAttemptAt = Date.now() + delay;
+    } else {
+      d.status = "failed";
+      d.nextAttemptAt = null;
+    }
+  });
+  if (!updated) return;
+  if (updated.status === "pending") {
+    console.warn(`[callbacks] Delivery to ${updated.url} for task "${task.name}" failed (${error}), retrying`);
+    scheduleAttempt(taskId, deliveryId, updated.nextAttemptAt - Date.now());
+  } else if (updated.status === "failed") {
+    console.error(`[callbacks] Giving up on ${updated.url} for task "${task.name}" after ${updated.attempts.length} attempt(s):`, error);
+  }
+}
+
+function newDelivery(url, runId, payload, redeliveryOf = null) {
+  return {
+    id: crypto.randomUUID(),
+    event: "task.run.completed",
+    runId,
+    url,
+    status: "pending",
+    attempts: [],
+    nextAttemptAt: Date.now(),
+    createdAt: Date.now(),
+    redeliveryOf,
+    payload,
+  };
+}
+
+/**
+ * POST a signed task.run.completed payload to each of the task's callback
+ * URLs. Failed deliveries are retried with backoff; every attempt is logged.
+ */
+export function deliverRunCallbacks(task, runEntry, summaryUrl) {
+  if (!task.callbacks?.urls?.length) return;
+  const payload = JSON.stringify({
+    event: "task.run.completed",
+    task: { id: task.id, name: task.name },
+    status: runEntry.status,
+    cost: runEntry.cost || 0,
+    summaryUrl: summaryUrl || null,
+    run: runEntry,
+    sentAt: new Date().toISOString(),
+  });
+  const records = task.callbacks.urls.map((url) => newDelivery(url, runEntry.id, payload));
+  addDeliveries(task, records);
+  for (const record of records) attemptDelivery(task.id, record.id);
+}
+
+/**
+ * Send a logged delivery's payload again as a new delivery.
+ * Returns the new record, or null when the delivery is unknown.
+ */
+export function redeliverCallback(task, deliveryId) {
+  const original = loadDeliveries(task.profileId, task.id).find((d) => d.id === deliveryId);
+  if (!original) return null;
+  const record = newDelivery(original.url, original.runId, original.payload, original.id);
+  addDeliveries(task, [record]);
+  attemptDelivery(task.id, record.id);
+  return record;
+}
+
+/**
+ * Reschedule deliveries still pending from before a restart.
+ */
+export function resumeCallbackDeliveries(taskList) {
+  let resumed = 0;
+  for (const task of taskList) {
+    for (const record of loadDeliveries(task.profileId, task.id)) {
+      if (record.status !== "pending" || retryTimers.has(record.id)) continue;
+      scheduleAttempt(task.id, record.id, (record.nextAttemptAt || 0) - Date.now());
+      resumed++;
+    }
+  }
+  if (resumed > 0) console.log(`[callbacks] Resumed ${resumed} pending deliver${resumed === 1 ? "y" : "ies"}`);
+}
@@ -0,0 +1,201 @@
+import fs from "fs";
+import path from "path";
+import { getTask, getRunDetail, getRunSummaryPath } from "./tasks.js";
+
+// Longest summary (in lines) diffed; the LCS table is lines × lines
+const MAX_DIFF_LINES = 1500;
+const MAX_SUMMARY_BYTES = 512 * 1024;
+
+// Tools whose input names a file, and what they do to it
+const FILE_TOOLS = {
+  Read: "read",
+  Write: "write",
+  Edit: "edit",
+  MultiEdit: "edit",
+  NotebookEdit: "edit",
+};
+
+function readSummary(taskId, runId) {
+  const filePath = getRunSummaryPath(taskId, runId);
+  if (!filePath) return null;
+  try {
+    if (fs.statSync(filePath).size > MAX_SUMMARY_BYTES) return null;
+    return fs.readFileSync(filePath, "utf-8");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Line diff of two texts as [{ op: " " | "+" | "-", text }], from the longest
+ * common subsequence of the lines between their common prefix and suffix.
+ */
+export function diffLines(before, after) {
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+  const lcs = new Uint16Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const diff = a.slice(0, start).map((text) => ({ op: " ", text }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) {
+      diff.push({ op: " ", text: midA[i] });
+      i++; j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+      diff.push({ op: "-", text: midA[i++] });
+    } else {
+      diff.push({ op: "+", text: midB[j++] });
+    }
+  }
+  for (const text of a.slice(endA)) diff.push({ op: " ", text });
+  return diff;
+}
+
+function runStats(detail) {
+  const done = detail.conversation?.find((e) => e.type === "done");
+  return {
+    id: detail.id,
+    status: detail.status,
+    trigger: detail.trigger || null,
+    attempt: detail.attempt || 1,
+    startedAt: detail.startedAt,
+    durationMs: detail.durationMs || 0,
+    cost: detail.cost || 0,
+    numTurns: done?.numTurns || 0,
+    toolCalls: detail.conversation?.filter((e) => e.type === "tool_call").length || 0,
+    error: detail.error || null,
+  };
+}
+
+/** { tool: count } and { relativePath: Set(actions) } from a run's tool calls. */
+function toolUsage(detail, fallbackRoot) {
+  const root = detail.worktree?.path || fallbackRoot;
+  const tools = {};
+  const files = {};
+  for (const event of detail.conversation || []) {
+    if (event.type !== "tool_call") continue;
+    tools[event.tool] = (tools[event.tool] || 0) + 1;
+    const action = FILE_TOOLS[event.tool];
+    const filePath = event.input?.file_path || event.input?.notebook_path;
+    if (!action || typeof filePath !== "string") continue;
+    // Runs in separate worktrees touch the same files under different roots
+    const relative = root && filePath.startsWith(root + path.sep) ? path.relative(root, filePath) : filePath;
+    if (!files[relative]) files[relative] = new Set();
+    files[relative].add(action);
+  }
+  return { tools, files };
+}
+
+/**
+ * Compare two runs of a task from their stored run details: status, cost,
+ * duration and turns, a line diff of their summaries, and the tools and
+ * files each touched. Returns null when either run is missing.
+ */
+export function compareRuns(taskId, baseRunId, headRunId) {
+  const task = getTask(taskId);
+  if (!task) return null;
+  const baseDetail = getRunDetail(taskId, baseRunId);
+  const headDetail = getRunDetail(taskId, headRunId);
+  if (!baseDetail || !headDetail) return null;
+
+  const base = runStats(baseDetail);
+  const head = runStats(headDetail);
+  const metrics = ["durationMs", "cost", "numTurns", "toolCalls"].map((key) => ({
+    key,
+    base: base[key],
+    head: head[key],
+    delta: head[key] - base[key],
+  }));
+
+  const baseSummary = readSummary(taskId, baseRunId);
+  const headSummary = readSummary(taskId, headRunId);
+  let summary = { base: baseSummary !== null, head: headSummary !== null, diff: null, truncated: false, added: 0, removed: 0 };
+  if (baseSummary !== null || headSummary !== null) {
+    const clip = (text) => (text || "").split("\n").slice(0, MAX_DIFF_LINES).join("\n");
+    const truncated = [baseSummary, headSummary].some((t) => t && t.split("\n").length > MAX_DIFF_LINES);
+    const diff = diffLines(clip(baseSummary), clip(headSummary));
+    summary = {
+      ...summary,
+      diff,
+      truncated,
+      added: diff.filter((d) => d.op === "+").length,
+      removed: diff.filter((d) => d.op === "-").length,
+    };
+  }
+
+  const baseUsage = toolUsage(baseDetail, task.workingDirectory);
+  const headUsage = toolUsage(headDetail, task.workingDirectory);
+  const tools = [...new Set([...Object.keys(baseUsage.tools), ...Object.keys(headUsage.tools)])]
+    .sort()
+    .map((name) => ({ name, base: baseUsage.tools[name] || 0, head: headUsage.tools[name] || 0 }));
+  const files = [...new Set([...Object.keys(baseUsage.files), ...Object.keys(headUsage.files)])]
+    .sort()
+    .map((filePath) => ({
+      path: filePath,
+      base: [...(baseUsage.files[filePath] || [])],
+      head: [...(headUsage.files[filePath] || [])],
+    }));
+
+  return { base, head, metrics, summary, tools, files };
+}
+
+function formatSeconds(ms) {
+  const sec = Math.round(Math.abs(ms) / 1000);
+  return sec >= 60 ? `${Math.floor(sec / 60)}m ${sec % 60}s` : `${sec}s`;
+}
+
+function signed(value, format) {
+  return `${value < 0 ? "−" : "+"}${format(Math.abs(value))}`;
+}
+
+function listPaths(paths, max = 5) {
+  return paths.length > max ? `${paths.slice(0, max).join(", ")} and ${paths.length - max} more` : paths.join(", ");
+}
+
+/**
+ * Short { label, value } lines on what changed between two compared runs,
+ * for notifications. Empty when nothing notable changed.
+ */
+export function describeRunChanges(comparison) {
+  const changes = [];
+  const { base, head } = comparison;
+  if (base.status !== head.status) changes.push({ label: "Status", value: `${base.status} → ${head.status}` });
+  for (const metric of comparison.metrics) {
+    if (!metric.delta || metric.key === "toolCalls") continue;
+    if (metric.key === "durationMs" && Math.abs(metric.delta) >= 1000) {
+      changes.push({ label: "Duration", value: `${formatSeconds(metric.head)} (${signed(metric.delta, formatSeconds)})` });
+    } else if (metric.key === "cost" && Math.abs(metric.delta) >= 0.005) {
+      changes.push({ label: "Cost", value: `$${metric.head.toFixed(2)} (${signed(metric.delta, (v) => `$${v.toFixed(2)}`)})` });
+    } else if (metric.key === "numTurns") {
+      changes.push({ label: "Turns", value: `${metric.head} (${signed(metric.delta, String)})` });
+    }
+  }
+  const { summary } = comparison;
+  if (summary.diff && (summary.added || summary.removed)) {
+    changes.push({ label: "Summary", value: `${summary.added} line${summary.added === 1 ? "" : "s"} added, ${summary.removed} removed` });
+  }
+  const newlyChanged = comparison.files
+    .filter((f) => f.head.some((a) => a !== "read") && !f.base.some((a) => a !== "read"))
+    .map((f) => f.path);
+  if (newlyChanged.length > 0) changes.push({ label: "Newly changed files", value: listPaths(newlyChanged) });
+  return changes;
+}
@@ -60,7 +60,7 @@ export function hashMessagesPrefix(messages) {
  * Look up an existing session-agent for (tokenId, sessionHash) or create one.
  * The agent runs in `workingDirectory` under `profileId`.
  */
-export function acquireSessionAgent({ tokenId, sessionHash, workingDirectory, profileId, agentName }) {
+export function acquireSessionAgent({ tokenId, sessionHash, workingDirectory, profileId, agentName, permissionProfile, allowedCommands, allowedPaths }) {
   const key = cacheKey(tokenId, sessionHash);
   const existing = registry.get(key);
   if (existing) {
@@ -72,9 +72,14 @@ export function acquireSessionAgent({ tokenId, sessionHash, workingDirectory, pr
     // Stale (agent was GC'd or deleted elsewhere, or workspace path changed) — drop.
     registry.delete(key);
   }
-  const agent = createAgent(agentName, workingDirectory, profileId);
-  // API callers can't answer interactive questions — match task-run semantics.
+  const agent = createAgent(agentName, workingDirectory, profileId, false, { ephemeral: true, source: "api" });
+  // API callers can't answer interactive questions or approve held tool
+  // calls — match task-run semantics.
   agent.interactiveQuestions = false;
+  agent.nonInteractive = true;
+  if (permissionProfile) agent.permissionProfile = permissionProfile;
+  if (allowedCommands) agent.allowedCommands = allowedCommands;
+  if (allowedPaths) agent.allowedPaths = allowedPaths;
   registry.set(key, {
     agentId: agent.id,
     tokenId,
@@ -0,0 +1,169 @@
+import net from "net";
+import tls from "tls";
+import os from "os";
+import crypto from "crypto";
+
+const SOCKET_TIMEOUT_MS = 30000;
+
+/** Replies come as lines "250-..." continued until "250 ...". */
+function createReplyReader() {
+  let buffer = "";
+  const lines = [];
+  let wake = null;
+  let failure = null;
+  return {
+    push(chunk) {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        lines.push(buffer.slice(0, i));
+        buffer = buffer.slice(i + 2);
+      }
+      wake?.();
+    },
+    fail(err) {
+      failure = failure || err;
+      wake?.();
+    },
+    /** Whether anything received is still unread (a line or a partial one). */
+    hasPending() {
+      return lines.length > 0 || buffer.length > 0;
+    },
+    async read() {
+      const text = [];
+      for (;;) {
+        while (lines.length === 0) {
+          if (failure) throw failure;
+          await new Promise((resolve) => { wake = resolve; });
+          wake = null;
+        }
+        const line = lines.shift();
+        text.push(line.slice(4));
+        if (line[3] !== "-") return { code: parseInt(line.slice(0, 3), 10), text };
+      }
+    },
+  };
+}
+
+/** "Name <a@b.c>" → "a@b.c" */
+function envelopeAddress(address) {
+  const match = /<([^>]+)>/.exec(address);
+  return (match ? match[1] : address).trim();
+}
+
+/**
+ * Throw when a value would break out of its SMTP command or header line:
+ * CR/LF starts a new command, angle brackets end the envelope address.
+ */
+function assertSafeField(label, value, { address = false } = {}) {
+  if (typeof value !== "string" || /[\r\n]/.test(value) || (address && /[<>]/.test(envelopeAddress(value)))) {
+    throw new Error(`Invalid ${label} for SMTP: ${JSON.stringify(value)}`);
+  }
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf-8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, html }) {
+  const domain = envelopeAddress(from).split("@")[1] || os.hostname();
+  const body = Buffer.from(html, "utf-8").toString("base64").replace(/.{1,76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+/**
+ * Send one HTML email over SMTP.
+ *
+ * config: { host, port, security, username, password } where `security` is
+ * "starttls" (upgrade a plain connection, required), "tls" (implicit TLS,
+ * usually port 465) or "none". Throws with the server's reply when a
+ * command is rejected.
+ */
+export async function sendSmtpMail(config, { from, to, subject, html }) {
+  assertSafeField("sender", from, { address: true });
+  for (const recipient of to) assertSafeField("recipient", recipient, { address: true });
+  assertSafeField("subject", subject);
+
+  const reader = createReplyReader();
+  const onData = (chunk) => reader.push(chunk.toString("utf-8"));
+  let socket = config.security === "tls"
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port });
+
+  function watch(s) {
+    s.on("data", onData);
+    s.on("error", (err) => reader.fail(err));
+    s.on("close", () => reader.fail(new Error("SMTP connection closed")));
+    s.setTimeout(SOCKET_TIMEOUT_MS, () => s.destroy(new Error("SMTP connection timed out")));
+  }
+  watch(socket);
+
+  // `label` stands in for the command in errors so credentials are never logged
+  async function command(line, expected, label = line) {
+    if (line !== null) socket.write(line + "\r\n");
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} rejected: ${reply.code} ${reply.text.join(" ")}`.trim());
+    }
+    return reply;
+  }
+
+  const hello = `EHLO ${os.hostname() || "localhost"}`;
+  try {
+    await command(null, [220], "greeting");
+    let capabilities = (await command(hello, [250], "EHLO")).text.map((l) => l.toUpperCase());
+
+    if (config.security === "starttls") {
+      if (!capabilities.includes("STARTTLS")) throw new Error("SMTP server does not offer STARTTLS");
+      await command("STARTTLS", [220]);
+      // Anything sent after the 220 arrived in plaintext and would be read as
+      // a reply from inside TLS (STARTTLS command injection)
+      if (reader.hasPending()) throw new Error("SMTP server sent unexpected data after STARTTLS");
+      socket.off("data", onData);
+      socket.removeAllListeners("close");
+      socket.setTimeout(0);
+      socket = tls.connect({ socket, servername: config.host });
+      watch(socket);
+      await new Promise((resolve, reject) => {
+        socket.once("secureConnect", resolve);
+        socket.once("error", reject);
+      });
+      capabilities = (await command(hello, [250], "EHLO")).text.map((l) => l.toUpperCase());
+    }
+
+    if (config.username) {
+      const auth = capabilities.find((l) => l.startsWith("AUTH")) || "";
+      if (/\bPLAIN\b/.test(auth) || !/\bLOGIN\b/.test(auth)) {
+        const token = Buffer.from(`\0${config.username}\0${config.password || ""}`, "utf-8").toString("base64");
+        await command(`AUTH PLAIN ${token}`, [235], "AUTH PLAIN");
+      } else {
+        await command("AUTH LOGIN", [334]);
+        await command(Buffer.from(config.username, "utf-8").toString("base64"), [334], "AUTH LOGIN username");
+        await command(Buffer.from(config.password || "", "utf-8").toString("base64"), [235], "AUTH LOGIN password");
+      }
+    }
+
+    await command(`MAIL FROM:<${envelopeAddress(from)}>`, [250]);
+    for (const recipient of to) {
+      await command(`RCPT TO:<${envelopeAddress(recipient)}>`, [250, 251]);
+    }
+    await command("DATA", [354]);
+    // Dot-stuff lines starting with "." so they are not read as the end marker
+    const data = buildMessage({ from, to, subject, html }).replace(/^\./gm, "..");
+    await command(`${data}\r\n.`, [250], "message");
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
@@ -0,0 +1,99 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const PROFILES_DIR = "/home/node/.claude/profiles";
+const CONFIG_FILENAME = "smtp-config.json";
+
+export const SMTP_SECURITY_MODES = ["starttls", "tls", "none"];
+const DEFAULT_PORTS = { starttls: 587, tls: 465, none: 25 };
+
+function configPath(profileId) {
+  const dir = path.join(PROFILES_DIR, profileId);
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, CONFIG_FILENAME);
+}
+
+function readRaw(profileId) {
+  try {
+    const raw = fs.readFileSync(configPath(profileId), "utf-8");
+    const data = JSON.parse(raw);
+    return typeof data === "object" && data !== null ? data : {};
+  } catch {
+    return null;
+  }
+}
+
+function writeRaw(profileId, data) {
+  const filePath = configPath(profileId);
+  const tmp = filePath + "." + crypto.randomBytes(4).toString("hex") + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Load the SMTP config for a profile, or null when none is saved.
+ * Returns { host, port, security, username, password, from }.
+ */
+export function loadSmtpConfig(profileId) {
+  const data = readRaw(profileId);
+  if (!data || !data.host) return null;
+  const security = SMTP_SECURITY_MODES.includes(data.security) ? data.security : "starttls";
+  return {
+    host: data.host,
+    port: data.port || DEFAULT_PORTS[security],
+    security,
+    username: data.username || null,
+    password: data.password || null,
+    from: data.from || null,
+  };
+}
+
+/**
+ * Save/update SMTP config for a profile. Accepts a partial { host, port,
+ * security, username, password, from } merged like saveResendConfig: null or
+ * empty clears a field, undefined leaves it. Throws when the result is
+ * incomplete.
+ */
+export function saveSmtpConfig(profileId, partial) {
+  const next = { ...(readRaw(profileId) || {}) };
+  for (const field of ["host", "username", "password", "from"]) {
+    if (!Object.prototype.hasOwnProperty.call(partial, field)) continue;
+    const value = typeof partial[field] === "string" ? partial[field].trim() : partial[field];
+    if (value == null || value === "") delete next[field];
+    else next[field] = String(value);
+  }
+  if (Object.prototype.hasOwnProperty.call(partial, "security")) {
+    if (!SMTP_SECURITY_MODES.includes(partial.security)) {
+      throw new Error(`security must be one of: ${SMTP_SECURITY_MODES.join(", ")}`);
+    }
+    next.security = partial.security;
+  }
+  if (Object.prototype.hasOwnProperty.call(partial, "port")) {
+    if (partial.port == null || partial.port === "") {
+      delete next.port;
+    } else {
+      const port = Number(partial.port);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error("port must be between 1 and 65535");
+      next.port = port;
+    }
+  }
+
+  if (!next.host) throw new Error("SMTP host is required");
+  if (!next.from) throw new Error("From address is required");
+  if (next.password && !next.username) throw new Error("A username is required with a password");
+  next.updatedAt = Date.now();
+  writeRaw(profileId, next);
+}
+
+/**
+ * Delete the SMTP config for a profile.
+ */
+export function deleteSmtpConfig(profileId) {
+  try {
+    fs.unlinkSync(configPath(profileId));
+    return true;
+  } catch {
+    return false;
+  }
+}
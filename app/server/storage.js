@@ -1,13 +1,48 @@
-import { readFileSync, writeFileSync, mkdirSync, renameSync, existsSync } from "fs";
+import { readFileSync, writeFileSync, mkdirSync, renameSync, existsSync, appendFileSync, openSync, readSync, closeSync, statSync, truncateSync, unlinkSync } from "fs";
 import path from "path";
 import { randomBytes } from "crypto";
 
 const STORAGE_DIR = ".claude-ui";
-const STORAGE_FILE = "conversations.json";
+const LEGACY_STORAGE_FILE = "conversations.json";
+const LOG_FILE = "conversations.jsonl";
+const INDEX_FILE = "conversations.idx";
 
-/** Ensure .claude-ui is listed in the project's .gitignore */
+// The index holds one fixed-width little-endian byte offset per log line, so
+// entry i starts at offset[i] and ends at offset[i + 1] (or end of file).
+const OFFSET_BYTES = 8;
+// How many entries iterateEntriesReverse reads from disk at a time
+const REVERSE_BATCH = 50;
+
+// Working directories whose log/index pair has been checked (and migrated or
+// repaired if needed) during this process lifetime.
+const verifiedDirs = new Set();
+
+/**
+ * Exclude file of the repository behind a linked worktree (its .git is a
+ * "gitdir: ..." file), or null for a regular checkout. Linked worktrees share
+ * info/exclude with the main repository.
+ */
+function linkedWorktreeExcludePath(workDir) {
+  try {
+    const dotGit = path.join(workDir, ".git");
+    if (!statSync(dotGit).isFile()) return null;
+    const match = /^gitdir:\s*(.+)$/m.exec(readFileSync(dotGit, "utf-8"));
+    if (!match) return null;
+    const gitDir = path.resolve(workDir, match[1].trim());
+    const commonDir = readFileSync(path.join(gitDir, "commondir"), "utf-8").trim();
+    return path.join(path.resolve(gitDir, commonDir), "info", "exclude");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ensure .claude-ui is ignored by git: listed in the project's .gitignore, or
+ * for a linked worktree (task run branches) in the repository's info/exclude,
+ * so the worktree is not left with a .gitignore edit to commit.
+ */
 function ensureGitignore(workDir) {
-  const gitignorePath = path.join(workDir, ".gitignore");
+  const gitignorePath = linkedWorktreeExcludePath(workDir) || path.join(workDir, ".gitignore");
   try {
     if (existsSync(gitignorePath)) {
       const content = readFileSync(gitignorePath, "utf-8");
@@ -16,22 +51,195 @@ function ensureGitignore(workDir) {
       }
       writeFileSync(gitignorePath, content.trimEnd() + "\n" + STORAGE_DIR + "\n");
     } else {
+      mkdirSync(path.dirname(gitignorePath), { recursive: true });
       writeFileSync(gitignorePath, STORAGE_DIR + "\n");
     }
   } catch (err) {
     // non-critical, ignore but log so it's visible in docker logs
-    console.error(`[storage] Failed to update .gitignore in ${workDir}:`, err.message);
+    console.error(`[storage] Failed to update ${gitignorePath}:`, err.message);
+  }
+}
+
+function storageDir(workDir) {
+  return path.join(workDir, STORAGE_DIR);
+}
+
+function logPath(workDir) {
+  return path.join(storageDir(workDir), LOG_FILE);
+}
+
+function indexPath(workDir) {
+  return path.join(storageDir(workDir), INDEX_FILE);
+}
+
+function ensureStorageDir(workDir) {
+  const dir = storageDir(workDir);
+  const dirExisted = existsSync(dir);
+  mkdirSync(dir, { recursive: true });
+  if (!dirExisted) ensureGitignore(workDir);
+}
+
+function fileSize(filePath) {
+  try {
+    return statSync(filePath).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+}
+
+function readRange(filePath, start, end) {
+  const length = end - start;
+  if (length <= 0) return Buffer.alloc(0);
+  const buf = Buffer.alloc(length);
+  const fd = openSync(filePath, "r");
+  try {
+    let read = 0;
+    while (read < length) {
+      const n = readSync(fd, buf, read, length - read, start + read);
+      if (n === 0) break;
+      read += n;
+    }
+    return read === length ? buf : buf.subarray(0, read);
+  } finally {
+    closeSync(fd);
   }
 }
 
-function storagePath(workDir) {
-  return path.join(workDir, STORAGE_DIR, STORAGE_FILE);
+function encodeOffsets(offsets) {
+  const buf = Buffer.alloc(offsets.length * OFFSET_BYTES);
+  offsets.forEach((offset, i) => buf.writeBigUInt64LE(BigInt(offset), i * OFFSET_BYTES));
+  return buf;
+}
+
+function decodeOffsets(buf) {
+  const offsets = [];
+  for (let pos = 0; pos + OFFSET_BYTES <= buf.length; pos += OFFSET_BYTES) {
+    offsets.push(Number(buf.readBigUInt64LE(pos)));
+  }
+  return offsets;
+}
+
+/** Serialize entries into a JSONL buffer plus the matching offset index. */
+function encodeEntries(entries) {
+  const offsets = [];
+  const lines = [];
+  let pos = 0;
+  for (const entry of entries) {
+    const line = Buffer.from(JSON.stringify(entry) + "\n", "utf-8");
+    offsets.push(pos);
+    lines.push(line);
+    pos += line.length;
+  }
+  return { log: Buffer.concat(lines), index: encodeOffsets(offsets) };
+}
+
+/** Atomically replace the log and index with the given entries. */
+function writeAll(workDir, entries) {
+  ensureStorageDir(workDir);
+  const { log, index } = encodeEntries(entries);
+  const suffix = "." + randomBytes(4).toString("hex") + ".tmp";
+  writeFileSync(logPath(workDir) + suffix, log);
+  writeFileSync(indexPath(workDir) + suffix, index);
+  // Index first: a crash between the two renames leaves a stale index, which
+  // verifyStorage detects and rebuilds from the log.
+  renameSync(indexPath(workDir) + suffix, indexPath(workDir));
+  renameSync(logPath(workDir) + suffix, logPath(workDir));
+}
+
+/** One-time migration from the legacy single JSON array file. */
+function migrateLegacy(workDir) {
+  const legacyPath = path.join(storageDir(workDir), LEGACY_STORAGE_FILE);
+  if (!existsSync(legacyPath) || existsSync(logPath(workDir))) return;
+  try {
+    const entries = JSON.parse(readFileSync(legacyPath, "utf-8"));
+    writeAll(workDir, Array.isArray(entries) ? entries : []);
+    renameSync(legacyPath, legacyPath + ".migrated");
+    console.log(`[storage] Migrated ${Array.isArray(entries) ? entries.length : 0} entries in ${workDir} to JSONL`);
+  } catch (err) {
+    console.error(`[storage] Failed to migrate ${legacyPath}:`, err.message);
+  }
+}
+
+/**
+ * Rebuild the offset index by scanning the log. A trailing partial line
+ * (crash mid-append) is truncated so later appends start on a clean line.
+ */
+function rebuildIndex(workDir) {
+  const buf = readFileSync(logPath(workDir));
+  const offsets = [];
+  let start = 0;
+  for (let i = 0; i < buf.length; i++) {
+    if (buf[i] === 0x0a) {
+      if (i > start) offsets.push(start);
+      start = i + 1;
+    }
+  }
+  if (start < buf.length) {
+    console.warn(`[storage] Truncating partial trailing entry in ${logPath(workDir)}`);
+    truncateSync(logPath(workDir), start);
+  }
+  writeFileSync(indexPath(workDir), encodeOffsets(offsets));
+  console.warn(`[storage] Rebuilt conversation index for ${workDir} (${offsets.length} entries)`);
+}
+
+/**
+ * Make sure the log and index agree. Cheap check: the last indexed line must
+ * be exactly the tail of the log. Anything else triggers a full rebuild.
+ */
+function verifyStorage(workDir) {
+  if (verifiedDirs.has(workDir)) return;
+  migrateLegacy(workDir);
+  try {
+    const logSize = fileSize(logPath(workDir));
+    const idxSize = fileSize(indexPath(workDir));
+    if (logSize === 0) {
+      if (idxSize > 0) unlinkSync(indexPath(workDir));
+    } else {
+      let consistent = idxSize > 0 && idxSize % OFFSET_BYTES === 0;
+      if (consistent) {
+        const [lastOffset] = decodeOffsets(readRange(indexPath(workDir), idxSize - OFFSET_BYTES, idxSize));
+        const tail = lastOffset < logSize ? readRange(logPath(workDir), lastOffset, logSize) : Buffer.alloc(0);
+        consistent = tail.length > 0 && tail.indexOf(0x0a) === tail.length - 1;
+      }
+      if (!consistent) rebuildIndex(workDir);
+    }
+    verifiedDirs.add(workDir);
+  } catch (err) {
+    console.error(`[storage] Failed to verify conversation storage for ${workDir}:`, err.message);
+  }
+}
+
+function entryCount(workDir) {
+  return Math.floor(fileSize(indexPath(workDir)) / OFFSET_BYTES);
+}
+
+/** Read entries [start, end) using the index to seek directly to them. */
+function readEntries(workDir, start, end) {
+  if (end <= start) return [];
+  const offsets = decodeOffsets(readRange(indexPath(workDir), start * OFFSET_BYTES, (end + 1) * OFFSET_BYTES));
+  const from = offsets[0];
+  const to = offsets.length > end - start ? offsets[end - start] : fileSize(logPath(workDir));
+  return parseLines(readRange(logPath(workDir), from, to).toString("utf-8"), workDir);
+}
+
+function parseLines(text, workDir) {
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      console.error(`[storage] Skipping corrupt conversation entry in ${workDir}:`, err.message);
+    }
+  }
+  return entries;
 }
 
 export function loadConversation(workDir) {
+  verifyStorage(workDir);
   try {
-    const data = readFileSync(storagePath(workDir), "utf-8");
-    return JSON.parse(data);
+    return parseLines(readFileSync(logPath(workDir), "utf-8"), workDir);
   } catch (err) {
     // ENOENT is expected for first run; only log unexpected errors so they surface in docker logs
     if (err && err.code !== "ENOENT") {
@@ -42,24 +250,51 @@ export function loadConversation(workDir) {
 }
 
 export function loadConversationSlice(workDir, limit = 50, offset = 0) {
-  const all = loadConversation(workDir);
-  const total = all.length;
-  if (limit <= 0) return { entries: all, total };
-  const start = Math.max(0, total - offset - limit);
-  const end = total - offset;
-  const entries = all.slice(Math.max(start, 0), Math.max(end, 0));
-  return { entries, total };
+  verifyStorage(workDir);
+  try {
+    const total = entryCount(workDir);
+    if (limit <= 0) return { entries: readEntries(workDir, 0, total), total };
+    const start = Math.max(0, total - offset - limit);
+    const end = Math.max(0, total - offset);
+    return { entries: readEntries(workDir, start, end), total };
+  } catch (err) {
+    if (err && err.code !== "ENOENT") {
+      console.error(`[storage] Failed to load conversation slice for ${workDir}:`, err.message);
+    }
+    return { entries: [], total: 0 };
+  }
+}
+
+/**
+ * Iterate stored entries newest-first, reading them from disk in small
+ * batches. Lets callers that only care about the tail of a long conversation
+ * (context gauge, recoverable-history check) stop early.
+ */
+export function* iterateEntriesReverse(workDir) {
+  verifyStorage(workDir);
+  let end;
+  try {
+    end = entryCount(workDir);
+  } catch {
+    return;
+  }
+  while (end > 0) {
+    const start = Math.max(0, end - REVERSE_BATCH);
+    let batch;
+    try {
+      batch = readEntries(workDir, start, end);
+    } catch (err) {
+      console.error(`[storage] Failed to read conversation entries for ${workDir}:`, err.message);
+      return;
+    }
+    for (let i = batch.length - 1; i >= 0; i--) yield batch[i];
+    end = start;
+  }
 }
 
 export function saveConversation(workDir, entries) {
-  const dir = path.join(workDir, STORAGE_DIR);
-  const dirExisted = existsSync(dir);
-  mkdirSync(dir, { recursive: true });
-  if (!dirExisted) ensureGitignore(workDir);
-  const filePath = storagePath(workDir);
-  const tmpPath = filePath + "." + randomBytes(4).toString("hex") + ".tmp";
-  writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
-  renameSync(tmpPath, filePath);
+  writeAll(workDir, entries);
+  verifiedDirs.add(workDir);
 }
 
 export function clearConversation(workDir) {
@@ -67,7 +302,9 @@ export function clearConversation(workDir) {
 }
 
 export function appendEntry(workDir, entry) {
-  const entries = loadConversation(workDir);
-  entries.push(entry);
-  saveConversation(workDir, entries);
+  verifyStorage(workDir);
+  ensureStorageDir(workDir);
+  const offset = fileSize(logPath(workDir));
+  appendFileSync(logPath(workDir), JSON.stringify(entry) + "\n");
+  appendFileSync(indexPath(workDir), encodeOffsets([offset]));
 }
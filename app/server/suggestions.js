@@ -23,6 +23,7 @@ export const KNOWN_CONTEXT_TAGS = [
   "after_context_cleared",
   "git",
   "has_pr",
+  "no_pr",
   "has_review_content",
   "has_bash_calls",
   "recovery",
@@ -80,6 +81,14 @@ const DEFAULT_SUGGESTIONS = [
     contextTags: ["after_completion", "git"],
     order: 60,
   },
+  {
+    name: "Open pull request",
+    description: "Push the branch and open a pull/merge request described by the agent's last reply",
+    actionType: "platform",
+    actionValue: "open-pull-request",
+    contextTags: ["no_pr"],
+    order: 65,
+  },
   {
     name: "Review {{prLabel}}",
     description: "Review the current pull/merge request",
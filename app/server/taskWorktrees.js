@@ -0,0 +1,135 @@
+import { addWorktree, buildWorktreePath, removeWorktree, getMainWorktreeDir, sanitizeBranchName } from "./worktrees.js";
+import { execPromise, gitExec, gitEnvForProfile, pushAndOpenPullRequest, pullRequestTextFromSummary } from "./providers.js";
+
+// When the run's worktree is kept afterwards: "on-changes" keeps it while it
+// holds work that was not pushed, "on-failure" keeps it for runs that did not succeed
+export const WORKTREE_KEEP_POLICIES = ["on-changes", "on-failure", "always", "never"];
+export const DEFAULT_WORKTREE_KEEP_POLICY = "on-changes";
+
+const BRANCH_NAME_RE = /^(?!-)(?!.*\.\.)[\w./-]+$/;
+
+/**
+ * Validate a task's isolated-run options: { baseBranch, keep, push }.
+ * Returns null when runs use the workspace checkout directly.
+ */
+export function normalizeWorktreeOptions(input) {
+  if (input === undefined || input === null || input === false) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw new Error("worktree must be an object");
+  const baseBranch = typeof input.baseBranch === "string" ? input.baseBranch.trim() : "";
+  if (baseBranch && !BRANCH_NAME_RE.test(baseBranch)) throw new Error(`Invalid base branch "${baseBranch}"`);
+  const keep = input.keep ?? DEFAULT_WORKTREE_KEEP_POLICY;
+  if (!WORKTREE_KEEP_POLICIES.includes(keep)) {
+    throw new Error(`worktree.keep must be one of: ${WORKTREE_KEEP_POLICIES.join(", ")}`);
+  }
+  return { baseBranch: baseBranch || null, keep, push: !!input.push };
+}
+
+function git(args, cwd, profileId, timeout = 15000) {
+  return execPromise("git", args, { cwd, timeout, env: { ...process.env, ...gitEnvForProfile(profileId) } });
+}
+
+/**
+ * Check out a fresh branch for one task run next to the workspace checkout
+ * (e.g. my-project--task-nightly-review-1a2b3c4d), from the task's base
+ * branch (refreshed from origin when possible) or the checkout's HEAD.
+ *
+ * Returns { mainDir, path, branch, base, baseCommit }.
+ */
+export async function createRunWorktree(task, runId) {
+  const mainDir = await getMainWorktreeDir(task.workingDirectory);
+  if (!mainDir) throw new Error(`Not a git repository: ${task.workingDirectory}`);
+
+  const options = task.worktree;
+  let base = options.baseBranch;
+  let baseRef = "HEAD";
+  if (base) {
+    try {
+      await git(["fetch", "origin", base], mainDir, task.profileId, 30000);
+    } catch (err) {
+      console.error(`[taskWorktrees] Could not fetch ${base} for "${task.name}", using the local branch:`, err.message);
+    }
+    const remoteRef = await gitExec(["rev-parse", "--verify", "--quiet", `refs/remotes/origin/${base}`], mainDir);
+    baseRef = remoteRef ? `origin/${base}` : base;
+  } else {
+    base = await gitExec(["rev-parse", "--abbrev-ref", "HEAD"], mainDir);
+    if (base === "HEAD") base = null; // detached
+  }
+
+  const branch = `task/${sanitizeBranchName(task.name).toLowerCase().slice(0, 40) || "run"}-${runId.slice(0, 8)}`;
+  const worktreePath = buildWorktreePath(mainDir, branch);
+  const result = await addWorktree(mainDir, branch, worktreePath, true, baseRef);
+  if (!result.ok) throw new Error(`Could not create worktree: ${result.error}`);
+  console.log(`[taskWorktrees] Created ${worktreePath} on ${branch} from ${baseRef}`);
+  // Pinned so commits made during the run can be counted afterwards
+  const baseCommit = await gitExec(["rev-parse", "HEAD"], worktreePath);
+  return { mainDir, path: worktreePath, branch, base, baseCommit };
+}
+
+/**
+ * Wrap up a run's worktree: on success commit what the agent left
+ * uncommitted and push / open a PR (task.openPullRequest) when the task asks
+ * for it, then keep or remove the worktree per the keep policy. Never
+ * throws; problems are reported in `worktree.error`.
+ *
+ * Returns { worktree, pullRequest, pullRequestError } where `worktree` is the
+ * record stored on the run entry: { branch, base, path, kept, commits, pushed, error }.
+ * A failed push or PR also sets `pullRequestError` when the task opens PRs.
+ */
+export async function finishRunWorktree(task, worktree, { status, runId, summary }) {
+  const options = task.worktree || {};
+  const record = {
+    branch: worktree.branch,
+    base: worktree.base,
+    path: worktree.path,
+    kept: false,
+    commits: 0,
+    pushed: false,
+    error: null,
+  };
+  let pullRequest = null;
+  let pullRequestError = null;
+
+  try {
+    let dirty = !!(await gitExec(["status", "--porcelain"], worktree.path));
+    const publish = status === "success" && (options.push || task.openPullRequest);
+    if (publish && dirty) {
+      await git(["add", "-A"], worktree.path, task.profileId);
+      await git(["commit", "-m", `${task.name} (task run ${runId.slice(0, 8)})`], worktree.path, task.profileId);
+      dirty = false;
+    }
+    const ahead = await gitExec(["rev-list", "--count", `${worktree.baseCommit}..HEAD`], worktree.path);
+    record.commits = parseInt(ahead, 10) || 0;
+
+    if (publish && record.commits > 0) {
+      if (task.openPullRequest) {
+        const text = pullRequestTextFromSummary(summary, task.name);
+        try {
+          pullRequest = await pushAndOpenPullRequest(worktree.path, { ...text, base: worktree.base }, task.profileId);
+        } catch (err) {
+          pullRequestError = err.message;
+          throw err;
+        }
+      } else {
+        await git(["push", "-u", "origin", worktree.branch], worktree.path, task.profileId, 60000);
+      }
+      record.pushed = true;
+    }
+
+    const hasUnpublishedWork = dirty || (record.commits > 0 && !record.pushed);
+    record.kept = options.keep === "always"
+      || (options.keep === "on-failure" && status !== "success")
+      || (options.keep === "on-changes" && hasUnpublishedWork);
+  } catch (err) {
+    console.error(`[taskWorktrees] Finishing ${worktree.branch} for "${task.name}" failed:`, err.message);
+    record.error = err.message;
+    // Keep the work around unless the task asked to always discard it
+    record.kept = options.keep !== "never";
+  }
+
+  if (!record.kept) {
+    await removeWorktree(worktree.mainDir, worktree.path);
+    // A branch with nothing on it is just clutter
+    if (record.commits === 0) await gitExec(["branch", "-D", worktree.branch], worktree.mainDir);
+  }
+  return { worktree: record, pullRequest, pullRequestError };
+}
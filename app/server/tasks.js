@@ -11,7 +11,15 @@ import {
   subscribeAgent,
   unsubscribeAgent,
 } from "./agents.js";
+import { DEFAULT_PERMISSION_PROFILE } from "./permissions.js";
+import { renderPromptTemplate } from "./promptTemplates.js";
+import { createRunWorktree, finishRunWorktree } from "./taskWorktrees.js";
+import { gitExec, pushAndOpenPullRequest, pullRequestTextFromSummary } from "./providers.js";
+import { collectArtifacts, artifactContentType, resolveArtifactPath } from "./runArtifacts.js";
+import { summarizeWebhookVariables } from "./webhookSources.js";
 const SUMMARY_INSTRUCTION = `\n\n---\n**IMPORTANT:** After completing your task, you MUST create a markdown file called \`summary.md\` in the current working directory with a complete summary of your findings, analysis, and results. All output files must be saved to the current working directory (the connected workspace).`;
+// Read-only runs cannot write files; the summary falls back to the final reply
+const READ_ONLY_SUMMARY_INSTRUCTION = `\n\n---\n**IMPORTANT:** You cannot modify files in this run. After completing your task, end with a final message containing a complete summary of your findings, analysis, and results.`;
 
 // --- .claude-tasks helpers ---
 
@@ -33,8 +41,9 @@ function generateSummaryFilename(taskName, runId) {
  * Persist the task result to .claude-tasks/ in the connected workspace.
  * This is NOT done by the LLM — it's a programmatic function that picks up
  * the last assistant message from the conversation and saves it as a file.
+ * `agentDir` is where the agent ran (a run worktree, or the workspace itself).
  */
-function persistSummaryToWorkspace(workspaceDir, filename, conversation, assistantText) {
+function persistSummaryToWorkspace(workspaceDir, filename, conversation, assistantText, agentDir = workspaceDir) {
   const claudeTasksDir = getClaudeTasksDir(workspaceDir);
   fs.mkdirSync(claudeTasksDir, { recursive: true });
 
@@ -42,7 +51,7 @@ function persistSummaryToWorkspace(workspaceDir, filename, conversation, assista
 
   // Strategy 1: If the agent wrote a summary.md to the workspace, use that
   try {
-    const agentSummaryPath = path.join(workspaceDir, "summary.md");
+    const agentSummaryPath = path.join(agentDir, "summary.md");
     if (fs.existsSync(agentSummaryPath)) {
       fs.copyFileSync(agentSummaryPath, destPath);
       fs.unlinkSync(agentSummaryPath); // Clean up from workspace root
@@ -64,9 +73,135 @@ function persistSummaryToWorkspace(workspaceDir, filename, conversation, assista
 
   return null;
 }
+// --- Concurrency ---
+
+// What happens when a task is triggered while a run of it is in progress
+export const OVERLAP_POLICIES = ["skip", "queue", "cancel-previous"];
+export const DEFAULT_OVERLAP_POLICY = "skip";
+
+function positiveIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Caps on concurrent task runs (each run is an SDK process)
+const MAX_CONCURRENT_RUNS = positiveIntEnv("TASK_MAX_CONCURRENT_RUNS", 3);
+const MAX_CONCURRENT_RUNS_PER_PROFILE = positiveIntEnv("TASK_MAX_CONCURRENT_RUNS_PER_PROFILE", MAX_CONCURRENT_RUNS);
+// Queued runs kept per task, so a slow task with overlap "queue" cannot pile up forever
+const MAX_QUEUED_RUNS_PER_TASK = 10;
+
+// What happens at boot to cron runs that fell inside downtime: "skip" drops
+// them, "run-once" runs the task once, "run-all" runs each one (up to maxCatchUpRuns)
+export const MISSED_RUN_POLICIES = ["skip", "run-once", "run-all"];
+export const DEFAULT_MISSED_RUN_POLICY = "skip";
+export const DEFAULT_MAX_CATCH_UP_RUNS = 5;
+// Catch-up runs go through the run queue, so they share its per-task cap
+export const MAX_CATCH_UP_RUNS = MAX_QUEUED_RUNS_PER_TASK;
+
+// --- Retries ---
+
+// Failure classes a retry policy can opt into (see classifyRunError)
+export const RETRYABLE_ERROR_CLASSES = ["rate_limit", "network", "sdk", "workspace"];
+const MAX_RETRY_ATTEMPTS = 5;
+const MAX_RETRY_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Validate a retry policy from the API. null/undefined (or maxAttempts 1)
+ * means no retries. Throws with a user-facing message when invalid.
+ *
+ * { maxAttempts, backoffMs, backoffMultiplier, retryOn: [error class] }
+ */
+export function normalizeRetryPolicy(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw new Error("retryPolicy must be an object");
+  const maxAttempts = input.maxAttempts ?? 1;
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_RETRY_ATTEMPTS) {
+    throw new Error(`retryPolicy.maxAttempts must be an integer from 1 to ${MAX_RETRY_ATTEMPTS}`);
+  }
+  if (maxAttempts === 1) return null;
+  const backoffMs = input.backoffMs ?? 60000;
+  if (!Number.isFinite(backoffMs) || backoffMs < 0 || backoffMs > MAX_RETRY_BACKOFF_MS) {
+    throw new Error(`retryPolicy.backoffMs must be between 0 and ${MAX_RETRY_BACKOFF_MS}`);
+  }
+  const backoffMultiplier = input.backoffMultiplier ?? 2;
+  if (!Number.isFinite(backoffMultiplier) || backoffMultiplier < 1 || backoffMultiplier > 10) {
+    throw new Error("retryPolicy.backoffMultiplier must be between 1 and 10");
+  }
+  const retryOn = input.retryOn ?? RETRYABLE_ERROR_CLASSES;
+  if (!Array.isArray(retryOn) || retryOn.some((c) => !RETRYABLE_ERROR_CLASSES.includes(c))) {
+    throw new Error(`retryPolicy.retryOn must only contain: ${RETRYABLE_ERROR_CLASSES.join(", ")}`);
+  }
+  return { maxAttempts, backoffMs: Math.round(backoffMs), backoffMultiplier, retryOn: [...new Set(retryOn)] };
+}
+
+/** Sort a run failure into one of RETRYABLE_ERROR_CLASSES. */
+function classifyRunError(err) {
+  const text = `${err.code || ""} ${err.name || ""} ${err.message || ""}`;
+  if (err.code === "WORKSPACE_MISSING") return "workspace";
+  if (/rate.?limit|\b429\b|overloaded|\b529\b/i.test(text)) return "rate_limit";
+  if (/ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|network/i.test(text)) return "network";
+  return "sdk";
+}
+
+/** Delay before attempt `attempt + 1`. */
+function retryDelay(policy, attempt) {
+  return Math.min(policy.backoffMs * policy.backoffMultiplier ** (attempt - 1), MAX_RETRY_BACKOFF_MS);
+}
+
+// --- Run limits ---
+
+// Caps a task can put on a single run; null means unlimited
+const RUN_LIMIT_FIELDS = ["maxDurationMs", "maxCostUsd", "maxTurns"];
+const MAX_RUN_DURATION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate run limits from the API: { maxDurationMs, maxCostUsd, maxTurns }.
+ * Returns only the fields present in `input`. Throws with a user-facing
+ * message when a value is invalid.
+ */
+export function normalizeRunLimits(input = {}) {
+  const limits = {};
+  for (const field of RUN_LIMIT_FIELDS) {
+    const value = input[field];
+    if (value === undefined) continue;
+    if (value === null || value === 0 || value === "") {
+      limits[field] = null;
+      continue;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`${field} must be a positive number`);
+    }
+    if (field === "maxTurns" && !Number.isInteger(value)) throw new Error("maxTurns must be an integer");
+    if (field === "maxDurationMs" && value > MAX_RUN_DURATION_MS) {
+      throw new Error(`maxDurationMs cannot exceed ${MAX_RUN_DURATION_MS}`);
+    }
+    limits[field] = field === "maxDurationMs" ? Math.round(value) : value;
+  }
+  return limits;
+}
+
+// SDK result subtypes for runs stopped by a task limit
+const SDK_LIMIT_ERRORS = {
+  error_max_budget_usd: "maxCostUsd",
+  error_max_turns: "maxTurns",
+};
+
+// --- Chaining ---
+
+// Run statuses a chain link can fire on
+export const CHAIN_STATUSES = ["success", "error", "timeout", "budget_exceeded", "interrupted"];
+const MAX_NEXT_TASKS = 10;
+// Longest pipeline one trigger can start (a guard in case tasks.json was edited by hand)
+const MAX_PIPELINE_DEPTH = 20;
+const MAX_CHAIN_PAYLOAD_BYTES = 100 * 1024;
+// Webhook bodies may be up to 5mb; this much of one reaches the prompt
+const MAX_PROMPT_PAYLOAD_BYTES = 100 * 1024;
+
 // --- In-memory state ---
 const tasks = new Map(); // taskId -> Task
-const runningJobs = new Map(); // taskId -> { agentId, aborted }
+const runningJobs = new Map(); // taskId -> { runId, profileId, agentId, aborted, limitExceeded, startedAt, conversation, watchers }
+const pendingRuns = []; // FIFO of { runId, taskId, profileId, summaryFilename, queuedAt, opts } waiting for a slot
+const retryTimers = new Map(); // taskId -> Set of timeouts for scheduled retry attempts
 let tickInterval = null;
 const runCompleteListeners = new Set(); // Set of callback functions
 
@@ -148,6 +283,86 @@ function saveRunDetail(profileId, taskId, runId, detail) {
   fs.writeFileSync(getRunDetailPath(profileId, taskId, runId), JSON.stringify(detail, null, 2));
 }
 
+// --- Queued runs on disk ---
+
+// Queued runs live in memory; this record of them (without payloads) lets a
+// restart report the ones it dropped instead of losing them silently
+function getPendingRunsPath(profileId) {
+  return path.join(getTasksDir(profileId), "pending-runs.json");
+}
+
+function persistPendingRuns(profileId) {
+  const runs = pendingRuns.filter((p) => p.profileId === profileId).map((p) => ({
+    runId: p.runId,
+    taskId: p.taskId,
+    summaryFilename: p.summaryFilename,
+    queuedAt: p.queuedAt,
+    opts: {
+      trigger: p.opts.trigger,
+      scheduledFor: p.opts.scheduledFor,
+      webhookEvent: p.opts.webhookEvent,
+      attempt: p.opts.attempt,
+      retryOf: p.opts.retryOf,
+      pipelineRunId: p.opts.pipelineRunId,
+      upstream: p.opts.upstream,
+    },
+  }));
+  try {
+    const filePath = getPendingRunsPath(profileId);
+    if (runs.length === 0) {
+      fs.rmSync(filePath, { force: true });
+      return;
+    }
+    const tmpPath = filePath + "." + crypto.randomBytes(4).toString("hex") + ".tmp";
+    fs.writeFileSync(tmpPath, JSON.stringify({ runs }, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    console.error(`[tasks] Failed to save queued runs for profile ${profileId}:`, err.message);
+  }
+}
+
+/** Run-history entry for a queued run that never started. */
+function cancelledRunEntry(pending, message) {
+  const opts = pending.opts || {};
+  return {
+    id: pending.runId,
+    taskId: pending.taskId,
+    status: "cancelled",
+    trigger: opts.trigger || null,
+    scheduledFor: opts.scheduledFor || null,
+    webhookEvent: opts.webhookEvent || null,
+    attempt: opts.attempt || 1,
+    retryOf: opts.retryOf || null,
+    pipelineRunId: opts.pipelineRunId || null,
+    upstream: opts.upstream || null,
+    queuedAt: pending.queuedAt,
+    startedAt: null,
+    completedAt: Date.now(),
+    durationMs: 0,
+    cost: 0,
+    usage: null,
+    error: message,
+    summaryFilename: pending.summaryFilename,
+  };
+}
+
+/** Record the runs a profile still had queued when the server went down. */
+function recordDroppedPendingRuns(profileId) {
+  const filePath = getPendingRunsPath(profileId);
+  let runs;
+  try {
+    runs = JSON.parse(fs.readFileSync(filePath, "utf-8")).runs || [];
+  } catch {
+    return;
+  }
+  for (const pending of runs) {
+    if (!tasks.has(pending.taskId)) continue;
+    appendRunEntry(profileId, pending.taskId, cancelledRunEntry(pending, "The server restarted before this queued run started"));
+  }
+  if (runs.length > 0) console.log(`[tasks] Recorded ${runs.length} queued run(s) dropped by a restart for profile ${profileId}`);
+  fs.rmSync(filePath, { force: true });
+}
+
 // --- Migration from old schedules format ---
 
 function migrateSchedulesToTasks(profileId) {
@@ -186,28 +401,51 @@ function migrateSchedulesToTasks(profileId) {
 
 // --- Cron helpers ---
 
-export function computeNextRun(cronExpression) {
+// Schedules are evaluated in the task's IANA timezone, or the server's when unset
+export const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseCron(cronExpression, timezone, currentDate) {
+  const options = {};
+  if (timezone) options.tz = timezone;
+  if (currentDate) options.currentDate = currentDate;
+  return CronExpressionParser.parse(cronExpression, options);
+}
+
+export function computeNextRun(cronExpression, timezone = null) {
   if (!cronExpression) return null;
   try {
-    const interval = CronExpressionParser.parse(cronExpression);
+    const interval = parseCron(cronExpression, timezone);
     return interval.next().getTime();
   } catch {
     return null;
   }
 }
 
-export function validateCron(cronExpression) {
+export function validateCron(cronExpression, timezone = null) {
+  if (timezone && !isValidTimezone(timezone)) {
+    return { valid: false, error: `Unknown timezone: ${timezone}` };
+  }
   try {
-    CronExpressionParser.parse(cronExpression);
+    parseCron(cronExpression, timezone);
     return { valid: true };
   } catch (err) {
     return { valid: false, error: err.message };
   }
 }
 
-export function getNextRuns(cronExpression, count = 3) {
+export function getNextRuns(cronExpression, count = 3, timezone = null) {
   try {
-    const interval = CronExpressionParser.parse(cronExpression);
+    const interval = parseCron(cronExpression, timezone);
     const runs = [];
     for (let i = 0; i < count; i++) {
       runs.push(interval.next().getTime());
@@ -220,11 +458,42 @@ export function getNextRuns(cronExpression, count = 3) {
 
 // --- CRUD ---
 
+// Emails, notification channels and callbacks link to the public summary URL,
+// which needs a webhook token; generate one when a task first uses any of them
+function ensurePublicSummaryToken(task, baseUrl) {
+  if (task.webhookToken) return;
+  if (!task.emails.length && !task.notificationChannels?.length && !task.callbacks) return;
+  task.webhookToken = crypto.randomBytes(32).toString("hex");
+  if (baseUrl) task.webhookBaseUrl = baseUrl;
+}
+
+// Only plain addresses: anything with whitespace (CR/LF included) would end
+// up inside SMTP commands and headers
+const EMAIL_ADDRESS_RE = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+/**
+ * Validate a task's notification email addresses from the API. Blank
+ * entries are dropped; throws with a user-facing message on an invalid one.
+ */
+export function normalizeTaskEmails(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error("emails must be an array");
+  const emails = [];
+  for (const entry of input) {
+    if (entry !== null && entry !== undefined && typeof entry !== "string") throw new Error("emails must be strings");
+    const email = (entry || "").trim();
+    if (!email) continue;
+    if (!EMAIL_ADDRESS_RE.test(email)) throw new Error(`Invalid email address: ${JSON.stringify(email)}`);
+    if (!emails.includes(email)) emails.push(email);
+  }
+  return emails;
+}
+
 export function createTask(profileId, config) {
   const id = crypto.randomUUID();
   const now = Date.now();
   const hasCron = !!config.cronExpression;
-  const emails = Array.isArray(config.emails) ? config.emails.filter(e => e && e.trim()) : [];
+  const emails = normalizeTaskEmails(config.emails);
   const task = {
     id,
     profileId,
@@ -234,20 +503,35 @@ export function createTask(profileId, config) {
     workingDirectory: config.workingDirectory,
     prompt: config.prompt,
     model: config.model || null,
+    permissionProfile: config.permissionProfile || DEFAULT_PERMISSION_PROFILE,
+    allowedCommands: config.allowedCommands || [],
+    allowedPaths: config.allowedPaths || [],
+    timezone: config.timezone || null,
+    overlapPolicy: config.overlapPolicy || DEFAULT_OVERLAP_POLICY,
+    missedRunPolicy: config.missedRunPolicy || DEFAULT_MISSED_RUN_POLICY,
+    maxCatchUpRuns: config.maxCatchUpRuns || DEFAULT_MAX_CATCH_UP_RUNS,
+    retryPolicy: config.retryPolicy || null,
+    maxDurationMs: config.maxDurationMs || null,
+    maxCostUsd: config.maxCostUsd || null,
+    maxTurns: config.maxTurns || null,
+    worktree: config.worktree || null,
+    openPullRequest: !!config.openPullRequest,
+    nextTasks: config.nextTasks || [],
+    webhookSource: config.webhookSource || null,
     emails,
+    notificationChannels: config.notificationChannels || [],
+    callbacks: config.callbacks || null,
+    outputArtifacts: config.outputArtifacts || [],
     webhookToken: null,
     webhookBaseUrl: null,
     createdAt: now,
     updatedAt: now,
     lastRunAt: null,
+    lastScheduledAt: null, // last cron occurrence the scheduler handled, even if skipped
     lastRunStatus: null,
-    nextRunAt: hasCron ? computeNextRun(config.cronExpression) : null,
+    nextRunAt: hasCron ? computeNextRun(config.cronExpression, config.timezone) : null,
   };
-  // Auto-generate webhook token if emails are configured (needed for public summary URL)
-  if (task.emails.length > 0) {
-    task.webhookToken = crypto.randomBytes(32).toString("hex");
-    if (config.webhookBaseUrl) task.webhookBaseUrl = config.webhookBaseUrl;
-  }
+  ensurePublicSummaryToken(task, config.webhookBaseUrl);
   tasks.set(id, task);
   persistTasks(profileId);
   return task;
@@ -272,10 +556,11 @@ export function updateTask(taskId, updates) {
   if (!task) return null;
 
   if (updates.name !== undefined) task.name = updates.name;
-  if (updates.cronExpression !== undefined) {
-    task.cronExpression = updates.cronExpression || null;
+  if (updates.timezone !== undefined) task.timezone = updates.timezone || null;
+  if (updates.cronExpression !== undefined || updates.timezone !== undefined) {
+    if (updates.cronExpression !== undefined) task.cronExpression = updates.cronExpression || null;
     if (task.cronExpression) {
-      task.nextRunAt = computeNextRun(updates.cronExpression);
+      task.nextRunAt = computeNextRun(task.cronExpression, task.timezone);
     } else {
       task.nextRunAt = null;
       task.enabled = false;
@@ -284,13 +569,28 @@ export function updateTask(taskId, updates) {
   if (updates.workingDirectory !== undefined) task.workingDirectory = updates.workingDirectory;
   if (updates.prompt !== undefined) task.prompt = updates.prompt;
   if (updates.model !== undefined) task.model = updates.model || null;
+  if (updates.permissionProfile !== undefined) task.permissionProfile = updates.permissionProfile;
+  if (updates.allowedCommands !== undefined) task.allowedCommands = updates.allowedCommands;
+  if (updates.allowedPaths !== undefined) task.allowedPaths = updates.allowedPaths;
+  if (updates.overlapPolicy !== undefined) task.overlapPolicy = updates.overlapPolicy || DEFAULT_OVERLAP_POLICY;
+  if (updates.missedRunPolicy !== undefined) task.missedRunPolicy = updates.missedRunPolicy || DEFAULT_MISSED_RUN_POLICY;
+  if (updates.maxCatchUpRuns !== undefined) task.maxCatchUpRuns = updates.maxCatchUpRuns || DEFAULT_MAX_CATCH_UP_RUNS;
+  if (updates.retryPolicy !== undefined) task.retryPolicy = updates.retryPolicy || null;
+  for (const field of RUN_LIMIT_FIELDS) {
+    if (updates[field] !== undefined) task[field] = updates[field] || null;
+  }
+  if (updates.nextTasks !== undefined) task.nextTasks = updates.nextTasks || [];
+  if (updates.worktree !== undefined) task.worktree = updates.worktree || null;
+  if (updates.openPullRequest !== undefined) task.openPullRequest = !!updates.openPullRequest;
+  if (updates.webhookSource !== undefined) task.webhookSource = updates.webhookSource || null;
   if (updates.emails !== undefined) {
-    task.emails = Array.isArray(updates.emails) ? updates.emails.filter(e => e && e.trim()) : [];
-    // Auto-generate webhook token if emails are set and no token exists
-    if (task.emails.length > 0 && !task.webhookToken) {
-      task.webhookToken = crypto.randomBytes(32).toString("hex");
-      if (updates.webhookBaseUrl) task.webhookBaseUrl = updates.webhookBaseUrl;
-    }
+    task.emails = normalizeTaskEmails(updates.emails);
+  }
+  if (updates.notificationChannels !== undefined) task.notificationChannels = updates.notificationChannels || [];
+  if (updates.callbacks !== undefined) task.callbacks = updates.callbacks || null;
+  if (updates.outputArtifacts !== undefined) task.outputArtifacts = updates.outputArtifacts || [];
+  if (updates.emails !== undefined || updates.notificationChannels !== undefined || updates.callbacks !== undefined) {
+    ensurePublicSummaryToken(task, updates.webhookBaseUrl);
   }
   if (updates.webhookBaseUrl && task.webhookToken) {
     task.webhookBaseUrl = updates.webhookBaseUrl;
@@ -307,6 +607,14 @@ export function deleteTask(taskId) {
   if (!task) return false;
   const profileId = task.profileId;
   tasks.delete(taskId);
+  dropPendingRuns(taskId);
+  cancelRetries(taskId);
+  // Unlink it from any chain that pointed at it
+  for (const other of tasks.values()) {
+    if (other.profileId === profileId && other.nextTasks?.some((l) => l.taskId === taskId)) {
+      other.nextTasks = other.nextTasks.filter((l) => l.taskId !== taskId);
+    }
+  }
   persistTasks(profileId);
 
   // Clean up run history
@@ -325,7 +633,7 @@ export function toggleTask(taskId, enabled) {
   if (!task.cronExpression) return task;
   task.enabled = !!enabled;
   if (task.enabled) {
-    task.nextRunAt = computeNextRun(task.cronExpression);
+    task.nextRunAt = computeNextRun(task.cronExpression, task.timezone);
   }
   task.updatedAt = Date.now();
   tasks.set(taskId, task);
@@ -367,11 +675,32 @@ export function getTaskByWebhookToken(taskId, token) {
 
 // --- Run history ---
 
+/** Run-list entries for runs still waiting for a slot (status "queued"). */
+function queuedRunEntries(filter) {
+  return pendingRuns.filter(filter).map((p) => ({
+    id: p.runId,
+    taskId: p.taskId,
+    taskName: tasks.get(p.taskId)?.name,
+    status: "queued",
+    trigger: p.opts.trigger || null,
+    scheduledFor: p.opts.scheduledFor || null,
+    webhookEvent: p.opts.webhookEvent || null,
+    attempt: p.opts.attempt || 1,
+    retryOf: p.opts.retryOf || null,
+    pipelineRunId: p.opts.pipelineRunId || null,
+    upstream: p.opts.upstream || null,
+    queuedAt: p.queuedAt,
+    startedAt: null,
+    summaryFilename: p.summaryFilename,
+  }));
+}
+
 export function getRunHistory(taskId, limit = 20) {
   const task = tasks.get(taskId);
   if (!task) return [];
   const runs = loadRunHistory(task.profileId, taskId);
-  return runs.slice(-limit).reverse(); // Most recent first
+  // Queued runs first, then the most recent finished ones
+  return [...queuedRunEntries((p) => p.taskId === taskId), ...runs.slice(-limit).reverse()];
 }
 
 export function getRunDetail(taskId, runId) {
@@ -380,7 +709,9 @@ export function getRunDetail(taskId, runId) {
   try {
     return JSON.parse(fs.readFileSync(getRunDetailPath(task.profileId, taskId, runId), "utf-8"));
   } catch {
-    return null;
+    // Cancelled queued runs never started, so only their history entry exists
+    const run = loadRunHistory(task.profileId, taskId).find((r) => r.id === runId);
+    return run?.status === "cancelled" ? { ...run, conversation: [] } : null;
   }
 }
 
@@ -399,16 +730,19 @@ export function getAllRuns(profileId, limit = 50) {
   }
   // Sort by startedAt descending
   result.sort((a, b) => b.startedAt - a.startedAt);
-  return result.slice(0, limit);
+  return [...queuedRunEntries((p) => p.profileId === profileId), ...result.slice(0, limit)];
 }
 
 // --- Execution ---
 
 // Archive output files into the run output directory.
 // The primary summary is already persisted to .claude-tasks/ by persistSummaryToWorkspace.
-// This function creates a copy in the archive dir and records file metadata.
-function archiveOutputFiles(outputDir, claudeTasksSummaryPath) {
+// This function creates a copy in the archive dir, collects the files matching
+// the task's outputArtifacts globs from the run's working directory, and
+// records file metadata. Returns { files, skipped }.
+function archiveOutputFiles(outputDir, claudeTasksSummaryPath, task, runDir) {
   const archived = [];
+  let skipped = [];
   fs.mkdirSync(outputDir, { recursive: true });
 
   if (claudeTasksSummaryPath && fs.existsSync(claudeTasksSummaryPath)) {
@@ -416,24 +750,42 @@ function archiveOutputFiles(outputDir, claudeTasksSummaryPath) {
       const destPath = path.join(outputDir, "summary.md");
       fs.copyFileSync(claudeTasksSummaryPath, destPath);
       const stat = fs.statSync(destPath);
-      archived.push({ name: "summary.md", size: stat.size });
+      archived.push({ name: "summary.md", size: stat.size, contentType: artifactContentType("summary.md") });
     } catch (err) {
       console.error(`[tasks] Failed to archive summary to output dir:`, err.message);
     }
   }
 
-  return archived;
+  if (task.outputArtifacts?.length > 0) {
+    try {
+      const collected = collectArtifacts(runDir, task.outputArtifacts, outputDir);
+      archived.push(...collected.files);
+      skipped = collected.skipped;
+      if (skipped.length > 0) {
+        console.warn(`[tasks] Skipped ${skipped.length} output artifact(s) of "${task.name}": ${skipped.map((f) => `${f.name} (${f.reason})`).join(", ")}`);
+      }
+    } catch (err) {
+      console.error(`[tasks] Failed to collect output artifacts of "${task.name}":`, err.message);
+    }
+  }
+
+  return { files: archived, skipped };
 }
 
-function scanOutputFiles(dir) {
+// Files under a run's output dir, with paths relative to it
+function scanOutputFiles(dir, prefix = "") {
   try {
     if (!fs.existsSync(dir)) return [];
     const files = [];
     const entries = fs.readdirSync(dir, { withFileTypes: true });
     for (const entry of entries) {
-      if (entry.isFile() && !entry.name.startsWith(".")) {
+      if (entry.name.startsWith(".")) continue;
+      const name = prefix + entry.name;
+      if (entry.isDirectory()) {
+        files.push(...scanOutputFiles(path.join(dir, entry.name), `${name}/`));
+      } else if (entry.isFile()) {
         const stat = fs.statSync(path.join(dir, entry.name));
-        files.push({ name: entry.name, size: stat.size });
+        files.push({ name, size: stat.size, contentType: artifactContentType(name) });
       }
     }
     return files;
@@ -442,20 +794,32 @@ function scanOutputFiles(dir) {
   }
 }
 
-export async function executeTask(taskId, { payload, runId } = {}) {
+export async function executeTask(taskId, opts = {}) {
+  const { payload, variables = null, summaryFilename: presetSummaryFilename, trigger = "manual", scheduledFor = null, webhookEvent = null, attempt = 1, retryOf = null, upstream = null } = opts;
+  let { runId } = opts;
   const task = tasks.get(taskId);
   if (!task) return;
   if (runningJobs.has(taskId)) return;
 
   if (!runId) runId = crypto.randomUUID();
+  // Links the runs of one pipeline: inherited from upstream, else the first attempt of this run
+  const pipelineRunId = opts.pipelineRunId || retryOf || runId;
   const conversation = [];
 
   // Generate the target summary filename at the beginning of execution
-  const summaryFilename = generateSummaryFilename(task.name, runId);
+  // (queued runs already announced theirs to the caller)
+  const summaryFilename = presetSummaryFilename || generateSummaryFilename(task.name, runId);
 
-  runningJobs.set(taskId, { agentId: null, aborted: false });
   const startedAt = Date.now();
+  // `conversation` doubles as the backfill for live watchers (watchTaskRun)
+  const watchers = new Set();
+  runningJobs.set(taskId, { runId, profileId: task.profileId, agentId: null, aborted: false, stopMessage: null, limitExceeded: null, startedAt, conversation, watchers });
   let agentId = null;
+  let timeoutTimer = null;
+  let renderedPrompt = null; // the prompt after {{variables}}, kept in the run detail
+  let worktree = null; // this run's own checkout when the task runs isolated
+  let worktreeRecord = null;
+  let headBefore = null; // workspace HEAD at start, to tell whether the run committed anything
 
   // Output directory for archiving task-generated files
   const outputDir = getRunOutputDir(task.profileId, taskId, runId);
@@ -465,34 +829,88 @@ export async function executeTask(taskId, { payload, runId } = {}) {
   try {
     // Verify working directory exists
     if (!fs.existsSync(task.workingDirectory)) {
-      throw new Error(`Working directory does not exist: ${task.workingDirectory}`);
+      const err = new Error(`Working directory does not exist: ${task.workingDirectory}`);
+      err.code = "WORKSPACE_MISSING";
+      throw err;
     }
+    if (task.worktree) worktree = await createRunWorktree(task, runId);
+    else if (task.openPullRequest) headBefore = await gitExec(["rev-parse", "HEAD"], task.workingDirectory);
+    const runDir = worktree?.path || task.workingDirectory;
 
-    // Create ephemeral agent in the workspace directory
-    const agent = createAgent(`task-${task.name}-${runId}`, task.workingDirectory, task.profileId);
+    // Create ephemeral agent in the workspace directory (or the run's worktree)
+    const agent = createAgent(`task-${task.name}-${runId}`, runDir, task.profileId, false, { ephemeral: true, source: "task" });
     agentId = agent.id;
 
     // Store agentId in runningJobs so stopTask() can abort it
     const job = runningJobs.get(taskId);
     if (job) job.agentId = agent.id;
 
-    // Disable interactive questions for task runs
+    // Disable interactive questions for task runs; nobody is around to
+    // approve held tool calls either, so those are denied automatically
     agent.interactiveQuestions = false;
+    agent.nonInteractive = true;
+    agent.permissionProfile = task.permissionProfile || DEFAULT_PERMISSION_PROFILE;
+    agent.allowedCommands = task.allowedCommands || [];
+    agent.allowedPaths = task.allowedPaths || [];
 
     // Apply model override from task config
     if (task.model) {
       agent.model = task.model;
     }
 
-    // Capture events
+    // Spend and turn caps are enforced by the SDK; duration by a timer
+    // started with the agent run below
+    agent.maxBudgetUsd = task.maxCostUsd || null;
+    agent.maxTurns = task.maxTurns || null;
+
+    // Capture events and forward them to anyone watching the run live
     const listener = (event) => {
       conversation.push(event);
+      for (const watcher of watchers) {
+        try { watcher(event); } catch (err) {
+          console.error(`[tasks] Run watcher error:`, err.message);
+        }
+      }
     };
     subscribeAgent(agent.id, listener);
 
-    // Build prompt — always instruct agent to save a summary file in the workspace
-    let prompt = payload ? `${task.prompt}\n\n${payload}${SUMMARY_INSTRUCTION}` : `${task.prompt}${SUMMARY_INSTRUCTION}`;
-    await sendMessage(agent.id, prompt);
+    // Build prompt — resolve {{variables}}, append the payload unless the
+    // template placed it, and always instruct agent to save a summary file.
+    // Provider events append only their mapped variables, not the raw event.
+    const promptPayload = truncateBytes(payload, MAX_PROMPT_PAYLOAD_BYTES);
+    const template = await renderPromptTemplate(task.prompt, buildTemplateContext(task, { payload: promptPayload, variables, workingDirectory: runDir }));
+    renderedPrompt = template.text;
+    if (promptPayload && !template.used.includes("payload")) {
+      const appended = webhookEvent
+        ? `Webhook event:\n${JSON.stringify(summarizeWebhookVariables(task.webhookSource, variables), null, 2)}`
+        : promptPayload;
+      renderedPrompt += `\n\n${truncateBytes(appended, MAX_PROMPT_PAYLOAD_BYTES)}`;
+    }
+    const summaryInstruction = agent.permissionProfile === "read-only" ? READ_ONLY_SUMMARY_INSTRUCTION : SUMMARY_INSTRUCTION;
+
+    // Stopped (or cancelled by a newer run) while setting up
+    if (runningJobs.get(taskId)?.aborted) throw new Error("Run was stopped before the agent started");
+
+    // The duration limit counts setup (worktree, prompt rendering) too, but
+    // only a running agent can be aborted: a run already over its limit
+    // fails here without being sent
+    if (task.maxDurationMs) {
+      const remaining = task.maxDurationMs - (Date.now() - startedAt);
+      if (remaining <= 0) {
+        const job = runningJobs.get(taskId);
+        if (job) job.limitExceeded = { limit: "maxDurationMs", value: task.maxDurationMs };
+        throw new Error(`Run setup took longer than the ${task.maxDurationMs}ms limit`);
+      }
+      timeoutTimer = setTimeout(() => {
+        const job = runningJobs.get(taskId);
+        if (!job || job.runId !== runId) return;
+        console.warn(`[tasks] Run ${runId} of "${task.name}" hit its ${task.maxDurationMs}ms limit, aborting`);
+        job.limitExceeded = { limit: "maxDurationMs", value: task.maxDurationMs };
+        abortAgent(agent.id);
+      }, remaining);
+    }
+    // sendMessage installs the agent's AbortController before its first await
+    await sendMessage(agent.id, `${renderedPrompt}${summaryInstruction}`);
 
     // Check if this task was user-aborted (sendMessage swallows AbortError)
     const jobState = runningJobs.get(taskId);
@@ -501,6 +919,25 @@ export async function executeTask(taskId, { payload, runId } = {}) {
     // Extract results
     unsubscribeAgent(agent.id, listener);
     const doneEvent = conversation.find((e) => e.type === "done");
+
+    // A run stopped by one of the task's limits: the timeout timer, or the
+    // SDK's error_max_* result for the spend/turn caps
+    const sdkLimitEvent = conversation.find((e) => e.type === "error" && SDK_LIMIT_ERRORS[e.name]);
+    const limitExceeded = jobState?.limitExceeded || (sdkLimitEvent
+      ? { limit: SDK_LIMIT_ERRORS[sdkLimitEvent.name], value: task[SDK_LIMIT_ERRORS[sdkLimitEvent.name]] }
+      : null);
+    const status = wasAborted ? "interrupted"
+      : limitExceeded ? (limitExceeded.limit === "maxDurationMs" ? "timeout" : "budget_exceeded")
+      : "success";
+
+    // sendMessage reports SDK failures as an error event rather than throwing
+    const errorEvent = !wasAborted && !limitExceeded && !doneEvent && conversation.find((e) => e.type === "error");
+    if (errorEvent) {
+      const err = new Error(errorEvent.message || "Agent run failed");
+      err.name = errorEvent.name || "Error";
+      err.code = errorEvent.code || null;
+      throw err;
+    }
     const assistantTexts = conversation
       .filter((e) => e.type === "text_delta")
       .map((e) => e.text)
@@ -508,30 +945,66 @@ export async function executeTask(taskId, { payload, runId } = {}) {
 
     // Persist summary to .claude-tasks/ in the connected workspace (programmatic, not LLM)
     const claudeTasksSummaryPath = persistSummaryToWorkspace(
-      task.workingDirectory, summaryFilename, conversation, assistantTexts
+      task.workingDirectory, summaryFilename, conversation, assistantTexts, runDir
     );
 
-    // Also archive to the run output directory
-    const outputFiles = archiveOutputFiles(outputDir, claudeTasksSummaryPath);
+    // Also archive to the run output directory, with the task's output artifacts
+    const { files: outputFiles, skipped: skippedArtifacts } = archiveOutputFiles(outputDir, claudeTasksSummaryPath, task, runDir);
+
+    let summary = assistantTexts;
+    try {
+      if (claudeTasksSummaryPath) summary = fs.readFileSync(claudeTasksSummaryPath, "utf-8");
+    } catch {}
+
+    // Commit/push/open a PR from the run's worktree, then keep or drop it;
+    // in the workspace checkout, open a PR only for commits made by this run
+    let pullRequest = null;
+    let pullRequestError = null;
+    if (worktree) {
+      ({ worktree: worktreeRecord, pullRequest, pullRequestError } = await finishRunWorktree(task, worktree, { status, runId, summary }));
+    } else if (task.openPullRequest && status === "success") {
+      const headAfter = await gitExec(["rev-parse", "HEAD"], task.workingDirectory);
+      if (headAfter && headAfter !== headBefore) {
+        try {
+          pullRequest = await pushAndOpenPullRequest(task.workingDirectory, pullRequestTextFromSummary(summary, task.name), task.profileId);
+        } catch (prErr) {
+          console.error(`[tasks] Could not open a pull request for run ${runId} of "${task.name}":`, prErr.message);
+          pullRequestError = prErr.message;
+        }
+      }
+    }
 
     // Persist
     const runEntry = {
       id: runId,
       taskId,
-      status: wasAborted ? "interrupted" : "success",
+      status,
+      trigger,
+      scheduledFor,
+      webhookEvent,
+      attempt,
+      retryOf,
+      pipelineRunId,
+      upstream,
       startedAt,
       completedAt: Date.now(),
       durationMs: Date.now() - startedAt,
       cost: doneEvent?.cost || 0,
       usage: doneEvent?.usage || null,
-      error: wasAborted ? "Task stopped by user" : null,
+      error: wasAborted ? jobState.stopMessage : limitExceeded ? describeLimitExceeded(limitExceeded) : null,
+      limitExceeded,
       resultSummary: assistantTexts.slice(0, 500) || null,
       outputFiles: outputFiles.length > 0 ? outputFiles : null,
+      skippedArtifacts: skippedArtifacts.length > 0 ? skippedArtifacts : null,
+      worktree: worktreeRecord,
+      pullRequest,
+      pullRequestError,
       summaryFilename, // Store the filename for summary link resolution
     };
 
     saveRunDetail(task.profileId, taskId, runId, {
       ...runEntry,
+      renderedPrompt,
       conversation: conversation.map((e) => {
         const { eventIndex, ...rest } = e;
         return rest;
@@ -541,9 +1014,9 @@ export async function executeTask(taskId, { payload, runId } = {}) {
 
     // Update task
     task.lastRunAt = Date.now();
-    task.lastRunStatus = wasAborted ? "interrupted" : "success";
+    task.lastRunStatus = status;
     if (task.cronExpression) {
-      task.nextRunAt = computeNextRun(task.cronExpression);
+      task.nextRunAt = computeNextRun(task.cronExpression, task.timezone);
     }
     persistTasks(task.profileId);
 
@@ -551,41 +1024,101 @@ export async function executeTask(taskId, { payload, runId } = {}) {
     deleteAgent(agent.id);
     agentId = null;
 
-    console.log(`[tasks] Run ${runId} ${wasAborted ? "interrupted by user" : "completed successfully"} for "${task.name}"`);
+    console.log(`[tasks] Run ${runId} ${wasAborted ? "interrupted by user" : limitExceeded ? `stopped (${status})` : "completed successfully"} for "${task.name}"`);
 
     // Notify listeners
     for (const cb of runCompleteListeners) {
       try {
-        cb({ taskId, runId, task: { ...task }, runEntry });
+        cb({ taskId, runId, task: { ...task }, runEntry, willRetry: false });
       } catch {}
     }
+    // A chaining failure must not be recorded as a failure of this run
+    try {
+      triggerNextTasks(task, runEntry, opts);
+    } catch (chainErr) {
+      console.error(`[tasks] Failed to chain tasks after run ${runId}:`, chainErr.message);
+    }
   } catch (err) {
     const jobState = runningJobs.get(taskId);
     const wasAborted = jobState?.aborted === true;
 
-    console.error(`[tasks] Run ${runId} ${wasAborted ? "interrupted" : "failed"} for "${task.name}":`, err.message);
+    console.error(`[tasks] Run ${runId} ${wasAborted ? "interrupted" : "failed"} for "${task.name}" (attempt ${attempt}):`, err.message);
+
+    // A run cut off by its time limit keeps the "timeout" status
+    const limitExceeded = jobState?.limitExceeded || null;
+    const status = wasAborted ? "interrupted" : limitExceeded ? "timeout" : "error";
+
+    // Retry failures the task's policy covers; a user stop or limit is never retried
+    const errorClass = status === "error" ? classifyRunError(err) : null;
+    const policy = task.retryPolicy;
+    const retryAt = errorClass && policy && attempt < policy.maxAttempts && policy.retryOn.includes(errorClass)
+      ? Date.now() + retryDelay(policy, attempt)
+      : null;
+
+    // Reports and logs left by a failed run are often the most useful ones
+    let artifacts = { files: [], skipped: [] };
+    const artifactDir = worktree?.path || task.workingDirectory;
+    if (task.outputArtifacts?.length > 0 && fs.existsSync(artifactDir)) {
+      try {
+        artifacts = archiveOutputFiles(outputDir, null, task, artifactDir);
+      } catch (archiveErr) {
+        console.error(`[tasks] Failed to archive output artifacts of failed run ${runId}:`, archiveErr.message);
+      }
+    }
+
+    if (worktree && !worktreeRecord) {
+      ({ worktree: worktreeRecord } = await finishRunWorktree(task, worktree, { status, runId }));
+    }
 
     // Record failed/interrupted run
     const runEntry = {
       id: runId,
       taskId,
-      status: wasAborted ? "interrupted" : "error",
+      status,
+      trigger,
+      scheduledFor,
+      webhookEvent,
+      attempt,
+      retryOf,
+      pipelineRunId,
+      upstream,
       startedAt,
       completedAt: Date.now(),
       durationMs: Date.now() - startedAt,
       cost: 0,
       usage: null,
-      error: wasAborted ? "Task stopped by user" : err.message,
+      error: wasAborted ? jobState.stopMessage : limitExceeded ? describeLimitExceeded(limitExceeded) : err.message,
+      errorClass,
+      limitExceeded,
+      retryAt,
       resultSummary: null,
-      outputFiles: null,
+      outputFiles: artifacts.files.length > 0 ? artifacts.files : null,
+      skippedArtifacts: artifacts.skipped.length > 0 ? artifacts.skipped : null,
+      worktree: worktreeRecord,
       summaryFilename,
     };
+    try {
+      saveRunDetail(task.profileId, taskId, runId, {
+        ...runEntry,
+        renderedPrompt,
+        conversation: conversation.map((e) => {
+          const { eventIndex, ...rest } = e;
+          return rest;
+        }),
+      });
+    } catch (detailErr) {
+      console.error(`[tasks] Failed to save run detail for ${runId}:`, detailErr.message);
+    }
     appendRunEntry(task.profileId, taskId, runEntry);
 
+    if (retryAt) {
+      scheduleRetry(taskId, retryAt, { ...opts, runId: undefined, summaryFilename: undefined, attempt: attempt + 1, retryOf: retryOf || runId });
+    }
+
     task.lastRunAt = Date.now();
-    task.lastRunStatus = wasAborted ? "interrupted" : "error";
+    task.lastRunStatus = status;
     if (task.cronExpression) {
-      task.nextRunAt = computeNextRun(task.cronExpression);
+      task.nextRunAt = computeNextRun(task.cronExpression, task.timezone);
     }
     persistTasks(task.profileId);
 
@@ -596,60 +1129,421 @@ export async function executeTask(taskId, { payload, runId } = {}) {
       } catch {}
     }
 
-    // Notify listeners
+    // Notify listeners (willRetry: this is not the final attempt)
     for (const cb of runCompleteListeners) {
       try {
-        cb({ taskId, runId, task: { ...task }, runEntry });
+        cb({ taskId, runId, task: { ...task }, runEntry, willRetry: !!retryAt });
       } catch {}
     }
+    if (!retryAt) {
+      try {
+        triggerNextTasks(task, runEntry, opts);
+      } catch (chainErr) {
+        console.error(`[tasks] Failed to chain tasks after run ${runId}:`, chainErr.message);
+      }
+    }
   } finally {
+    clearTimeout(timeoutTimer);
+    runningJobs.get(taskId)?.watchers.clear();
     runningJobs.delete(taskId);
+    startPendingRuns();
+  }
+}
+
+function runningCount(profileId) {
+  let count = 0;
+  for (const job of runningJobs.values()) {
+    if (job.profileId === profileId) count++;
   }
+  return count;
 }
 
+function hasCapacity(profileId) {
+  return runningJobs.size < MAX_CONCURRENT_RUNS && runningCount(profileId) < MAX_CONCURRENT_RUNS_PER_PROFILE;
+}
+
+/**
+ * Start queued runs, oldest first, while there are free slots. A run waits
+ * while its own task is still running or its profile is at its cap.
+ */
+function startPendingRuns() {
+  for (let i = 0; i < pendingRuns.length && runningJobs.size < MAX_CONCURRENT_RUNS; ) {
+    const pending = pendingRuns[i];
+    if (!tasks.has(pending.taskId)) {
+      pendingRuns.splice(i, 1);
+      persistPendingRuns(pending.profileId);
+      continue;
+    }
+    if (runningJobs.has(pending.taskId) || !hasCapacity(pending.profileId)) {
+      i++;
+      continue;
+    }
+    pendingRuns.splice(i, 1);
+    persistPendingRuns(pending.profileId);
+    console.log(`[tasks] Starting queued run ${pending.runId} (waited ${Math.round((Date.now() - pending.queuedAt) / 1000)}s)`);
+    executeTask(pending.taskId, { ...pending.opts, runId: pending.runId, summaryFilename: pending.summaryFilename });
+  }
+}
+
+/** Whether following nextTasks links from `fromId` reaches `targetId`. */
+function chainReaches(fromId, targetId, linksOf, seen = new Set()) {
+  if (fromId === targetId) return true;
+  if (seen.has(fromId)) return false;
+  seen.add(fromId);
+  return linksOf(fromId).some((l) => chainReaches(l.taskId, targetId, linksOf, seen));
+}
+
+/**
+ * Validate a task's nextTasks links from the API: [{ taskId, on: [status] }].
+ * Targets must be other tasks of the same profile, and the links must not
+ * close a loop back to `taskId` (null for a task being created). Throws with
+ * a user-facing message when invalid.
+ */
+export function normalizeNextTasks(profileId, taskId, input) {
+  if (input === undefined) return undefined;
+  if (input === null) return [];
+  if (!Array.isArray(input)) throw new Error("nextTasks must be an array");
+  if (input.length > MAX_NEXT_TASKS) throw new Error(`At most ${MAX_NEXT_TASKS} next tasks are supported`);
+
+  const links = [];
+  for (const link of input) {
+    const target = link && tasks.get(link.taskId);
+    if (!target || target.profileId !== profileId) throw new Error("nextTasks refers to an unknown task");
+    if (target.id === taskId) throw new Error("A task cannot trigger itself");
+    const on = link.on ?? ["success"];
+    if (!Array.isArray(on) || on.length === 0 || on.some((st) => !CHAIN_STATUSES.includes(st))) {
+      throw new Error(`nextTasks[].on must list statuses from: ${CHAIN_STATUSES.join(", ")}`);
+    }
+    if (links.some((l) => l.taskId === target.id)) continue;
+    links.push({ taskId: target.id, on: [...new Set(on)] });
+  }
+
+  if (taskId) {
+    const linksOf = (id) => (id === taskId ? links : tasks.get(id)?.nextTasks || []);
+    for (const link of links) {
+      if (chainReaches(link.taskId, taskId, linksOf)) {
+        throw new Error(`Chaining to "${tasks.get(link.taskId).name}" would create a cycle`);
+      }
+    }
+  }
+  return links;
+}
+
+/** `text` cut to at most `maxBytes` of UTF-8, marked as truncated. */
+function truncateBytes(text, maxBytes) {
+  if (!text || Buffer.byteLength(text) <= maxBytes) return text;
+  return Buffer.from(text).subarray(0, maxBytes).toString("utf-8") + "\n\n[truncated]";
+}
+
+/** Downstream payload: the upstream run's summary file, or its error. */
+function buildChainPayload(task, runEntry) {
+  let body = "";
+  const summaryPath = getWorkspaceSummaryPath(task.id, runEntry.summaryFilename);
+  if (summaryPath) {
+    try {
+      body = fs.readFileSync(summaryPath, "utf-8");
+    } catch (err) {
+      console.error(`[tasks] Failed to read upstream summary for chain:`, err.message);
+    }
+  }
+  if (!body) body = runEntry.error || runEntry.resultSummary || "(no summary)";
+  body = truncateBytes(body, MAX_CHAIN_PAYLOAD_BYTES);
+  return `Output of upstream task "${task.name}" (status: ${runEntry.status}):\n\n${body}`;
+}
+
+/** Start the tasks chained after `task` whose link matches the run's status. */
+function triggerNextTasks(task, runEntry, opts) {
+  const links = (task.nextTasks || []).filter((l) => l.on.includes(runEntry.status) && tasks.has(l.taskId));
+  if (links.length === 0) return;
+  const depth = (opts.pipelineDepth || 0) + 1;
+  if (depth > MAX_PIPELINE_DEPTH) {
+    console.warn(`[tasks] Pipeline ${runEntry.pipelineRunId} reached ${MAX_PIPELINE_DEPTH} steps, not chaining further`);
+    return;
+  }
+  const payload = buildChainPayload(task, runEntry);
+  for (const link of links) {
+    const result = triggerTask(link.taskId, {
+      payload,
+      trigger: "chain",
+      pipelineRunId: runEntry.pipelineRunId,
+      pipelineDepth: depth,
+      upstream: { taskId: task.id, runId: runEntry.id },
+    });
+    if (!result) console.warn(`[tasks] Could not chain task ${link.taskId} after "${task.name}"`);
+  }
+}
+
+// --- Prompt templates ---
+
+const MAX_LAST_RUN_SUMMARY_CHARS = 50000;
+
+/** Template context for a task's prompt: its last finished run and summary. */
+function buildTemplateContext(task, { payload = null, variables = null, workingDirectory = task.workingDirectory } = {}) {
+  const runs = loadRunHistory(task.profileId, task.id);
+  // Queued runs that were cancelled never ran
+  const lastRun = [...runs].reverse().find((r) => r.status !== "cancelled") || null;
+  let lastRunSummary = null;
+  const lastSuccess = [...runs].reverse().find((r) => r.status === "success");
+  if (lastSuccess) {
+    const summaryPath = getWorkspaceSummaryPath(task.id, lastSuccess.summaryFilename);
+    try {
+      lastRunSummary = summaryPath ? fs.readFileSync(summaryPath, "utf-8") : lastSuccess.resultSummary;
+    } catch {
+      lastRunSummary = lastSuccess.resultSummary;
+    }
+    if (lastRunSummary && lastRunSummary.length > MAX_LAST_RUN_SUMMARY_CHARS) {
+      lastRunSummary = lastRunSummary.slice(0, MAX_LAST_RUN_SUMMARY_CHARS) + "\n\n[truncated]";
+    }
+  }
+  return {
+    taskName: task.name,
+    workingDirectory,
+    timezone: task.timezone,
+    lastRun,
+    lastRunSummary,
+    payload,
+    variables,
+  };
+}
+
+/**
+ * Render a prompt as a run of the task would see it. Used by the form's
+ * preview; `draft` overrides task fields that are still being edited.
+ */
+export function previewTaskPrompt(taskId, draft = {}) {
+  const saved = taskId ? tasks.get(taskId) : null;
+  const task = { ...saved, ...draft };
+  const context = saved
+    ? buildTemplateContext(task, draft)
+    : { taskName: task.name, workingDirectory: task.workingDirectory, timezone: task.timezone, payload: draft.payload ?? null, variables: draft.variables ?? null };
+  return renderPromptTemplate(task.prompt, context);
+}
+
+function describeLimitExceeded({ limit, value }) {
+  if (limit === "maxDurationMs") return `Run exceeded its time limit (${Math.round(value / 1000)}s)`;
+  if (limit === "maxCostUsd") return `Run exceeded its budget ($${value})`;
+  return `Run exceeded its turn limit (${value})`;
+}
+
+/** Run the next attempt of a failed run once its backoff has passed. */
+function scheduleRetry(taskId, retryAt, opts) {
+  const timers = retryTimers.get(taskId) || new Set();
+  retryTimers.set(taskId, timers);
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    if (timers.size === 0) retryTimers.delete(taskId);
+    if (!triggerTask(taskId, opts)) {
+      console.warn(`[tasks] Could not start retry attempt ${opts.attempt} for task ${taskId}`);
+    }
+  }, Math.max(0, retryAt - Date.now()));
+  timer.unref?.();
+  timers.add(timer);
+  console.log(`[tasks] Retrying task ${taskId} (attempt ${opts.attempt}) at ${new Date(retryAt).toISOString()}`);
+}
+
+function cancelRetries(taskId) {
+  for (const timer of retryTimers.get(taskId) || []) clearTimeout(timer);
+  retryTimers.delete(taskId);
+}
+
+function dropPendingRuns(taskId) {
+  const profileId = tasks.get(taskId)?.profileId;
+  for (let i = pendingRuns.length - 1; i >= 0; i--) {
+    if (pendingRuns[i].taskId === taskId) pendingRuns.splice(i, 1);
+  }
+  if (profileId) persistPendingRuns(profileId);
+}
+
+/** Drop a task's queued runs, recording each as cancelled with `message`. */
+function cancelPendingRuns(taskId, message) {
+  const task = tasks.get(taskId);
+  for (const pending of pendingRuns.filter((p) => p.taskId === taskId)) {
+    appendRunEntry(task.profileId, taskId, cancelledRunEntry(pending, message));
+  }
+  dropPendingRuns(taskId);
+}
+
+/**
+ * Request a run of a task. It starts now when the task is idle and a slot is
+ * free, otherwise it is queued. If the task is already running (or has runs
+ * queued) its overlapPolicy decides: "skip" drops the request, "queue" waits
+ * for the current run, "cancel-previous" stops it and drops older queued runs.
+ *
+ * Catch-up runs, retry attempts and chained runs always queue, whatever the policy.
+ *
+ * opts: { payload, variables, trigger: "manual" | "schedule" | "webhook" | "catch-up" | "chain",
+ *         scheduledFor, webhookEvent, attempt, retryOf, pipelineRunId, pipelineDepth, upstream }
+ *
+ * Returns { runId, summaryFilename, queued } or null when the request was
+ * skipped (or the task does not exist).
+ */
 export function triggerTask(taskId, opts) {
   const task = tasks.get(taskId);
   if (!task) return null;
-  if (runningJobs.has(taskId)) return null;
+
+  const busy = runningJobs.has(taskId) || pendingRuns.some((p) => p.taskId === taskId);
+  if (busy) {
+    const alwaysQueue = opts?.trigger === "catch-up" || opts?.trigger === "chain" || opts?.attempt > 1;
+    const policy = alwaysQueue ? "queue" : task.overlapPolicy || DEFAULT_OVERLAP_POLICY;
+    if (policy === "skip") return null;
+    if (policy === "cancel-previous") {
+      cancelPendingRuns(taskId, "Cancelled by a newer run (overlap policy)");
+      stopTask(taskId, "Cancelled by a newer run (overlap policy)");
+    } else if (pendingRuns.filter((p) => p.taskId === taskId).length >= MAX_QUEUED_RUNS_PER_TASK) {
+      console.warn(`[tasks] Queue full for task "${task.name}" (${taskId}), dropping run request`);
+      return null;
+    }
+  }
+
   // Generate runId upfront so callers can build artifact URLs
   const runId = crypto.randomUUID();
   // Generate summary filename upfront so callers can build summary URLs
   const summaryFilename = generateSummaryFilename(task.name, runId);
-  // Fire async, don't await
-  executeTask(taskId, { ...opts, runId });
-  return { runId, summaryFilename };
+
+  if (!busy && hasCapacity(task.profileId)) {
+    // Fire async, don't await
+    executeTask(taskId, { ...opts, runId, summaryFilename });
+    return { runId, summaryFilename, queued: false };
+  }
+
+  pendingRuns.push({ runId, taskId, profileId: task.profileId, summaryFilename, queuedAt: Date.now(), opts: opts || {} });
+  persistPendingRuns(task.profileId);
+  console.log(`[tasks] Queued run ${runId} for task "${task.name}" (${taskId}), ${pendingRuns.length} waiting`);
+  return { runId, summaryFilename, queued: true };
+}
+
+/** Remove a queued (not yet started) run. Returns false if it is not queued. */
+export function cancelQueuedRun(taskId, runId) {
+  const index = pendingRuns.findIndex((p) => p.taskId === taskId && p.runId === runId);
+  if (index === -1) return false;
+  const [pending] = pendingRuns.splice(index, 1);
+  persistPendingRuns(pending.profileId);
+  return true;
+}
+
+export function isRunQueued(taskId, runId) {
+  return pendingRuns.some((p) => p.taskId === taskId && p.runId === runId);
+}
+
+/** Number of queued runs of a task. */
+export function getQueuedRunCount(taskId) {
+  return pendingRuns.filter((p) => p.taskId === taskId).length;
 }
 
 export function isRunning(taskId) {
   return runningJobs.has(taskId);
 }
 
-export function stopTask(taskId) {
+/** The in-progress run of a task, or null: { runId, startedAt }. */
+export function getActiveRun(taskId) {
+  const job = runningJobs.get(taskId);
+  return job ? { runId: job.runId, startedAt: job.startedAt } : null;
+}
+
+/**
+ * Watch an in-progress run. `listener` receives each agent event as it is
+ * emitted. Returns the events so far (for backfill) and an unwatch function,
+ * or null when `runId` is not the task's running run. Watchers are dropped
+ * when the run ends.
+ */
+export function watchTaskRun(taskId, runId, listener) {
+  const job = runningJobs.get(taskId);
+  if (!job || (runId && job.runId !== runId)) return null;
+  job.watchers.add(listener);
+  return {
+    runId: job.runId,
+    startedAt: job.startedAt,
+    events: job.conversation.slice(),
+    unwatch: () => job.watchers.delete(listener),
+  };
+}
+
+/**
+ * Stop a task's running run. `message` is recorded as the run's error. A run
+ * still setting up (worktree, prompt) is marked and bails out before its
+ * agent is sent anything.
+ */
+export function stopTask(taskId, message = "Task stopped by user") {
   const job = runningJobs.get(taskId);
   if (!job) return { stopped: false, reason: "not_running" };
-  if (!job.agentId) return { stopped: false, reason: "agent_not_ready" };
 
-  // Mark as user-aborted BEFORE aborting the agent.
-  // executeTask checks this flag after sendMessage returns.
+  // Mark as aborted BEFORE aborting the agent. executeTask checks this flag
+  // before sending the prompt and after sendMessage returns.
   job.aborted = true;
+  job.stopMessage = message;
 
   // Abort the agent's AbortController, causing sendMessage to exit
-  abortAgent(job.agentId);
+  if (job.agentId) abortAgent(job.agentId);
 
   return { stopped: true };
 }
 
 // --- Task scheduler lifecycle ---
 
+// Upper bound on cron occurrences walked when looking for missed runs
+const MAX_MISSED_RUN_SCAN = 10000;
+
+/**
+ * Cron occurrences of a task that fell between its last activity and now
+ * (i.e. while the server was down). Returns the total count and the most
+ * recent `limit` of them, oldest first. Last activity is the latest of
+ * lastRunAt, lastScheduledAt and updatedAt, so neither occurrences the
+ * overlap policy skipped on purpose nor runs missed before the schedule was
+ * last edited or resumed count.
+ */
+function findMissedRuns(task, now, limit) {
+  const since = Math.max(task.lastRunAt || 0, task.lastScheduledAt || 0, task.updatedAt || task.createdAt || 0);
+  const latest = [];
+  let count = 0;
+  if (!since) return { count, latest };
+  try {
+    const interval = parseCron(task.cronExpression, task.timezone, new Date(since));
+    while (count < MAX_MISSED_RUN_SCAN) {
+      const next = interval.next().getTime();
+      if (next > now) break;
+      count++;
+      latest.push(next);
+      if (latest.length > limit) latest.shift();
+    }
+  } catch {}
+  return { count, latest };
+}
+
+/** Apply each task's missedRunPolicy to runs missed during downtime. */
+function catchUpMissedRuns() {
+  const now = Date.now();
+  for (const [id, task] of tasks) {
+    if (!task.enabled || !task.cronExpression) continue;
+    const policy = task.missedRunPolicy || DEFAULT_MISSED_RUN_POLICY;
+
+    const limit = policy === "run-all" ? Math.min(task.maxCatchUpRuns || DEFAULT_MAX_CATCH_UP_RUNS, MAX_CATCH_UP_RUNS) : 1;
+    const { count, latest } = findMissedRuns(task, now, limit);
+    if (count === 0) continue;
+
+    if (policy === "skip") {
+      console.log(`[tasks] Skipping ${count} missed run(s) of "${task.name}" (${id})`);
+      continue;
+    }
+    console.log(`[tasks] Catching up ${latest.length} of ${count} missed run(s) of "${task.name}" (${id}), policy ${policy}`);
+    for (const scheduledFor of latest) {
+      triggerTask(id, { trigger: "catch-up", scheduledFor });
+    }
+  }
+}
+
 function tick() {
   const now = Date.now();
   for (const [id, task] of tasks) {
     if (!task.enabled) continue;
     if (!task.cronExpression) continue;
-    if (runningJobs.has(id)) continue;
-    if (task.nextRunAt && task.nextRunAt <= now) {
-      executeTask(id);
-    }
+    if (!task.nextRunAt || task.nextRunAt > now) continue;
+    // Advance before triggering so a skipped or queued run isn't re-fired
+    // next tick, nor counted as missed by catch-up after a restart
+    const scheduledFor = task.nextRunAt;
+    task.nextRunAt = computeNextRun(task.cronExpression, task.timezone);
+    task.lastScheduledAt = scheduledFor;
+    persistTasks(task.profileId);
+    triggerTask(id, { trigger: "schedule", scheduledFor });
   }
 }
 
@@ -668,9 +1562,10 @@ export function startTaskScheduler() {
       task.profileId = profile.id;
       // Normalize emails field for backward compatibility
       task.emails = task.emails || [];
-      // Recalculate nextRunAt in case server was down
+      // Recalculate nextRunAt in case server was down (missed runs are
+      // handled by catchUpMissedRuns below)
       if (task.enabled && task.cronExpression) {
-        task.nextRunAt = computeNextRun(task.cronExpression);
+        task.nextRunAt = computeNextRun(task.cronExpression, task.timezone);
       }
       tasks.set(task.id, task);
     }
@@ -678,6 +1573,10 @@ export function startTaskScheduler() {
 
   console.log(`[tasks] Loaded ${tasks.size} task(s) from disk`);
 
+  for (const profile of profiles) recordDroppedPendingRuns(profile.id);
+
+  catchUpMissedRuns();
+
   // Start tick loop every 30 seconds
   tickInterval = setInterval(tick, 30000);
   // Also run immediately
@@ -713,13 +1612,41 @@ export function getRunArtifacts(taskId, runId) {
 export function getRunArtifactPath(taskId, runId, filename) {
   const task = tasks.get(taskId);
   if (!task) return null;
-  // Sanitize filename to prevent path traversal
-  const safe = path.basename(filename);
-  const filePath = path.join(getRunOutputDir(task.profileId, taskId, runId), safe);
-  if (!fs.existsSync(filePath)) return null;
+  // Artifacts keep their relative paths; refuse any that leave the output dir
+  const filePath = resolveArtifactPath(getRunOutputDir(task.profileId, taskId, runId), filename);
+  if (!filePath || !fs.statSync(filePath, { throwIfNoEntry: false })?.isFile()) return null;
   return filePath;
 }
 
+/**
+ * Path of a run's summary: the copy in the workspace's .claude-tasks/
+ * folder, else the one archived with the run. Null when neither exists.
+ */
+export function getRunSummaryPath(taskId, runId) {
+  const detail = getRunDetail(taskId, runId);
+  if (detail?.summaryFilename) {
+    const wsPath = getWorkspaceSummaryPath(taskId, detail.summaryFilename);
+    if (wsPath) return wsPath;
+  }
+  return getRunArtifactPath(taskId, runId, "summary.md");
+}
+
+/**
+ * The finished run before `runId`, skipping earlier attempts of the same run.
+ */
+export function getPreviousRun(taskId, runId) {
+  const task = tasks.get(taskId);
+  if (!task) return null;
+  const runs = loadRunHistory(task.profileId, taskId);
+  const index = runs.findIndex((r) => r.id === runId);
+  if (index === -1) return null;
+  const origin = runs[index].retryOf || runId;
+  for (let i = index - 1; i >= 0; i--) {
+    if (runs[i].status !== "cancelled" && (runs[i].retryOf || runs[i].id) !== origin) return runs[i];
+  }
+  return null;
+}
+
 /**
  * Get the summary file path from the .claude-tasks/ folder in the workspace.
  * This is the primary location where summaries are persisted.
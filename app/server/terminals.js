@@ -1,5 +1,6 @@
 import { mkdirSync } from "fs";
 import { createRequire } from "module";
+import { terminalArgsForPolicy } from "./permissions.js";
 
 const terminals = new Map(); // agentId -> pty
 
@@ -17,7 +18,7 @@ function loadPty() {
   }
 }
 
-export function spawnTerminal(agentId, workingDirectory, sessionId) {
+export function spawnTerminal(agentId, workingDirectory, sessionId, policy) {
   const nodePty = loadPty();
   if (!nodePty) throw new Error("Terminal not available: node-pty failed to load");
 
@@ -30,7 +31,8 @@ export function spawnTerminal(agentId, workingDirectory, sessionId) {
   // Build CLI args — resume the SDK agent's session so the terminal shares
   // the same conversation context.  Falls back to --continue (most recent
   // session in this working directory) if no sessionId is available yet.
-  const args = ["--dangerously-skip-permissions"];
+  // Permission flags mirror the agent's tool permission profile.
+  const args = terminalArgsForPolicy(policy);
   if (sessionId) {
     args.push("--resume", sessionId);
   } else {
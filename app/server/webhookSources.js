@@ -0,0 +1,197 @@
+import crypto from "crypto";
+import { PROMPT_BUILTIN_VARIABLES } from "./promptTemplates.js";
+
+export const WEBHOOK_PROVIDERS = ["github", "gitlab", "azure-devops"];
+
+const MAX_FILTER_ENTRIES = 20;
+const MAX_MAPPED_VARIABLES = 50;
+const VARIABLE_NAME_RE = /^[A-Za-z_]\w*$/;
+const VARIABLE_PATH_RE = /^[\w-]+(\.[\w-]+)*$/;
+
+function safeEqual(a, b) {
+  const expected = Buffer.from(String(a), "utf-8");
+  const received = Buffer.from(String(b), "utf-8");
+  if (expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(expected, received);
+}
+
+function normalizeList(input, field) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) throw new Error(`webhookSource.${field} must be an array`);
+  const list = [...new Set(input.map((v) => (typeof v === "string" ? v.trim() : "")).filter(Boolean))];
+  if (list.length > MAX_FILTER_ENTRIES) throw new Error(`webhookSource.${field} can have at most ${MAX_FILTER_ENTRIES} entries`);
+  return list;
+}
+
+/**
+ * Validate a task's webhook source: { provider, secret, events, branches,
+ * labels, variables }. `variables` maps prompt variable names to dotted paths
+ * in the event body. A missing secret keeps the existing one or generates one.
+ * Returns null for the generic (plain text) receiver.
+ */
+export function normalizeWebhookSource(input, existing = null) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) throw new Error("webhookSource must be an object");
+  if (!WEBHOOK_PROVIDERS.includes(input.provider)) {
+    throw new Error(`webhookSource.provider must be one of: ${WEBHOOK_PROVIDERS.join(", ")}`);
+  }
+  let secret = typeof input.secret === "string" ? input.secret.trim() : "";
+  if (!secret) secret = existing?.secret || crypto.randomBytes(20).toString("hex");
+
+  const variables = {};
+  const mapping = input.variables ?? {};
+  if (typeof mapping !== "object" || Array.isArray(mapping)) throw new Error("webhookSource.variables must be an object");
+  const entries = Object.entries(mapping);
+  if (entries.length > MAX_MAPPED_VARIABLES) throw new Error(`webhookSource.variables can have at most ${MAX_MAPPED_VARIABLES} entries`);
+  for (const [name, path] of entries) {
+    if (!VARIABLE_NAME_RE.test(name)) throw new Error(`Invalid variable name "${name}"`);
+    if (name === "webhook" || PROMPT_BUILTIN_VARIABLES.includes(name)) throw new Error(`"${name}" is a reserved variable name`);
+    if (typeof path !== "string" || !VARIABLE_PATH_RE.test(path.trim())) throw new Error(`Invalid field path for "${name}"`);
+    variables[name] = path.trim();
+  }
+
+  return {
+    provider: input.provider,
+    secret,
+    events: normalizeList(input.events, "events"),
+    branches: normalizeList(input.branches, "branches"),
+    labels: normalizeList(input.labels, "labels"),
+    variables,
+  };
+}
+
+/**
+ * Check a delivery against the source secret: GitHub signs the body with
+ * HMAC-SHA256 (X-Hub-Signature-256), GitLab echoes the secret in
+ * X-Gitlab-Token, Azure DevOps sends it as the basic auth password.
+ */
+export function verifyWebhookSignature(source, headers, rawBody) {
+  if (source.provider === "github") {
+    const signature = headers["x-hub-signature-256"];
+    if (!signature || !rawBody) return false;
+    const expected = "sha256=" + crypto.createHmac("sha256", source.secret).update(rawBody).digest("hex");
+    return safeEqual(expected, signature);
+  }
+  if (source.provider === "gitlab") {
+    const token = headers["x-gitlab-token"];
+    return !!token && safeEqual(source.secret, token);
+  }
+  if (source.provider === "azure-devops") {
+    const match = /^Basic\s+(.+)$/i.exec(headers.authorization || "");
+    if (!match) return false;
+    const decoded = Buffer.from(match[1], "base64").toString("utf-8");
+    return safeEqual(source.secret, decoded.slice(decoded.indexOf(":") + 1));
+  }
+  return false;
+}
+
+/** "refs/heads/main" → "main"; tag refs have no branch. */
+function refToBranch(ref) {
+  if (typeof ref !== "string" || !ref) return null;
+  if (ref.startsWith("refs/heads/")) return ref.slice("refs/heads/".length);
+  if (ref.startsWith("refs/")) return null;
+  return ref;
+}
+
+function labelNames(labels, key) {
+  return Array.isArray(labels) ? labels.map((l) => l?.[key]).filter((l) => typeof l === "string") : [];
+}
+
+/**
+ * Reduce a provider's event to { provider, event, action, branch, labels }.
+ * For pull/merge requests `branch` is the target branch.
+ */
+export function parseWebhookEvent(provider, headers, body) {
+  if (provider === "github") {
+    return {
+      provider,
+      event: headers["x-github-event"] || null,
+      action: body.action || null,
+      branch: body.pull_request?.base?.ref || refToBranch(body.ref) || body.workflow_run?.head_branch || null,
+      labels: labelNames(body.pull_request?.labels || body.issue?.labels, "name"),
+    };
+  }
+  if (provider === "gitlab") {
+    const attrs = body.object_attributes || {};
+    return {
+      provider,
+      event: body.object_kind || headers["x-gitlab-event"] || null,
+      action: attrs.action || null,
+      branch: attrs.target_branch || refToBranch(body.ref) || (body.object_kind === "pipeline" ? attrs.ref : null) || null,
+      labels: labelNames(body.labels || attrs.labels, "title"),
+    };
+  }
+  const resource = body.resource || {};
+  return {
+    provider,
+    event: body.eventType || null,
+    action: null,
+    branch: refToBranch(resource.targetRefName) || refToBranch(resource.refUpdates?.[0]?.name) || null,
+    labels: labelNames(resource.labels, "name"),
+  };
+}
+
+/** Event name with its action, e.g. "pull_request.opened". */
+export function webhookEventKey(event) {
+  if (!event.event) return null;
+  return event.action ? `${event.event}.${event.action}` : event.event;
+}
+
+function globToRegExp(glob) {
+  return new RegExp("^" + glob.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$");
+}
+
+/**
+ * Apply the source filters. An event filter matches the event name or any
+ * "event.action" under it; branches take * globs; a label filter matches when
+ * the event carries any of the labels. Returns a reason when filtered out.
+ */
+export function matchWebhookFilters(source, event) {
+  const key = webhookEventKey(event);
+  if (source.events.length > 0 && !source.events.some((f) => key && (key === f || key.startsWith(`${f}.`)))) {
+    return `Event "${key || "unknown"}" is not in the task's event filter`;
+  }
+  if (source.branches.length > 0 && !source.branches.some((f) => event.branch && globToRegExp(f).test(event.branch))) {
+    return `Branch "${event.branch || "none"}" is not in the task's branch filter`;
+  }
+  if (source.labels.length > 0 && !source.labels.some((l) => event.labels.includes(l))) {
+    return "Event has none of the task's labels";
+  }
+  return null;
+}
+
+function lookupPath(body, path) {
+  let value = body;
+  for (const key of path.split(".")) {
+    if (value === null || typeof value !== "object" || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * What a provider event contributes to the prompt when the template does not
+ * place {{payload}}: the mapped fields and `webhook`, never the whole body.
+ */
+export function summarizeWebhookVariables(source, variables) {
+  const summary = {};
+  for (const name of Object.keys(source?.variables || {})) {
+    if (variables?.[name] !== undefined) summary[name] = variables[name];
+  }
+  if (variables?.webhook) summary.webhook = variables.webhook;
+  return summary;
+}
+
+/**
+ * Prompt variables for an event: the body's own keys, the mapped fields, and
+ * `webhook` ({{webhook.event}}, {{webhook.branch}}, ...).
+ */
+export function mapWebhookVariables(source, body, event) {
+  const variables = { ...body };
+  for (const [name, path] of Object.entries(source.variables)) {
+    const value = lookupPath(body, path);
+    if (value !== undefined && value !== null) variables[name] = value;
+  }
+  variables.webhook = { ...event, labels: event.labels.join(", ") };
+  return variables;
+}
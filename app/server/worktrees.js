@@ -126,9 +126,10 @@ export function isLinkedWorktree(dirPath) {
  * @param {string} branch - The branch name to checkout
  * @param {string} targetPath - The filesystem path for the new worktree
  * @param {boolean} createBranch - If true, create a new branch from HEAD
+ * @param {string} [startPoint] - Commit-ish to create the new branch from instead of HEAD
  * @returns {{ ok: boolean, error?: string }}
  */
-export async function addWorktree(mainDir, branch, targetPath, createBranch = false) {
+export async function addWorktree(mainDir, branch, targetPath, createBranch = false, startPoint = null) {
   if (existsSync(targetPath)) {
     return { ok: false, error: `Directory already exists: ${path.basename(targetPath)}` };
   }
@@ -136,7 +137,7 @@ export async function addWorktree(mainDir, branch, targetPath, createBranch = fa
   try {
     if (createBranch) {
       // Create new branch and worktree
-      await execPromise("git", ["worktree", "add", "-b", branch, targetPath], {
+      await execPromise("git", ["worktree", "add", "-b", branch, targetPath, ...(startPoint ? [startPoint] : [])], {
         cwd: mainDir,
         timeout: 15000,
       });
@@ -0,0 +1,35 @@
+/**
+ * Registry of open WebSocket connections and the profile each one belongs
+ * to, so server-push events can be delivered to a single profile's sockets
+ * instead of every connected client.
+ */
+
+const connections = new Map(); // ws -> { profileId }
+
+export function registerConnection(ws, profileId) {
+  connections.set(ws, { profileId });
+}
+
+export function unregisterConnection(ws) {
+  connections.delete(ws);
+}
+
+/**
+ * Send `event` to every open connection of `profileId`. Returns the number
+ * of sockets the event was delivered to.
+ */
+export function broadcastToProfile(profileId, event) {
+  if (!profileId) return 0;
+  const msg = JSON.stringify(event);
+  let delivered = 0;
+  for (const [ws, info] of connections) {
+    if (info.profileId !== profileId || ws.readyState !== ws.OPEN) continue;
+    try {
+      ws.send(msg);
+      delivered++;
+    } catch (err) {
+      console.error(`[ws] Failed to send ${event.type} to profile ${profileId}:`, err.message);
+    }
+  }
+  return delivered;
+}
@@ -0,0 +1,189 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+
+// The server keeps its data under these fixed paths (see profiles.js)
+const PROFILES_DIR = "/home/node/.claude/profiles";
+const PROFILES_FILE = path.join(PROFILES_DIR, "profiles.json");
+const APP_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function existingProfileCount() {
+  try {
+    return JSON.parse(fs.readFileSync(PROFILES_FILE, "utf-8")).profiles?.length || 0;
+  } catch {
+    return 0;
+  }
+}
+
+// Booting the server starts every saved task's schedule, so only run against
+// a data dir without profiles rather than firing someone's real tasks.
+const skip = existingProfileCount() > 0 && `${PROFILES_FILE} already has profiles`;
+
+const port = 20000 + Math.floor(Math.random() * 20000);
+const baseUrl = `http://127.0.0.1:${port}`;
+const suffix = Math.random().toString(36).slice(2, 8);
+let server;
+let profileA;
+let profileB;
+let agentId;
+let taskId;
+
+async function api(profile, method, url, body) {
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers: { "Content-Type": "application/json", Cookie: profile.cookie },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let data = null;
+  try { data = JSON.parse(text); } catch {}
+  return { status: res.status, data };
+}
+
+async function createProfile(name) {
+  const res = await fetch(`${baseUrl}/api/profiles`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name, password: "test-password" }),
+  });
+  assert.equal(res.status, 201, `creating profile ${name}`);
+  const { profile } = await res.json();
+  return { ...profile, cookie: res.headers.get("set-cookie").split(";")[0] };
+}
+
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const env = { ...process.env, PORT: String(port) };
+    delete env.AUTH_PASSWORD;
+    server = spawn(process.execPath, ["server/index.js"], { cwd: APP_DIR, env, stdio: ["ignore", "pipe", "pipe"] });
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("running on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on("data", onData);
+    server.stderr.on("data", onData);
+    server.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+before(async () => {
+  if (skip) return;
+  await startServer();
+  profileA = await createProfile(`ownership-a-${suffix}`);
+  profileB = await createProfile(`ownership-b-${suffix}`);
+
+  const agent = await api(profileA, "POST", "/api/agents", {
+    name: "owned",
+    workingDirectory: `/workspace/${profileA.slug}/owned`,
+  });
+  assert.equal(agent.status, 201, JSON.stringify(agent.data));
+  agentId = agent.data.id;
+
+  const task = await api(profileA, "POST", "/api/tasks", {
+    name: "Owned task",
+    workingDirectory: agent.data.workingDirectory,
+    prompt: "Say hello",
+  });
+  assert.equal(task.status, 201, JSON.stringify(task.data));
+  taskId = task.data.id;
+});
+
+after(async () => {
+  if (skip || !server) return;
+  if (server.exitCode === null) {
+    const exited = new Promise((resolve) => server.once("exit", resolve));
+    server.kill();
+    await exited;
+  }
+  // Remove the profiles this suite created, with their data and workspaces
+  const created = [profileA, profileB].filter(Boolean);
+  try {
+    const data = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf-8"));
+    data.profiles = data.profiles.filter((p) => !created.some((c) => c.id === p.id));
+    fs.writeFileSync(PROFILES_FILE, JSON.stringify(data, null, 2));
+  } catch {}
+  for (const profile of created) {
+    fs.rmSync(path.join(PROFILES_DIR, profile.id), { recursive: true, force: true });
+    fs.rmSync(`/workspace/${profile.slug}`, { recursive: true, force: true });
+  }
+});
+
+test("the owner can reach its agent and task", { skip }, async () => {
+  assert.equal((await api(profileA, "GET", `/api/tasks/${taskId}`)).status, 200);
+  assert.equal((await api(profileA, "GET", `/api/tasks/${taskId}/runs`)).status, 200);
+  const agents = await api(profileA, "GET", "/api/agents");
+  assert.ok(agents.data.some((a) => a.id === agentId));
+});
+
+test("another profile's agent routes answer 404", { skip }, async () => {
+  for (const [method, url, body] of [
+    ["GET", `/api/agents/${agentId}/file?path=README.md`],
+    ["PUT", `/api/agents/${agentId}/file`, { path: "x.txt", content: "x" }],
+    ["POST", `/api/agents/${agentId}/checkout`, { branch: "main" }],
+    ["DELETE", `/api/agents/${agentId}`],
+  ]) {
+    const res = await api(profileB, method, url, body);
+    assert.equal(res.status, 404, `${method} ${url}`);
+    assert.equal(res.data?.error, "Agent not found", `${method} ${url}`);
+  }
+  const agents = await api(profileB, "GET", "/api/agents");
+  assert.ok(!agents.data.some((a) => a.id === agentId));
+});
+
+test("another profile's task routes answer 404", { skip }, async () => {
+  for (const [method, url, body] of [
+    ["GET", `/api/tasks/${taskId}`],
+    ["PUT", `/api/tasks/${taskId}`, { name: "Taken over" }],
+    ["GET", `/api/tasks/${taskId}/runs`],
+    ["GET", `/api/tasks/${taskId}/summaries`],
+    ["GET", `/api/tasks/${taskId}/compare?head=x`],
+    ["GET", `/api/tasks/${taskId}/callback-deliveries`],
+    ["POST", `/api/tasks/${taskId}/trigger`, {}],
+    ["POST", `/api/tasks/${taskId}/webhook-token`, {}],
+    ["DELETE", `/api/tasks/${taskId}`],
+  ]) {
+    const res = await api(profileB, method, url, body);
+    assert.equal(res.status, 404, `${method} ${url}`);
+    assert.equal(res.data?.error, "Task not found", `${method} ${url}`);
+  }
+  // Still intact for its owner
+  const task = await api(profileA, "GET", `/api/tasks/${taskId}`);
+  assert.equal(task.data.name, "Owned task");
+});
+
+test("another profile's WebSocket frames are rejected", { skip }, async () => {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`, { headers: { Cookie: profileB.cookie } });
+  const messages = [];
+  ws.on("message", (raw) => messages.push(JSON.parse(raw)));
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  const frames = [
+    { type: "subscribe", agentId },
+    { type: "message", agentId, text: "hello" },
+    { type: "terminal_start", agentId },
+    { type: "task_run_subscribe", taskId },
+  ];
+  for (const frame of frames) ws.send(JSON.stringify(frame));
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  ws.close();
+
+  const errors = messages.filter((m) => m.type === "error").map((m) => m.message);
+  assert.deepEqual(errors, ["Agent not found", "Agent not found", "Agent not found", "Task not found"]);
+  // Nothing about the agent leaked: no status, events or terminal output
+  assert.ok(!messages.some((m) => m.agentId === agentId), JSON.stringify(messages));
+});
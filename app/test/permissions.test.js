@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateToolPermission, alwaysAllowRule, normalizePermissions } from "../server/permissions.js";
+
+const cwd = "/workspace/project";
+
+function bash(policy, command) {
+  return evaluateToolPermission(policy, "Bash", { command }, cwd);
+}
+
+test("an allowlisted prefix runs matching commands", () => {
+  const policy = { permissionProfile: "allowlist", allowedCommands: ["git status", "npm test"] };
+  assert.equal(bash(policy, "git status").decision, "allow");
+  assert.equal(bash(policy, "npm test -- --watch=false").decision, "allow");
+  assert.equal(bash(policy, "git statusx").decision, "ask");
+  assert.equal(bash(policy, "git status; rm -rf /").decision, "ask");
+});
+
+test("a broad git prefix does not cover pushes in any form", () => {
+  const policy = { permissionProfile: "ask", allowedCommands: ["git"] };
+  assert.equal(bash(policy, "git log --oneline").decision, "allow");
+  for (const command of [
+    "git push",
+    "git push --force origin main",
+    "git --no-pager push",
+    "git -C . push --force",
+    "git -C \"my repo\" push",
+    "git -c core.x=1 push origin main",
+    "git --git-dir=.git push",
+    "git --git-dir .git --work-tree . push",
+    "git -c a=1 -C sub --no-pager push -u origin HEAD",
+  ]) {
+    const result = bash(policy, command);
+    assert.equal(result.decision, "ask", command);
+    assert.equal(result.reason, "Pushes to a remote", command);
+  }
+});
+
+test("an allowlisted push entry covers that push", () => {
+  const policy = { permissionProfile: "ask", allowedCommands: ["git -C . push"] };
+  assert.equal(bash(policy, "git -C . push origin feature").decision, "allow");
+});
+
+test("git subcommands that merely mention push are not pushes", () => {
+  const policy = { permissionProfile: "ask", allowedCommands: ["git"] };
+  assert.equal(bash(policy, "git log --grep push").decision, "allow");
+  assert.equal(bash(policy, "git -C push status").decision, "allow");
+});
+
+test("an always-allowed command matches exactly, never as a prefix", () => {
+  for (const approved of ["rm -rf build", "git push origin x"]) {
+    const rule = alwaysAllowRule("Bash", { command: approved }, cwd);
+    assert.deepEqual(rule, { approvedCommands: [approved] });
+    const policy = { permissionProfile: "ask", allowedCommands: [], ...rule };
+    assert.equal(bash(policy, approved).decision, "allow", approved);
+    assert.equal(bash(policy, `  ${approved} `).decision, "allow", approved);
+    assert.equal(bash(policy, approved + " extra").decision, "ask", approved);
+  }
+  const policy = { permissionProfile: "ask", approvedCommands: ["rm -rf build"] };
+  assert.equal(bash(policy, "rm -rf build /").decision, "ask");
+  assert.equal(bash(policy, "git push origin x --force").decision, "ask");
+});
+
+test("approved commands are validated like allowed ones", () => {
+  const policy = normalizePermissions({ permissionProfile: "ask", approvedCommands: [" npm run build ", "npm run build"] });
+  assert.deepEqual(policy.approvedCommands, ["npm run build"]);
+  assert.throws(() => normalizePermissions({ approvedCommands: ["ls; rm -rf /"] }), /shell operators/);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { sendSmtpMail } from "../server/smtp.js";
+
+/** A plaintext SMTP server answering each command line via `reply(line)`. */
+async function fakeServer(reply) {
+  const server = net.createServer((socket) => {
+    socket.write("220 fake ESMTP\r\n");
+    let buffer = "";
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        socket.write(reply(line));
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+const message = { from: "ci@example.com", to: ["dev@example.com"], subject: "Hi", html: "<p>Hi</p>" };
+
+test("replies injected before the TLS handshake are rejected", async () => {
+  const server = await fakeServer((line) => {
+    if (line.startsWith("EHLO")) return "250-fake\r\n250 STARTTLS\r\n";
+    // A man in the middle appends a forged reply to the plaintext 220
+    if (line === "STARTTLS") return "220 go ahead\r\n250 injected\r\n";
+    return "500 unexpected\r\n";
+  });
+  try {
+    const { port } = server.address();
+    await assert.rejects(
+      sendSmtpMail({ host: "127.0.0.1", port, security: "starttls" }, message),
+      /unexpected data after STARTTLS/,
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test("a server without STARTTLS is refused when it is required", async () => {
+  const server = await fakeServer((line) => (line.startsWith("EHLO") ? "250 fake\r\n" : "500 unexpected\r\n"));
+  try {
+    const { port } = server.address();
+    await assert.rejects(
+      sendSmtpMail({ host: "127.0.0.1", port, security: "starttls" }, message),
+      /does not offer STARTTLS/,
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test("addresses with CR/LF are refused before any command is sent", async () => {
+  const lines = [];
+  const server = await fakeServer((line) => {
+    lines.push(line);
+    return "250 ok\r\n";
+  });
+  try {
+    const { port } = server.address();
+    const to = ["dev@example.com>\r\nRCPT TO:<victim@example.com"];
+    await assert.rejects(
+      sendSmtpMail({ host: "127.0.0.1", port, security: "none" }, { ...message, to }),
+      /Invalid recipient/,
+    );
+    assert.deepEqual(lines, []);
+  } finally {
+    server.close();
+  }
+});